@@ -27,6 +27,42 @@ CREATE TABLE IF NOT EXISTS riders (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Pooled trips: one driver carrying several POOL riders along an ordered list of stops
+CREATE TABLE IF NOT EXISTS pool_trips (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    driver_id UUID REFERENCES drivers(id) ON DELETE SET NULL,
+    region VARCHAR(100) NOT NULL, -- region of the first pickup; only searched for rides there
+    status VARCHAR(20) DEFAULT 'OPEN', -- 'OPEN', 'CLOSED'
+    stops JSONB NOT NULL DEFAULT '[]', -- ordered [{ rideId, type: 'PICKUP' | 'DROPOFF', lat, lng, status }]
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Queue zones: airport/venue areas whose pickups go to a FIFO driver queue
+CREATE TABLE IF NOT EXISTS queue_zones (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(255) NOT NULL,
+    region VARCHAR(100) NOT NULL,
+    polygon JSONB NOT NULL, -- pickup area [{ lat, lng }]; pickups inside are served from the queue
+    staging JSONB NOT NULL, -- waiting area inside the polygon [{ lat, lng }]; drivers queue by entering it
+    active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Geofences: operator-defined airports, restricted zones, no-pickup areas and event venues
+CREATE TABLE IF NOT EXISTS geofences (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(255) NOT NULL,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('AIRPORT', 'RESTRICTED', 'NO_PICKUP', 'EVENT_VENUE')),
+    region VARCHAR(100) NOT NULL,
+    polygon JSONB NOT NULL, -- [{ lat, lng }]
+    pickup_points JSONB NOT NULL DEFAULT '[]', -- designated pickup points [{ name, lat, lng }]; pickups inside move to the nearest
+    active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Ride requests table
 CREATE TABLE IF NOT EXISTS ride_requests (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -38,15 +74,31 @@ CREATE TABLE IF NOT EXISTS ride_requests (
     destination_lat DECIMAL(10, 8) NOT NULL,
     destination_lng DECIMAL(11, 8) NOT NULL,
     destination_address TEXT,
-    tier VARCHAR(50) NOT NULL, -- 'ECONOMY', 'PREMIUM', 'XL'
+    tier VARCHAR(50) NOT NULL, -- 'ECONOMY', 'PREMIUM', 'XL', 'POOL'
     payment_method VARCHAR(50) NOT NULL,
-    status VARCHAR(30) DEFAULT 'PENDING', -- 'PENDING', 'MATCHING', 'MATCHED', 'ACCEPTED', 'CANCELLED', 'EXPIRED'
+    status VARCHAR(30) DEFAULT 'PENDING', -- see src/services/ride-state-machine.js: 'SCHEDULED', 'PENDING', 'MATCHING', 'ACCEPTED', 'IN_PROGRESS', 'COMPLETED', 'NO_DRIVERS', 'EXPIRED', 'CANCELLED'
     surge_multiplier DECIMAL(3, 2) DEFAULT 1.00,
     estimated_fare DECIMAL(10, 2),
+    fare_rates JSONB, -- { baseFare, perKm, perMinute } locked when the ride was priced
+    fare_quote_id UUID, -- id inside the signed quote the ride was booked with, if any; each quote books one ride
+    estimated_distance_km DECIMAL(10, 3), -- routed over the road graph, or straight-line fallback
+    estimated_duration_minutes DECIMAL(10, 1),
+    route_polyline TEXT, -- encoded polyline (precision 5) of the estimated route
     idempotency_key VARCHAR(255) UNIQUE NOT NULL,
     match_attempts INTEGER DEFAULT 0,
-    current_driver_offer_id UUID,
+    match_radius_km DECIMAL(5, 2), -- search radius that produced the latest offer
+    match_history JSONB DEFAULT '[]', -- one entry per match attempt (radii searched, outcome)
+    current_driver_offer_id UUID, -- NULL while a BROADCAST round is outstanding
+    dispatch_mode VARCHAR(20) DEFAULT 'SEQUENTIAL', -- 'SEQUENTIAL', 'BROADCAST'
     expires_at TIMESTAMP WITH TIME ZONE,
+    scheduled_at TIMESTAMP WITH TIME ZONE, -- requested pickup time for advance bookings
+    pool_trip_id UUID REFERENCES pool_trips(id) ON DELETE SET NULL, -- POOL rides once accepted
+    stops JSONB DEFAULT '[]', -- intermediate waypoints [{ lat, lng }] in visiting order
+    accepted_at TIMESTAMP WITH TIME ZONE,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    cancelled_by VARCHAR(20), -- 'RIDER', 'DRIVER', 'SYSTEM'
+    cancellation_reason VARCHAR(255),
+    cancellation_fee DECIMAL(10, 2) DEFAULT 0,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -56,11 +108,12 @@ CREATE TABLE IF NOT EXISTS driver_offers (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     ride_request_id UUID REFERENCES ride_requests(id) ON DELETE CASCADE,
     driver_id UUID REFERENCES drivers(id) ON DELETE CASCADE,
-    status VARCHAR(30) DEFAULT 'PENDING', -- 'PENDING', 'ACCEPTED', 'DECLINED', 'EXPIRED'
+    status VARCHAR(30) DEFAULT 'PENDING', -- 'PENDING', 'ACCEPTED', 'DECLINED', 'EXPIRED', 'REVOKED'
     offered_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    delivered_at TIMESTAMP WITH TIME ZONE, -- driver app acknowledged the offer; the response window starts here
     responded_at TIMESTAMP WITH TIME ZONE,
     decline_reason VARCHAR(255),
-    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL, -- delivery deadline until delivered_at, then response deadline
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -86,11 +139,36 @@ CREATE TABLE IF NOT EXISTS trips (
     time_fare DECIMAL(10, 2),
     surge_multiplier DECIMAL(3, 2) DEFAULT 1.00,
     total_fare DECIMAL(10, 2),
-    route_polyline TEXT,
+    route_polyline TEXT, -- encoded polyline (precision 5) of the recorded GPS trail
+    billing_source VARCHAR(20), -- 'SERVER' (GPS trail) or 'CLIENT' (reported values, trail too sparse)
+    trail_ping_count INTEGER DEFAULT 0,
+    client_distance_km DECIMAL(10, 3), -- as reported by the driver app at trip end
+    client_duration_minutes DECIMAL(10, 1),
+    discrepancy_flagged BOOLEAN DEFAULT FALSE, -- client values strayed too far from the trail's
+    pool_trip_id UUID REFERENCES pool_trips(id) ON DELETE SET NULL,
+    pool_share DECIMAL(5, 4), -- fraction of a solo fare paid after splitting shared legs
+    stop_wait_seconds INTEGER DEFAULT 0, -- time spent waiting at intermediate stops
+    wait_fare DECIMAL(10, 2) DEFAULT 0,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Trip Stops table (intermediate waypoints of a multi-stop trip)
+CREATE TABLE IF NOT EXISTS trip_stops (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    trip_id UUID REFERENCES trips(id) ON DELETE CASCADE,
+    sequence INTEGER NOT NULL, -- 1-based visiting order
+    lat DECIMAL(10, 8) NOT NULL,
+    lng DECIMAL(11, 8) NOT NULL,
+    status VARCHAR(20) DEFAULT 'PENDING', -- 'PENDING', 'ARRIVED', 'DEPARTED', 'SKIPPED'
+    arrived_at TIMESTAMP WITH TIME ZONE,
+    departed_at TIMESTAMP WITH TIME ZONE,
+    wait_seconds INTEGER DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    -- deferred so stops can be renumbered when one is inserted mid-trip
+    UNIQUE (trip_id, sequence) DEFERRABLE INITIALLY DEFERRED
+);
+
 -- Payments table
 CREATE TABLE IF NOT EXISTS payments (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -136,11 +214,16 @@ CREATE INDEX IF NOT EXISTS idx_drivers_status_region ON drivers(status, region);
 CREATE INDEX IF NOT EXISTS idx_ride_requests_status ON ride_requests(status);
 CREATE INDEX IF NOT EXISTS idx_ride_requests_rider ON ride_requests(rider_id);
 CREATE INDEX IF NOT EXISTS idx_ride_requests_driver ON ride_requests(driver_id);
+CREATE INDEX IF NOT EXISTS idx_ride_requests_scheduled ON ride_requests(status, scheduled_at) WHERE scheduled_at IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ride_requests_fare_quote ON ride_requests(fare_quote_id) WHERE fare_quote_id IS NOT NULL;
 CREATE INDEX IF NOT EXISTS idx_driver_offers_ride_request ON driver_offers(ride_request_id);
 CREATE INDEX IF NOT EXISTS idx_driver_offers_driver ON driver_offers(driver_id);
 CREATE INDEX IF NOT EXISTS idx_trips_driver ON trips(driver_id);
 CREATE INDEX IF NOT EXISTS idx_trips_rider ON trips(rider_id);
 CREATE INDEX IF NOT EXISTS idx_trips_status ON trips(status);
+CREATE INDEX IF NOT EXISTS idx_trip_stops_trip ON trip_stops(trip_id, sequence);
+CREATE INDEX IF NOT EXISTS idx_geofences_region_type ON geofences(region, type) WHERE active;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pool_trips_open_driver ON pool_trips(driver_id) WHERE status = 'OPEN';
 CREATE INDEX IF NOT EXISTS idx_payments_trip ON payments(trip_id);
 CREATE INDEX IF NOT EXISTS idx_payments_status ON payments(status);
 CREATE INDEX IF NOT EXISTS idx_surge_pricing_log_geo_cell ON surge_pricing_log(geo_cell, recorded_at);
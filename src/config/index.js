@@ -1,3 +1,24 @@
+const path = require('path');
+
+const parseJsonEnv = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return fallback;
+  }
+};
+
+// Signing secrets fall back to public values only for local development and tests
+const requiredSecret = (name, devFallback) => {
+  if (process.env[name]) return process.env[name];
+  const env = process.env.NODE_ENV || 'development';
+  if (env !== 'development' && env !== 'test') {
+    throw new Error(`${name} must be set when NODE_ENV is ${env}`);
+  }
+  return devFallback;
+};
+
 module.exports = {
   // Server
   PORT: process.env.PORT || 3000,
@@ -13,26 +34,180 @@ module.exports = {
   KAFKA_BROKERS: process.env.KAFKA_BROKERS ? process.env.KAFKA_BROKERS.split(',') : ['localhost:9194'],
   KAFKA_CLIENT_ID: process.env.KAFKA_CLIENT_ID || 'juber-platform',
 
+  // Service Regions
+  REGIONS_PATH: process.env.REGIONS_PATH || path.join(__dirname, 'regions.geojson'), // GeoJSON or JSON region registry
+
   // Driver Location
   DRIVER_PRESENCE_TTL: parseInt(process.env.DRIVER_PRESENCE_TTL) || 30, // seconds
   DEFAULT_SEARCH_RADIUS_KM: parseFloat(process.env.DEFAULT_SEARCH_RADIUS_KM) || 5,
-  DEFAULT_REGION: process.env.DEFAULT_REGION || 'bangalore',
+  DEFAULT_REGION: process.env.DEFAULT_REGION || 'bangalore', // drivers and trips with no known region
+  GEO_CELL_RESOLUTION: parseInt(process.env.GEO_CELL_RESOLUTION) || 8, // H3 resolution of geo cells (8 ≈ 0.5km edges)
+  LOCATION_BATCH_MAX_PINGS: parseInt(process.env.LOCATION_BATCH_MAX_PINGS) || 500, // per batch request
+  QUEUE_ZONE_CACHE_TTL: parseInt(process.env.QUEUE_ZONE_CACHE_TTL) || 30000, // ms each instance caches queue zone definitions
+  QUEUE_CANDIDATE_WINDOW: parseInt(process.env.QUEUE_CANDIDATE_WINDOW) || 50, // drivers read from the head of a queue per match
+  GEOFENCE_CACHE_TTL: parseInt(process.env.GEOFENCE_CACHE_TTL) || 30000, // ms each instance caches its geofence index
+  GEOFENCE_INDEX_RESOLUTION: parseInt(process.env.GEOFENCE_INDEX_RESOLUTION) || 7, // H3 resolution of the geofence index cells
+  DRIVER_EVICTION_POLL_INTERVAL: parseInt(process.env.DRIVER_EVICTION_POLL_INTERVAL) || 10000, // ms between stale driver sweeps
+  DRIVER_EVICTION_BATCH_SIZE: parseInt(process.env.DRIVER_EVICTION_BATCH_SIZE) || 200, // drivers per sweep
+
+  // Location Plausibility (spoofing/teleport checks against the previous accepted ping)
+  LOCATION_GPS_ACCURACY_KM: parseFloat(process.env.LOCATION_GPS_ACCURACY_KM) || 0.2, // movement within this is GPS error, not speed
+  LOCATION_MAX_SPEED_KMH: parseFloat(process.env.LOCATION_MAX_SPEED_KMH) || 200,
+  LOCATION_TELEPORT_SPEED_KMH: parseFloat(process.env.LOCATION_TELEPORT_SPEED_KMH) || 1000, // faster is a jump, not a drive
+  LOCATION_MAX_EXACT_REPEATS: parseInt(process.env.LOCATION_MAX_EXACT_REPEATS) || 10,
+  LOCATION_QUARANTINE_TTL: parseInt(process.env.LOCATION_QUARANTINE_TTL) || 24 * 3600, // seconds
+  // This many quarantined pings within the window raise driver.location.anomaly
+  LOCATION_ANOMALY_THRESHOLD: parseInt(process.env.LOCATION_ANOMALY_THRESHOLD) || 5,
+  LOCATION_ANOMALY_WINDOW: parseInt(process.env.LOCATION_ANOMALY_WINDOW) || 600, // seconds
+  // Also bar flagged drivers from dispatch for LOCATION_SUSPENSION_TTL
+  LOCATION_ANOMALY_SUSPEND: process.env.LOCATION_ANOMALY_SUSPEND === 'true',
+  LOCATION_SUSPENSION_TTL: parseInt(process.env.LOCATION_SUSPENSION_TTL) || 1800, // seconds
+
+  // Location Smoothing (optional filter between raw pings and the GEO index)
+  LOCATION_SMOOTHING: {
+    enabled: process.env.LOCATION_SMOOTHING_ENABLED === 'true',
+    gpsAccuracyM: parseFloat(process.env.LOCATION_SMOOTHING_GPS_ACCURACY_M) || 15, // assumed when a ping reports no accuracy
+    processNoiseMps: parseFloat(process.env.LOCATION_SMOOTHING_PROCESS_NOISE_MPS) || 3, // how far per second the driver may stray from the prediction
+    useHeading: process.env.LOCATION_SMOOTHING_USE_HEADING !== 'false', // predict from reported heading and speed
+    resetAfterSeconds: parseInt(process.env.LOCATION_SMOOTHING_RESET_AFTER) || 60, // older filter state restarts at the ping
+    snapToRoad: process.env.LOCATION_SMOOTHING_SNAP_TO_ROAD !== 'false', // needs ROAD_GRAPH_PATH
+    snapMaxM: parseFloat(process.env.LOCATION_SMOOTHING_SNAP_MAX_M) || 30,
+    snapHeadingToleranceDeg: parseFloat(process.env.LOCATION_SMOOTHING_SNAP_HEADING_TOLERANCE) || 45
+  },
+  // Per-region overrides, e.g. {"mumbai":{"enabled":true,"gpsAccuracyM":25}}
+  LOCATION_REGION_SMOOTHING: parseJsonEnv(process.env.LOCATION_REGION_SMOOTHING, {}),
+
+  // Routing
+  // GeoJSON road network (LineStrings with OSM-style speed_kmh/maxspeed/highway/oneway); empty = straight-line estimates only
+  ROAD_GRAPH_PATH: process.env.ROAD_GRAPH_PATH || '',
+  ROUTING_MAX_SNAP_KM: parseFloat(process.env.ROUTING_MAX_SNAP_KM) || 0.5, // furthest a point may be from the nearest road
+  ROUTING_DEFAULT_SPEED_KMH: parseFloat(process.env.ROUTING_DEFAULT_SPEED_KMH) || 25,
+  // Speed per OSM highway class when a road has no speed of its own
+  ROUTING_HIGHWAY_SPEEDS_KMH: parseJsonEnv(process.env.ROUTING_HIGHWAY_SPEEDS_KMH, {
+    motorway: 80,
+    trunk: 60,
+    primary: 45,
+    secondary: 35,
+    tertiary: 30,
+    residential: 20,
+    service: 15
+  }),
+  // Nodes one A* search may expand before the leg falls back to a straight line
+  ROUTING_MAX_EXPANDED_NODES: parseInt(process.env.ROUTING_MAX_EXPANDED_NODES) || 20000,
+  // Straight-line speeds used off the graph: trip estimates and driver pickup ETAs
+  ROUTING_FALLBACK_SPEED_KMH: parseFloat(process.env.ROUTING_FALLBACK_SPEED_KMH) || 20,
+  PICKUP_FALLBACK_SPEED_KMH: parseFloat(process.env.PICKUP_FALLBACK_SPEED_KMH) || 30,
 
   // Dispatch
+  // Offers must reach the driver app within the delivery timeout; the response timeout starts once it acks
+  OFFER_DELIVERY_TIMEOUT: parseInt(process.env.OFFER_DELIVERY_TIMEOUT) || 10000, // ms
   DRIVER_RESPONSE_TIMEOUT: parseInt(process.env.DRIVER_RESPONSE_TIMEOUT) || 15000, // ms
+  OFFER_POLL_MAX_WAIT: parseInt(process.env.OFFER_POLL_MAX_WAIT) || 30, // seconds a driver offer long-poll may be held open
   MAX_MATCH_ATTEMPTS: parseInt(process.env.MAX_MATCH_ATTEMPTS) || 5,
+  // Search radius per match attempt (km); the last value is reused for later attempts
+  DISPATCH_RADIUS_SCHEDULE_KM: process.env.DISPATCH_RADIUS_SCHEDULE_KM
+    ? process.env.DISPATCH_RADIUS_SCHEDULE_KM.split(',').map(parseFloat)
+    : [2, 4, 7, 10],
+  DISPATCH_CANDIDATE_LIMIT: parseInt(process.env.DISPATCH_CANDIDATE_LIMIT) || 10,
+  // SEQUENTIAL (one driver at a time) or BROADCAST (top N at once, first accept wins)
+  DISPATCH_MODE: process.env.DISPATCH_MODE || 'SEQUENTIAL',
+  // Keyed by "region:TIER", region or TIER, e.g. {"mumbai":"BROADCAST","bangalore:XL":"BROADCAST"}
+  DISPATCH_MODE_OVERRIDES: parseJsonEnv(process.env.DISPATCH_MODE_OVERRIDES, {}),
+  BROADCAST_OFFER_COUNT: parseInt(process.env.BROADCAST_OFFER_COUNT) || 3,
+  OFFER_EXPIRY_POLL_INTERVAL: parseInt(process.env.OFFER_EXPIRY_POLL_INTERVAL) || 1000, // ms
+  OFFER_EXPIRY_BATCH_SIZE: parseInt(process.env.OFFER_EXPIRY_BATCH_SIZE) || 50,
+  OFFER_EXPIRY_LEASE: parseInt(process.env.OFFER_EXPIRY_LEASE) || 30000, // ms a claimed offer is hidden from other instances
+
+  // Scheduled Rides
+  SCHEDULED_RIDE_MIN_ADVANCE: parseInt(process.env.SCHEDULED_RIDE_MIN_ADVANCE) || 1800, // seconds
+  SCHEDULED_RIDE_MAX_ADVANCE: parseInt(process.env.SCHEDULED_RIDE_MAX_ADVANCE) || 7 * 24 * 3600, // seconds
+  // Matching starts this long before pickup; the pickup time is the matching deadline
+  SCHEDULED_RIDE_LEAD_TIME: parseInt(process.env.SCHEDULED_RIDE_LEAD_TIME) || 900, // seconds
+  // How often an unmatched scheduled ride is retried before its deadline
+  SCHEDULED_RIDE_RETRY_INTERVAL: parseInt(process.env.SCHEDULED_RIDE_RETRY_INTERVAL) || 60, // seconds
+  SCHEDULED_RIDE_POLL_INTERVAL: parseInt(process.env.SCHEDULED_RIDE_POLL_INTERVAL) || 15000, // ms
+  SCHEDULED_RIDE_BATCH_SIZE: parseInt(process.env.SCHEDULED_RIDE_BATCH_SIZE) || 20,
+
+  // Driver Scoring
+  DISPATCH_SCORER: process.env.DISPATCH_SCORER || 'weighted',
+  // Points per unit of each scoring factor
+  DISPATCH_SCORING_WEIGHTS: {
+    distance: 8, // -points per km
+    tierMatch: 30,
+    tierUpgrade: 15,
+    rating: 20, // +/- points per star around a 4.0 baseline
+    acceptanceRate: 10, // points at 100% acceptance
+    heading: 10 // points when driving straight at the pickup
+  },
+  // Per-region overrides, e.g. {"mumbai":{"distance":12}}
+  DISPATCH_REGION_SCORING_WEIGHTS: parseJsonEnv(process.env.DISPATCH_REGION_SCORING_WEIGHTS, {}),
+  // Vehicle types allowed to serve a requested tier as an upgrade (POOL has no vehicle type of its own)
+  TIER_UPGRADES: parseJsonEnv(process.env.TIER_UPGRADES, {
+    ECONOMY: ['PREMIUM', 'XL'],
+    POOL: ['ECONOMY']
+  }),
+
+  // Pooled Rides
+  POOL_MAX_RIDERS: parseInt(process.env.POOL_MAX_RIDERS) || 3, // riders sharing a car at once
+  POOL_MAX_DETOUR_KM: parseFloat(process.env.POOL_MAX_DETOUR_KM) || 3, // extra km per co-rider for a new pickup + dropoff
+  POOL_MAX_DETOUR_RATIO: parseFloat(process.env.POOL_MAX_DETOUR_RATIO) || 0.5, // in-car distance <= (1 + ratio) x direct
+  POOL_ESTIMATE_DISCOUNT: parseFloat(process.env.POOL_ESTIMATE_DISCOUNT) || 0.3, // upfront estimate vs a solo ride
 
   // Surge Pricing
   SURGE_CACHE_TTL: parseInt(process.env.SURGE_CACHE_TTL) || 60, // seconds
   SURGE_MIN: parseFloat(process.env.SURGE_MIN) || 1.0,
   SURGE_MAX: parseFloat(process.env.SURGE_MAX) || 3.0,
   DEMAND_COUNTER_TTL: parseInt(process.env.DEMAND_COUNTER_TTL) || 300, // seconds
+  SURGE_DEMAND_RING: parseInt(process.env.SURGE_DEMAND_RING) || 1, // rings of neighboring geo cells counted as demand
+  // Time-of-day surge for scheduled pickups, keyed by region (or "default").
+  // days: 0 = Sunday (all days when omitted); hours are local to the region's timezone (see regions.geojson)
+  SCHEDULED_SURGE_POLICY: parseJsonEnv(process.env.SCHEDULED_SURGE_POLICY, {
+    default: [
+      { days: [1, 2, 3, 4, 5], startHour: 8, endHour: 11, multiplier: 1.3 },
+      { days: [1, 2, 3, 4, 5], startHour: 17, endHour: 21, multiplier: 1.5 },
+      { startHour: 0, endHour: 5, multiplier: 1.2 }
+    ]
+  }),
 
   // Fare Calculation
   FARE_BASE: parseFloat(process.env.FARE_BASE) || 50,
   FARE_PER_KM: parseFloat(process.env.FARE_PER_KM) || 12,
   FARE_PER_MINUTE: parseFloat(process.env.FARE_PER_MINUTE) || 2,
   CANCELLATION_FEE: parseFloat(process.env.CANCELLATION_FEE) || 50,
+  // Rider ride cancellation: free for this long after a driver is assigned
+  RIDE_CANCELLATION_GRACE_PERIOD: parseInt(process.env.RIDE_CANCELLATION_GRACE_PERIOD) || 120, // seconds
+  CANCELLATION_FEE_PER_MINUTE: parseFloat(process.env.CANCELLATION_FEE_PER_MINUTE) || 5,
+  CANCELLATION_FEE_MAX: parseFloat(process.env.CANCELLATION_FEE_MAX) || 150,
+  // Multi-stop rides: waiting at each intermediate stop is free up to the allowance, then billed per minute
+  MAX_RIDE_STOPS: parseInt(process.env.MAX_RIDE_STOPS) || 3,
+  STOP_FREE_WAIT_SECONDS: parseInt(process.env.STOP_FREE_WAIT_SECONDS) || 180,
+  STOP_WAIT_FARE_PER_MINUTE: parseFloat(process.env.STOP_WAIT_FARE_PER_MINUTE) || 3,
+  // Upfront quotes: signed with this secret, honored by POST /rides until they expire
+  FARE_QUOTE_SECRET: requiredSecret('FARE_QUOTE_SECRET', 'juber-dev-quote-secret'),
+  FARE_QUOTE_TTL: parseInt(process.env.FARE_QUOTE_TTL) || 300, // seconds
+
+  // Live Trip Tracking (rider streams)
+  TRACKING_TOKEN_SECRET: requiredSecret('TRACKING_TOKEN_SECRET', 'juber-dev-tracking-secret'),
+  TRACKING_TOKEN_TTL: parseInt(process.env.TRACKING_TOKEN_TTL) || 4 * 3600, // seconds
+  TRACKING_TOKEN_RENEW_WINDOW: parseInt(process.env.TRACKING_TOKEN_RENEW_WINDOW) || 24 * 3600, // seconds after expiry (or the scheduled pickup) a token can still be renewed
+  TRACKING_PUSH_INTERVAL: parseInt(process.env.TRACKING_PUSH_INTERVAL) || 2000, // ms between location pushes per stream
+  TRACKING_HEARTBEAT_INTERVAL: parseInt(process.env.TRACKING_HEARTBEAT_INTERVAL) || 15000, // ms
+  // A stream re-routes its ETA once the driver has moved this far or the ETA is this old
+  TRACKING_ETA_REROUTE_KM: parseFloat(process.env.TRACKING_ETA_REROUTE_KM) || 0.5,
+  TRACKING_ETA_REFRESH_INTERVAL: parseInt(process.env.TRACKING_ETA_REFRESH_INTERVAL) || 30000, // ms
+
+  // Trip Trails (GPS pings recorded between trip start and end, billed server-side)
+  TRIP_TRAIL_TTL: parseInt(process.env.TRIP_TRAIL_TTL) || 7 * 24 * 3600, // seconds a trail is kept after its last ping
+  // Trails with fewer pings are billed on the client-reported distance and duration
+  TRIP_TRAIL_MIN_PINGS: parseInt(process.env.TRIP_TRAIL_MIN_PINGS) || 2,
+  // Gaps between pings longer than this are filled with a routed path instead of a straight line
+  TRIP_TRAIL_GAP_SECONDS: parseInt(process.env.TRIP_TRAIL_GAP_SECONDS) || 30,
+  // Pings implying a faster jump from the previous one are GPS glitches and skipped
+  TRIP_TRAIL_MAX_SPEED_KMH: parseFloat(process.env.TRIP_TRAIL_MAX_SPEED_KMH) || 160,
+  // Client-reported values further than ratio x server value (and the minimum) from it flag the trip
+  TRIP_DISCREPANCY_RATIO: parseFloat(process.env.TRIP_DISCREPANCY_RATIO) || 0.15,
+  TRIP_DISCREPANCY_MIN_KM: parseFloat(process.env.TRIP_DISCREPANCY_MIN_KM) || 0.5,
+  TRIP_DISCREPANCY_MIN_MINUTES: parseFloat(process.env.TRIP_DISCREPANCY_MIN_MINUTES) || 2,
 
   // Idempotency
   IDEMPOTENCY_TTL: parseInt(process.env.IDEMPOTENCY_TTL) || 86400, // 24 hours
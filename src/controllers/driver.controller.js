@@ -1,5 +1,19 @@
 const driverLocationService = require('../services/driver-location.service');
-const { locationUpdateSchema, nearbyDriversQuerySchema } = require('../utils/validators');
+const queueZoneService = require('../services/queue-zone.service');
+const dispatchService = require('../services/dispatch.service');
+const offerDeliveryService = require('../services/offer-delivery.service');
+const trackingService = require('../services/tracking.service');
+const { tokenFromRequest } = trackingService;
+const {
+  uuidSchema,
+  locationUpdateSchema,
+  driverLocationBatchSchema,
+  fleetLocationBatchSchema,
+  nearbyDriversQuerySchema,
+  offerParamsSchema,
+  offerResponseSchema,
+  offerPollQuerySchema
+} = require('../utils/validators');
 const { asyncHandler } = require('../middleware/error-handler');
 
 /**
@@ -15,6 +29,33 @@ const updateLocation = asyncHandler(async (req, res) => {
   res.json(result);
 });
 
+/**
+ * Update a driver's location from a batch of buffered pings
+ * POST /api/v1/drivers/:driverId/locations
+ */
+const updateLocationBatch = asyncHandler(async (req, res) => {
+  const { driverId } = req.params;
+  const { pings } = driverLocationBatchSchema.parse(req.body);
+
+  const result = await driverLocationService.updateLocationBatch(
+    pings.map((ping) => ({ ...ping, driverId }))
+  );
+
+  res.json(result);
+});
+
+/**
+ * Update many drivers' locations at once (fleet gateways)
+ * POST /api/v1/drivers/locations/batch
+ */
+const updateFleetLocations = asyncHandler(async (req, res) => {
+  const { pings } = fleetLocationBatchSchema.parse(req.body);
+
+  const result = await driverLocationService.updateLocationBatch(pings);
+
+  res.json(result);
+});
+
 /**
  * Get nearby drivers
  * GET /api/v1/drivers/nearby
@@ -28,12 +69,23 @@ const getNearbyDrivers = asyncHandler(async (req, res) => {
 });
 
 /**
- * Get driver location
- * GET /api/v1/drivers/:driverId/location
+ * Counts of drivers evicted for expired presence
+ * GET /api/v1/drivers/evictions
+ */
+const getEvictionStats = asyncHandler(async (req, res) => {
+  const result = await driverLocationService.getEvictionStats();
+
+  res.json(result);
+});
+
+/**
+ * Get driver location, for riders of the driver's current ride
+ * GET /api/v1/drivers/:driverId/location?token= (or Authorization: Bearer <tracking token>)
  */
 const getDriverLocation = asyncHandler(async (req, res) => {
-  const { driverId } = req.params;
-  const region = req.query.region || 'bangalore';
+  const driverId = uuidSchema.parse(req.params.driverId);
+  const { region } = req.query;
+  await trackingService.authorizeDriverLocation(driverId, tokenFromRequest(req));
 
   const location = await driverLocationService.getDriverLocation(driverId, region);
 
@@ -61,9 +113,76 @@ const updateDriverStatus = asyncHandler(async (req, res) => {
   res.json(result);
 });
 
+/**
+ * Get driver's queue position
+ * GET /api/v1/drivers/:driverId/queue
+ */
+const getQueuePosition = asyncHandler(async (req, res) => {
+  const { driverId } = req.params;
+
+  const result = await queueZoneService.getQueuePosition(driverId);
+
+  res.json(result);
+});
+
+/**
+ * Long-poll for ride offers. Held open for up to `wait` seconds until an offer arrives,
+ * then returns every offer the driver can still answer; each must be acknowledged
+ * GET /api/v1/drivers/:driverId/offers?wait=25
+ */
+const pollOffers = asyncHandler(async (req, res) => {
+  const driverId = uuidSchema.parse(req.params.driverId);
+  const { wait } = offerPollQuerySchema.parse(req.query);
+
+  // Stop waiting if the driver app hangs up
+  const disconnected = new AbortController();
+  res.on('close', () => disconnected.abort());
+
+  const offers = await offerDeliveryService.waitForOffers(driverId, {
+    waitMs: wait * 1000,
+    signal: disconnected.signal
+  });
+
+  if (res.writableEnded || disconnected.signal.aborted) return;
+
+  res.json({ driverId, offers });
+});
+
+/**
+ * Acknowledge that an offer reached the driver app; starts the response timeout
+ * POST /api/v1/drivers/:driverId/offers/:offerId/ack
+ */
+const acknowledgeOffer = asyncHandler(async (req, res) => {
+  const { driverId, offerId } = offerParamsSchema.parse(req.params);
+
+  const result = await dispatchService.acknowledgeOffer(driverId, offerId);
+
+  res.json(result);
+});
+
+/**
+ * Accept or decline an offer
+ * POST /api/v1/drivers/:driverId/offers/:offerId/respond
+ */
+const respondToOffer = asyncHandler(async (req, res) => {
+  const { driverId, offerId } = offerParamsSchema.parse(req.params);
+  const data = offerResponseSchema.parse(req.body);
+
+  const result = await dispatchService.respondToOffer(driverId, offerId, data);
+
+  res.json(result);
+});
+
 module.exports = {
   updateLocation,
+  updateLocationBatch,
+  updateFleetLocations,
   getNearbyDrivers,
+  getEvictionStats,
   getDriverLocation,
-  updateDriverStatus
+  updateDriverStatus,
+  getQueuePosition,
+  pollOffers,
+  acknowledgeOffer,
+  respondToOffer
 };
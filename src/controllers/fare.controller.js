@@ -0,0 +1,19 @@
+const dispatchService = require('../services/dispatch.service');
+const { fareQuoteSchema } = require('../utils/validators');
+const { asyncHandler } = require('../middleware/error-handler');
+
+/**
+ * Quote a route across tiers
+ * POST /api/v1/fares/quote
+ */
+const quoteFares = asyncHandler(async (req, res) => {
+  const data = fareQuoteSchema.parse(req.body);
+
+  const result = await dispatchService.quoteFares(data);
+
+  res.json(result);
+});
+
+module.exports = {
+  quoteFares,
+};
@@ -0,0 +1,77 @@
+const geofenceService = require('../services/geofence.service');
+const {
+  uuidSchema,
+  createGeofenceSchema,
+  updateGeofenceSchema,
+  geofenceListQuerySchema,
+} = require('../utils/validators');
+const { asyncHandler } = require('../middleware/error-handler');
+
+/**
+ * Create geofence
+ * POST /api/v1/geofences
+ */
+const createGeofence = asyncHandler(async (req, res) => {
+  const data = createGeofenceSchema.parse(req.body);
+
+  const geofence = await geofenceService.createGeofence(data);
+
+  res.status(201).json(geofence);
+});
+
+/**
+ * List active geofences
+ * GET /api/v1/geofences?region=&type=
+ */
+const listGeofences = asyncHandler(async (req, res) => {
+  const filters = geofenceListQuerySchema.parse(req.query);
+
+  const geofences = await geofenceService.listGeofences(filters);
+
+  res.json({ geofences });
+});
+
+/**
+ * Get geofence
+ * GET /api/v1/geofences/:geofenceId
+ */
+const getGeofence = asyncHandler(async (req, res) => {
+  const geofenceId = uuidSchema.parse(req.params.geofenceId);
+
+  const geofence = await geofenceService.getGeofence(geofenceId);
+
+  res.json(geofence);
+});
+
+/**
+ * Update geofence
+ * PATCH /api/v1/geofences/:geofenceId
+ */
+const updateGeofence = asyncHandler(async (req, res) => {
+  const geofenceId = uuidSchema.parse(req.params.geofenceId);
+  const changes = updateGeofenceSchema.parse(req.body);
+
+  const geofence = await geofenceService.updateGeofence(geofenceId, changes);
+
+  res.json(geofence);
+});
+
+/**
+ * Deactivate geofence
+ * DELETE /api/v1/geofences/:geofenceId
+ */
+const deleteGeofence = asyncHandler(async (req, res) => {
+  const geofenceId = uuidSchema.parse(req.params.geofenceId);
+
+  const result = await geofenceService.deleteGeofence(geofenceId);
+
+  res.json(result);
+});
+
+module.exports = {
+  createGeofence,
+  listGeofences,
+  getGeofence,
+  updateGeofence,
+  deleteGeofence,
+};
@@ -0,0 +1,43 @@
+const queueZoneService = require('../services/queue-zone.service');
+const { uuidSchema, createQueueZoneSchema } = require('../utils/validators');
+const { asyncHandler } = require('../middleware/error-handler');
+
+/**
+ * Create queue zone
+ * POST /api/v1/queue-zones
+ */
+const createZone = asyncHandler(async (req, res) => {
+  const data = createQueueZoneSchema.parse(req.body);
+
+  const zone = await queueZoneService.createZone(data);
+
+  res.status(201).json(zone);
+});
+
+/**
+ * List active queue zones
+ * GET /api/v1/queue-zones
+ */
+const listZones = asyncHandler(async (req, res) => {
+  const zones = await queueZoneService.listZones();
+
+  res.json({ zones });
+});
+
+/**
+ * Deactivate queue zone
+ * DELETE /api/v1/queue-zones/:zoneId
+ */
+const deleteZone = asyncHandler(async (req, res) => {
+  const zoneId = uuidSchema.parse(req.params.zoneId);
+
+  const result = await queueZoneService.deleteZone(zoneId);
+
+  res.json(result);
+});
+
+module.exports = {
+  createZone,
+  listZones,
+  deleteZone,
+};
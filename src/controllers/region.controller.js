@@ -0,0 +1,27 @@
+const regionService = require('../services/region.service');
+const { asyncHandler } = require('../middleware/error-handler');
+
+/**
+ * List service regions
+ * GET /api/v1/regions
+ */
+const listRegions = asyncHandler(async (req, res) => {
+  const regions = regionService.listRegions();
+
+  res.json({ ...regionService.getStatus(), regions });
+});
+
+/**
+ * Reload service regions from REGIONS_PATH on every instance
+ * POST /api/v1/regions/reload
+ */
+const reloadRegions = asyncHandler(async (req, res) => {
+  const status = await regionService.reload();
+
+  res.json(status);
+});
+
+module.exports = {
+  listRegions,
+  reloadRegions,
+};
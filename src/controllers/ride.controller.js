@@ -1,7 +1,13 @@
 const dispatchService = require('../services/dispatch.service');
+const trackingService = require('../services/tracking.service');
+const { tokenFromRequest } = trackingService;
+const config = require('../config');
 const {
   rideRequestSchema,
+  scheduledRidesQuerySchema,
+  updateScheduledRideSchema,
   driverResponseSchema,
+  cancelRideSchema,
 } = require('../utils/validators');
 const { asyncHandler, AppError } = require('../middleware/error-handler');
 
@@ -29,6 +35,31 @@ const createRideRequest = asyncHandler(async (req, res) => {
   res.status(201).json(result);
 });
 
+/**
+ * List a rider's upcoming scheduled rides
+ * GET /api/v1/rides/scheduled?riderId=
+ */
+const listScheduledRides = asyncHandler(async (req, res) => {
+  const { riderId } = scheduledRidesQuerySchema.parse(req.query);
+
+  const result = await dispatchService.listScheduledRides(riderId);
+
+  res.json(result);
+});
+
+/**
+ * Update a scheduled ride before matching starts
+ * PATCH /api/v1/rides/:rideId/schedule
+ */
+const updateScheduledRide = asyncHandler(async (req, res) => {
+  const { rideId } = req.params;
+  const data = updateScheduledRideSchema.parse(req.body);
+
+  const result = await dispatchService.updateScheduledRide(rideId, data);
+
+  res.json(result);
+});
+
 /**
  * Get ride details
  * GET /api/v1/rides/:rideId
@@ -70,38 +101,92 @@ const handleDriverResponse = asyncHandler(async (req, res) => {
 });
 
 /**
- * Check for driver timeout
- * POST /api/v1/rides/:rideId/check-timeout
+ * Cancel ride on behalf of the rider
+ * POST /api/v1/rides/:rideId/cancel
  */
-const checkTimeout = asyncHandler(async (req, res) => {
+const cancelRide = asyncHandler(async (req, res) => {
   const { rideId } = req.params;
+  const { reason } = cancelRideSchema.parse(req.body);
 
-  const result = await dispatchService.checkTimeout(rideId);
+  const result = await dispatchService.cancelRide(rideId, {
+    cancelledBy: 'RIDER',
+    reason,
+  });
 
   res.json(result);
 });
 
 /**
- * Cancel ride
- * POST /api/v1/rides/:rideId/cancel
+ * Exchange the rider's tracking token for a fresh one (e.g. after the first one expired)
+ * POST /api/v1/rides/:rideId/tracking-token (Authorization: Bearer <previous token>)
  */
-const cancelRide = asyncHandler(async (req, res) => {
+const issueTrackingToken = asyncHandler(async (req, res) => {
   const { rideId } = req.params;
-  const { reason } = req.body;
 
-  // Update ride status
-  const { query } = require('../db/postgres');
-  await query(`UPDATE ride_requests SET status = 'CANCELLED' WHERE id = $1`, [
+  const result = await trackingService.renewToken(
     rideId,
-  ]);
+    tokenFromRequest(req),
+  );
+
+  res.status(201).json(result);
+});
+
+/**
+ * Live ride tracking as Server-Sent Events
+ * GET /api/v1/rides/:rideId/track?token= (or Authorization: Bearer <token>)
+ */
+const trackRide = asyncHandler(async (req, res) => {
+  const { rideId } = req.params;
+  trackingService.verifyToken(tokenFromRequest(req), rideId);
+
+  const ride = await trackingService.getRide(rideId);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+
+  const write = (chunk) => {
+    if (res.writableEnded) return;
+    res.write(chunk);
+    // compression buffers output; push each event out immediately
+    if (res.flush) res.flush();
+  };
+  const heartbeat = setInterval(
+    () => write(': heartbeat\n\n'),
+    config.TRACKING_HEARTBEAT_INTERVAL,
+  );
+
+  // Fires when the client disconnects, and after the stream ends on its own
+  let stop = null;
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    if (stop) stop();
+  });
+
+  stop = await trackingService.watchRide(ride, {
+    send: (event, data) =>
+      write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`),
+    onEnd: () => {
+      clearInterval(heartbeat);
+      res.end();
+    },
+  });
 
-  res.json({ status: 'CANCELLED', rideId, reason });
+  // The client may have gone while the stream was being set up
+  if (closed) stop();
 });
 
 module.exports = {
   createRideRequest,
+  listScheduledRides,
+  updateScheduledRide,
   getRideDetails,
   handleDriverResponse,
-  checkTimeout,
   cancelRide,
+  issueTrackingToken,
+  trackRide,
 };
@@ -3,6 +3,8 @@ const {
   createTripSchema,
   startTripSchema,
   endTripSchema,
+  addTripStopSchema,
+  tripStopParamsSchema,
   cancelTripSchema,
 } = require('../utils/validators');
 const { asyncHandler, AppError } = require('../middleware/error-handler');
@@ -18,6 +20,7 @@ const createTrip = asyncHandler(async (req, res) => {
     const trip = await tripService.createTrip(data.rideRequestId);
     res.status(201).json(trip);
   } catch (err) {
+    if (err instanceof AppError) throw err;
     return res.status(400).json({ error: err.message });
   }
 });
@@ -50,6 +53,7 @@ const startTrip = asyncHandler(async (req, res) => {
     const result = await tripService.startTrip(tripId, data);
     res.json(result);
   } catch (err) {
+    if (err instanceof AppError) throw err;
     return res.status(400).json({ error: err.message });
   }
 });
@@ -66,6 +70,7 @@ const pauseTrip = asyncHandler(async (req, res) => {
     const result = await tripService.pauseTrip(tripId, reason);
     res.json(result);
   } catch (err) {
+    if (err instanceof AppError) throw err;
     return res.status(400).json({ error: err.message });
   }
 });
@@ -81,6 +86,7 @@ const resumeTrip = asyncHandler(async (req, res) => {
     const result = await tripService.resumeTrip(tripId);
     res.json(result);
   } catch (err) {
+    if (err instanceof AppError) throw err;
     return res.status(400).json({ error: err.message });
   }
 });
@@ -97,6 +103,7 @@ const endTrip = asyncHandler(async (req, res) => {
     const result = await tripService.endTrip(tripId, data);
     res.json(result);
   } catch (err) {
+    if (err instanceof AppError) throw err;
     return res.status(400).json({ error: err.message });
   }
 });
@@ -113,6 +120,58 @@ const cancelTrip = asyncHandler(async (req, res) => {
     const result = await tripService.cancelTrip(tripId, data);
     res.json(result);
   } catch (err) {
+    if (err instanceof AppError) throw err;
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * Add an intermediate stop
+ * POST /api/v1/trips/:tripId/stops
+ */
+const addStop = asyncHandler(async (req, res) => {
+  const { tripId } = req.params;
+  const data = addTripStopSchema.parse(req.body);
+
+  try {
+    const result = await tripService.addStop(tripId, data);
+    res.status(201).json(result);
+  } catch (err) {
+    if (err instanceof AppError) throw err;
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * Driver arrived at a stop
+ * POST /api/v1/trips/:tripId/stops/:sequence/arrive
+ */
+const arriveAtStop = asyncHandler(async (req, res) => {
+  const { tripId } = req.params;
+  const { sequence } = tripStopParamsSchema.parse(req.params);
+
+  try {
+    const result = await tripService.arriveAtStop(tripId, sequence);
+    res.json(result);
+  } catch (err) {
+    if (err instanceof AppError) throw err;
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * Driver left a stop
+ * POST /api/v1/trips/:tripId/stops/:sequence/depart
+ */
+const departStop = asyncHandler(async (req, res) => {
+  const { tripId } = req.params;
+  const { sequence } = tripStopParamsSchema.parse(req.params);
+
+  try {
+    const result = await tripService.departStop(tripId, sequence);
+    res.json(result);
+  } catch (err) {
+    if (err instanceof AppError) throw err;
     return res.status(400).json({ error: err.message });
   }
 });
@@ -128,6 +187,7 @@ const getTripReceipt = asyncHandler(async (req, res) => {
     const receipt = await tripService.generateReceipt(tripId);
     res.json(receipt);
   } catch (err) {
+    if (err instanceof AppError) throw err;
     return res.status(400).json({ error: err.message });
   }
 });
@@ -140,5 +200,8 @@ module.exports = {
   resumeTrip,
   endTrip,
   cancelTrip,
+  addStop,
+  arriveAtStop,
+  departStop,
   getTripReceipt,
 };
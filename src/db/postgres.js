@@ -39,6 +39,24 @@ const getClient = async () => {
   return getPool().connect();
 };
 
+/**
+ * Run fn(client) inside a transaction, rolling back if it throws
+ */
+const withTransaction = async (fn) => {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
 const closePool = async () => {
   if (pool) {
     await pool.end();
@@ -50,5 +68,6 @@ module.exports = {
   getPool,
   query,
   getClient,
+  withTransaction,
   closePool
 };
@@ -2,6 +2,9 @@ const Redis = require('ioredis');
 const config = require('../config');
 
 let redisClient = null;
+// Subscriptions need a connection of their own, opened on first use
+let subscriber = null;
+const listeners = new Map();
 
 const getRedisClient = () => {
   if (!redisClient) {
@@ -24,7 +27,59 @@ const getRedisClient = () => {
   return redisClient;
 };
 
+/**
+ * Register a listener for JSON messages on a pub/sub channel, subscribing the first time
+ * it is listened to. Shared by every service so one instance holds one subscriber connection.
+ * @returns unsubscribe()
+ */
+const subscribe = async (channel, listener) => {
+  if (!subscriber) {
+    subscriber = getRedisClient().duplicate();
+    // A malformed message or a failing listener is logged, never thrown into the emitter
+    subscriber.on('message', (messageChannel, message) => {
+      let data;
+      try {
+        data = JSON.parse(message);
+      } catch (err) {
+        console.error(`Malformed message on ${messageChannel}:`, err.message);
+        return;
+      }
+
+      const failed = (err) => console.error(`Listener on ${messageChannel} failed:`, err);
+      for (const fn of listeners.get(messageChannel) || []) {
+        try {
+          Promise.resolve(fn(data)).catch(failed);
+        } catch (err) {
+          failed(err);
+        }
+      }
+    });
+  }
+
+  if (!listeners.has(channel)) {
+    listeners.set(channel, new Set());
+    await subscriber.subscribe(channel);
+  }
+  listeners.get(channel).add(listener);
+
+  return async () => {
+    const channelListeners = listeners.get(channel);
+    if (!channelListeners) return;
+
+    channelListeners.delete(listener);
+    if (channelListeners.size === 0) {
+      listeners.delete(channel);
+      await subscriber.unsubscribe(channel);
+    }
+  };
+};
+
 const closeRedisConnection = async () => {
+  if (subscriber) {
+    await subscriber.quit();
+    subscriber = null;
+    listeners.clear();
+  }
   if (redisClient) {
     await redisClient.quit();
     redisClient = null;
@@ -33,5 +88,6 @@ const closeRedisConnection = async () => {
 
 module.exports = {
   getRedisClient,
+  subscribe,
   closeRedisConnection
 };
@@ -45,6 +45,22 @@ const publishEvent = async (topic, key, value) => {
   });
 };
 
+// Send several events to one topic in a single request; `events` is [{ key, value }]
+const publishEvents = async (topic, events) => {
+  if (events.length === 0) return;
+
+  const prod = await getProducer();
+  const timestamp = Date.now().toString();
+  await prod.send({
+    topic,
+    messages: events.map(({ key, value }) => ({
+      key: key?.toString(),
+      value: JSON.stringify(value),
+      timestamp
+    }))
+  });
+};
+
 const disconnectProducer = async () => {
   if (producer) {
     await producer.disconnect();
@@ -56,5 +72,6 @@ module.exports = {
   getKafka,
   getProducer,
   publishEvent,
+  publishEvents,
   disconnectProducer
 };
@@ -6,18 +6,32 @@ module.exports = {
   RIDE_DECLINED: 'ride.declined',
   RIDE_CANCELLED: 'ride.cancelled',
   RIDE_EXPIRED: 'ride.expired',
+  RIDE_OFFER_DELIVERED: 'ride.offer.delivered',
+  RIDE_OFFER_EXPIRED: 'ride.offer.expired',
+  RIDE_OFFER_REVOKED: 'ride.offer.revoked',
+  RIDE_SCHEDULED_UNMATCHED: 'ride.scheduled.unmatched',
 
   // Driver events
   DRIVER_LOCATION_UPDATED: 'driver.location.updated',
+  DRIVER_LOCATION_ANOMALY: 'driver.location.anomaly',
+  DRIVER_REGION_CHANGED: 'driver.region.changed',
   DRIVER_STATUS_CHANGED: 'driver.status.changed',
+  DRIVER_QUEUE_JOINED: 'driver.queue.joined',
+  DRIVER_QUEUE_LEFT: 'driver.queue.left',
+  DRIVER_GEOFENCE_ENTERED: 'driver.geofence.entered',
+  DRIVER_GEOFENCE_EXITED: 'driver.geofence.exited',
 
   // Trip events
   TRIP_CREATED: 'trip.created',
   TRIP_STARTED: 'trip.started',
   TRIP_PAUSED: 'trip.paused',
   TRIP_RESUMED: 'trip.resumed',
+  TRIP_STOP_ADDED: 'trip.stop.added',
+  TRIP_STOP_ARRIVED: 'trip.stop.arrived',
+  TRIP_STOP_DEPARTED: 'trip.stop.departed',
   TRIP_COMPLETED: 'trip.completed',
   TRIP_CANCELLED: 'trip.cancelled',
+  TRIP_DISCREPANCY_FLAGGED: 'trip.discrepancy.flagged',
 
   // Surge events
   SURGE_UPDATED: 'surge.updated',
@@ -24,6 +24,15 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // State machine errors
+  if (err instanceof InvalidTransitionError) {
+    return res.status(err.statusCode).json({
+      error: err.message,
+      code: err.code,
+      details: { entity: err.entity, from: err.from, to: err.to },
+    });
+  }
+
   // Custom application errors
   if (err.statusCode) {
     return res.status(err.statusCode).json({
@@ -78,9 +87,26 @@ class AppError extends Error {
   }
 }
 
+/**
+ * Rejected state machine transition (e.g. cancelling a completed ride)
+ */
+class InvalidTransitionError extends AppError {
+  constructor(entity, from, to, reason) {
+    super(
+      reason || `Cannot move ${entity} from ${from} to ${to}`,
+      409,
+      'INVALID_STATE_TRANSITION',
+    );
+    this.entity = entity;
+    this.from = from;
+    this.to = to;
+  }
+}
+
 module.exports = {
   errorHandler,
   notFoundHandler,
   asyncHandler,
   AppError,
+  InvalidTransitionError,
 };
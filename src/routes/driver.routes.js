@@ -5,12 +5,27 @@ const router = express.Router();
 
 // Driver location updates (high frequency - 1-2/sec per driver)
 router.post('/:driverId/location', driverController.updateLocation);
+// Batched pings: one driver's buffered updates, or many drivers from a fleet gateway
+router.post('/:driverId/locations', driverController.updateLocationBatch);
+router.post('/locations/batch', driverController.updateFleetLocations);
+// The assigned driver's position, for riders holding a tracking token for their ride
 router.get('/:driverId/location', driverController.getDriverLocation);
 
 // Nearby drivers search
 router.get('/nearby', driverController.getNearbyDrivers);
 
+// Drivers evicted from the GEO indexes after their presence expired
+router.get('/evictions', driverController.getEvictionStats);
+
 // Driver status
 router.patch('/:driverId/status', driverController.updateDriverStatus);
 
+// Airport/venue queue position
+router.get('/:driverId/queue', driverController.getQueuePosition);
+
+// Offer delivery: long-poll for offers, acknowledge receipt, then accept or decline
+router.get('/:driverId/offers', driverController.pollOffers);
+router.post('/:driverId/offers/:offerId/ack', driverController.acknowledgeOffer);
+router.post('/:driverId/offers/:offerId/respond', driverController.respondToOffer);
+
 module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const fareController = require('../controllers/fare.controller');
+
+const router = express.Router();
+
+// Upfront fare quotes, honored by POST /rides
+router.post('/quote', fareController.quoteFares);
+
+module.exports = router;
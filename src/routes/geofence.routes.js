@@ -0,0 +1,13 @@
+const express = require('express');
+const geofenceController = require('../controllers/geofence.controller');
+
+const router = express.Router();
+
+// Operator-defined airports, restricted zones, no-pickup areas and event venues
+router.post('/', geofenceController.createGeofence);
+router.get('/', geofenceController.listGeofences);
+router.get('/:geofenceId', geofenceController.getGeofence);
+router.patch('/:geofenceId', geofenceController.updateGeofence);
+router.delete('/:geofenceId', geofenceController.deleteGeofence);
+
+module.exports = router;
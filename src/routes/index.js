@@ -3,6 +3,10 @@ const driverRoutes = require('./driver.routes');
 const rideRoutes = require('./ride.routes');
 const tripRoutes = require('./trip.routes');
 const surgeRoutes = require('./surge.routes');
+const fareRoutes = require('./fare.routes');
+const queueZoneRoutes = require('./queue-zone.routes');
+const regionRoutes = require('./region.routes');
+const geofenceRoutes = require('./geofence.routes');
 
 const router = express.Router();
 
@@ -20,5 +24,9 @@ router.use('/drivers', driverRoutes);
 router.use('/rides', rideRoutes);
 router.use('/trips', tripRoutes);
 router.use('/surge', surgeRoutes);
+router.use('/fares', fareRoutes);
+router.use('/queue-zones', queueZoneRoutes);
+router.use('/regions', regionRoutes);
+router.use('/geofences', geofenceRoutes);
 
 module.exports = router;
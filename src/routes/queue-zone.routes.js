@@ -0,0 +1,11 @@
+const express = require('express');
+const queueZoneController = require('../controllers/queue-zone.controller');
+
+const router = express.Router();
+
+// Operator-defined airport/venue queue zones
+router.post('/', queueZoneController.createZone);
+router.get('/', queueZoneController.listZones);
+router.delete('/:zoneId', queueZoneController.deleteZone);
+
+module.exports = router;
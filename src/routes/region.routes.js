@@ -0,0 +1,10 @@
+const express = require('express');
+const regionController = require('../controllers/region.controller');
+
+const router = express.Router();
+
+// Operator administration of the service region registry
+router.get('/', regionController.listRegions);
+router.post('/reload', regionController.reloadRegions);
+
+module.exports = router;
@@ -7,16 +7,23 @@ const router = express.Router();
 // Create ride request (requires idempotency)
 router.post('/', idempotencyMiddleware({ required: true }), rideController.createRideRequest);
 
+// List upcoming scheduled rides (before /:rideId so "scheduled" isn't taken as an id)
+router.get('/scheduled', rideController.listScheduledRides);
+
+// Update a scheduled ride
+router.patch('/:rideId/schedule', rideController.updateScheduledRide);
+
 // Get ride details
 router.get('/:rideId', rideController.getRideDetails);
 
 // Driver response to ride offer
 router.post('/:rideId/driver-response', rideController.handleDriverResponse);
 
-// Check for driver timeout
-router.post('/:rideId/check-timeout', rideController.checkTimeout);
-
 // Cancel ride
 router.post('/:rideId/cancel', rideController.cancelRide);
 
+// Live tracking for the rider (Server-Sent Events, authorized by a tracking token)
+router.post('/:rideId/tracking-token', rideController.issueTrackingToken);
+router.get('/:rideId/track', rideController.trackRide);
+
 module.exports = router;
@@ -16,6 +16,11 @@ router.post('/:tripId/resume', tripController.resumeTrip);
 router.post('/:tripId/end', tripController.endTrip);
 router.post('/:tripId/cancel', tripController.cancelTrip);
 
+// Intermediate stops
+router.post('/:tripId/stops', tripController.addStop);
+router.post('/:tripId/stops/:sequence/arrive', tripController.arriveAtStop);
+router.post('/:tripId/stops/:sequence/depart', tripController.departStop);
+
 // Receipt
 router.get('/:tripId/receipt', tripController.getTripReceipt);
 
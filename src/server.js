@@ -3,9 +3,23 @@ const config = require('./config');
 const { closeRedisConnection } = require('./db/redis');
 const { closePool } = require('./db/postgres');
 const { disconnectProducer } = require('./events/kafka-producer');
+const offerExpiryWorker = require('./workers/offer-expiry.worker');
+const scheduledRideWorker = require('./workers/scheduled-ride.worker');
+const driverEvictionWorker = require('./workers/driver-eviction.worker');
+const routingService = require('./services/routing.service');
+const trackingService = require('./services/tracking.service');
+const offerDeliveryService = require('./services/offer-delivery.service');
+const regionService = require('./services/region.service');
 
 const startServer = async () => {
   try {
+    // Load the road network up front rather than on the first ride request
+    routingService.load();
+
+    // Fail fast on a bad region registry, and follow reloads made through any instance
+    regionService.load();
+    await regionService.listenForReloads();
+
     const app = await createApp();
 
     const server = app.listen(config.PORT, () => {
@@ -28,10 +42,23 @@ const startServer = async () => {
       `);
     });
 
+    // Background workers
+    offerExpiryWorker.start();
+    scheduledRideWorker.start();
+    driverEvictionWorker.start();
+
     // Graceful shutdown
     const gracefulShutdown = async (signal) => {
       console.log(`\n${signal} received. Starting graceful shutdown...`);
 
+      offerExpiryWorker.stop();
+      scheduledRideWorker.stop();
+      driverEvictionWorker.stop();
+
+      // End open tracking streams and offer polls so server.close() isn't held up by them
+      await trackingService.close();
+      offerDeliveryService.close();
+
       server.close(async () => {
         console.log('HTTP server closed');
 
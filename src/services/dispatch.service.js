@@ -1,16 +1,43 @@
 const { v4: uuidv4 } = require('uuid');
 const { getRedisClient } = require('../db/redis');
-const { query } = require('../db/postgres');
+const { query, withTransaction } = require('../db/postgres');
 const config = require('../config');
-const {
-  latLngToGeoCell,
-  getRegionFromCoordinates,
-  calculateDistance,
-} = require('../utils/geo.utils');
+const { latLngToGeoCell } = require('../utils/geo.utils');
 const driverLocationService = require('./driver-location.service');
 const surgePricingService = require('./surge-pricing.service');
+const driverScoringService = require('./driver-scoring.service');
+const poolService = require('./pool.service');
+const fareQuoteService = require('./fare-quote.service');
+const queueZoneService = require('./queue-zone.service');
+const routingService = require('./routing.service');
+const trackingService = require('./tracking.service');
+const offerDeliveryService = require('./offer-delivery.service');
+const regionService = require('./region.service');
+const geofenceService = require('./geofence.service');
+const rideStateMachine = require('./ride-state-machine');
+const { RIDE_STATUS } = rideStateMachine;
 const { publishEvent } = require('../events/kafka-producer');
 const topics = require('../events/topics');
+const {
+  AppError,
+  InvalidTransitionError,
+} = require('../middleware/error-handler');
+
+// Region a booked ride is dispatched in
+const rideRegion = (ride) =>
+  regionService.regionForRecord(ride.pickup_lat, ride.pickup_lng).id;
+
+// Sorted set of pending offers scored by expiry time (ms), members are `rideId:offerId`
+const OFFER_EXPIRY_KEY = 'offers:expiring';
+
+// Unique index that makes each fare quote bookable once
+const QUOTE_UNIQUE_INDEX = 'idx_ride_requests_fare_quote';
+
+// Seconds an offer can stay open: time to reach the driver app plus time to answer
+const offerHoldSeconds = () =>
+  Math.ceil(
+    (config.OFFER_DELIVERY_TIMEOUT + config.DRIVER_RESPONSE_TIMEOUT) / 1000,
+  ) + 5;
 
 class DispatchService {
   constructor() {
@@ -19,50 +46,103 @@ class DispatchService {
 
   /**
    * Create a new ride request and initiate matching
+   * Rides with `scheduledAt` are booked as SCHEDULED and matched later by the scheduler
+   * `stops` are intermediate waypoints visited in order between pickup and destination
+   * With `quoteId` the fare and surge locked by POST /fares/quote are used instead of live ones
+   * Pickups inside geofences are moved to a designated pickup point (`pickupPoint` names one)
+   * or rejected in restricted zones; see geofenceService.resolvePickup
    */
   async createRideRequest({
     riderId,
-    pickup,
+    pickup: requestedPickup,
+    pickupPoint,
     destination,
+    stops = [],
     tier,
     paymentMethod,
+    scheduledAt,
+    quoteId,
     idempotencyKey,
   }) {
-    const region = getRegionFromCoordinates(pickup.lat, pickup.lng);
+    const { pickup, pickupRedirect } = await geofenceService.resolvePickup(
+      requestedPickup,
+      pickupPoint,
+    );
+    const serviceRegion = regionService.resolveRegion(pickup.lat, pickup.lng);
+    regionService.assertTierEnabled(serviceRegion, tier);
+    const region = serviceRegion.id;
     const geoCell = latLngToGeoCell(pickup.lat, pickup.lng);
+    const pickupAt = scheduledAt ? new Date(scheduledAt) : null;
+    this.assertStopsAllowed(stops, tier);
 
-    // Increment demand counter for surge
-    await surgePricingService.incrementDemand(geoCell, region);
+    let quote = null;
+    if (quoteId) {
+      if (pickupAt) {
+        throw new AppError(
+          'Fare quotes are for immediate rides; scheduled rides are priced at booking',
+          400,
+          'QUOTE_MISMATCH',
+        );
+      }
 
-    // Get current surge multiplier
-    const surgeData = await surgePricingService.getSurgeForLocation(
-      pickup.lat,
-      pickup.lng,
-    );
+      quote = fareQuoteService.verifyQuote(quoteId);
+      fareQuoteService.assertMatchesRide(quote, {
+        riderId,
+        pickup,
+        destination,
+        stops,
+        tier,
+      });
+      await this.assertQuoteUnused(quote.id);
+    }
+
+    let surgeData;
+    if (pickupAt) {
+      this.assertScheduleTime(pickupAt);
+
+      // Price a future pickup by its time of day, not by current demand
+      surgeData = surgePricingService.getScheduledSurge(
+        pickup.lat,
+        pickup.lng,
+        pickupAt,
+      );
+    } else {
+      // Increment demand counter for surge
+      await surgePricingService.incrementDemand(geoCell, region);
+
+      // Get current surge multiplier, unless the rider holds a quote
+      surgeData = quote
+        ? { surgeMultiplier: quote.surgeMultiplier }
+        : await surgePricingService.getSurgeForLocation(pickup.lat, pickup.lng);
+    }
     const surgeMultiplier = surgeData.surgeMultiplier;
 
-    // Estimate fare
-    const distanceKm = calculateDistance(
-      pickup.lat,
-      pickup.lng,
-      destination.lat,
-      destination.lng,
-    );
-    const estimatedFare = this.calculateEstimatedFare(
-      distanceKm,
-      surgeMultiplier,
-    );
+    // Estimate fare over every leg of the route; a quote's price is honored as shown
+    const routeEstimate = routingService.route([pickup, ...stops, destination]);
+    const estimatedFare = quote
+      ? quote.estimatedFare
+      : this.calculateEstimatedFare(
+          [pickup, ...stops, destination],
+          surgeMultiplier,
+          tier,
+          routeEstimate,
+        );
+    // The trip is billed at the rates in effect when the price was set
+    const fareRates = quote ? quote.rates : fareQuoteService.getFareRates();
 
     // Create ride request in database
     const rideId = uuidv4();
-    const expiresAt = new Date(Date.now() + 5 * 60 * 1000); // 5 minute expiry
+    // Immediate rides expire after 5 minutes; scheduled rides must be matched by pickup time
+    const expiresAt = pickupAt || new Date(Date.now() + 5 * 60 * 1000);
+    const status = pickupAt ? RIDE_STATUS.SCHEDULED : RIDE_STATUS.MATCHING;
 
     const insertResult = await query(
       `INSERT INTO ride_requests
        (id, rider_id, pickup_lat, pickup_lng, destination_lat, destination_lng,
         tier, payment_method, status, surge_multiplier, estimated_fare,
-        idempotency_key, expires_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'MATCHING', $9, $10, $11, $12)
+        idempotency_key, expires_at, scheduled_at, stops, fare_rates, fare_quote_id,
+        estimated_distance_km, estimated_duration_minutes, route_polyline)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
        RETURNING *`,
       [
         rideId,
@@ -73,12 +153,20 @@ class DispatchService {
         destination.lng,
         tier,
         paymentMethod,
+        status,
         surgeMultiplier,
         estimatedFare,
         idempotencyKey,
         expiresAt,
+        pickupAt,
+        JSON.stringify(stops),
+        JSON.stringify(fareRates),
+        quote ? quote.id : null,
+        routeEstimate.distanceKm,
+        routeEstimate.durationMinutes,
+        routeEstimate.polyline,
       ],
-    );
+    ).catch((err) => this.rethrowIfQuoteUsed(err));
 
     const rideRequest = insertResult.rows[0];
 
@@ -88,134 +176,772 @@ class DispatchService {
       riderId,
       pickup,
       destination,
+      stops,
       tier,
       surgeMultiplier,
       region,
+      scheduledAt: pickupAt ? pickupAt.toISOString() : null,
+      fareQuoteId: quote ? quote.id : null,
+      pickupRedirect,
     });
 
+    if (pickupAt) {
+      return {
+        id: rideId,
+        status,
+        riderId,
+        pickup: { lat: pickup.lat, lng: pickup.lng },
+        pickupRedirect,
+        destination: { lat: destination.lat, lng: destination.lng },
+        stops,
+        tier,
+        surgeMultiplier,
+        estimatedFare,
+        ...this.formatRouteEstimate(routeEstimate),
+        scheduledAt: pickupAt.toISOString(),
+        matchedDriver: null,
+        tracking: trackingService.issueToken({ rideId, riderId }),
+      };
+    }
+
     // Initiate driver matching
     const matchResult = await this.matchDriver(rideRequest, region);
 
+    if (!matchResult.matched) {
+      await rideStateMachine.transition(rideId, RIDE_STATUS.NO_DRIVERS);
+    }
+
     return {
       id: rideId,
-      status: 'MATCHING',
+      status: RIDE_STATUS.MATCHING,
       riderId,
       pickup: { lat: pickup.lat, lng: pickup.lng },
+      pickupRedirect,
       destination: { lat: destination.lat, lng: destination.lng },
+      stops,
       tier,
       surgeMultiplier,
       estimatedFare,
+      ...this.formatRouteEstimate(routeEstimate),
       matchedDriver: matchResult.driver,
+      offeredDrivers: matchResult.offeredDrivers,
+      dispatchMode: matchResult.dispatchMode,
       matchAttempts: 1,
+      tracking: trackingService.issueToken({ rideId, riderId }),
     };
   }
 
   /**
-   * Match a driver to a ride request
+   * Quote a route across tiers at the current surge
+   * Each quote is signed and can be passed to POST /rides as `quoteId` until it expires
+   * The pickup is moved or rejected by geofences as a ride request's would be, so quotes match
    */
-  async matchDriver(rideRequest, region) {
-    const { id: rideId, pickup_lat, pickup_lng, tier } = rideRequest;
+  async quoteFares({
+    riderId,
+    pickup: requestedPickup,
+    pickupPoint,
+    destination,
+    stops = [],
+    tiers,
+  }) {
+    const { pickup, pickupRedirect } = await geofenceService.resolvePickup(
+      requestedPickup,
+      pickupPoint,
+    );
+    const region = regionService.resolveRegion(pickup.lat, pickup.lng);
+    // Every tier the region offers, except POOL (which can't take stops) unless asked for explicitly
+    const quotedTiers =
+      tiers ||
+      region.tiers.filter((tier) => tier !== 'POOL' || stops.length === 0);
+    quotedTiers.forEach((tier) => {
+      regionService.assertTierEnabled(region, tier);
+      this.assertStopsAllowed(stops, tier);
+    });
 
-    // Find nearby available drivers
-    const { drivers } = await driverLocationService.findNearbyDrivers({
-      latitude: pickup_lat,
-      longitude: pickup_lng,
-      radiusKm: config.DEFAULT_SEARCH_RADIUS_KM,
-      region,
-      vehicleType: tier,
-      limit: 10,
+    const { surgeMultiplier } = await surgePricingService.getSurgeForLocation(
+      pickup.lat,
+      pickup.lng,
+    );
+    const route = [pickup, ...stops, destination];
+    const routeEstimate = routingService.route(route);
+    const rates = fareQuoteService.getFareRates();
+    const expiresAt = new Date(
+      Date.now() + config.FARE_QUOTE_TTL * 1000,
+    ).toISOString();
+
+    const quotes = quotedTiers.map((tier) => {
+      const quote = {
+        id: uuidv4(),
+        riderId,
+        tier,
+        pickup,
+        destination,
+        stops,
+        surgeMultiplier,
+        estimatedFare: this.calculateEstimatedFare(
+          route,
+          surgeMultiplier,
+          tier,
+          routeEstimate,
+        ),
+        rates,
+        expiresAt,
+      };
+
+      return {
+        tier,
+        quoteId: fareQuoteService.issueQuote(quote),
+        estimatedFare: quote.estimatedFare,
+      };
     });
 
-    if (drivers.length === 0) {
-      // No drivers available
-      await query(
-        `UPDATE ride_requests SET status = 'NO_DRIVERS' WHERE id = $1`,
+    return {
+      riderId,
+      region: region.id,
+      currency: region.currency,
+      pickup,
+      pickupRedirect,
+      destination,
+      stops,
+      distanceKm: routeEstimate.distanceKm,
+      durationMinutes: routeEstimate.durationMinutes,
+      routePolyline: routeEstimate.polyline,
+      surgeMultiplier,
+      rates,
+      expiresAt,
+      quotes,
+    };
+  }
+
+  /**
+   * Pooled routes are planned by the pool service, so riders can't add their own stops
+   */
+  assertStopsAllowed(stops, tier) {
+    if (tier === 'POOL' && stops.length > 0) {
+      throw new AppError(
+        'Intermediate stops are not available for POOL rides',
+        400,
+        'STOPS_NOT_SUPPORTED',
+      );
+    }
+  }
+
+  /**
+   * Reject pickup times outside the booking window
+   */
+  assertScheduleTime(pickupAt) {
+    const secondsAhead = (pickupAt.getTime() - Date.now()) / 1000;
+
+    if (
+      secondsAhead < config.SCHEDULED_RIDE_MIN_ADVANCE ||
+      secondsAhead > config.SCHEDULED_RIDE_MAX_ADVANCE
+    ) {
+      throw new AppError(
+        `Scheduled pickup must be between ${config.SCHEDULED_RIDE_MIN_ADVANCE / 60} minutes and ${config.SCHEDULED_RIDE_MAX_ADVANCE / 86400} days ahead`,
+        400,
+        'INVALID_SCHEDULE_TIME',
+      );
+    }
+  }
+
+  /**
+   * Quotes are single-use: reject one that already booked a ride
+   */
+  async assertQuoteUnused(quoteId) {
+    const result = await query(
+      'SELECT 1 FROM ride_requests WHERE fare_quote_id = $1',
+      [quoteId],
+    );
+    if (result.rows.length > 0) throw this.quoteUsedError();
+  }
+
+  /**
+   * A quote redeemed concurrently by another booking trips the unique index; report it as used
+   */
+  rethrowIfQuoteUsed(err) {
+    if (err.code === '23505' && err.constraint === QUOTE_UNIQUE_INDEX) {
+      throw this.quoteUsedError();
+    }
+    throw err;
+  }
+
+  quoteUsedError() {
+    return new AppError(
+      'Fare quote has already been used',
+      409,
+      'QUOTE_ALREADY_USED',
+    );
+  }
+
+  /**
+   * List a rider's upcoming scheduled rides, soonest first
+   */
+  async listScheduledRides(riderId) {
+    const result = await query(
+      `SELECT * FROM ride_requests
+       WHERE rider_id = $1 AND scheduled_at IS NOT NULL AND status = ANY($2)
+       ORDER BY scheduled_at`,
+      [
+        riderId,
+        [RIDE_STATUS.SCHEDULED, RIDE_STATUS.MATCHING, RIDE_STATUS.ACCEPTED],
+      ],
+    );
+
+    return {
+      riderId,
+      rides: result.rows.map((ride) => this.formatScheduledRide(ride)),
+    };
+  }
+
+  /**
+   * Change a booking that the scheduler hasn't started matching yet
+   * The fare estimate is re-priced for the (possibly new) pickup time and route
+   * A new pickup or `pickupPoint` goes through the geofence pickup rules again, and the
+   * tier must still be offered in the pickup's region
+   */
+  async updateScheduledRide(rideId, changes) {
+    const ride = await withTransaction(async (client) => {
+      const rideResult = await client.query(
+        `SELECT * FROM ride_requests WHERE id = $1 FOR UPDATE`,
         [rideId],
       );
-      return { driver: null, matched: false };
+
+      if (rideResult.rows.length === 0) {
+        throw new AppError('Ride not found', 404, 'RIDE_NOT_FOUND');
+      }
+
+      const current = rideResult.rows[0];
+      if (current.status !== RIDE_STATUS.SCHEDULED) {
+        throw new AppError(
+          'Only scheduled rides that have not started matching can be changed',
+          409,
+          'RIDE_NOT_SCHEDULED',
+        );
+      }
+
+      let pickup = changes.pickup || {
+        lat: parseFloat(current.pickup_lat),
+        lng: parseFloat(current.pickup_lng),
+      };
+      if (changes.pickup || changes.pickupPoint) {
+        ({ pickup } = await geofenceService.resolvePickup(
+          pickup,
+          changes.pickupPoint,
+        ));
+      }
+      const destination = changes.destination || {
+        lat: parseFloat(current.destination_lat),
+        lng: parseFloat(current.destination_lng),
+      };
+      const stops = changes.stops || current.stops;
+      const pickupAt = changes.scheduledAt
+        ? new Date(changes.scheduledAt)
+        : new Date(current.scheduled_at);
+
+      if (changes.scheduledAt) {
+        this.assertScheduleTime(pickupAt);
+      }
+
+      const { surgeMultiplier } = surgePricingService.getScheduledSurge(
+        pickup.lat,
+        pickup.lng,
+        pickupAt,
+      );
+      const tier = changes.tier || current.tier;
+      regionService.assertTierEnabled(
+        regionService.resolveRegion(pickup.lat, pickup.lng),
+        tier,
+      );
+      this.assertStopsAllowed(stops, tier);
+
+      const routeEstimate = routingService.route([
+        pickup,
+        ...stops,
+        destination,
+      ]);
+      const estimatedFare = this.calculateEstimatedFare(
+        [pickup, ...stops, destination],
+        surgeMultiplier,
+        tier,
+        routeEstimate,
+      );
+
+      const updateResult = await client.query(
+        `UPDATE ride_requests
+         SET pickup_lat = $2, pickup_lng = $3, destination_lat = $4, destination_lng = $5,
+             tier = $6, payment_method = $7, scheduled_at = $8, expires_at = $8,
+             surge_multiplier = $9, estimated_fare = $10, stops = $11, fare_rates = $12,
+             estimated_distance_km = $13, estimated_duration_minutes = $14, route_polyline = $15,
+             updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [
+          rideId,
+          pickup.lat,
+          pickup.lng,
+          destination.lat,
+          destination.lng,
+          tier,
+          changes.paymentMethod || current.payment_method,
+          pickupAt,
+          surgeMultiplier,
+          estimatedFare,
+          JSON.stringify(stops),
+          JSON.stringify(fareQuoteService.getFareRates()),
+          routeEstimate.distanceKm,
+          routeEstimate.durationMinutes,
+          routeEstimate.polyline,
+        ],
+      );
+
+      return updateResult.rows[0];
+    });
+
+    return this.formatScheduledRide(ride);
+  }
+
+  /**
+   * Claim scheduled rides whose matching window has opened and move them to MATCHING
+   * SKIP LOCKED lets several scheduler instances claim disjoint batches
+   */
+  async claimDueScheduledRides(limit) {
+    const claimed = await withTransaction(async (client) => {
+      const dueResult = await client.query(
+        `SELECT id FROM ride_requests
+         WHERE status = $1 AND scheduled_at <= NOW() + make_interval(secs => $2)
+         ORDER BY scheduled_at
+         LIMIT $3
+         FOR UPDATE SKIP LOCKED`,
+        [RIDE_STATUS.SCHEDULED, config.SCHEDULED_RIDE_LEAD_TIME, limit],
+      );
+
+      const transitions = [];
+      for (const { id } of dueResult.rows) {
+        transitions.push(
+          await rideStateMachine.transition(id, RIDE_STATUS.MATCHING, {
+            client,
+          }),
+        );
+      }
+
+      return transitions;
+    });
+
+    for (const { runSideEffects } of claimed) {
+      await runSideEffects();
     }
 
-    // Select best driver (nearest for now, could add rating scoring)
-    const selectedDriver = drivers[0];
+    return claimed.map(({ ride }) => ride);
+  }
 
-    // Create driver offer
-    const offerId = uuidv4();
-    const offerExpiresAt = new Date(
-      Date.now() + config.DRIVER_RESPONSE_TIMEOUT,
+  /**
+   * Claim scheduled rides that are still looking for a driver and have no offer out
+   * Claiming bumps updated_at, so each ride is retried at most once per retry interval
+   */
+  async claimUnmatchedScheduledRides(limit) {
+    const result = await query(
+      `UPDATE ride_requests SET updated_at = NOW()
+       WHERE id IN (
+         SELECT rr.id FROM ride_requests rr
+         WHERE rr.status = $1 AND rr.scheduled_at IS NOT NULL
+           AND rr.updated_at <= NOW() - make_interval(secs => $2)
+           AND NOT EXISTS (
+             SELECT 1 FROM driver_offers dof
+             WHERE dof.ride_request_id = rr.id AND dof.status = 'PENDING'
+           )
+         ORDER BY rr.scheduled_at
+         LIMIT $3
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [RIDE_STATUS.MATCHING, config.SCHEDULED_RIDE_RETRY_INTERVAL, limit],
     );
 
-    await query(
-      `INSERT INTO driver_offers (id, ride_request_id, driver_id, expires_at)
-       VALUES ($1, $2, $3, $4)`,
-      [offerId, rideId, selectedDriver.driverId, offerExpiresAt],
+    return result.rows;
+  }
+
+  /**
+   * Whether a scheduled ride can keep looking for a driver
+   */
+  isBeforeMatchDeadline(ride, now = new Date()) {
+    return !!ride.scheduled_at && new Date(ride.expires_at) > now;
+  }
+
+  /**
+   * API view of a scheduled booking
+   */
+  formatScheduledRide(ride) {
+    return {
+      id: ride.id,
+      riderId: ride.rider_id,
+      status: ride.status,
+      scheduledAt: ride.scheduled_at,
+      pickup: {
+        lat: parseFloat(ride.pickup_lat),
+        lng: parseFloat(ride.pickup_lng),
+      },
+      destination: {
+        lat: parseFloat(ride.destination_lat),
+        lng: parseFloat(ride.destination_lng),
+      },
+      stops: ride.stops || [],
+      tier: ride.tier,
+      paymentMethod: ride.payment_method,
+      surgeMultiplier: parseFloat(ride.surge_multiplier),
+      estimatedFare: parseFloat(ride.estimated_fare),
+      ...this.formatRouteEstimate({
+        distanceKm: parseFloat(ride.estimated_distance_km),
+        durationMinutes: parseFloat(ride.estimated_duration_minutes),
+        polyline: ride.route_polyline,
+      }),
+      driverId: ride.status === RIDE_STATUS.ACCEPTED ? ride.driver_id : null,
+    };
+  }
+
+  /**
+   * Pick the dispatch mode for a ride: `${region}:${tier}`, then region, then tier overrides
+   */
+  getDispatchMode(region, tier) {
+    const overrides = config.DISPATCH_MODE_OVERRIDES;
+    return (
+      overrides[`${region}:${tier}`] ||
+      overrides[region] ||
+      overrides[tier] ||
+      config.DISPATCH_MODE
     );
+  }
+
+  /**
+   * Match a driver to a ride request
+   * SEQUENTIAL mode offers the ride to the best driver; BROADCAST mode offers it to the
+   * top BROADCAST_OFFER_COUNT drivers at once and the first to accept wins.
+   * Drivers in `excludeDriverIds` (e.g. those already offered this ride) are skipped
+   */
+  async matchDriver(rideRequest, region, { excludeDriverIds = [] } = {}) {
+    const { id: rideId, pickup_lat, pickup_lng, tier } = rideRequest;
+    const pickup = { lat: parseFloat(pickup_lat), lng: parseFloat(pickup_lng) };
+    const dispatchMode = this.getDispatchMode(region, tier);
+    const offerCount =
+      dispatchMode === 'BROADCAST' ? config.BROADCAST_OFFER_COUNT : 1;
+
+    const { candidates, radiusKm, searches, queueZoneId } =
+      await this.searchCandidates(rideRequest, region, excludeDriverIds);
+    const attempt = {
+      attempt: (rideRequest.match_attempts || 0) + 1,
+      at: new Date().toISOString(),
+      searches,
+    };
 
-    // Update ride request with current offer
+    if (candidates.length === 0) {
+      await this.recordMatchAttempt(rideId, {
+        ...attempt,
+        outcome: 'NO_DRIVERS',
+      });
+      return { driver: null, matched: false };
+    }
+
+    // Rank drivers by score; queued drivers are offered strictly in queue order
+    const rankedDrivers = queueZoneId
+      ? candidates
+      : await driverScoringService.rankDrivers(candidates, {
+          pickup,
+          tier,
+          region,
+        });
+
+    // Reserve the best drivers that aren't already holding another ride's offer
+    const selectedDrivers = [];
+    for (const driver of rankedDrivers) {
+      if (await this.reserveDriver(driver.driverId, rideId)) {
+        selectedDrivers.push(driver);
+      }
+      if (selectedDrivers.length >= offerCount) break;
+    }
+
+    if (selectedDrivers.length === 0) {
+      await this.recordMatchAttempt(rideId, {
+        ...attempt,
+        radiusKm,
+        outcome: 'DRIVERS_BUSY',
+      });
+      return { driver: null, matched: false };
+    }
+
+    // Create driver offers; the response timeout only starts once the driver app acknowledges one
+    const offerExpiresAt = new Date(Date.now() + config.OFFER_DELIVERY_TIMEOUT);
+    const offers = selectedDrivers.map((driver) => ({
+      offerId: uuidv4(),
+      driverId: driver.driverId,
+    }));
+
+    for (const { offerId, driverId } of offers) {
+      await query(
+        `INSERT INTO driver_offers (id, ride_request_id, driver_id, expires_at)
+         VALUES ($1, $2, $3, $4)`,
+        [offerId, rideId, driverId, offerExpiresAt],
+      );
+    }
+
+    // Update ride request with current offer (broadcast rounds have no single current offer)
+    const isBroadcast = dispatchMode === 'BROADCAST';
     await query(
       `UPDATE ride_requests
-       SET current_driver_offer_id = $1, driver_id = $2, match_attempts = match_attempts + 1
-       WHERE id = $3`,
-      [offerId, selectedDriver.driverId, rideId],
+       SET current_driver_offer_id = $1, driver_id = $2, dispatch_mode = $3,
+           match_attempts = match_attempts + 1, match_radius_km = $4,
+           match_history = COALESCE(match_history, '[]'::jsonb) || $5::jsonb
+       WHERE id = $6`,
+      [
+        isBroadcast ? null : offers[0].offerId,
+        isBroadcast ? null : offers[0].driverId,
+        dispatchMode,
+        radiusKm,
+        JSON.stringify([
+          {
+            ...attempt,
+            radiusKm,
+            outcome: 'OFFERED',
+            offeredDriverIds: offers.map((o) => o.driverId),
+          },
+        ]),
+        rideId,
+      ],
     );
 
-    // Store offer in Redis for quick timeout checks
+    // Store offers in Redis for quick lookups
     await this.redis.set(
       `ride:${rideId}:offer`,
       JSON.stringify({
-        offerId,
-        driverId: selectedDriver.driverId,
+        dispatchMode,
+        offers,
         expiresAt: offerExpiresAt.toISOString(),
       }),
       'EX',
-      Math.ceil(config.DRIVER_RESPONSE_TIMEOUT / 1000) + 5,
+      offerHoldSeconds(),
     );
 
-    // Publish match event
-    await publishEvent(topics.RIDE_MATCHED, rideId, {
-      rideId,
-      driverId: selectedDriver.driverId,
-      offerId,
-      distance: selectedDriver.distanceKm,
+    for (const [i, { offerId, driverId }] of offers.entries()) {
+      // Schedule expiry for the offer expiry worker
+      await this.scheduleOfferExpiry(rideId, offerId, offerExpiresAt);
+
+      // Push to the driver's open offer poll
+      await offerDeliveryService.notifyDriver(driverId, {
+        offerId,
+        rideId,
+        event: 'OFFERED',
+      });
+
+      // Publish match event
+      await publishEvent(topics.RIDE_MATCHED, rideId, {
+        rideId,
+        driverId,
+        offerId,
+        dispatchMode,
+        distance: selectedDrivers[i].distanceKm,
+        score: selectedDrivers[i].score,
+      });
+    }
+
+    const toMatchedDriver = (driver) => ({
+      driverId: driver.driverId,
+      distanceKm: driver.distanceKm,
+      eta: routingService.estimatePickupEta(driver, pickup), // minutes
+      vehicleType: driver.vehicleType,
+      score: driver.score,
+      scoreBreakdown: driver.scoreBreakdown,
+      ...(driver.poolTripId && {
+        poolTripId: driver.poolTripId,
+        poolDetourKm: driver.poolDetourKm,
+      }),
+      ...(driver.queueZoneId && {
+        queueZoneId: driver.queueZoneId,
+        queuePosition: driver.queuePosition,
+      }),
     });
 
     return {
-      driver: {
-        driverId: selectedDriver.driverId,
-        distanceKm: selectedDriver.distanceKm,
-        eta: Math.ceil(selectedDriver.distanceKm * 2), // Rough ETA in minutes
-      },
+      driver: toMatchedDriver(selectedDrivers[0]),
+      offeredDrivers: isBroadcast
+        ? selectedDrivers.map(toMatchedDriver)
+        : undefined,
+      dispatchMode,
+      radiusKm,
       matched: true,
     };
   }
 
   /**
-   * Handle driver response to ride offer
+   * Search for candidates along the radius schedule
+   * Attempt N starts at the Nth radius and widens until someone is found.
+   * Pickups inside a queue zone are served from the zone's queue first.
    */
-  async handleDriverResponse(rideId, { driverId, action, reason }) {
-    const rideResult = await query(
-      `SELECT * FROM ride_requests WHERE id = $1`,
-      [rideId],
+  async searchCandidates(rideRequest, region, excludeDriverIds) {
+    const { pickup_lat, pickup_lng, tier, match_attempts } = rideRequest;
+    const schedule = config.DISPATCH_RADIUS_SCHEDULE_KM;
+    const startIndex = Math.min(match_attempts || 0, schedule.length - 1);
+    const searches = [];
+    const vehicleTypes = driverScoringService.getEligibleVehicleTypes(tier);
+
+    // Pickups inside a queue zone go to the head of its FIFO queue, not the nearest driver
+    const zone = await queueZoneService.findZoneAt(
+      parseFloat(pickup_lat),
+      parseFloat(pickup_lng),
     );
+    if (zone) {
+      const queued = await queueZoneService.getQueueCandidates(zone, {
+        pickup: { lat: parseFloat(pickup_lat), lng: parseFloat(pickup_lng) },
+        vehicleTypes,
+        excludeDriverIds,
+        limit: config.DISPATCH_CANDIDATE_LIMIT,
+      });
 
-    if (rideResult.rows.length === 0) {
-      throw new Error('Ride not found');
+      searches.push({ queueZoneId: zone.id, candidates: queued.length });
+      if (queued.length > 0) {
+        return {
+          candidates: queued,
+          radiusKm: null,
+          searches,
+          queueZoneId: zone.id,
+        };
+      }
     }
 
-    const ride = rideResult.rows[0];
+    const radii = schedule.slice(startIndex);
+
+    // POOL rides first try to join a driver already carrying pool riders. They are looked up
+    // once at the widest radius and narrowed at each step.
+    const poolCandidates =
+      tier === 'POOL'
+        ? await poolService.findPoolCandidates(
+            rideRequest,
+            region,
+            Math.max(...radii),
+          )
+        : [];
+
+    for (const radiusKm of radii) {
+      if (tier === 'POOL') {
+        const pooled = poolCandidates
+          .filter(
+            (d) =>
+              d.distanceKm <= radiusKm &&
+              !excludeDriverIds.includes(d.driverId),
+          )
+          .slice(0, config.DISPATCH_CANDIDATE_LIMIT);
+
+        if (pooled.length > 0) {
+          searches.push({ radiusKm, candidates: pooled.length, pooled: true });
+          return { candidates: pooled, radiusKm, searches };
+        }
+      }
+
+      // Find nearby available drivers (including tier upgrades)
+      const { drivers } = await driverLocationService.findNearbyDrivers({
+        latitude: pickup_lat,
+        longitude: pickup_lng,
+        radiusKm,
+        region,
+        vehicleTypes,
+        // Over-fetch by the number of excluded drivers so exclusions don't shrink the pool
+        limit: config.DISPATCH_CANDIDATE_LIMIT + excludeDriverIds.length,
+      });
+
+      const candidates = drivers
+        .filter((d) => !excludeDriverIds.includes(d.driverId))
+        .slice(0, config.DISPATCH_CANDIDATE_LIMIT);
+
+      searches.push({ radiusKm, candidates: candidates.length });
 
+      if (candidates.length > 0) {
+        return { candidates, radiusKm, searches };
+      }
+    }
+
+    return { candidates: [], radiusKm: null, searches };
+  }
+
+  /**
+   * Append an attempt that produced no offer to the ride's match history
+   */
+  async recordMatchAttempt(rideId, entry) {
+    await query(
+      `UPDATE ride_requests
+       SET match_history = COALESCE(match_history, '[]'::jsonb) || $1::jsonb
+       WHERE id = $2`,
+      [JSON.stringify([entry]), rideId],
+    );
+  }
+
+  /**
+   * Handle driver response to ride offer
+   * The response only counts if `driverId` holds the ride's current, pending, unexpired offer
+   * (and, when given, that offer is `offerId`);
+   * the offer and ride are updated together as a compare-and-set in one transaction
+   */
+  async handleDriverResponse(rideId, { driverId, action, reason, offerId }) {
     if (action === 'ACCEPT') {
-      // Update ride status
-      await query(
-        `UPDATE ride_requests SET status = 'ACCEPTED', driver_id = $1 WHERE id = $2`,
-        [driverId, rideId],
-      );
+      const { offer, revokedOffers, runSideEffects } = await withTransaction(
+        async (client) => {
+          const current = await this.lockCurrentOffer(
+            client,
+            rideId,
+            driverId,
+            offerId,
+          );
 
-      // Update driver offer
-      await query(
-        `UPDATE driver_offers
-         SET status = 'ACCEPTED', responded_at = NOW()
-         WHERE ride_request_id = $1 AND driver_id = $2`,
-        [rideId, driverId],
+          // Answering an offer proves it arrived, even if its ack was lost
+          const offerResult = await client.query(
+            `UPDATE driver_offers
+             SET status = 'ACCEPTED', responded_at = NOW(),
+                 delivered_at = COALESCE(delivered_at, NOW())
+             WHERE id = $1 AND status = 'PENDING' AND expires_at > NOW()
+             RETURNING id`,
+            [current.offer.id],
+          );
+          if (offerResult.rows.length === 0) {
+            throw new AppError('Offer has expired', 409, 'OFFER_EXPIRED');
+          }
+
+          // POOL rides join (or start) the driver's pooled route
+          const poolTripId =
+            current.ride.tier === 'POOL'
+              ? await poolService.assignRide(
+                  client,
+                  current.ride,
+                  driverId,
+                  rideRegion(current.ride),
+                )
+              : null;
+
+          const { runSideEffects } = await rideStateMachine.transition(
+            rideId,
+            RIDE_STATUS.ACCEPTED,
+            {
+              client,
+              set: {
+                driver_id: driverId,
+                current_driver_offer_id: current.offer.id,
+                accepted_at: new Date(),
+                pool_trip_id: poolTripId,
+              },
+              context: { driverId, offerId: current.offer.id },
+            },
+          );
+
+          // First accept wins: revoke the rest of a broadcast round
+          const revokedResult = await client.query(
+            `UPDATE driver_offers
+             SET status = 'REVOKED', responded_at = NOW()
+             WHERE ride_request_id = $1 AND status = 'PENDING' AND id <> $2
+             RETURNING id, driver_id`,
+            [rideId, current.offer.id],
+          );
+
+          return {
+            ...current,
+            revokedOffers: revokedResult.rows,
+            runSideEffects,
+          };
+        },
       );
 
       // Update driver status
@@ -223,75 +949,638 @@ class DispatchService {
 
       // Clear Redis offer
       await this.redis.del(`ride:${rideId}:offer`);
+      await this.cancelOfferExpiry(rideId, offer.id);
+      await this.releaseDriver(driverId, rideId);
+
+      // Free revoked drivers for other rides right away
+      for (const revoked of revokedOffers) {
+        await this.cancelOfferExpiry(rideId, revoked.id);
+        await this.releaseDriver(revoked.driver_id, rideId);
+        await offerDeliveryService.notifyDriver(revoked.driver_id, {
+          offerId: revoked.id,
+          rideId,
+          event: 'REVOKED',
+        });
+        await publishEvent(topics.RIDE_OFFER_REVOKED, rideId, {
+          rideId,
+          offerId: revoked.id,
+          driverId: revoked.driver_id,
+          reason: 'Accepted by another driver',
+        });
+      }
 
       // Publish acceptance event
-      await publishEvent(topics.RIDE_ACCEPTED, rideId, { rideId, driverId });
+      await runSideEffects();
 
       return { status: 'ACCEPTED', driverId };
     }
 
     if (action === 'DECLINE') {
-      // Update driver offer
-      await query(
-        `UPDATE driver_offers
-         SET status = 'DECLINED', responded_at = NOW(), decline_reason = $1
-         WHERE ride_request_id = $2 AND driver_id = $3`,
-        [reason || 'Not specified', rideId, driverId],
+      const { ride, offer, roundOver } = await withTransaction(
+        async (client) => {
+          const current = await this.lockCurrentOffer(
+            client,
+            rideId,
+            driverId,
+            offerId,
+          );
+
+          await client.query(
+            `UPDATE driver_offers
+           SET status = 'DECLINED', responded_at = NOW(), decline_reason = $1,
+               delivered_at = COALESCE(delivered_at, NOW())
+           WHERE id = $2`,
+            [reason || 'Not specified', current.offer.id],
+          );
+
+          const roundOver = await this.isOfferRoundOver(
+            client,
+            current.ride,
+            current.offer.id,
+          );
+
+          return { ...current, roundOver };
+        },
       );
 
+      await this.cancelOfferExpiry(rideId, offer.id);
+      await this.releaseDriver(driverId, rideId);
+
       // Publish decline event
       await publishEvent(topics.RIDE_DECLINED, rideId, {
         rideId,
         driverId,
+        offerId: offer.id,
         reason,
       });
 
-      // Try to match next driver
-      const region = getRegionFromCoordinates(ride.pickup_lat, ride.pickup_lng);
+      // Other broadcast offers are still out
+      if (!roundOver) {
+        return { status: 'DECLINED', driverId };
+      }
+
+      await this.redis.del(`ride:${rideId}:offer`);
+
+      return this.reassignRide(ride);
+    }
+  }
+
+  /**
+   * Lock the ride and its current offer, and check that `driverId` may respond to it
+   * Must be called inside a transaction
+   */
+  async lockCurrentOffer(client, rideId, driverId, offerId) {
+    const rideResult = await client.query(
+      `SELECT * FROM ride_requests WHERE id = $1 FOR UPDATE`,
+      [rideId],
+    );
 
-      // Check max attempts
-      if (ride.match_attempts >= config.MAX_MATCH_ATTEMPTS) {
-        await query(
-          `UPDATE ride_requests SET status = 'EXPIRED' WHERE id = $1`,
-          [rideId],
+    if (rideResult.rows.length === 0) {
+      throw new AppError('Ride not found', 404, 'RIDE_NOT_FOUND');
+    }
+
+    const ride = rideResult.rows[0];
+
+    if (ride.status !== RIDE_STATUS.MATCHING) {
+      throw new AppError(
+        `Ride is ${ride.status}, not awaiting a driver`,
+        409,
+        'RIDE_NOT_MATCHING',
+      );
+    }
+
+    const offerResult = await client.query(
+      `SELECT * FROM driver_offers
+       WHERE ride_request_id = $1 AND driver_id = $2
+       ORDER BY offered_at DESC LIMIT 1
+       FOR UPDATE`,
+      [rideId, driverId],
+    );
+    const offer = offerResult.rows[0];
+
+    // Sequential rides have one current offer; any offer in a broadcast round counts
+    const isCurrent =
+      offer &&
+      (!offerId || offer.id === offerId) &&
+      (ride.dispatch_mode === 'BROADCAST' ||
+        offer.id === ride.current_driver_offer_id);
+
+    if (!isCurrent) {
+      throw new AppError(
+        'Driver does not hold the current offer for this ride',
+        409,
+        'OFFER_NOT_CURRENT',
+      );
+    }
+
+    if (offer.status !== 'PENDING') {
+      throw new AppError(
+        `Offer was already ${offer.status}`,
+        409,
+        'OFFER_ALREADY_RESPONDED',
+      );
+    }
+
+    if (new Date(offer.expires_at) <= new Date()) {
+      throw new AppError('Offer has expired', 409, 'OFFER_EXPIRED');
+    }
+
+    return { ride, offer };
+  }
+
+  /**
+   * Driver app confirms it received an offer; the response timeout starts now
+   * Re-acknowledging a delivered offer returns it unchanged.
+   */
+  async acknowledgeOffer(driverId, offerId) {
+    const outcome = await withTransaction(async (client) => {
+      const offerResult = await client.query(
+        `SELECT * FROM driver_offers WHERE id = $1 AND driver_id = $2 FOR UPDATE`,
+        [offerId, driverId],
+      );
+
+      if (offerResult.rows.length === 0) {
+        throw new AppError('Offer not found', 404, 'OFFER_NOT_FOUND');
+      }
+
+      const offer = offerResult.rows[0];
+
+      if (offer.status !== 'PENDING') {
+        throw new AppError(
+          `Offer was already ${offer.status}`,
+          409,
+          'OFFER_ALREADY_RESPONDED',
         );
-        return { status: 'EXPIRED', reason: 'Max match attempts reached' };
       }
 
-      // Find next driver (excluding declined ones)
-      const declinedResult = await query(
-        `SELECT driver_id FROM driver_offers
-         WHERE ride_request_id = $1 AND status = 'DECLINED'`,
-        [rideId],
+      if (offer.delivered_at) {
+        return { offer, acknowledged: false };
+      }
+
+      if (new Date(offer.expires_at) <= new Date()) {
+        throw new AppError('Offer has expired', 409, 'OFFER_EXPIRED');
+      }
+
+      const ackResult = await client.query(
+        `UPDATE driver_offers
+         SET delivered_at = NOW(),
+             expires_at = NOW() + $2 * INTERVAL '1 millisecond'
+         WHERE id = $1
+         RETURNING *`,
+        [offerId, config.DRIVER_RESPONSE_TIMEOUT],
       );
-      const declinedDrivers = declinedResult.rows.map((r) => r.driver_id);
+      const acked = ackResult.rows[0];
 
-      const { drivers } = await driverLocationService.findNearbyDrivers({
-        latitude: ride.pickup_lat,
-        longitude: ride.pickup_lng,
-        radiusKm: config.DEFAULT_SEARCH_RADIUS_KM,
-        region,
-        vehicleType: ride.tier,
-        limit: 10,
+      // Move the expiry only if the worker hasn't already claimed the undelivered offer;
+      // otherwise roll back and let it expire
+      const rescheduled = await this.redis.zadd(
+        OFFER_EXPIRY_KEY,
+        'XX',
+        'CH',
+        new Date(acked.expires_at).getTime(),
+        `${offer.ride_request_id}:${offerId}`,
+      );
+      if (rescheduled === 0) {
+        throw new AppError('Offer has expired', 409, 'OFFER_EXPIRED');
+      }
+
+      return { offer: acked, acknowledged: true };
+    });
+
+    const { offer, acknowledged } = outcome;
+
+    if (acknowledged) {
+      await publishEvent(topics.RIDE_OFFER_DELIVERED, offer.ride_request_id, {
+        rideId: offer.ride_request_id,
+        offerId,
+        driverId,
+        deliveredAt: offer.delivered_at,
+        expiresAt: offer.expires_at,
       });
+    }
+
+    return {
+      offerId,
+      rideId: offer.ride_request_id,
+      status: offer.status,
+      deliveredAt: offer.delivered_at,
+      expiresAt: offer.expires_at,
+    };
+  }
 
-      const availableDrivers = drivers.filter(
-        (d) => !declinedDrivers.includes(d.driverId),
+  /**
+   * Answer an offer over the driver's offer channel, where the offer identifies the ride
+   */
+  async respondToOffer(driverId, offerId, { action, reason }) {
+    const result = await query(
+      `SELECT ride_request_id FROM driver_offers WHERE id = $1 AND driver_id = $2`,
+      [offerId, driverId],
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Offer not found', 404, 'OFFER_NOT_FOUND');
+    }
+
+    const rideId = result.rows[0].ride_request_id;
+    const outcome = await this.handleDriverResponse(rideId, {
+      driverId,
+      action,
+      reason,
+      offerId,
+    });
+
+    return { rideId, offerId, ...outcome };
+  }
+
+  /**
+   * Cancel a ride on behalf of the rider, driver or system
+   * Withdraws outstanding offers, frees the assigned driver and charges the rider a
+   * cancellation fee once a driver has been assigned for longer than the grace period
+   */
+  async cancelRide(rideId, { cancelledBy = 'RIDER', reason } = {}) {
+    const {
+      ride,
+      from,
+      revokedOffers,
+      cancellationFee,
+      poolStopsLeft,
+      runSideEffects,
+    } = await withTransaction(async (client) => {
+      const rideResult = await client.query(
+        `SELECT * FROM ride_requests WHERE id = $1 FOR UPDATE`,
+        [rideId],
       );
 
-      if (availableDrivers.length === 0) {
-        await query(
-          `UPDATE ride_requests SET status = 'EXPIRED' WHERE id = $1`,
-          [rideId],
+      if (rideResult.rows.length === 0) {
+        throw new AppError('Ride not found', 404, 'RIDE_NOT_FOUND');
+      }
+
+      if (rideResult.rows[0].status === RIDE_STATUS.IN_PROGRESS) {
+        throw new AppError(
+          'Trip has already started; cancel the trip instead',
+          409,
+          'TRIP_IN_PROGRESS',
         );
-        return { status: 'EXPIRED', reason: 'No available drivers' };
       }
 
-      // Match next driver
-      await this.matchDriver(ride, region);
+      const cancellationFee =
+        cancelledBy === 'RIDER'
+          ? this.calculateCancellationFee(rideResult.rows[0])
+          : 0;
+
+      const transition = await rideStateMachine.transition(
+        rideId,
+        RIDE_STATUS.CANCELLED,
+        {
+          client,
+          set: {
+            cancelled_at: new Date(),
+            cancelled_by: cancelledBy,
+            cancellation_reason: reason || null,
+            cancellation_fee: cancellationFee,
+          },
+          context: { cancelledBy, reason, cancellationFee },
+        },
+      );
+
+      // Withdraw any offers still out
+      const revokedResult = await client.query(
+        `UPDATE driver_offers
+           SET status = 'REVOKED', responded_at = NOW(), decline_reason = 'Ride cancelled'
+           WHERE ride_request_id = $1 AND status = 'PENDING'
+           RETURNING id, driver_id`,
+        [rideId],
+      );
+
+      // A trip created for the ride but not yet started goes with it
+      await client.query(
+        `UPDATE trips SET status = 'CANCELLED', updated_at = NOW()
+           WHERE ride_request_id = $1 AND status = 'PENDING'`,
+        [rideId],
+      );
+
+      // Pooled: drop the rider's stops; the driver stays busy with the others
+      const poolStopsLeft = transition.ride.pool_trip_id
+        ? await poolService.removeRide(
+            client,
+            transition.ride.pool_trip_id,
+            rideId,
+          )
+        : 0;
+
+      return {
+        ...transition,
+        revokedOffers: revokedResult.rows,
+        cancellationFee,
+        poolStopsLeft,
+      };
+    });
+
+    await this.redis.del(`ride:${rideId}:offer`);
 
-      return { status: 'REASSIGNED' };
+    for (const revoked of revokedOffers) {
+      await this.cancelOfferExpiry(rideId, revoked.id);
+      await this.releaseDriver(revoked.driver_id, rideId);
+      await offerDeliveryService.notifyDriver(revoked.driver_id, {
+        offerId: revoked.id,
+        rideId,
+        event: 'REVOKED',
+      });
+      await publishEvent(topics.RIDE_OFFER_REVOKED, rideId, {
+        rideId,
+        offerId: revoked.id,
+        driverId: revoked.driver_id,
+        reason: 'Ride cancelled',
+      });
     }
+
+    // The assigned driver is free again
+    if (
+      from === RIDE_STATUS.ACCEPTED &&
+      ride.driver_id &&
+      poolStopsLeft === 0
+    ) {
+      await driverLocationService.updateDriverStatus(ride.driver_id, 'ONLINE');
+    }
+
+    // Publish cancellation event
+    await runSideEffects();
+
+    return {
+      rideId,
+      status: RIDE_STATUS.CANCELLED,
+      previousStatus: from,
+      cancelledBy,
+      reason,
+      cancellationFee,
+    };
+  }
+
+  /**
+   * Rider cancellation fee: free until a driver has been assigned for longer than
+   * the grace period, then a base fee plus a per-minute charge, capped
+   */
+  calculateCancellationFee(ride, now = new Date()) {
+    if (ride.status !== RIDE_STATUS.ACCEPTED || !ride.accepted_at) {
+      return 0;
+    }
+
+    const assignedSeconds = (now - new Date(ride.accepted_at)) / 1000;
+    const secondsOverGrace =
+      assignedSeconds - config.RIDE_CANCELLATION_GRACE_PERIOD;
+
+    if (secondsOverGrace <= 0) {
+      return 0;
+    }
+
+    const fee =
+      config.CANCELLATION_FEE +
+      Math.ceil(secondsOverGrace / 60) * config.CANCELLATION_FEE_PER_MINUTE;
+
+    return Math.min(Math.round(fee * 100) / 100, config.CANCELLATION_FEE_MAX);
+  }
+
+  /**
+   * Offer the ride to the next driver, or expire it when attempts are exhausted
+   */
+  async reassignRide(ride) {
+    const { id: rideId } = ride;
+    const region = rideRegion(ride);
+
+    // Check max attempts
+    if (ride.match_attempts >= config.MAX_MATCH_ATTEMPTS) {
+      return this.expireRide(rideId, 'Max match attempts reached');
+    }
+
+    // Find next driver (excluding everyone already offered this ride)
+    const offeredResult = await query(
+      `SELECT driver_id FROM driver_offers WHERE ride_request_id = $1`,
+      [rideId],
+    );
+    const offeredDrivers = offeredResult.rows.map((r) => r.driver_id);
+
+    const matchResult = await this.matchDriver(ride, region, {
+      excludeDriverIds: offeredDrivers,
+    });
+
+    if (!matchResult.matched) {
+      // Scheduled rides keep looking until pickup time; the scheduler retries them
+      if (this.isBeforeMatchDeadline(ride)) {
+        return { status: RIDE_STATUS.MATCHING, driver: null };
+      }
+      return this.expireRide(rideId, 'No available drivers');
+    }
+
+    return { status: 'REASSIGNED', driver: matchResult.driver };
+  }
+
+  /**
+   * Mark a ride EXPIRED after matching gave up
+   * Riders of scheduled rides are notified that their booking went unmatched
+   */
+  async expireRide(rideId, reason) {
+    const { ride } = await rideStateMachine.transition(
+      rideId,
+      RIDE_STATUS.EXPIRED,
+      { context: { reason } },
+    );
+
+    if (ride.scheduled_at) {
+      await publishEvent(topics.RIDE_SCHEDULED_UNMATCHED, rideId, {
+        rideId,
+        riderId: ride.rider_id,
+        scheduledAt: ride.scheduled_at,
+        reason,
+      });
+    }
+
+    return { status: RIDE_STATUS.EXPIRED, reason };
+  }
+
+  /**
+   * Expire scheduled rides that reached pickup time without an accepted driver
+   */
+  async expireOverdueScheduledRides(limit) {
+    const result = await query(
+      `SELECT id FROM ride_requests
+       WHERE status = $1 AND scheduled_at IS NOT NULL AND expires_at <= NOW()
+       ORDER BY expires_at
+       LIMIT $2`,
+      [RIDE_STATUS.MATCHING, limit],
+    );
+
+    let expired = 0;
+    for (const { id } of result.rows) {
+      try {
+        await this.expireRide(id, 'No driver found before pickup time');
+        expired++;
+      } catch (err) {
+        // Accepted or cancelled meanwhile, or expired by another instance
+        if (!(err instanceof InvalidTransitionError)) throw err;
+      }
+    }
+
+    return expired;
+  }
+
+  /**
+   * Expire an unanswered offer and reassign the ride once its round is over
+   * Safe to call concurrently: only the caller that flips the offer from PENDING proceeds
+   */
+  async expireOffer(rideId, offerId) {
+    const outcome = await withTransaction(async (client) => {
+      // Lock the ride first so concurrent expiries of one broadcast round serialize
+      const rideResult = await client.query(
+        `SELECT * FROM ride_requests WHERE id = $1 FOR UPDATE`,
+        [rideId],
+      );
+
+      const offerResult = await client.query(
+        `UPDATE driver_offers
+         SET status = 'EXPIRED', responded_at = NOW()
+         WHERE id = $1 AND status = 'PENDING'
+         RETURNING driver_id, delivered_at`,
+        [offerId],
+      );
+
+      if (offerResult.rows.length === 0) {
+        return null;
+      }
+
+      const ride = rideResult.rows[0];
+      const roundOver =
+        !!ride &&
+        ride.status === RIDE_STATUS.MATCHING &&
+        (await this.isOfferRoundOver(client, ride, offerId));
+
+      return {
+        ride,
+        driverId: offerResult.rows[0].driver_id,
+        delivered: offerResult.rows[0].delivered_at !== null,
+        roundOver,
+      };
+    });
+
+    if (!outcome) {
+      return { expired: false };
+    }
+
+    const { ride, driverId, delivered, roundOver } = outcome;
+
+    await this.releaseDriver(driverId, rideId);
+    await offerDeliveryService.notifyDriver(driverId, {
+      offerId,
+      rideId,
+      event: 'EXPIRED',
+    });
+
+    await publishEvent(topics.RIDE_OFFER_EXPIRED, rideId, {
+      rideId,
+      offerId,
+      driverId,
+      // Never reached the driver app, or reached it and went unanswered
+      reason: delivered ? 'NO_RESPONSE' : 'UNDELIVERED',
+    });
+
+    // Ride has moved on (accepted, cancelled, re-offered) or other offers are still out
+    if (!roundOver) {
+      return { expired: true, driverId };
+    }
+
+    await this.redis.del(`ride:${rideId}:offer`);
+
+    const reassignOutcome = await this.reassignRide(ride);
+
+    return { expired: true, driverId, ...reassignOutcome };
+  }
+
+  /**
+   * Whether resolving `offerId` leaves the ride with no outstanding offers
+   * Must be called inside a transaction holding the ride lock
+   */
+  async isOfferRoundOver(client, ride, offerId) {
+    if (ride.dispatch_mode !== 'BROADCAST') {
+      return ride.current_driver_offer_id === offerId;
+    }
+
+    const pendingResult = await client.query(
+      `SELECT COUNT(*)::int AS count FROM driver_offers
+       WHERE ride_request_id = $1 AND status = 'PENDING'`,
+      [ride.id],
+    );
+
+    return pendingResult.rows[0].count === 0;
+  }
+
+  /**
+   * Hold a driver for one ride's offer so they aren't offered other rides meanwhile
+   * @returns true if the driver was free and is now reserved
+   */
+  async reserveDriver(driverId, rideId) {
+    const result = await this.redis.set(
+      `driver:${driverId}:offer`,
+      rideId,
+      'EX',
+      offerHoldSeconds(),
+      'NX',
+    );
+    return result === 'OK';
+  }
+
+  /**
+   * Release a driver's reservation, if it is still held for this ride
+   */
+  async releaseDriver(driverId, rideId) {
+    await this.redis.eval(
+      `if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) end
+       return 0`,
+      1,
+      `driver:${driverId}:offer`,
+      rideId,
+    );
+  }
+
+  /**
+   * Track an offer's expiry in the shared sorted set
+   */
+  async scheduleOfferExpiry(rideId, offerId, expiresAt) {
+    await this.redis.zadd(
+      OFFER_EXPIRY_KEY,
+      expiresAt.getTime(),
+      `${rideId}:${offerId}`,
+    );
+  }
+
+  /**
+   * Stop tracking an offer that has been answered
+   */
+  async cancelOfferExpiry(rideId, offerId) {
+    if (!offerId) return;
+    await this.redis.zrem(OFFER_EXPIRY_KEY, `${rideId}:${offerId}`);
+  }
+
+  /**
+   * Atomically claim offers whose expiry has passed
+   * Claimed members are leased rather than removed: their score moves OFFER_EXPIRY_LEASE
+   * ahead, so each is handled by one instance, and one that dies mid-batch leaves them to
+   * be claimed again. Remove a member with cancelOfferExpiry once it has been processed.
+   */
+  async claimExpiredOffers(now = Date.now(), limit = 50) {
+    const members = await this.redis.eval(
+      `local due = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, ARGV[2])
+       for _, member in ipairs(due) do redis.call('ZADD', KEYS[1], 'XX', ARGV[3], member) end
+       return due`,
+      1,
+      OFFER_EXPIRY_KEY,
+      now,
+      limit,
+      now + config.OFFER_EXPIRY_LEASE,
+    );
+
+    return members.map((member) => {
+      const [rideId, offerId] = member.split(':');
+      return { rideId, offerId };
+    });
   }
 
   /**
@@ -319,58 +1608,83 @@ class DispatchService {
       status: ride.status,
       pickup: { lat: ride.pickup_lat, lng: ride.pickup_lng },
       destination: { lat: ride.destination_lat, lng: ride.destination_lng },
+      stops: ride.stops || [],
       tier: ride.tier,
       paymentMethod: ride.payment_method,
       surgeMultiplier: parseFloat(ride.surge_multiplier),
       estimatedFare: parseFloat(ride.estimated_fare),
+      ...this.formatRouteEstimate({
+        distanceKm: parseFloat(ride.estimated_distance_km),
+        durationMinutes: parseFloat(ride.estimated_duration_minutes),
+        polyline: ride.route_polyline,
+      }),
       matchAttempts: ride.match_attempts,
+      dispatchMode: ride.dispatch_mode,
+      matchRadiusKm: ride.match_radius_km
+        ? parseFloat(ride.match_radius_km)
+        : null,
+      matchHistory: ride.match_history || [],
       matchedDriver: ride.current_offer_driver
         ? {
             driverId: ride.current_offer_driver,
             offerStatus: ride.offer_status,
           }
         : null,
+      pool: ride.pool_trip_id
+        ? await poolService.getRiderView(ride.pool_trip_id, ride.id)
+        : null,
+      cancellation:
+        ride.status === RIDE_STATUS.CANCELLED
+          ? {
+              cancelledBy: ride.cancelled_by,
+              reason: ride.cancellation_reason,
+              fee: parseFloat(ride.cancellation_fee) || 0,
+              cancelledAt: ride.cancelled_at,
+            }
+          : null,
+      scheduledAt: ride.scheduled_at,
       createdAt: ride.created_at,
       expiresAt: ride.expires_at,
     };
   }
 
   /**
-   * Check for driver timeout and reassign
+   * Trip distance, duration and path as shown to riders
+   * Stored rides without an estimate (booked before routing) show nulls
    */
-  async checkTimeout(rideId) {
-    const offerData = await this.redis.get(`ride:${rideId}:offer`);
-    if (!offerData) {
-      return { timedOut: false };
-    }
-
-    const offer = JSON.parse(offerData);
-    const expiresAt = new Date(offer.expiresAt);
-
-    if (new Date() > expiresAt) {
-      // Timeout occurred, treat as decline
-      await this.handleDriverResponse(rideId, {
-        driverId: offer.driverId,
-        action: 'DECLINE',
-        reason: 'Timeout',
-      });
-      return { timedOut: true };
-    }
-
-    return { timedOut: false };
+  formatRouteEstimate(estimate) {
+    return {
+      estimatedDistanceKm: Number.isNaN(estimate.distanceKm)
+        ? null
+        : estimate.distanceKm,
+      estimatedDurationMinutes: Number.isNaN(estimate.durationMinutes)
+        ? null
+        : estimate.durationMinutes,
+      routePolyline: estimate.polyline || null,
+    };
   }
 
   /**
-   * Calculate estimated fare
+   * Calculate estimated fare over a route of [pickup, ...stops, destination]
+   * Distance and duration come from the routing engine unless an `estimate` is passed in.
+   * POOL riders are quoted a discount; the actual split is settled when the trip ends
    */
-  calculateEstimatedFare(distanceKm, surgeMultiplier) {
+  calculateEstimatedFare(
+    route,
+    surgeMultiplier,
+    tier,
+    estimate = routingService.route(route),
+  ) {
     const baseFare = config.FARE_BASE;
-    const distanceFare = distanceKm * config.FARE_PER_KM;
-    const estimatedMinutes = distanceKm * 3; // Rough estimate
-    const timeFare = estimatedMinutes * config.FARE_PER_MINUTE;
+    const distanceFare = estimate.distanceKm * config.FARE_PER_KM;
+    const timeFare = estimate.durationMinutes * config.FARE_PER_MINUTE;
 
     const subtotal = baseFare + distanceFare + timeFare;
-    const total = subtotal * surgeMultiplier;
+    let total = subtotal * surgeMultiplier;
+
+    if (tier === 'POOL') {
+      total *= 1 - config.POOL_ESTIMATE_DISCOUNT;
+    }
 
     return Math.round(total * 100) / 100;
   }
@@ -1,8 +1,109 @@
 const { getRedisClient } = require('../db/redis');
 const config = require('../config');
-const { latLngToGeoCell, getRegionFromCoordinates } = require('../utils/geo.utils');
-const { publishEvent } = require('../events/kafka-producer');
+const { latLngToGeoCell } = require('../utils/geo.utils');
+const { publishEvent, publishEvents } = require('../events/kafka-producer');
 const topics = require('../events/topics');
+const queueZoneService = require('./queue-zone.service');
+const trackingService = require('./tracking.service');
+const tripTrailService = require('./trip-trail.service');
+const locationPlausibilityService = require('./location-plausibility.service');
+const locationSmoothingService = require('./location-smoothing.service');
+const regionService = require('./region.service');
+const geofenceService = require('./geofence.service');
+
+// Meta fields a new ping is judged and filtered against
+const PING_STATE_FIELDS = [
+  'status', 'lastLat', 'lastLng', 'rawLat', 'rawLng', 'lastUpdate', 'exactRepeats',
+  'filterLat', 'filterLng', 'filterVariance', 'geofences'
+];
+const toPingState = (values) => Object.fromEntries(PING_STATE_FIELDS.map((field, i) => [field, values[i]]));
+
+// Meta fields for an accepted ping: where the driver is placed, the raw ping (kept for audit),
+// the filter state and the geofences the driver is in. The region is written by
+// MOVE_DRIVER_SCRIPT along with the GEO index.
+const acceptedPingFields = (ping, position, exactRepeats) => [
+  'lastLat', position.latitude.toString(),
+  'lastLng', position.longitude.toString(),
+  'rawLat', ping.latitude.toString(),
+  'rawLng', ping.longitude.toString(),
+  'lastUpdate', ping.timestamp,
+  'heading', (ping.heading || 0).toString(),
+  'speed', (ping.speed || 0).toString(),
+  'geoCell', position.geoCell,
+  'exactRepeats', exactRepeats.toString(),
+  'filterLat', position.filter.latitude.toString(),
+  'filterLng', position.filter.longitude.toString(),
+  'filterVariance', position.filter.variance.toString(),
+  'geofences', position.geofences
+];
+
+// Entry and exit events ({ key, value } batches) for the geofences a driver crossed
+const geofenceEvents = (driverId, { entered, exited }, position, timestamp) => {
+  const event = (fence) => ({
+    key: driverId,
+    value: {
+      driverId,
+      geofenceId: fence.id,
+      name: fence.name,
+      type: fence.type,
+      latitude: position.latitude,
+      longitude: position.longitude,
+      timestamp
+    }
+  });
+  return { entered: entered.map(event), exited: exited.map(event) };
+};
+
+// Place a driver in their region's GEO index and record it as their current region. A driver
+// whose previous region differs is removed from the other regions' indexes in the same step, so
+// they are never indexed in two regions.
+// KEYS[1] = driver meta, KEYS[2] = new region's GEO index, KEYS[3..] = every other region's GEO index
+// ARGV = driverId, lng, lat, region
+// Returns the previous region if it changed, else nil
+const MOVE_DRIVER_SCRIPT = `
+local previous = redis.call('HGET', KEYS[1], 'region')
+redis.call('GEOADD', KEYS[2], ARGV[2], ARGV[3], ARGV[1])
+if previous == ARGV[4] then return nil end
+if previous then
+  for i = 3, #KEYS do redis.call('ZREM', KEYS[i], ARGV[1]) end
+end
+redis.call('HSET', KEYS[1], 'region', ARGV[4])
+return previous
+`;
+
+// Every indexed driver by when their last ping arrived (ms), so drivers whose presence has
+// expired can be found and taken out of the GEO indexes
+const LAST_SEEN_KEY = 'drivers:last-seen';
+// Evicted driver counts by region
+const EVICTIONS_KEY = 'drivers:evictions';
+
+// Evict a driver whose last ping arrived at or before the cutoff and whose presence has expired:
+// drop them from the last-seen set and the GEO indexes, and mark them OFFLINE (drivers ON_TRIP
+// keep their status; the trip decides when they're free). Claiming the last-seen entry makes
+// each eviction happen once across instances.
+// KEYS[1] = last-seen set, KEYS[2] = driver meta, KEYS[3] = evictions hash, KEYS[4] = driver presence,
+// KEYS[5..] = every region's GEO index
+// ARGV = driverId, cutoff (ms), default region
+// Returns [region, previousStatus] or nil if the driver isn't stale (any more)
+const EVICT_DRIVER_SCRIPT = `
+local seen = redis.call('ZSCORE', KEYS[1], ARGV[1])
+if not seen or tonumber(seen) > tonumber(ARGV[2]) then return nil end
+redis.call('ZREM', KEYS[1], ARGV[1])
+if redis.call('EXISTS', KEYS[4]) == 1 then return nil end
+
+local meta = redis.call('HMGET', KEYS[2], 'region', 'status')
+local region = meta[1] or ARGV[3]
+local status = meta[2] or ''
+for i = 5, #KEYS do redis.call('ZREM', KEYS[i], ARGV[1]) end
+if status ~= 'ON_TRIP' then redis.call('HSET', KEYS[2], 'status', 'OFFLINE') end
+redis.call('HINCRBY', KEYS[3], region, 1)
+return { region, status }
+`;
+
+// GEO index of every region a driver can be indexed in: the registry's and the default region
+const regionIndexKeys = () => [
+  ...new Set([...regionService.listRegions().map((region) => region.id), config.DEFAULT_REGION])
+].map((region) => `drivers:locations:${region}`);
 
 class DriverLocationService {
   constructor() {
@@ -12,96 +113,403 @@ class DriverLocationService {
   /**
    * Update driver's current location
    * Stores in Redis GEO index for proximity searches
+   * Pings that fail the plausibility checks against the previous one are quarantined instead,
+   * and plausible pings outside every service region are rejected.
+   * Accepted pings pass through the region's smoothing filter (see locationSmoothingService);
+   * the smoothed position is indexed and the raw one kept in meta and the event.
+   * Geofences the smoothed position enters or leaves are published as entry/exit events.
    */
-  async updateLocation(driverId, { latitude, longitude, timestamp, heading, speed }) {
-    const region = getRegionFromCoordinates(latitude, longitude);
-    const geoCell = latLngToGeoCell(latitude, longitude);
-    const geoKey = `drivers:locations:${region}`;
+  async updateLocation(driverId, { latitude, longitude, timestamp, heading, speed, accuracy }) {
     const presenceKey = `driver:${driverId}:presence`;
     const metaKey = `driver:${driverId}:meta`;
+    const pingTimestamp = timestamp || new Date().toISOString();
+    const ping = { latitude, longitude, timestamp: pingTimestamp, timestampMs: Date.parse(pingTimestamp), heading, speed, accuracy };
+
+    const meta = toPingState(await this.redis.hmget(metaKey, ...PING_STATE_FIELDS));
+    const { status } = meta;
+    const plausibility = locationPlausibilityService.check(locationPlausibilityService.previousFromMeta(meta), ping);
 
-    // Add to geo index
-    await this.redis.geoadd(geoKey, longitude, latitude, driverId);
+    if (plausibility.reasons.length > 0) {
+      const { violations, flagged, suspended } = await locationPlausibilityService.quarantine(driverId, [
+        { latitude, longitude, timestamp: pingTimestamp, reasons: plausibility.reasons }
+      ]);
+      return { success: false, quarantined: true, driverId, reasons: plausibility.reasons, violations, flagged, suspended };
+    }
+
+    const region = regionService.resolveRegion(latitude, longitude).id;
+
+    const position = locationSmoothingService.smooth(locationSmoothingService.stateFromMeta(meta), ping, region);
+    const geoCell = latLngToGeoCell(position.latitude, position.longitude);
+    const crossings = geofenceService.crossGeofences(
+      await geofenceService.getIndex(), meta.geofences, position.latitude, position.longitude
+    );
+
+    // Add to the region's geo index, leaving the previous region's if the driver crossed over
+    const previousRegion = await this.moveDriver(driverId, region, position);
 
     // Set presence with TTL (driver is considered offline after TTL expires)
     await this.redis.set(presenceKey, '1', 'EX', config.DRIVER_PRESENCE_TTL);
+    await this.redis.zadd(LAST_SEEN_KEY, Date.now(), driverId);
 
     // Update metadata
-    await this.redis.hset(metaKey,
-      'lastLat', latitude.toString(),
-      'lastLng', longitude.toString(),
-      'lastUpdate', timestamp || new Date().toISOString(),
-      'heading', (heading || 0).toString(),
-      'speed', (speed || 0).toString(),
-      'geoCell', geoCell
-    );
+    await this.redis.hset(metaKey, ...acceptedPingFields(ping, { ...position, geoCell, region, geofences: crossings.ids }, plausibility.exactRepeats));
+
+    // Join or leave airport/venue queues as the driver moves
+    await queueZoneService.trackDriver(driverId, { latitude: position.latitude, longitude: position.longitude, status });
+
+    // Extend the trail of the trip being driven (raw; trip billing filters glitches itself)
+    if (status === 'ON_TRIP') {
+      await tripTrailService.recordPing(driverId, { latitude, longitude, timestamp });
+    }
+
+    // Push to riders following this driver
+    await trackingService.publishDriverLocation(driverId, {
+      latitude: position.latitude,
+      longitude: position.longitude,
+      heading: heading || 0,
+      speed: speed || 0,
+      timestamp: timestamp || new Date().toISOString()
+    });
 
     // Publish location update event (for analytics, etc.)
+    if (previousRegion) {
+      await publishEvent(topics.DRIVER_REGION_CHANGED, driverId, {
+        driverId,
+        previousRegion,
+        region,
+        latitude: position.latitude,
+        longitude: position.longitude,
+        timestamp: pingTimestamp
+      });
+    }
+
+    const { entered, exited } = geofenceEvents(driverId, crossings, position, pingTimestamp);
+    if (exited.length > 0) {
+      await publishEvents(topics.DRIVER_GEOFENCE_EXITED, exited);
+    }
+    if (entered.length > 0) {
+      await publishEvents(topics.DRIVER_GEOFENCE_ENTERED, entered);
+    }
+
     await publishEvent(topics.DRIVER_LOCATION_UPDATED, driverId, {
       driverId,
-      latitude,
-      longitude,
+      latitude: position.latitude,
+      longitude: position.longitude,
+      raw: { latitude, longitude, accuracy: accuracy || null },
+      snapped: position.snapped,
       geoCell,
       region,
       timestamp: timestamp || new Date().toISOString()
     });
 
-    return { success: true, driverId, geoCell, region };
+    return {
+      success: true,
+      driverId,
+      geoCell,
+      region,
+      geofences: crossings.inside.map((fence) => fence.id),
+      position: { latitude: position.latitude, longitude: position.longitude, snapped: position.snapped }
+    };
   }
 
   /**
-   * Find drivers near a location
-   * Uses Redis GEORADIUS for efficient proximity search
+   * Apply a batch of timestamped pings ([{ driverId, latitude, longitude, timestamp, ... }])
+   * Each driver's pings are taken in timestamp order; any at or before the driver's last
+   * known update is dropped as a duplicate or out of order, and any failing the plausibility
+   * checks against the driver's previous accepted ping is quarantined, and any outside every
+   * service region is dropped. Accepted pings run through the smoothing filter in order, and
+   * only a driver's newest one moves them, written for all drivers in one Redis pipeline;
+   * every accepted ping, and every geofence crossing between them, is published in one Kafka
+   * batch.
    */
-  async findNearbyDrivers({ latitude, longitude, radiusKm, region, vehicleType, limit = 20 }) {
-    const geoKey = `drivers:locations:${region}`;
+  async updateLocationBatch(pings) {
+    const driverIds = [...new Set(pings.map((ping) => ping.driverId))];
 
-    // Get drivers within radius, sorted by distance
-    const results = await this.redis.georadius(
-      geoKey,
-      longitude,
-      latitude,
-      radiusKm,
-      'km',
-      'WITHDIST',
-      'WITHCOORD',
-      'ASC',
-      'COUNT',
-      limit * 2 // Get extra to filter
-    );
+    // Last accepted ping, filter state and status of every driver in the batch, in one round trip
+    const current = await this.redis
+      .pipeline(driverIds.map((driverId) => ['hmget', `driver:${driverId}:meta`, ...PING_STATE_FIELDS]))
+      .exec();
 
-    const drivers = [];
+    const geofenceIndex = await geofenceService.getIndex();
+    const drivers = new Map(driverIds.map((driverId, i) => {
+      const [err, values] = current[i];
+      if (err) throw err;
+      const meta = toPingState(values);
+      return [driverId, {
+        driverId,
+        status: meta.status,
+        lastUpdateMs: meta.lastUpdate ? Date.parse(meta.lastUpdate) : -Infinity,
+        previous: locationPlausibilityService.previousFromMeta(meta),
+        filter: locationSmoothingService.stateFromMeta(meta),
+        geofences: meta.geofences,
+        latest: null,
+        accepted: 0,
+        duplicates: 0,
+        outOfOrder: 0,
+        outOfRegion: 0,
+        quarantined: []
+      }];
+    }));
 
-    for (const [driverId, distance, [lng, lat]] of results) {
-      // Check if driver is online (presence key exists)
-      const isOnline = await this.redis.exists(`driver:${driverId}:presence`);
-      if (!isOnline) continue;
+    const accepted = [];
+    const geofencesEntered = [];
+    const geofencesExited = [];
+    const ordered = pings
+      .map((ping) => ({ ...ping, timestampMs: Date.parse(ping.timestamp) }))
+      .sort((a, b) => a.timestampMs - b.timestampMs);
 
-      // Get driver metadata
-      const meta = await this.redis.hgetall(`driver:${driverId}:meta`);
-      if (meta.status !== 'ONLINE') continue;
+    for (const ping of ordered) {
+      const driver = drivers.get(ping.driverId);
 
-      // Filter by vehicle type if specified
-      const driverVehicleType = meta.vehicleType || 'ECONOMY';
-      if (vehicleType && driverVehicleType !== vehicleType) continue;
+      if (ping.timestampMs === driver.lastUpdateMs) {
+        driver.duplicates++;
+        continue;
+      }
+      if (ping.timestampMs < driver.lastUpdateMs) {
+        driver.outOfOrder++;
+        continue;
+      }
 
-      drivers.push({
-        driverId,
-        distanceKm: parseFloat(distance),
-        latitude: parseFloat(lat),
-        longitude: parseFloat(lng),
-        vehicleType: meta.vehicleType || 'ECONOMY',
-        status: meta.status,
-        heading: parseFloat(meta.heading) || 0,
-        speed: parseFloat(meta.speed) || 0
+      const { reasons, exactRepeats } = locationPlausibilityService.check(driver.previous, ping);
+      if (reasons.length > 0) {
+        driver.quarantined.push({ ...ping, reasons });
+        continue;
+      }
+
+      const serviceRegion = regionService.findRegion(ping.latitude, ping.longitude);
+      if (!serviceRegion) {
+        driver.outOfRegion++;
+        continue;
+      }
+
+      const region = serviceRegion.id;
+      const position = locationSmoothingService.smooth(driver.filter, ping, region);
+      const geoCell = latLngToGeoCell(position.latitude, position.longitude);
+      const crossings = geofenceService.crossGeofences(
+        geofenceIndex, driver.geofences, position.latitude, position.longitude
+      );
+      const { entered, exited } = geofenceEvents(ping.driverId, crossings, position, ping.timestamp);
+      geofencesEntered.push(...entered);
+      geofencesExited.push(...exited);
+
+      driver.latest = {
+        ...ping, region, geoCell, exactRepeats, position: { ...position, geoCell, region, geofences: crossings.ids }
+      };
+      driver.geofences = crossings.ids;
+      driver.previous = { ...ping, exactRepeats };
+      driver.filter = position.filter;
+      driver.lastUpdateMs = ping.timestampMs;
+      driver.accepted++;
+      accepted.push(driver.latest);
+    }
+
+    const moved = [...drivers.values()].filter((driver) => driver.latest);
+    const regionChanges = [];
+
+    if (moved.length > 0) {
+      const recordingTrips = await tripTrailService.getRecordingTrips(
+        moved.filter((driver) => driver.status === 'ON_TRIP').map((driver) => driver.driverId)
+      );
+      const pipeline = this.redis.pipeline();
+      const moveIndexes = new Map();
+      for (const { driverId, latest } of moved) {
+        const { position } = latest;
+        moveIndexes.set(driverId, pipeline.length);
+        this.moveDriver(driverId, latest.region, position, pipeline);
+        pipeline.set(`driver:${driverId}:presence`, '1', 'EX', config.DRIVER_PRESENCE_TTL);
+        pipeline.zadd(LAST_SEEN_KEY, Date.now(), driverId);
+        pipeline.hset(`driver:${driverId}:meta`, ...acceptedPingFields(latest, position, latest.exactRepeats));
+        trackingService.publishDriverLocation(driverId, {
+          latitude: position.latitude,
+          longitude: position.longitude,
+          heading: latest.heading || 0,
+          speed: latest.speed || 0,
+          timestamp: latest.timestamp
+        }, pipeline);
+      }
+
+      // Every accepted raw ping of a driver on a trip extends its trail, not just the newest
+      for (const ping of accepted) {
+        if (recordingTrips.has(ping.driverId)) {
+          tripTrailService.addToTrails(recordingTrips.get(ping.driverId), ping, pipeline);
+        }
+      }
+
+      const results = await pipeline.exec();
+      const failed = results.find(([err]) => err);
+      if (failed) throw failed[0];
+
+      for (const { driverId, latest } of moved) {
+        const previousRegion = results[moveIndexes.get(driverId)][1];
+        if (previousRegion) {
+          regionChanges.push({
+            key: driverId,
+            value: {
+              driverId,
+              previousRegion,
+              region: latest.region,
+              latitude: latest.position.latitude,
+              longitude: latest.position.longitude,
+              timestamp: latest.timestamp
+            }
+          });
+        }
+      }
+    }
+
+    const anomalies = new Map();
+    for (const { driverId, quarantined } of drivers.values()) {
+      if (quarantined.length > 0) {
+        anomalies.set(driverId, await locationPlausibilityService.quarantine(driverId, quarantined));
+      }
+    }
+
+    // Join or leave airport/venue queues at each driver's newest position
+    for (const { driverId, status, latest } of moved) {
+      await queueZoneService.trackDriver(driverId, {
+        latitude: latest.position.latitude,
+        longitude: latest.position.longitude,
+        status
       });
+    }
 
-      if (drivers.length >= limit) break;
+    if (regionChanges.length > 0) {
+      await publishEvents(topics.DRIVER_REGION_CHANGED, regionChanges);
     }
 
+    if (geofencesExited.length > 0) {
+      await publishEvents(topics.DRIVER_GEOFENCE_EXITED, geofencesExited);
+    }
+    if (geofencesEntered.length > 0) {
+      await publishEvents(topics.DRIVER_GEOFENCE_ENTERED, geofencesEntered);
+    }
+
+    await publishEvents(topics.DRIVER_LOCATION_UPDATED, accepted.map((ping) => ({
+      key: ping.driverId,
+      value: {
+        driverId: ping.driverId,
+        latitude: ping.position.latitude,
+        longitude: ping.position.longitude,
+        raw: { latitude: ping.latitude, longitude: ping.longitude, accuracy: ping.accuracy || null },
+        snapped: ping.position.snapped,
+        geoCell: ping.geoCell,
+        region: ping.region,
+        timestamp: ping.timestamp
+      }
+    })));
+
+    const summaries = [...drivers.values()].map((driver) => ({
+      driverId: driver.driverId,
+      accepted: driver.accepted,
+      duplicates: driver.duplicates,
+      outOfOrder: driver.outOfOrder,
+      outOfRegion: driver.outOfRegion,
+      quarantined: driver.quarantined.length,
+      anomaly: anomalies.get(driver.driverId) || null,
+      region: driver.latest ? driver.latest.region : null,
+      geoCell: driver.latest ? driver.latest.geoCell : null
+    }));
+
+    return {
+      received: pings.length,
+      accepted: accepted.length,
+      dropped: pings.length - accepted.length,
+      drivers: summaries
+    };
+  }
+
+  /**
+   * Find drivers near a location
+   * One GEOSEARCH, then one pipeline reading the drivers found (see searchAvailableDrivers),
+   * so the search returns up to `limit` drivers however many nearby are busy.
+   * Pass `vehicleTypes` instead of `vehicleType` to accept several types (e.g. tier upgrades)
+   */
+  async findNearbyDrivers({ latitude, longitude, radiusKm, region, vehicleType, vehicleTypes, limit = 20 }) {
+    const allowedTypes = vehicleTypes || (vehicleType ? [vehicleType] : []);
+    const drivers = await this.searchAvailableDrivers({ latitude, longitude, radiusKm, region, limit, allowedTypes });
+
     return { drivers, count: drivers.length };
   }
 
+  /**
+   * Count ONLINE drivers with live presence within `radiusKm`, in two round trips
+   */
+  async countAvailableDrivers({ latitude, longitude, radiusKm, region }) {
+    const drivers = await this.searchAvailableDrivers({ latitude, longitude, radiusKm, region, limit: 0, allowedTypes: [] });
+    return drivers.length;
+  }
+
+  /**
+   * Every driver indexed within `radiusKm` of a point, nearest first, whatever their status
+   */
+  async findDriversWithin({ latitude, longitude, radiusKm, region }) {
+    const results = await this.redis.geosearch(
+      `drivers:locations:${region}`, 'FROMLONLAT', longitude, latitude, 'BYRADIUS', radiusKm, 'km', 'ASC', 'WITHDIST', 'WITHCOORD'
+    );
+
+    return results.map(([driverId, distance, [lng, lat]]) => ({
+      driverId,
+      distanceKm: parseFloat(distance),
+      latitude: parseFloat(lat),
+      longitude: parseFloat(lng)
+    }));
+  }
+
+  /**
+   * Meta of the drivers that can be offered rides: those with live presence who aren't
+   * suspended, read in one pipeline
+   * @returns Map of driverId to { status, vehicleType, heading, speed }
+   */
+  async getDispatchableDrivers(driverIds) {
+    if (driverIds.length === 0) return new Map();
+
+    const pipeline = this.redis.pipeline();
+    for (const driverId of driverIds) {
+      pipeline.exists(`driver:${driverId}:presence`);
+      pipeline.exists(`driver:${driverId}:suspended`);
+      pipeline.hmget(`driver:${driverId}:meta`, 'status', 'vehicleType', 'heading', 'speed');
+    }
+    const results = await pipeline.exec();
+    const failed = results.find(([err]) => err);
+    if (failed) throw failed[0];
+
+    const drivers = new Map();
+    driverIds.forEach((driverId, i) => {
+      const [[, present], [, suspended], [, [status, vehicleType, heading, speed]]] = results.slice(i * 3, i * 3 + 3);
+      if (!present || suspended) return;
+      drivers.set(driverId, {
+        status,
+        vehicleType: vehicleType || 'ECONOMY',
+        heading: parseFloat(heading) || 0,
+        speed: parseFloat(speed) || 0
+      });
+    });
+
+    return drivers;
+  }
+
+  /**
+   * Nearest-first drivers within a radius that have live presence, are ONLINE, aren't suspended
+   * and drive an allowed vehicle type (any, if `allowedTypes` is empty)
+   * @param limit - most drivers to return, 0 for all
+   */
+  async searchAvailableDrivers({ latitude, longitude, radiusKm, region, limit, allowedTypes }) {
+    const nearby = await this.findDriversWithin({ latitude, longitude, radiusKm, region });
+    const dispatchable = await this.getDispatchableDrivers(nearby.map((driver) => driver.driverId));
+
+    const drivers = [];
+    for (const driver of nearby) {
+      const meta = dispatchable.get(driver.driverId);
+      if (!meta || meta.status !== 'ONLINE') continue;
+      if (allowedTypes.length > 0 && !allowedTypes.includes(meta.vehicleType)) continue;
+
+      drivers.push({ ...driver, ...meta });
+      if (limit > 0 && drivers.length >= limit) break;
+    }
+
+    return drivers;
+  }
+
   /**
    * Update driver status (ONLINE, OFFLINE, ON_TRIP)
    */
@@ -109,6 +517,11 @@ class DriverLocationService {
     const metaKey = `driver:${driverId}:meta`;
     await this.redis.hset(metaKey, 'status', status);
 
+    // Only ONLINE drivers hold a queue position
+    if (status !== 'ONLINE') {
+      await queueZoneService.leaveQueue(driverId, status === 'ON_TRIP' ? 'DISPATCHED' : 'OFFLINE');
+    }
+
     await publishEvent(topics.DRIVER_STATUS_CHANGED, driverId, {
       driverId,
       status,
@@ -118,6 +531,88 @@ class DriverLocationService {
     return { driverId, status };
   }
 
+  /**
+   * Index the driver at `position` in `region`, moving them out of their previous region's
+   * index if it differs (see MOVE_DRIVER_SCRIPT)
+   * Pass a pipeline to move as part of a batched write
+   * @returns the previous region if the driver changed region, else null
+   */
+  moveDriver(driverId, region, { latitude, longitude }, redis = this.redis) {
+    const indexKey = `drivers:locations:${region}`;
+    const otherIndexKeys = regionIndexKeys().filter((key) => key !== indexKey);
+
+    return redis.eval(
+      MOVE_DRIVER_SCRIPT,
+      2 + otherIndexKeys.length,
+      `driver:${driverId}:meta`,
+      indexKey,
+      ...otherIndexKeys,
+      driverId,
+      longitude,
+      latitude,
+      region
+    );
+  }
+
+  /**
+   * Take drivers whose presence has expired out of the GEO indexes
+   * Drivers last seen more than DRIVER_PRESENCE_TTL ago are evicted (see EVICT_DRIVER_SCRIPT),
+   * leave any airport/venue queue, and get a `driver.status.changed` OFFLINE event.
+   * @returns { evicted: [{ driverId, region, previousStatus }] }
+   */
+  async evictStaleDrivers({ now = Date.now(), limit = config.DRIVER_EVICTION_BATCH_SIZE } = {}) {
+    const cutoff = now - config.DRIVER_PRESENCE_TTL * 1000;
+    const driverIds = await this.redis.zrangebyscore(LAST_SEEN_KEY, '-inf', cutoff, 'LIMIT', 0, limit);
+    const indexKeys = regionIndexKeys();
+    const evicted = [];
+
+    for (const driverId of driverIds) {
+      const result = await this.redis.eval(
+        EVICT_DRIVER_SCRIPT,
+        4 + indexKeys.length,
+        LAST_SEEN_KEY,
+        `driver:${driverId}:meta`,
+        EVICTIONS_KEY,
+        `driver:${driverId}:presence`,
+        ...indexKeys,
+        driverId,
+        cutoff,
+        config.DEFAULT_REGION
+      );
+      if (!result) continue;
+
+      const [region, previousStatus] = result;
+      evicted.push({ driverId, region, previousStatus: previousStatus || null });
+      if (previousStatus === 'ON_TRIP') continue;
+
+      await queueZoneService.leaveQueue(driverId, 'OFFLINE');
+      await publishEvent(topics.DRIVER_STATUS_CHANGED, driverId, {
+        driverId,
+        status: 'OFFLINE',
+        previousStatus: previousStatus || null,
+        reason: 'PRESENCE_EXPIRED',
+        timestamp: new Date(now).toISOString()
+      });
+    }
+
+    return { evicted };
+  }
+
+  /**
+   * Drivers evicted for expired presence, in total and by region, since the counts began
+   */
+  async getEvictionStats() {
+    const counts = await this.redis.hgetall(EVICTIONS_KEY);
+    const byRegion = Object.fromEntries(
+      Object.entries(counts).map(([region, count]) => [region, parseInt(count)])
+    );
+
+    return {
+      total: Object.values(byRegion).reduce((sum, count) => sum + count, 0),
+      byRegion
+    };
+  }
+
   /**
    * Check if driver is online (has recent location updates)
    */
@@ -128,14 +623,16 @@ class DriverLocationService {
 
   /**
    * Get driver's current location
+   * Looks in the driver's current region, or only in `region` if given
    */
-  async getDriverLocation(driverId, region = 'bangalore') {
-    const geoKey = `drivers:locations:${region}`;
-    const position = await this.redis.geopos(geoKey, driverId);
+  async getDriverLocation(driverId, region) {
+    const meta = await this.redis.hgetall(`driver:${driverId}:meta`);
+    const currentRegion = meta.region || config.DEFAULT_REGION;
+    if (region && region !== currentRegion) return null;
 
-    if (!position[0]) return null;
+    const position = await this.redis.geopos(`drivers:locations:${currentRegion}`, driverId);
 
-    const meta = await this.redis.hgetall(`driver:${driverId}:meta`);
+    if (!position[0]) return null;
 
     return {
       driverId,
@@ -0,0 +1,159 @@
+const { query } = require('../db/postgres');
+const config = require('../config');
+const { calculateBearing } = require('../utils/geo.utils');
+
+const DEFAULT_RATING = 5.0;
+const DEFAULT_ACCEPTANCE_RATE = 100.0;
+const RATING_BASELINE = 4.0;
+
+/**
+ * Weighted scorer (docs/LLD-Dispatch.md §3.1)
+ * Returns the total score plus the contribution of each factor
+ */
+const weightedScorer = (candidate, { pickup, tier, weights }) => {
+  const distance = -candidate.distanceKm * weights.distance;
+
+  let tierScore = 0;
+  if (candidate.vehicleType === tier) {
+    tierScore = weights.tierMatch;
+  } else if (canUpgrade(candidate.vehicleType, tier)) {
+    tierScore = weights.tierUpgrade;
+  }
+
+  const rating = (candidate.rating - RATING_BASELINE) * weights.rating;
+  const acceptanceRate = (candidate.acceptanceRate / 100) * weights.acceptanceRate;
+
+  // Only a moving driver has a meaningful heading; alignment ranges from -1 (away) to 1 (toward)
+  let heading = 0;
+  if (candidate.speed > 0 && candidate.distanceKm > 0) {
+    const bearingToPickup = calculateBearing(
+      candidate.latitude,
+      candidate.longitude,
+      pickup.lat,
+      pickup.lng,
+    );
+    const diff = ((candidate.heading - bearingToPickup) * Math.PI) / 180;
+    heading = Math.cos(diff) * weights.heading;
+  }
+
+  const breakdown = {
+    base: 100,
+    distance: round(distance),
+    tier: round(tierScore),
+    rating: round(rating),
+    acceptanceRate: round(acceptanceRate),
+    heading: round(heading),
+  };
+
+  const total = Object.values(breakdown).reduce((sum, v) => sum + v, 0);
+
+  return { score: round(Math.max(0, total)), breakdown };
+};
+
+/**
+ * Whether a vehicle type may serve a requested tier as an upgrade
+ */
+const canUpgrade = (vehicleType, tier) =>
+  (config.TIER_UPGRADES[tier] || []).includes(vehicleType);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class DriverScoringService {
+  constructor() {
+    this.scorers = new Map();
+    this.registerScorer('weighted', weightedScorer);
+  }
+
+  /**
+   * Register a scorer: (candidate, context) => { score, breakdown }
+   */
+  registerScorer(name, scorer) {
+    this.scorers.set(name, scorer);
+  }
+
+  /**
+   * Get the scoring weights for a region (region overrides merged over defaults)
+   */
+  getWeights(region) {
+    return {
+      ...config.DISPATCH_SCORING_WEIGHTS,
+      ...(config.DISPATCH_REGION_SCORING_WEIGHTS[region] || {}),
+    };
+  }
+
+  /**
+   * Vehicle types that can serve a tier (exact match first, then upgrades)
+   */
+  getEligibleVehicleTypes(tier) {
+    return [tier, ...(config.TIER_UPGRADES[tier] || [])];
+  }
+
+  /**
+   * Load rating and acceptance rate for candidate drivers
+   */
+  async loadDriverProfiles(driverIds) {
+    if (driverIds.length === 0) return new Map();
+
+    const result = await query(
+      `SELECT id, rating, acceptance_rate FROM drivers WHERE id::text = ANY($1)`,
+      [driverIds],
+    );
+
+    return new Map(
+      result.rows.map((row) => [
+        row.id,
+        {
+          rating: parseFloat(row.rating),
+          acceptanceRate: parseFloat(row.acceptance_rate),
+        },
+      ]),
+    );
+  }
+
+  /**
+   * Score a single candidate
+   */
+  scoreDriver(candidate, { pickup, tier, region }) {
+    const scorer =
+      this.scorers.get(config.DISPATCH_SCORER) || this.scorers.get('weighted');
+
+    return scorer(candidate, {
+      pickup,
+      tier,
+      region,
+      weights: this.getWeights(region),
+    });
+  }
+
+  /**
+   * Rank nearby drivers for a ride request, best first
+   */
+  async rankDrivers(drivers, { pickup, tier, region }) {
+    const profiles = await this.loadDriverProfiles(
+      drivers.map((d) => d.driverId),
+    );
+
+    const ranked = drivers.map((driver) => {
+      const profile = profiles.get(driver.driverId) || {};
+      const candidate = {
+        ...driver,
+        rating: profile.rating ?? DEFAULT_RATING,
+        acceptanceRate: profile.acceptanceRate ?? DEFAULT_ACCEPTANCE_RATE,
+      };
+      const { score, breakdown } = this.scoreDriver(candidate, {
+        pickup,
+        tier,
+        region,
+      });
+
+      return { ...candidate, score, scoreBreakdown: breakdown };
+    });
+
+    // Ties go to the nearer driver
+    ranked.sort((a, b) => b.score - a.score || a.distanceKm - b.distanceKm);
+
+    return ranked;
+  }
+}
+
+module.exports = new DriverScoringService();
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { AppError } = require('../middleware/error-handler');
+
+const encode = (value) =>
+  Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const sign = (payload) =>
+  crypto
+    .createHmac('sha256', config.FARE_QUOTE_SECRET)
+    .update(payload)
+    .digest('base64url');
+
+// Coordinates are compared at ~10cm precision so float noise doesn't void a quote
+const samePoint = (a, b) =>
+  Math.abs(a.lat - b.lat) < 1e-6 && Math.abs(a.lng - b.lng) < 1e-6;
+
+const sameRoute = (a, b) =>
+  a.length === b.length && a.every((point, i) => samePoint(point, b[i]));
+
+class FareQuoteService {
+  /**
+   * Fare rates in effect now; quotes and rides lock these so later config changes don't apply
+   */
+  getFareRates() {
+    return {
+      baseFare: config.FARE_BASE,
+      perKm: config.FARE_PER_KM,
+      perMinute: config.FARE_PER_MINUTE,
+    };
+  }
+
+  /**
+   * Sign a quote. The returned quote ID carries the quote itself, so nothing is stored
+   * @returns `${base64url(quote)}.${hmac}`
+   */
+  issueQuote(quote) {
+    const payload = encode(quote);
+    return `${payload}.${sign(payload)}`;
+  }
+
+  /**
+   * Decode a quote ID, rejecting tampered and expired quotes
+   */
+  verifyQuote(quoteId, now = Date.now()) {
+    const [payload, signature, ...rest] = String(quoteId).split('.');
+    const expected = payload ? sign(payload) : '';
+
+    if (
+      !signature ||
+      rest.length > 0 ||
+      signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    ) {
+      throw new AppError('Fare quote is invalid', 400, 'INVALID_QUOTE');
+    }
+
+    let quote;
+    try {
+      quote = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    } catch (err) {
+      throw new AppError('Fare quote is invalid', 400, 'INVALID_QUOTE');
+    }
+
+    if (new Date(quote.expiresAt).getTime() <= now) {
+      throw new AppError(
+        'Fare quote has expired, request a new one',
+        400,
+        'QUOTE_EXPIRED',
+      );
+    }
+
+    return quote;
+  }
+
+  /**
+   * Reject a quote used for another rider, route or tier than it was issued for
+   */
+  assertMatchesRide(quote, { riderId, pickup, destination, stops, tier }) {
+    const matches =
+      quote.riderId === riderId &&
+      quote.tier === tier &&
+      sameRoute(
+        [quote.pickup, ...quote.stops, quote.destination],
+        [pickup, ...stops, destination],
+      );
+
+    if (!matches) {
+      throw new AppError(
+        'Fare quote does not match this ride request',
+        400,
+        'QUOTE_MISMATCH',
+      );
+    }
+  }
+}
+
+module.exports = new FareQuoteService();
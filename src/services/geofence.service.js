@@ -0,0 +1,321 @@
+const { v4: uuidv4 } = require('uuid');
+const { query } = require('../db/postgres');
+const config = require('../config');
+const {
+  calculateDistance,
+  isPointInPolygon,
+  latLngToGeoCell,
+  polygonToGeoCells,
+} = require('../utils/geo.utils');
+const { AppError } = require('../middleware/error-handler');
+const regionService = require('./region.service');
+
+const GEOFENCE_TYPE = {
+  AIRPORT: 'AIRPORT',
+  RESTRICTED: 'RESTRICTED',
+  NO_PICKUP: 'NO_PICKUP',
+  EVENT_VENUE: 'EVENT_VENUE',
+};
+
+// Fence types riders can't be picked up in, unless the fence has designated pickup points
+const PICKUP_RESTRICTED_TYPES = [
+  GEOFENCE_TYPE.RESTRICTED,
+  GEOFENCE_TYPE.NO_PICKUP,
+];
+
+const boundingBox = (polygon) => ({
+  minLat: Math.min(...polygon.map((p) => p.lat)),
+  maxLat: Math.max(...polygon.map((p) => p.lat)),
+  minLng: Math.min(...polygon.map((p) => p.lng)),
+  maxLng: Math.max(...polygon.map((p) => p.lng)),
+});
+
+const contains = ({ fence, bbox }, lat, lng) =>
+  lat >= bbox.minLat &&
+  lat <= bbox.maxLat &&
+  lng >= bbox.minLng &&
+  lng <= bbox.maxLng &&
+  isPointInPolygon(lat, lng, fence.polygon);
+
+/**
+ * Spatial index over fences: every H3 cell (at GEOFENCE_INDEX_RESOLUTION) a fence overlaps
+ * lists that fence, so a point is only tested against the fences of its own cell
+ */
+const buildIndex = (fences) => {
+  const cells = new Map();
+  const byId = new Map();
+
+  for (const fence of fences) {
+    const entry = { fence, bbox: boundingBox(fence.polygon) };
+    byId.set(fence.id, fence);
+
+    for (const cell of polygonToGeoCells(
+      fence.polygon,
+      config.GEOFENCE_INDEX_RESOLUTION,
+    )) {
+      if (!cells.has(cell)) cells.set(cell, []);
+      cells.get(cell).push(entry);
+    }
+  }
+
+  return { cells, fences: byId };
+};
+
+const lookup = (index, lat, lng) => {
+  const entries =
+    index.cells.get(
+      latLngToGeoCell(lat, lng, config.GEOFENCE_INDEX_RESOLUTION),
+    ) || [];
+  return entries
+    .filter((entry) => contains(entry, lat, lng))
+    .map(({ fence }) => fence);
+};
+
+class GeofenceService {
+  constructor() {
+    this.index = null;
+    this.indexLoadedAt = 0;
+  }
+
+  /**
+   * Define a geofence; its region is the one containing the polygon
+   */
+  async createGeofence({ name, type, polygon, pickupPoints = [] }) {
+    const geofenceId = uuidv4();
+    const region = regionService.resolveRegion(
+      polygon[0].lat,
+      polygon[0].lng,
+    ).id;
+
+    const result = await query(
+      `INSERT INTO geofences (id, name, type, region, polygon, pickup_points)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [
+        geofenceId,
+        name,
+        type,
+        region,
+        JSON.stringify(polygon),
+        JSON.stringify(pickupPoints),
+      ],
+    );
+
+    this.index = null;
+    return this.formatGeofence(result.rows[0]);
+  }
+
+  /**
+   * Change an active geofence; fields left out keep their value
+   */
+  async updateGeofence(geofenceId, { name, type, polygon, pickupPoints }) {
+    const region = polygon
+      ? regionService.resolveRegion(polygon[0].lat, polygon[0].lng).id
+      : null;
+
+    const result = await query(
+      `UPDATE geofences
+       SET name = COALESCE($2, name), type = COALESCE($3, type), region = COALESCE($4, region),
+           polygon = COALESCE($5::jsonb, polygon), pickup_points = COALESCE($6::jsonb, pickup_points),
+           updated_at = NOW()
+       WHERE id = $1 AND active
+       RETURNING *`,
+      [
+        geofenceId,
+        name || null,
+        type || null,
+        region,
+        polygon ? JSON.stringify(polygon) : null,
+        pickupPoints ? JSON.stringify(pickupPoints) : null,
+      ],
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Geofence not found', 404, 'NOT_FOUND');
+    }
+
+    this.index = null;
+    return this.formatGeofence(result.rows[0]);
+  }
+
+  /**
+   * Deactivate a geofence
+   * Drivers inside it get an exit event with their next location update.
+   */
+  async deleteGeofence(geofenceId) {
+    const result = await query(
+      `UPDATE geofences SET active = FALSE, updated_at = NOW()
+       WHERE id = $1 AND active
+       RETURNING id`,
+      [geofenceId],
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Geofence not found', 404, 'NOT_FOUND');
+    }
+
+    this.index = null;
+    return { id: geofenceId, active: false };
+  }
+
+  async getGeofence(geofenceId) {
+    const result = await query(
+      `SELECT * FROM geofences WHERE id = $1 AND active`,
+      [geofenceId],
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Geofence not found', 404, 'NOT_FOUND');
+    }
+
+    return this.formatGeofence(result.rows[0]);
+  }
+
+  /**
+   * Active geofences, optionally of one region and/or type
+   */
+  async listGeofences({ region, type } = {}) {
+    const result = await query(
+      `SELECT * FROM geofences
+       WHERE active AND ($1::text IS NULL OR region = $1) AND ($2::text IS NULL OR type = $2)
+       ORDER BY created_at`,
+      [region || null, type || null],
+    );
+
+    return result.rows.map((row) => this.formatGeofence(row));
+  }
+
+  /**
+   * Index over the active geofences, cached per instance for GEOFENCE_CACHE_TTL since every
+   * location update and ride request checks it
+   */
+  async getIndex({ refresh = false } = {}) {
+    if (
+      refresh ||
+      !this.index ||
+      Date.now() - this.indexLoadedAt > config.GEOFENCE_CACHE_TTL
+    ) {
+      const result = await query(`SELECT * FROM geofences WHERE active`);
+      this.loadGeofences(result.rows);
+    }
+
+    return this.index;
+  }
+
+  /**
+   * Replace the cached index with geofence rows
+   */
+  loadGeofences(rows) {
+    this.index = buildIndex(rows.map((row) => this.formatGeofence(row)));
+    this.indexLoadedAt = Date.now();
+    return this.index;
+  }
+
+  /**
+   * Geofences containing the point
+   */
+  async findGeofencesAt(lat, lng) {
+    return lookup(await this.getIndex(), lat, lng);
+  }
+
+  /**
+   * Fences a driver entered and exited by moving to a point
+   * @param previousIds - ids of the fences they were in (comma-joined, as kept in driver meta)
+   * @returns { ids, inside, entered, exited }: `ids` to keep for the next ping; exited fences
+   * that have since been deleted are given by id only
+   */
+  crossGeofences(index, previousIds, lat, lng) {
+    const previous = previousIds ? previousIds.split(',') : [];
+    const current = lookup(index, lat, lng);
+    const currentIds = current.map((fence) => fence.id);
+
+    return {
+      ids: currentIds.join(','),
+      inside: current,
+      entered: current.filter((fence) => !previous.includes(fence.id)),
+      exited: previous
+        .filter((id) => !currentIds.includes(id))
+        .map((id) => index.fences.get(id) || { id, name: null, type: null }),
+    };
+  }
+
+  /**
+   * Where a ride requested at `pickup` is picked up
+   * Pickups inside a fence with designated pickup points move to the named point, or the
+   * nearest one; pickups inside restricted or no-pickup fences without points are rejected.
+   * @returns { pickup, pickupRedirect } where pickupRedirect is null if the pickup stands
+   */
+  async resolvePickup(pickup, pickupPointName) {
+    const fences = await this.findGeofencesAt(pickup.lat, pickup.lng);
+    const points = fences.flatMap((fence) =>
+      fence.pickupPoints.map((point) => ({ fence, point })),
+    );
+
+    if (pickupPointName) {
+      const chosen = points.find(({ point }) => point.name === pickupPointName);
+      if (!chosen) {
+        throw new AppError(
+          `No pickup point named ${pickupPointName} here`,
+          400,
+          'INVALID_PICKUP_POINT',
+        );
+      }
+      return this.redirectPickup(pickup, chosen);
+    }
+
+    if (points.length > 0) {
+      const distance = ({ point }) =>
+        calculateDistance(pickup.lat, pickup.lng, point.lat, point.lng);
+      const nearest = points.reduce((best, candidate) =>
+        distance(candidate) < distance(best) ? candidate : best,
+      );
+      return this.redirectPickup(pickup, nearest);
+    }
+
+    const restricted = fences.find((fence) =>
+      PICKUP_RESTRICTED_TYPES.includes(fence.type),
+    );
+    if (restricted) {
+      throw new AppError(
+        `Pickups are not allowed in ${restricted.name}`,
+        400,
+        'PICKUP_RESTRICTED',
+      );
+    }
+
+    return { pickup, pickupRedirect: null };
+  }
+
+  redirectPickup(requestedPickup, { fence, point }) {
+    return {
+      pickup: { lat: point.lat, lng: point.lng },
+      pickupRedirect: {
+        geofenceId: fence.id,
+        geofenceName: fence.name,
+        pickupPoint: point.name,
+        requestedPickup,
+      },
+    };
+  }
+
+  /**
+   * API view of a geofence
+   */
+  formatGeofence(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      type: row.type,
+      region: row.region,
+      polygon: row.polygon,
+      pickupPoints: row.pickup_points || [],
+      active: row.active,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+}
+
+module.exports = new GeofenceService();
+module.exports.GeofenceService = GeofenceService;
+module.exports.GEOFENCE_TYPE = GEOFENCE_TYPE;
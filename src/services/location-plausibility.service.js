@@ -0,0 +1,170 @@
+const { getRedisClient } = require('../db/redis');
+const config = require('../config');
+const { calculateDistance } = require('../utils/geo.utils');
+const { publishEvent } = require('../events/kafka-producer');
+const topics = require('../events/topics');
+
+const ANOMALY = {
+  TIMESTAMP_REGRESSION: 'TIMESTAMP_REGRESSION',
+  IMPLIED_SPEED: 'IMPLIED_SPEED',
+  IMPOSSIBLE_JUMP: 'IMPOSSIBLE_JUMP',
+  EXACT_REPEAT: 'EXACT_REPEAT',
+};
+
+// Recent quarantined pings of a driver, newest first, for review
+const quarantineKey = (driverId) => `driver:${driverId}:quarantine`;
+// Violations within the current LOCATION_ANOMALY_WINDOW
+const anomalyCountKey = (driverId) => `driver:${driverId}:anomalies`;
+// Present while the driver is barred from dispatch (checked by nearby search and queue zones)
+const suspendedKey = (driverId) => `driver:${driverId}:suspended`;
+
+const QUARANTINE_MAX_ENTRIES = 100;
+
+class LocationPlausibilityService {
+  constructor() {
+    this.redis = getRedisClient();
+  }
+
+  /**
+   * The last accepted ping from a driver's meta hash, or null before their first ping
+   * Pings are compared raw; the indexed position (lastLat/lastLng) may be smoothed.
+   */
+  previousFromMeta({
+    rawLat,
+    rawLng,
+    lastLat,
+    lastLng,
+    lastUpdate,
+    exactRepeats,
+  }) {
+    const latitude = rawLat || lastLat;
+    const longitude = rawLng || lastLng;
+    if (!latitude || !longitude || !lastUpdate) return null;
+
+    return {
+      latitude: parseFloat(latitude),
+      longitude: parseFloat(longitude),
+      timestampMs: Date.parse(lastUpdate),
+      exactRepeats: parseInt(exactRepeats) || 0,
+    };
+  }
+
+  /**
+   * Compare a ping ({ latitude, longitude, timestampMs }) with the driver's previous accepted one
+   * - TIMESTAMP_REGRESSION: older than the previous ping
+   * - IMPOSSIBLE_JUMP: a different place at the same instant, or faster than LOCATION_TELEPORT_SPEED_KMH
+   * - IMPLIED_SPEED: faster than LOCATION_MAX_SPEED_KMH
+   * - EXACT_REPEAT: the same coordinates more than LOCATION_MAX_EXACT_REPEATS times in a row;
+   *   real fixes jitter in the last decimals even when parked. Repeats whose reported speed
+   *   keeps them within LOCATION_GPS_ACCURACY_KM are a parked device and aren't counted.
+   * Speeds are judged on distance beyond LOCATION_GPS_ACCURACY_KM, so GPS error between
+   * closely spaced pings isn't mistaken for movement.
+   * @returns { reasons, exactRepeats } - the ping is suspicious if `reasons` is non-empty
+   */
+  check(previous, ping) {
+    if (!previous) return { reasons: [], exactRepeats: 0 };
+
+    const reasons = [];
+    const seconds = (ping.timestampMs - previous.timestampMs) / 1000;
+    const distanceKm = calculateDistance(
+      previous.latitude,
+      previous.longitude,
+      ping.latitude,
+      ping.longitude,
+    );
+    const movedKm = Math.max(0, distanceKm - config.LOCATION_GPS_ACCURACY_KM);
+
+    if (seconds < 0) {
+      reasons.push(ANOMALY.TIMESTAMP_REGRESSION);
+    } else if (movedKm > 0) {
+      const speedKmh = seconds === 0 ? Infinity : movedKm / (seconds / 3600);
+      if (speedKmh > config.LOCATION_TELEPORT_SPEED_KMH) {
+        reasons.push(ANOMALY.IMPOSSIBLE_JUMP);
+      } else if (speedKmh > config.LOCATION_MAX_SPEED_KMH) {
+        reasons.push(ANOMALY.IMPLIED_SPEED);
+      }
+    }
+
+    const isRepeat =
+      ping.latitude === previous.latitude &&
+      ping.longitude === previous.longitude;
+    // A device reporting it hasn't moved beyond GPS error may hold its fix while parked
+    const stationary =
+      ping.speed != null &&
+      (ping.speed * seconds) / 3600 <= config.LOCATION_GPS_ACCURACY_KM;
+    const exactRepeats =
+      isRepeat && !stationary ? previous.exactRepeats + 1 : 0;
+    if (exactRepeats > config.LOCATION_MAX_EXACT_REPEATS) {
+      reasons.push(ANOMALY.EXACT_REPEAT);
+    }
+
+    return { reasons, exactRepeats };
+  }
+
+  /**
+   * Keep suspicious pings out of the location indexes, count them against the driver, and once
+   * LOCATION_ANOMALY_THRESHOLD violations fall within LOCATION_ANOMALY_WINDOW, publish
+   * `driver.location.anomaly` (and bar the driver from dispatch if LOCATION_ANOMALY_SUSPEND)
+   * @param quarantined - [{ latitude, longitude, timestamp, reasons }]
+   * @returns { violations, flagged, suspended }
+   */
+  async quarantine(driverId, quarantined) {
+    const receivedAt = new Date().toISOString();
+    const results = await this.redis
+      .pipeline()
+      .lpush(
+        quarantineKey(driverId),
+        ...quarantined.map((ping) =>
+          JSON.stringify({
+            latitude: ping.latitude,
+            longitude: ping.longitude,
+            timestamp: ping.timestamp,
+            reasons: ping.reasons,
+            receivedAt,
+          }),
+        ),
+      )
+      .ltrim(quarantineKey(driverId), 0, QUARANTINE_MAX_ENTRIES - 1)
+      .expire(quarantineKey(driverId), config.LOCATION_QUARANTINE_TTL)
+      .incrby(anomalyCountKey(driverId), quarantined.length)
+      .expire(anomalyCountKey(driverId), config.LOCATION_ANOMALY_WINDOW, 'NX')
+      .exec();
+    const failed = results.find(([err]) => err);
+    if (failed) throw failed[0];
+
+    const violations = results[3][1];
+    const before = violations - quarantined.length;
+    // Raise once per window, when the count first reaches the threshold
+    const flagged =
+      before < config.LOCATION_ANOMALY_THRESHOLD &&
+      violations >= config.LOCATION_ANOMALY_THRESHOLD;
+
+    if (!flagged) {
+      return { violations, flagged, suspended: false };
+    }
+
+    const suspended = config.LOCATION_ANOMALY_SUSPEND;
+    if (suspended) {
+      await this.redis.set(
+        suspendedKey(driverId),
+        'LOCATION_ANOMALY',
+        'EX',
+        config.LOCATION_SUSPENSION_TTL,
+      );
+    }
+
+    await publishEvent(topics.DRIVER_LOCATION_ANOMALY, driverId, {
+      driverId,
+      violations,
+      windowSeconds: config.LOCATION_ANOMALY_WINDOW,
+      reasons: [...new Set(quarantined.flatMap((ping) => ping.reasons))],
+      suspended,
+      suspendedForSeconds: suspended ? config.LOCATION_SUSPENSION_TTL : null,
+    });
+
+    return { violations, flagged, suspended };
+  }
+}
+
+module.exports = new LocationPlausibilityService();
+module.exports.ANOMALY = ANOMALY;
@@ -0,0 +1,113 @@
+const config = require('../config');
+const routingService = require('./routing.service');
+
+const METERS_PER_DEGREE_LAT = 111320;
+const metersPerDegreeLng = (lat) =>
+  METERS_PER_DEGREE_LAT * Math.cos((lat * Math.PI) / 180);
+
+class LocationSmoothingService {
+  /**
+   * Filter parameters for a region: LOCATION_SMOOTHING with its LOCATION_REGION_SMOOTHING overrides
+   */
+  paramsFor(region) {
+    return {
+      ...config.LOCATION_SMOOTHING,
+      ...(config.LOCATION_REGION_SMOOTHING[region] || {}),
+    };
+  }
+
+  /**
+   * The filter state from a driver's meta hash, or null before their first ping
+   */
+  stateFromMeta({ filterLat, filterLng, filterVariance, lastUpdate }) {
+    if (!filterLat || !filterLng || !lastUpdate) return null;
+
+    return {
+      latitude: parseFloat(filterLat),
+      longitude: parseFloat(filterLng),
+      variance: parseFloat(filterVariance) || 0,
+      timestampMs: Date.parse(lastUpdate),
+    };
+  }
+
+  /**
+   * One step of a Kalman filter over position, variance in m²
+   * The prediction dead-reckons from the ping's heading and speed (km/h) when `useHeading`
+   * and the driver is moving; otherwise the driver is expected where they were. The estimate
+   * then moves toward the ping in proportion to how much the prediction is trusted against
+   * the ping's `accuracy` (m, else `gpsAccuracyM`).
+   * State older than `resetAfterSeconds`, or none, restarts at the ping.
+   * @returns { latitude, longitude, variance, timestampMs }
+   */
+  filter(state, ping, params) {
+    const accuracyM = ping.accuracy || params.gpsAccuracyM;
+    const measurementVariance = accuracyM * accuracyM;
+    const seconds = state ? (ping.timestampMs - state.timestampMs) / 1000 : 0;
+
+    if (!state || seconds < 0 || seconds > params.resetAfterSeconds) {
+      return {
+        latitude: ping.latitude,
+        longitude: ping.longitude,
+        variance: measurementVariance,
+        timestampMs: ping.timestampMs,
+      };
+    }
+
+    let { latitude, longitude } = state;
+    if (params.useHeading && ping.speed > 0 && ping.heading !== undefined) {
+      const meters = (ping.speed / 3.6) * seconds;
+      const radians = (ping.heading * Math.PI) / 180;
+      latitude += (meters * Math.cos(radians)) / METERS_PER_DEGREE_LAT;
+      longitude += (meters * Math.sin(radians)) / metersPerDegreeLng(latitude);
+    }
+
+    const predictedVariance =
+      state.variance + (params.processNoiseMps * seconds) ** 2;
+    const gain = predictedVariance / (predictedVariance + measurementVariance);
+
+    return {
+      latitude: latitude + gain * (ping.latitude - latitude),
+      longitude: longitude + gain * (ping.longitude - longitude),
+      variance: (1 - gain) * predictedVariance,
+      timestampMs: ping.timestampMs,
+    };
+  }
+
+  /**
+   * Where to place a driver for a ping: the filtered position, snapped to the nearest road
+   * within `snapMaxM` (preferring roads running the driver's heading) when `snapToRoad` and
+   * a road graph is loaded. With smoothing disabled for the region, the raw ping is used and
+   * the filter restarts from it.
+   * @param ping - { latitude, longitude, timestampMs, heading?, speed?, accuracy? }
+   * @returns { latitude, longitude, snapped, filter } - `filter` is the state to keep for the next ping
+   */
+  smooth(state, ping, region) {
+    const params = this.paramsFor(region);
+    const filter = this.filter(params.enabled ? state : null, ping, params);
+    if (!params.enabled) {
+      return {
+        latitude: ping.latitude,
+        longitude: ping.longitude,
+        snapped: false,
+        filter,
+      };
+    }
+
+    const road =
+      params.snapToRoad &&
+      routingService.snapToRoad(filter.latitude, filter.longitude, {
+        maxDistanceKm: params.snapMaxM / 1000,
+        heading: ping.speed > 0 ? ping.heading : undefined,
+        headingToleranceDeg: params.snapHeadingToleranceDeg,
+      });
+
+    return {
+      latitude: road ? road.lat : filter.latitude,
+      longitude: road ? road.lng : filter.longitude,
+      snapped: Boolean(road),
+      filter,
+    };
+  }
+}
+
+module.exports = new LocationSmoothingService();
@@ -0,0 +1,120 @@
+const { getRedisClient, subscribe } = require('../db/redis');
+const { query } = require('../db/postgres');
+
+// Pub/sub channel that wakes a driver's open offer polls when their offers change
+const offerChannel = (driverId) => `offers:driver:${driverId}`;
+
+const toNumber = (value) => (value === null ? null : parseFloat(value));
+
+/**
+ * What the driver app needs to show and answer an offer
+ */
+const formatOffer = (row) => ({
+  offerId: row.id,
+  rideId: row.ride_request_id,
+  tier: row.tier,
+  dispatchMode: row.dispatch_mode,
+  pickup: {
+    lat: parseFloat(row.pickup_lat),
+    lng: parseFloat(row.pickup_lng),
+    address: row.pickup_address,
+  },
+  destination: {
+    lat: parseFloat(row.destination_lat),
+    lng: parseFloat(row.destination_lng),
+    address: row.destination_address,
+  },
+  estimatedFare: toNumber(row.estimated_fare),
+  estimatedDistanceKm: toNumber(row.estimated_distance_km),
+  estimatedDurationMinutes: toNumber(row.estimated_duration_minutes),
+  offeredAt: row.offered_at,
+  deliveredAt: row.delivered_at,
+  expiresAt: row.expires_at,
+});
+
+class OfferDeliveryService {
+  constructor() {
+    this.redis = getRedisClient();
+    this.waiters = new Set();
+  }
+
+  /**
+   * Wake the driver's open polls, on any instance, after an offer is created or withdrawn
+   */
+  async notifyDriver(driverId, update) {
+    await this.redis.publish(
+      offerChannel(driverId),
+      JSON.stringify({ driverId, ...update }),
+    );
+  }
+
+  /**
+   * Offers the driver can still answer, oldest first
+   */
+  async getOpenOffers(driverId) {
+    const result = await query(
+      `SELECT o.id, o.ride_request_id, o.offered_at, o.delivered_at, o.expires_at,
+              r.tier, r.dispatch_mode, r.pickup_lat, r.pickup_lng, r.pickup_address,
+              r.destination_lat, r.destination_lng, r.destination_address,
+              r.estimated_fare, r.estimated_distance_km, r.estimated_duration_minutes
+       FROM driver_offers o
+       JOIN ride_requests r ON r.id = o.ride_request_id
+       WHERE o.driver_id = $1 AND o.status = 'PENDING' AND o.expires_at > NOW()
+         AND r.status = 'MATCHING'
+       ORDER BY o.offered_at`,
+      [driverId],
+    );
+
+    return result.rows.map(formatOffer);
+  }
+
+  /**
+   * Long-poll for offers. Returns the driver's open offers as soon as one of them is
+   * undelivered, when an offer is created or withdrawn, or after `waitMs`.
+   * Aborting `signal` (the driver disconnected) returns early with no read.
+   */
+  async waitForOffers(driverId, { waitMs = 0, signal } = {}) {
+    const hasUndelivered = (offers) =>
+      offers.some((offer) => offer.deliveredAt === null);
+
+    let offers = await this.getOpenOffers(driverId);
+    if (waitMs <= 0 || hasUndelivered(offers)) return offers;
+
+    let wake;
+    const woken = new Promise((resolve) => {
+      wake = resolve;
+    });
+    const unsubscribe = await subscribe(offerChannel(driverId), () => wake());
+
+    try {
+      // An offer created before the subscription took effect would not wake us
+      offers = await this.getOpenOffers(driverId);
+      if (hasUndelivered(offers)) return offers;
+
+      const timer = setTimeout(wake, waitMs);
+      signal?.addEventListener('abort', wake, { once: true });
+      this.waiters.add(wake);
+
+      await woken;
+
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', wake);
+      this.waiters.delete(wake);
+
+      return signal?.aborted ? [] : this.getOpenOffers(driverId);
+    } finally {
+      await unsubscribe();
+    }
+  }
+
+  /**
+   * Release every open poll (graceful shutdown)
+   */
+  close() {
+    for (const wake of [...this.waiters]) {
+      wake();
+    }
+  }
+}
+
+module.exports = new OfferDeliveryService();
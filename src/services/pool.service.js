@@ -0,0 +1,430 @@
+const { v4: uuidv4 } = require('uuid');
+const { query } = require('../db/postgres');
+const config = require('../config');
+const { calculateDistance } = require('../utils/geo.utils');
+const driverLocationService = require('./driver-location.service');
+const driverScoringService = require('./driver-scoring.service');
+const { AppError } = require('../middleware/error-handler');
+
+const STOP_TYPE = {
+  PICKUP: 'PICKUP',
+  DROPOFF: 'DROPOFF',
+};
+
+const distanceBetween = (a, b) => calculateDistance(a.lat, a.lng, b.lat, b.lng);
+
+/**
+ * Cumulative route distance at each stop (km), starting from `origin`
+ */
+const cumulativeDistances = (origin, stops) => {
+  const distances = [];
+  let total = 0;
+  let previous = origin;
+
+  for (const stop of stops) {
+    total += distanceBetween(previous, stop);
+    distances.push(total);
+    previous = stop;
+  }
+
+  return distances;
+};
+
+/**
+ * Per ride on a route (km), keyed by ride id:
+ * `arrival` - distance from the origin until the ride is dropped off
+ * `inCar` - distance the rider spends on board (from the origin if already on board)
+ */
+const rideDistances = (origin, stops) => {
+  const at = cumulativeDistances(origin, stops);
+  const pickedUpAt = {};
+  const arrival = {};
+  const inCar = {};
+
+  stops.forEach((stop, i) => {
+    if (stop.type === STOP_TYPE.PICKUP) {
+      pickedUpAt[stop.rideId] = at[i];
+    } else {
+      arrival[stop.rideId] = at[i];
+      inCar[stop.rideId] = at[i] - (pickedUpAt[stop.rideId] || 0);
+    }
+  });
+
+  return { arrival, inCar };
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+class PoolService {
+  /**
+   * Fit a new ride into a pool's remaining stops
+   * Existing stops keep their order; every pickup/dropoff position is tried and the
+   * shortest route within the detour limits wins. Returns null if none fits.
+   * Limits: neither the way to the new pickup nor any co-rider's dropoff is pushed back
+   * by more than POOL_MAX_DETOUR_KM, and no rider still to be picked up rides more than
+   * (1 + POOL_MAX_DETOUR_RATIO) x their direct distance.
+   */
+  planInsertion(origin, stops, ride) {
+    const done = stops.filter((s) => s.status === 'DONE');
+    const pending = stops.filter((s) => s.status !== 'DONE');
+
+    const ridersLeft = new Set(
+      pending.filter((s) => s.type === STOP_TYPE.DROPOFF).map((s) => s.rideId),
+    );
+    if (ridersLeft.size >= config.POOL_MAX_RIDERS) {
+      return null;
+    }
+
+    const pickup = {
+      rideId: ride.id,
+      type: STOP_TYPE.PICKUP,
+      lat: parseFloat(ride.pickup_lat),
+      lng: parseFloat(ride.pickup_lng),
+      status: 'PENDING',
+    };
+    const dropoff = {
+      rideId: ride.id,
+      type: STOP_TYPE.DROPOFF,
+      lat: parseFloat(ride.destination_lat),
+      lng: parseFloat(ride.destination_lng),
+      status: 'PENDING',
+    };
+
+    // Direct distance of every ride not yet picked up, for the ratio limit
+    const direct = { [ride.id]: distanceBetween(pickup, dropoff) };
+    for (const stop of pending) {
+      if (stop.type !== STOP_TYPE.PICKUP) continue;
+      const drop = pending.find(
+        (s) => s.rideId === stop.rideId && s.type === STOP_TYPE.DROPOFF,
+      );
+      direct[stop.rideId] = distanceBetween(stop, drop);
+    }
+
+    const before = rideDistances(origin, pending);
+    let best = null;
+
+    for (let i = 0; i <= pending.length; i++) {
+      for (let j = i; j <= pending.length; j++) {
+        const route = [
+          ...pending.slice(0, i),
+          pickup,
+          ...pending.slice(i, j),
+          dropoff,
+          ...pending.slice(j),
+        ];
+        const after = rideDistances(origin, route);
+        const at = cumulativeDistances(origin, route);
+
+        // Pickup detour: how much further than straight there the driver travels first
+        if (
+          at[i] - distanceBetween(origin, pickup) >
+          config.POOL_MAX_DETOUR_KM
+        ) {
+          continue;
+        }
+
+        // Dropoff detour: how much later each co-rider is dropped off
+        const detours = {};
+        let fits = true;
+        for (const rideId of Object.keys(after.arrival)) {
+          if (rideId !== ride.id) {
+            detours[rideId] = round(
+              after.arrival[rideId] - before.arrival[rideId],
+            );
+            if (detours[rideId] > config.POOL_MAX_DETOUR_KM) fits = false;
+          }
+          if (
+            direct[rideId] !== undefined &&
+            after.inCar[rideId] >
+              direct[rideId] * (1 + config.POOL_MAX_DETOUR_RATIO)
+          ) {
+            fits = false;
+          }
+        }
+        if (!fits) continue;
+
+        const totalKm = at[at.length - 1];
+        if (!best || totalKm < best.totalKm) {
+          best = {
+            stops: [...done, ...route],
+            totalKm: round(totalKm),
+            detours,
+          };
+        }
+      }
+    }
+
+    if (best) {
+      best.addedKm = round(
+        best.totalKm - (cumulativeDistances(origin, pending).pop() || 0),
+      );
+    }
+
+    return best;
+  }
+
+  /**
+   * Drivers on an open pool near the pickup that can take the ride, least detour first
+   * Shaped like findNearbyDrivers results so they can be ranked the same way
+   * One GEOSEARCH around the pickup, one query for the open pools of the drivers it finds, and
+   * one pipeline dropping drivers whose presence expired or who are suspended.
+   */
+  async findPoolCandidates(rideRequest, region, radiusKm) {
+    const pickup = {
+      lat: parseFloat(rideRequest.pickup_lat),
+      lng: parseFloat(rideRequest.pickup_lng),
+    };
+    const nearby = await driverLocationService.findDriversWithin({
+      latitude: pickup.lat,
+      longitude: pickup.lng,
+      radiusKm,
+      region,
+    });
+    if (nearby.length === 0) return [];
+
+    const result = await query(
+      `SELECT * FROM pool_trips
+       WHERE status = 'OPEN' AND region = $1 AND driver_id = ANY($2)`,
+      [region, nearby.map((driver) => driver.driverId)],
+    );
+    const pools = new Map(result.rows.map((pool) => [pool.driver_id, pool]));
+    const located = nearby.filter((driver) => pools.has(driver.driverId));
+
+    const dispatchable = await driverLocationService.getDispatchableDrivers(
+      located.map((driver) => driver.driverId),
+    );
+    const vehicleTypes = driverScoringService.getEligibleVehicleTypes('POOL');
+    const candidates = [];
+
+    for (const { driverId, distanceKm, latitude, longitude } of located) {
+      const meta = dispatchable.get(driverId);
+      if (!meta || !vehicleTypes.includes(meta.vehicleType)) continue;
+
+      const pool = pools.get(driverId);
+      const origin = { lat: latitude, lng: longitude };
+      const plan = this.planInsertion(origin, pool.stops, rideRequest);
+      if (!plan) continue;
+
+      candidates.push({
+        driverId,
+        distanceKm: round(distanceKm),
+        latitude,
+        longitude,
+        ...meta,
+        poolTripId: pool.id,
+        poolDetourKm: plan.addedKm,
+      });
+    }
+
+    candidates.sort((a, b) => a.poolDetourKm - b.poolDetourKm);
+
+    return candidates;
+  }
+
+  /**
+   * Add an accepted POOL ride to the driver's open pool, starting one if there is none
+   * Must run inside the accept transaction; the pool row is locked while re-planning
+   * @returns the pool trip id
+   */
+  async assignRide(client, ride, driverId, region) {
+    const poolResult = await client.query(
+      `SELECT * FROM pool_trips WHERE driver_id = $1 AND status = 'OPEN' FOR UPDATE`,
+      [driverId],
+    );
+
+    if (poolResult.rows.length === 0) {
+      const poolTripId = uuidv4();
+      const plan = this.planInsertion(
+        {
+          lat: parseFloat(ride.pickup_lat),
+          lng: parseFloat(ride.pickup_lng),
+        },
+        [],
+        ride,
+      );
+
+      await client.query(
+        `INSERT INTO pool_trips (id, driver_id, region, status, stops) VALUES ($1, $2, $3, 'OPEN', $4)`,
+        [poolTripId, driverId, region, JSON.stringify(plan.stops)],
+      );
+
+      return poolTripId;
+    }
+
+    const pool = poolResult.rows[0];
+    const location = await driverLocationService.getDriverLocation(
+      driverId,
+      region,
+    );
+    // Without a fresh position, plan from the next stop the driver is heading to
+    const origin = location
+      ? { lat: location.latitude, lng: location.longitude }
+      : pool.stops.find((s) => s.status !== 'DONE');
+
+    // The pool may have changed since the offer was made
+    const plan = this.planInsertion(origin, pool.stops, ride);
+    if (!plan) {
+      throw new AppError(
+        "Ride no longer fits the driver's pooled route",
+        409,
+        'POOL_DETOUR_EXCEEDED',
+      );
+    }
+
+    await client.query(
+      `UPDATE pool_trips SET stops = $1, updated_at = NOW() WHERE id = $2`,
+      [JSON.stringify(plan.stops), pool.id],
+    );
+
+    return pool.id;
+  }
+
+  /**
+   * Mark a ride's pickup or dropoff done; the pool closes once every stop is done
+   * @returns number of stops still pending
+   */
+  async completeStop(client, poolTripId, rideId, type) {
+    return this.updateStops(client, poolTripId, (stops) =>
+      stops.map((s) =>
+        s.rideId === rideId && s.type === type ? { ...s, status: 'DONE' } : s,
+      ),
+    );
+  }
+
+  /**
+   * Take a cancelled ride's remaining stops off the pool
+   * A rider already on board is dropped off where the car is (`at`, else its last
+   * completed stop) so the legs after that aren't shared with them
+   * @returns number of stops still pending
+   */
+  async removeRide(client, poolTripId, rideId, at) {
+    return this.updateStops(client, poolTripId, (stops) =>
+      this.dropRide(stops, rideId, at),
+    );
+  }
+
+  /**
+   * Remove a ride's pending stops, completing its dropoff at `at` if it was picked up
+   */
+  dropRide(stops, rideId, at) {
+    const remaining = stops.filter(
+      (s) => s.rideId !== rideId || s.status === 'DONE',
+    );
+    const onBoard = remaining.some(
+      (s) => s.rideId === rideId && s.type === STOP_TYPE.PICKUP,
+    );
+    const dropoff = stops.find(
+      (s) =>
+        s.rideId === rideId &&
+        s.type === STOP_TYPE.DROPOFF &&
+        s.status !== 'DONE',
+    );
+    if (!onBoard || !dropoff) return remaining;
+
+    const reached = remaining.map((s) => s.status).lastIndexOf('DONE');
+    const position = at || {
+      lat: remaining[reached].lat,
+      lng: remaining[reached].lng,
+    };
+    remaining.splice(reached + 1, 0, {
+      ...dropoff,
+      lat: position.lat,
+      lng: position.lng,
+      status: 'DONE',
+    });
+    return remaining;
+  }
+
+  /**
+   * Apply `change` to a locked pool's stops and open/close it accordingly
+   */
+  async updateStops(client, poolTripId, change) {
+    const poolResult = await client.query(
+      `SELECT stops FROM pool_trips WHERE id = $1 FOR UPDATE`,
+      [poolTripId],
+    );
+    if (poolResult.rows.length === 0) return 0;
+
+    const stops = change(poolResult.rows[0].stops);
+    const pendingCount = stops.filter((s) => s.status !== 'DONE').length;
+
+    await client.query(
+      `UPDATE pool_trips SET stops = $1, status = $2, updated_at = NOW() WHERE id = $3`,
+      [
+        JSON.stringify(stops),
+        pendingCount === 0 ? 'CLOSED' : 'OPEN',
+        poolTripId,
+      ],
+    );
+
+    return pendingCount;
+  }
+
+  /**
+   * Legs a rider spent in the car and how many riders shared each, for fare splitting
+   */
+  async getSharedLegs(poolTripId, rideId) {
+    const result = await query(`SELECT stops FROM pool_trips WHERE id = $1`, [
+      poolTripId,
+    ]);
+    if (result.rows.length === 0) return [];
+
+    return this.splitLegs(result.rows[0].stops, rideId);
+  }
+
+  /**
+   * Walk the stop order and return [{ distanceKm, riders }] between the ride's pickup and dropoff
+   */
+  splitLegs(stops, rideId) {
+    const onBoard = new Set();
+    const legs = [];
+
+    stops.forEach((stop, i) => {
+      if (stop.type === STOP_TYPE.PICKUP) onBoard.add(stop.rideId);
+      else onBoard.delete(stop.rideId);
+
+      const next = stops[i + 1];
+      if (next && onBoard.has(rideId)) {
+        legs.push({
+          distanceKm: round(distanceBetween(stop, next)),
+          riders: onBoard.size,
+        });
+      }
+    });
+
+    return legs;
+  }
+
+  /**
+   * Stop order as one rider may see it: their own stops with locations,
+   * co-riders' stops only as anonymous positions in the sequence
+   */
+  async getRiderView(poolTripId, rideId) {
+    const result = await query(`SELECT * FROM pool_trips WHERE id = $1`, [
+      poolTripId,
+    ]);
+    if (result.rows.length === 0) return null;
+
+    const pool = result.rows[0];
+
+    return {
+      poolTripId: pool.id,
+      status: pool.status,
+      coRiders: new Set(
+        pool.stops.filter((s) => s.rideId !== rideId).map((s) => s.rideId),
+      ).size,
+      stops: pool.stops.map((stop, i) => {
+        const own = stop.rideId === rideId;
+        return {
+          sequence: i + 1,
+          type: stop.type,
+          status: stop.status,
+          rider: own ? 'YOU' : 'CO_RIDER',
+          ...(own && { location: { lat: stop.lat, lng: stop.lng } }),
+        };
+      }),
+    };
+  }
+}
+
+module.exports = new PoolService();
@@ -0,0 +1,313 @@
+const { v4: uuidv4 } = require('uuid');
+const { getRedisClient } = require('../db/redis');
+const { query } = require('../db/postgres');
+const config = require('../config');
+const { calculateDistance, isPointInPolygon } = require('../utils/geo.utils');
+const { publishEvent } = require('../events/kafka-producer');
+const topics = require('../events/topics');
+const { AppError } = require('../middleware/error-handler');
+const regionService = require('./region.service');
+
+// Sorted set per zone, scored by the time the driver joined (ms)
+const queueKey = (zoneId) => `queue:${zoneId}`;
+// Zone a driver is queued in
+const driverQueueKey = (driverId) => `driver:${driverId}:queue`;
+
+const contains = (polygon, { lat, lng }) => isPointInPolygon(lat, lng, polygon);
+
+class QueueZoneService {
+  constructor() {
+    this.redis = getRedisClient();
+    this.zones = null;
+    this.zonesLoadedAt = 0;
+  }
+
+  /**
+   * Define a queue zone: `polygon` is the pickup area, drivers queue by entering `staging`
+   */
+  async createZone({ name, polygon, staging }) {
+    if (!staging.every((point) => contains(polygon, point))) {
+      throw new AppError(
+        'Staging area must lie inside the zone',
+        400,
+        'INVALID_QUEUE_ZONE',
+      );
+    }
+
+    const zoneId = uuidv4();
+    const region = regionService.resolveRegion(
+      polygon[0].lat,
+      polygon[0].lng,
+    ).id;
+
+    const result = await query(
+      `INSERT INTO queue_zones (id, name, region, polygon, staging)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [zoneId, name, region, JSON.stringify(polygon), JSON.stringify(staging)],
+    );
+
+    this.zones = null;
+    return this.formatZone(result.rows[0]);
+  }
+
+  /**
+   * Deactivate a zone and drop its queue
+   */
+  async deleteZone(zoneId) {
+    const result = await query(
+      `UPDATE queue_zones SET active = FALSE, updated_at = NOW()
+       WHERE id = $1 AND active
+       RETURNING id`,
+      [zoneId],
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Queue zone not found', 404, 'NOT_FOUND');
+    }
+
+    const driverIds = await this.redis.zrange(queueKey(zoneId), 0, -1);
+    for (const driverId of driverIds) {
+      await this.leaveQueue(driverId, 'ZONE_CLOSED', zoneId);
+    }
+
+    this.zones = null;
+    return { id: zoneId, active: false };
+  }
+
+  /**
+   * Active zones with their current queue length
+   */
+  async listZones() {
+    const zones = await this.getZones({ refresh: true });
+
+    return Promise.all(
+      zones.map(async (zone) => ({
+        ...zone,
+        queueLength: await this.redis.zcard(queueKey(zone.id)),
+      })),
+    );
+  }
+
+  /**
+   * Active zones, cached per instance for QUEUE_ZONE_CACHE_TTL since every location update checks them
+   */
+  async getZones({ refresh = false } = {}) {
+    if (
+      refresh ||
+      !this.zones ||
+      Date.now() - this.zonesLoadedAt > config.QUEUE_ZONE_CACHE_TTL
+    ) {
+      const result = await query(
+        `SELECT * FROM queue_zones WHERE active ORDER BY created_at`,
+      );
+      this.zones = result.rows.map((row) => this.formatZone(row));
+      this.zonesLoadedAt = Date.now();
+    }
+
+    return this.zones;
+  }
+
+  /**
+   * Zone whose pickup area contains the point, if any
+   */
+  async findZoneAt(lat, lng) {
+    const zones = await this.getZones();
+    return zones.find((zone) => contains(zone.polygon, { lat, lng })) || null;
+  }
+
+  /**
+   * Keep a driver's queue membership in step with a location update
+   * ONLINE drivers join when they reach a zone's staging area and keep their place
+   * anywhere inside the zone; leaving the zone drops them from the queue.
+   */
+  async trackDriver(driverId, { latitude, longitude, status }) {
+    const point = { lat: latitude, lng: longitude };
+    const zone = await this.findZoneAt(latitude, longitude);
+    let queuedIn = await this.redis.get(driverQueueKey(driverId));
+
+    if (queuedIn && queuedIn !== zone?.id) {
+      await this.leaveQueue(driverId, 'LEFT_ZONE');
+      queuedIn = null;
+    }
+
+    if (
+      !queuedIn &&
+      zone &&
+      status === 'ONLINE' &&
+      contains(zone.staging, point)
+    ) {
+      await this.joinQueue(driverId, zone);
+    }
+  }
+
+  /**
+   * Append a driver to the back of a zone's queue (no-op if already queued)
+   */
+  async joinQueue(driverId, zone) {
+    const added = await this.redis.zadd(
+      queueKey(zone.id),
+      'NX',
+      Date.now(),
+      driverId,
+    );
+    await this.redis.set(driverQueueKey(driverId), zone.id);
+
+    if (added) {
+      const position =
+        (await this.redis.zrank(queueKey(zone.id), driverId)) + 1;
+      await publishEvent(topics.DRIVER_QUEUE_JOINED, driverId, {
+        driverId,
+        zoneId: zone.id,
+        position,
+      });
+    }
+  }
+
+  /**
+   * Remove a driver from `zoneId`'s queue, or from whichever queue they are in
+   * @param reason 'LEFT_ZONE', 'OFFLINE', 'DISPATCHED' or 'ZONE_CLOSED'
+   */
+  async leaveQueue(driverId, reason, zoneId = null) {
+    zoneId = zoneId || (await this.redis.get(driverQueueKey(driverId)));
+    if (!zoneId) return false;
+
+    const removed = await this.redis.zrem(queueKey(zoneId), driverId);
+    await this.redis.del(driverQueueKey(driverId));
+
+    if (removed) {
+      await publishEvent(topics.DRIVER_QUEUE_LEFT, driverId, {
+        driverId,
+        zoneId,
+        reason,
+      });
+    }
+
+    return removed > 0;
+  }
+
+  /**
+   * Where a driver stands in their zone's queue
+   */
+  async getQueuePosition(driverId) {
+    const zoneId = await this.redis.get(driverQueueKey(driverId));
+    const rank = zoneId
+      ? await this.redis.zrank(queueKey(zoneId), driverId)
+      : null;
+
+    if (rank === null) {
+      return { driverId, queued: false, zoneId: null, position: null };
+    }
+
+    const zone = (await this.getZones()).find((z) => z.id === zoneId);
+    const joinedAt = await this.redis.zscore(queueKey(zoneId), driverId);
+
+    return {
+      driverId,
+      queued: true,
+      zoneId,
+      zoneName: zone ? zone.name : null,
+      position: rank + 1,
+      queueLength: await this.redis.zcard(queueKey(zoneId)),
+      joinedAt: new Date(parseInt(joinedAt)).toISOString(),
+    };
+  }
+
+  /**
+   * Queued drivers able to take a pickup in the zone, head of the queue first
+   * Shaped like findNearbyDrivers results. Only the first QUEUE_CANDIDATE_WINDOW drivers (plus
+   * the excluded ones) are read, in one pipeline. Drivers whose presence expired are dropped.
+   */
+  async getQueueCandidates(
+    zone,
+    { pickup, vehicleTypes, excludeDriverIds = [], limit },
+  ) {
+    const queued = await this.redis.zrange(
+      queueKey(zone.id),
+      0,
+      config.QUEUE_CANDIDATE_WINDOW + excludeDriverIds.length - 1,
+    );
+    const driverIds = queued.filter(
+      (driverId) => !excludeDriverIds.includes(driverId),
+    );
+    if (driverIds.length === 0) return [];
+
+    const pipeline = this.redis.pipeline();
+    for (const driverId of driverIds) {
+      pipeline.exists(`driver:${driverId}:presence`);
+      // Barred from dispatch after repeated location anomalies
+      pipeline.exists(`driver:${driverId}:suspended`);
+      pipeline.hmget(
+        `driver:${driverId}:meta`,
+        'status',
+        'vehicleType',
+        'lastLat',
+        'lastLng',
+        'heading',
+        'speed',
+      );
+    }
+    const results = await pipeline.exec();
+    const failed = results.find(([err]) => err);
+    if (failed) throw failed[0];
+
+    const candidates = [];
+    for (const [i, driverId] of driverIds.entries()) {
+      const [[, isOnline], [, suspended], [, meta]] = results.slice(
+        i * 3,
+        i * 3 + 3,
+      );
+      if (!isOnline) {
+        await this.leaveQueue(driverId, 'OFFLINE', zone.id);
+        continue;
+      }
+
+      const [status, type, lastLat, lastLng, heading, speed] = meta;
+      if (status !== 'ONLINE' || suspended) continue;
+
+      const vehicleType = type || 'ECONOMY';
+      if (vehicleTypes && !vehicleTypes.includes(vehicleType)) continue;
+
+      const latitude = parseFloat(lastLat);
+      const longitude = parseFloat(lastLng);
+
+      candidates.push({
+        driverId,
+        distanceKm:
+          Math.round(
+            calculateDistance(latitude, longitude, pickup.lat, pickup.lng) *
+              1000,
+          ) / 1000,
+        latitude,
+        longitude,
+        vehicleType,
+        status,
+        heading: parseFloat(heading) || 0,
+        speed: parseFloat(speed) || 0,
+        queueZoneId: zone.id,
+        queuePosition: queued.indexOf(driverId) + 1,
+      });
+
+      if (candidates.length >= limit) break;
+    }
+
+    return candidates;
+  }
+
+  /**
+   * API view of a zone
+   */
+  formatZone(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      region: row.region,
+      polygon: row.polygon,
+      staging: row.staging,
+      active: row.active,
+      createdAt: row.created_at,
+    };
+  }
+}
+
+module.exports = new QueueZoneService();
@@ -0,0 +1,305 @@
+const fs = require('fs');
+const { z } = require('zod');
+const config = require('../config');
+const { getRedisClient, subscribe } = require('../db/redis');
+const { isPointInPolygon } = require('../utils/geo.utils');
+const { AppError } = require('../middleware/error-handler');
+
+// Tells every instance to reload the registry after an admin reload on any one of them
+const RELOAD_CHANNEL = 'regions:reload';
+
+const TIERS = ['ECONOMY', 'PREMIUM', 'XL', 'POOL'];
+
+const position = z.tuple([
+  z.number().min(-180).max(180),
+  z.number().min(-90).max(90),
+]);
+// Closed GeoJSON ring: [lng, lat] positions, first = last
+const ring = z
+  .array(position)
+  .min(4)
+  .refine(
+    (points) =>
+      points[0][0] === points[points.length - 1][0] &&
+      points[0][1] === points[points.length - 1][1],
+    'ring must be closed',
+  );
+
+const boundarySchema = z.discriminatedUnion('type', [
+  z.object({ type: z.literal('Polygon'), coordinates: z.array(ring).min(1) }),
+  z.object({
+    type: z.literal('MultiPolygon'),
+    coordinates: z.array(z.array(ring).min(1)).min(1),
+  }),
+]);
+
+const regionSchema = z.object({
+  id: z.string().regex(/^[a-z0-9-]+$/),
+  name: z.string().min(1),
+  currency: z.string().regex(/^[A-Z]{3}$/),
+  timezone: z.string().refine((timeZone) => {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }, 'unknown timezone'),
+  tax: z.object({
+    name: z.string().min(1),
+    rate: z.number().min(0).max(1),
+    inclusive: z.boolean().default(true),
+  }),
+  tiers: z.array(z.enum(TIERS)).min(1),
+  boundary: boundarySchema,
+});
+
+/**
+ * Region definitions from either format:
+ * - GeoJSON FeatureCollection: Polygon/MultiPolygon features whose properties hold the rest
+ * - JSON { regions: [{ ..., polygon: [{ lat, lng }, ...] }] }
+ */
+const readDefinitions = (data) => {
+  if (data.type === 'FeatureCollection') {
+    return (data.features || []).map((feature) => ({
+      ...feature.properties,
+      boundary: feature.geometry,
+    }));
+  }
+
+  return (data.regions || []).map(({ polygon, ...region }) => {
+    const coordinates = (polygon || []).map(({ lat, lng }) => [lng, lat]);
+    if (coordinates.length > 0) coordinates.push(coordinates[0]);
+    return {
+      ...region,
+      boundary: { type: 'Polygon', coordinates: [coordinates] },
+    };
+  });
+};
+
+const toPoints = (coordinates) =>
+  coordinates.map(([lng, lat]) => ({ lat, lng }));
+
+/**
+ * Parse and validate region definitions, precomputing each boundary's polygons and bounding box
+ */
+const buildRegions = (data) => {
+  const definitions = readDefinitions(data);
+  if (definitions.length === 0) throw new Error('no regions defined');
+
+  const regions = new Map();
+  for (const [i, definition] of definitions.entries()) {
+    const parsed = regionSchema.safeParse(definition);
+    if (!parsed.success) {
+      const issue = parsed.error.issues[0];
+      throw new Error(
+        `region ${definition.id || `#${i + 1}`}: ${issue.path.join('.')} ${issue.message}`,
+      );
+    }
+
+    const region = parsed.data;
+    if (regions.has(region.id)) {
+      throw new Error(`region ${region.id} is defined twice`);
+    }
+
+    const polygons = (
+      region.boundary.type === 'Polygon'
+        ? [region.boundary.coordinates]
+        : region.boundary.coordinates
+    ).map(([outer, ...holes]) => ({
+      outer: toPoints(outer),
+      holes: holes.map(toPoints),
+    }));
+    const points = polygons.flatMap((polygon) => polygon.outer);
+
+    regions.set(region.id, {
+      ...region,
+      polygons,
+      bbox: {
+        minLat: Math.min(...points.map((p) => p.lat)),
+        maxLat: Math.max(...points.map((p) => p.lat)),
+        minLng: Math.min(...points.map((p) => p.lng)),
+        maxLng: Math.max(...points.map((p) => p.lng)),
+      },
+    });
+  }
+
+  // Drivers and records with no known region fall back to it
+  if (!regions.has(config.DEFAULT_REGION)) {
+    throw new Error(`default region ${config.DEFAULT_REGION} is not defined`);
+  }
+
+  return regions;
+};
+
+const contains = (region, lat, lng) =>
+  lat >= region.bbox.minLat &&
+  lat <= region.bbox.maxLat &&
+  lng >= region.bbox.minLng &&
+  lng <= region.bbox.maxLng &&
+  region.polygons.some(
+    ({ outer, holes }) =>
+      isPointInPolygon(lat, lng, outer) &&
+      !holes.some((hole) => isPointInPolygon(lat, lng, hole)),
+  );
+
+/**
+ * What callers see of a region (its precomputed geometry stays internal)
+ */
+const formatRegion = ({ polygons, ...region }) => region;
+
+class RegionService {
+  constructor() {
+    this.redis = getRedisClient();
+    this.regions = null;
+    this.loadedFrom = null;
+    this.loadedAt = null;
+  }
+
+  /**
+   * Load the registry from REGIONS_PATH (GeoJSON or JSON, see readDefinitions)
+   * An unreadable or invalid file throws and leaves the current registry in place.
+   */
+  load(path = config.REGIONS_PATH) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(path, 'utf8'));
+    } catch (err) {
+      throw new AppError(
+        `Failed to load regions from ${path}: ${err.message}`,
+        422,
+        'INVALID_REGION_CONFIG',
+      );
+    }
+
+    const status = this.loadDefinitions(data, path);
+    console.log(
+      `Regions loaded from ${path}: ${[...this.regions.keys()].join(', ')}`,
+    );
+    return status;
+  }
+
+  /**
+   * Replace the registry with parsed region definitions, all or nothing
+   * @param source - where they came from, reported by getStatus()
+   */
+  loadDefinitions(data, source) {
+    let regions;
+    try {
+      regions = buildRegions(data);
+    } catch (err) {
+      throw new AppError(
+        `Failed to load regions from ${source}: ${err.message}`,
+        422,
+        'INVALID_REGION_CONFIG',
+      );
+    }
+
+    this.regions = regions;
+    this.loadedFrom = source;
+    this.loadedAt = new Date().toISOString();
+
+    return this.getStatus();
+  }
+
+  /**
+   * Reload on this instance, then have every other instance follow
+   */
+  async reload() {
+    const status = this.load();
+    await this.redis.publish(
+      RELOAD_CHANNEL,
+      JSON.stringify({ loadedAt: status.loadedAt }),
+    );
+    return status;
+  }
+
+  /**
+   * Reload whenever any instance's registry is reloaded
+   * @returns unsubscribe()
+   */
+  listenForReloads() {
+    return subscribe(RELOAD_CHANNEL, () => {
+      try {
+        this.load();
+      } catch (err) {
+        console.error(err.message);
+      }
+    });
+  }
+
+  ensureLoaded() {
+    if (this.regions === null) this.load();
+    return this.regions;
+  }
+
+  getStatus() {
+    return {
+      path: this.loadedFrom,
+      loadedAt: this.loadedAt,
+      regions: this.regions ? this.regions.size : 0,
+    };
+  }
+
+  listRegions() {
+    return [...this.ensureLoaded().values()].map(formatRegion);
+  }
+
+  getRegion(regionId) {
+    const region = this.ensureLoaded().get(regionId);
+    return region ? formatRegion(region) : null;
+  }
+
+  /**
+   * The region containing a point, or null outside every region
+   */
+  findRegion(lat, lng) {
+    for (const region of this.ensureLoaded().values()) {
+      if (contains(region, lat, lng)) return formatRegion(region);
+    }
+    return null;
+  }
+
+  /**
+   * The region a ride or trip belongs to: the one containing its point, else the default
+   * region, so records made before a reload dropped their point keep working
+   */
+  regionForRecord(lat, lng) {
+    return (
+      this.findRegion(parseFloat(lat), parseFloat(lng)) ||
+      this.getRegion(config.DEFAULT_REGION)
+    );
+  }
+
+  /**
+   * The region containing a point; points outside every region are rejected
+   */
+  resolveRegion(lat, lng) {
+    const region = this.findRegion(lat, lng);
+    if (!region) {
+      throw new AppError(
+        'Service not available here',
+        400,
+        'OUTSIDE_SERVICE_AREA',
+      );
+    }
+    return region;
+  }
+
+  /**
+   * Reject tiers the region doesn't offer
+   */
+  assertTierEnabled(region, tier) {
+    if (!region.tiers.includes(tier)) {
+      throw new AppError(
+        `${tier} is not available in ${region.name}`,
+        400,
+        'TIER_NOT_AVAILABLE',
+      );
+    }
+  }
+}
+
+module.exports = new RegionService();
+module.exports.RegionService = RegionService;
+module.exports.TIERS = TIERS;
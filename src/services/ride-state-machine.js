@@ -0,0 +1,172 @@
+const { query } = require('../db/postgres');
+const { publishEvent } = require('../events/kafka-producer');
+const topics = require('../events/topics');
+const trackingService = require('./tracking.service');
+const {
+  AppError,
+  InvalidTransitionError,
+} = require('../middleware/error-handler');
+
+const RIDE_STATUS = {
+  SCHEDULED: 'SCHEDULED',
+  PENDING: 'PENDING',
+  MATCHING: 'MATCHING',
+  ACCEPTED: 'ACCEPTED',
+  IN_PROGRESS: 'IN_PROGRESS',
+  COMPLETED: 'COMPLETED',
+  NO_DRIVERS: 'NO_DRIVERS',
+  EXPIRED: 'EXPIRED',
+  CANCELLED: 'CANCELLED',
+};
+
+const {
+  SCHEDULED,
+  PENDING,
+  MATCHING,
+  ACCEPTED,
+  IN_PROGRESS,
+  COMPLETED,
+  NO_DRIVERS,
+  EXPIRED,
+  CANCELLED,
+} = RIDE_STATUS;
+
+/**
+ * Allowed transitions: from -> [to]
+ * States without outgoing transitions are terminal
+ */
+const TRANSITIONS = {
+  [SCHEDULED]: [MATCHING, CANCELLED],
+  [PENDING]: [MATCHING, CANCELLED],
+  [MATCHING]: [ACCEPTED, NO_DRIVERS, EXPIRED, CANCELLED],
+  [ACCEPTED]: [IN_PROGRESS, CANCELLED],
+  [IN_PROGRESS]: [COMPLETED, CANCELLED],
+  [COMPLETED]: [],
+  [NO_DRIVERS]: [],
+  [EXPIRED]: [],
+  [CANCELLED]: [],
+};
+
+/**
+ * Guards: (ride, context) => rejection reason, or null to allow
+ */
+const GUARDS = {
+  [ACCEPTED]: (ride, { driverId }) =>
+    driverId ? null : 'A ride can only be accepted by a driver',
+};
+
+/**
+ * Side effects run once the new state is committed
+ */
+const SIDE_EFFECTS = {
+  [ACCEPTED]: (ride, { driverId, offerId }) =>
+    publishEvent(topics.RIDE_ACCEPTED, ride.id, {
+      rideId: ride.id,
+      riderId: ride.rider_id,
+      driverId,
+      offerId,
+    }),
+  [EXPIRED]: (ride, { reason }) =>
+    publishEvent(topics.RIDE_EXPIRED, ride.id, {
+      rideId: ride.id,
+      riderId: ride.rider_id,
+      reason,
+    }),
+  [CANCELLED]: (ride, { reason, cancelledBy, cancellationFee = 0 }) =>
+    publishEvent(topics.RIDE_CANCELLED, ride.id, {
+      rideId: ride.id,
+      riderId: ride.rider_id,
+      driverId: ride.driver_id,
+      cancelledBy,
+      reason,
+      cancellationFee,
+    }),
+};
+
+class RideStateMachine {
+  /**
+   * Whether `to` is reachable from `from` in one step
+   */
+  canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Throw InvalidTransitionError unless the ride may move to `to`
+   */
+  assertTransition(ride, to, context = {}) {
+    if (!this.canTransition(ride.status, to)) {
+      throw new InvalidTransitionError('ride', ride.status, to);
+    }
+
+    const guard = GUARDS[to];
+    const rejection = guard && guard(ride, context);
+    if (rejection) {
+      throw new InvalidTransitionError('ride', ride.status, to, rejection);
+    }
+  }
+
+  /**
+   * Move a ride to a new status, optionally updating other columns in the same write
+   * The update is a compare-and-set on the current status, so concurrent writers can't
+   * both win. Pass `client` to run inside a transaction; side effects are then returned
+   * as `runSideEffects` for the caller to run after COMMIT instead of being run here.
+   */
+  async transition(rideId, to, { client = null, set = {}, context = {} } = {}) {
+    const db = client || { query };
+
+    const currentResult = await db.query(
+      `SELECT * FROM ride_requests WHERE id = $1${client ? ' FOR UPDATE' : ''}`,
+      [rideId],
+    );
+
+    if (currentResult.rows.length === 0) {
+      throw new AppError('Ride not found', 404, 'RIDE_NOT_FOUND');
+    }
+
+    const current = currentResult.rows[0];
+    this.assertTransition(current, to, context);
+
+    const columns = Object.keys(set);
+    const assignments = columns.map((column, i) => `${column} = $${i + 4}`);
+
+    const updateResult = await db.query(
+      `UPDATE ride_requests
+       SET ${['status = $2', ...assignments, 'updated_at = NOW()'].join(', ')}
+       WHERE id = $1 AND status = $3
+       RETURNING *`,
+      [rideId, to, current.status, ...columns.map((c) => set[c])],
+    );
+
+    // Someone else moved the ride between our read and write
+    if (updateResult.rows.length === 0) {
+      const latest = await db.query(
+        `SELECT status FROM ride_requests WHERE id = $1`,
+        [rideId],
+      );
+      throw new InvalidTransitionError('ride', latest.rows[0]?.status, to);
+    }
+
+    const ride = updateResult.rows[0];
+    const runSideEffects = async () => {
+      const effect = SIDE_EFFECTS[to];
+      if (effect) await effect(ride, context);
+
+      // Riders following the ride see every status change
+      await trackingService.publishStatus(ride.id, {
+        status: ride.status,
+        driverId: ride.driver_id,
+      });
+    };
+
+    if (client) {
+      return { ride, from: current.status, runSideEffects };
+    }
+
+    await runSideEffects();
+    return { ride, from: current.status };
+  }
+}
+
+module.exports = new RideStateMachine();
+module.exports.RIDE_STATUS = RIDE_STATUS;
@@ -0,0 +1,459 @@
+const fs = require('fs');
+const config = require('../config');
+const {
+  calculateDistance,
+  calculateRouteDistance,
+  calculateBearing,
+  encodePolyline,
+} = require('../utils/geo.utils');
+
+const ROUTE_SOURCE = {
+  ROAD_GRAPH: 'ROAD_GRAPH',
+  HAVERSINE: 'HAVERSINE',
+};
+
+// Grid cell size (degrees) of the nearest-node index, ~1.1km
+const GRID_SIZE = 0.01;
+
+const nodeKey = (lat, lng) => `${lat.toFixed(6)},${lng.toFixed(6)}`;
+const cellKey = (lat, lng) =>
+  `${Math.floor(lat / GRID_SIZE)}:${Math.floor(lng / GRID_SIZE)}`;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Edge speed (km/h) from a road's properties: explicit speed, then OSM maxspeed,
+ * then the configured speed for its highway class
+ */
+const edgeSpeed = (properties) => {
+  const explicit = parseFloat(properties.speed_kmh);
+  if (explicit > 0) return explicit;
+
+  if (properties.maxspeed) {
+    const maxspeed = parseFloat(properties.maxspeed);
+    if (maxspeed > 0) {
+      return /mph/i.test(properties.maxspeed) ? maxspeed * 1.609 : maxspeed;
+    }
+  }
+
+  return (
+    config.ROUTING_HIGHWAY_SPEEDS_KMH[properties.highway] ||
+    config.ROUTING_DEFAULT_SPEED_KMH
+  );
+};
+
+/**
+ * OSM oneway tag: 1 = along the geometry, -1 = against it, 0 = both ways
+ */
+const onewayDirection = (properties) => {
+  const oneway = String(properties.oneway ?? '').toLowerCase();
+  if (oneway === '-1' || oneway === 'reverse') return -1;
+  if (['yes', 'true', '1'].includes(oneway)) return 1;
+  return 0;
+};
+
+/**
+ * Minimal binary min-heap keyed by `priority`
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].priority <= items[i].priority) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (
+          left < items.length &&
+          items[left].priority < items[smallest].priority
+        ) {
+          smallest = left;
+        }
+        if (
+          right < items.length &&
+          items[right].priority < items[smallest].priority
+        ) {
+          smallest = right;
+        }
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+class RoutingService {
+  constructor() {
+    this.graph = null;
+    this.loadedFrom = undefined;
+  }
+
+  /**
+   * Load the road network from ROAD_GRAPH_PATH (a GeoJSON FeatureCollection of LineStrings)
+   * Without a path, or if the file can't be read, routes fall back to straight lines
+   */
+  load(path = config.ROAD_GRAPH_PATH) {
+    this.loadedFrom = path;
+    this.graph = null;
+    if (!path) return this.getStatus();
+
+    try {
+      this.loadGeoJson(JSON.parse(fs.readFileSync(path, 'utf8')));
+      console.log(
+        `Road graph loaded from ${path}: ${this.graph.nodes.length} nodes, ${this.graph.edgeCount} edges`,
+      );
+    } catch (err) {
+      console.error(`Failed to load road graph from ${path}:`, err.message);
+      this.graph = null;
+    }
+
+    return this.getStatus();
+  }
+
+  /**
+   * Build the graph from GeoJSON. Every consecutive coordinate pair of a road becomes an edge;
+   * roads sharing a coordinate are connected there.
+   * Roads are LineString/MultiLineString features whose properties may carry
+   * `speed_kmh`, `maxspeed`, `highway` and `oneway` (OSM conventions)
+   */
+  loadGeoJson(geojson) {
+    const nodes = [];
+    const index = new Map();
+    const adjacency = [];
+    const grid = new Map();
+    let edgeCount = 0;
+    let maxSpeedKmh = 0;
+
+    const nodeAt = ([lng, lat]) => {
+      const key = nodeKey(lat, lng);
+      if (!index.has(key)) {
+        const id = nodes.length;
+        nodes.push({ lat, lng });
+        adjacency.push([]);
+        index.set(key, id);
+
+        const cell = cellKey(lat, lng);
+        if (!grid.has(cell)) grid.set(cell, []);
+        grid.get(cell).push(id);
+      }
+      return index.get(key);
+    };
+
+    const addEdge = (from, to, distanceKm, speedKmh) => {
+      adjacency[from].push({
+        to,
+        distanceKm,
+        minutes: (distanceKm / speedKmh) * 60,
+      });
+      edgeCount++;
+    };
+
+    for (const feature of geojson.features || []) {
+      const { geometry, properties = {} } = feature;
+      if (!geometry) continue;
+
+      const lines =
+        geometry.type === 'LineString'
+          ? [geometry.coordinates]
+          : geometry.type === 'MultiLineString'
+            ? geometry.coordinates
+            : [];
+      const speedKmh = edgeSpeed(properties);
+      const direction = onewayDirection(properties);
+      maxSpeedKmh = Math.max(maxSpeedKmh, speedKmh);
+
+      for (const line of lines) {
+        for (let i = 1; i < line.length; i++) {
+          const a = nodeAt(line[i - 1]);
+          const b = nodeAt(line[i]);
+          if (a === b) continue;
+
+          const distanceKm = calculateDistance(
+            nodes[a].lat,
+            nodes[a].lng,
+            nodes[b].lat,
+            nodes[b].lng,
+          );
+          if (direction >= 0) addEdge(a, b, distanceKm, speedKmh);
+          if (direction <= 0) addEdge(b, a, distanceKm, speedKmh);
+        }
+      }
+    }
+
+    this.graph = { nodes, adjacency, grid, edgeCount, maxSpeedKmh };
+    return this.getStatus();
+  }
+
+  /**
+   * Whether a road graph is available, loading ROAD_GRAPH_PATH on first use
+   */
+  isLoaded() {
+    if (this.graph === null && this.loadedFrom === undefined) this.load();
+    return this.graph !== null && this.graph.nodes.length > 0;
+  }
+
+  getStatus() {
+    return {
+      source: this.graph ? ROUTE_SOURCE.ROAD_GRAPH : ROUTE_SOURCE.HAVERSINE,
+      path: this.loadedFrom || null,
+      nodes: this.graph ? this.graph.nodes.length : 0,
+      edges: this.graph ? this.graph.edgeCount : 0,
+    };
+  }
+
+  /**
+   * Closest graph node within ROUTING_MAX_SNAP_KM, searching the point's grid cell and its neighbours
+   */
+  nearestNode(lat, lng) {
+    const { nodes, grid } = this.graph;
+    const row = Math.floor(lat / GRID_SIZE);
+    const col = Math.floor(lng / GRID_SIZE);
+    let best = null;
+
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        for (const id of grid.get(`${row + dr}:${col + dc}`) || []) {
+          const distanceKm = calculateDistance(
+            lat,
+            lng,
+            nodes[id].lat,
+            nodes[id].lng,
+          );
+          if (!best || distanceKm < best.distanceKm) {
+            best = { id, distanceKm };
+          }
+        }
+      }
+    }
+
+    return best && best.distanceKm <= config.ROUTING_MAX_SNAP_KM ? best : null;
+  }
+
+  /**
+   * Closest point on a road to (lat, lng) within `maxDistanceKm`, searching the road segments
+   * that leave nodes in the point's grid cell and its neighbours
+   * Given a `heading`, the closest segment running within `headingToleranceDeg` of it wins over
+   * closer ones that don't, so a driver isn't pulled onto a crossing road or the far carriageway.
+   * @returns { lat, lng, distanceKm, bearing } or null if no graph is loaded or no road is near
+   */
+  snapToRoad(
+    lat,
+    lng,
+    {
+      maxDistanceKm = config.ROUTING_MAX_SNAP_KM,
+      heading,
+      headingToleranceDeg = 45,
+    } = {},
+  ) {
+    if (!this.isLoaded()) return null;
+
+    const { nodes, adjacency, grid } = this.graph;
+    const row = Math.floor(lat / GRID_SIZE);
+    const col = Math.floor(lng / GRID_SIZE);
+    // Segments are short enough to project on a flat plane around the point (km)
+    const kmPerLat = 110.574;
+    const kmPerLng = 111.32 * Math.cos((lat * Math.PI) / 180);
+    let nearest = null;
+    let aligned = null;
+
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        for (const id of grid.get(`${row + dr}:${col + dc}`) || []) {
+          const a = nodes[id];
+          const ax = (a.lng - lng) * kmPerLng;
+          const ay = (a.lat - lat) * kmPerLat;
+
+          for (const edge of adjacency[id]) {
+            const b = nodes[edge.to];
+            const dx = (b.lng - lng) * kmPerLng - ax;
+            const dy = (b.lat - lat) * kmPerLat - ay;
+            const lengthSq = dx * dx + dy * dy;
+            const t =
+              lengthSq === 0
+                ? 0
+                : Math.min(1, Math.max(0, -(ax * dx + ay * dy) / lengthSq));
+            const x = ax + t * dx;
+            const y = ay + t * dy;
+            const distanceKm = Math.hypot(x, y);
+            if (distanceKm > maxDistanceKm) continue;
+
+            const candidate = {
+              lat: lat + y / kmPerLat,
+              lng: lng + x / kmPerLng,
+              distanceKm,
+              bearing: calculateBearing(a.lat, a.lng, b.lat, b.lng),
+            };
+            if (!nearest || distanceKm < nearest.distanceKm) {
+              nearest = candidate;
+            }
+
+            if (heading === undefined) continue;
+            const offCourse = Math.abs(
+              ((heading - candidate.bearing + 540) % 360) - 180,
+            );
+            if (
+              offCourse <= headingToleranceDeg &&
+              (!aligned || distanceKm < aligned.distanceKm)
+            ) {
+              aligned = candidate;
+            }
+          }
+        }
+      }
+    }
+
+    const snapped = aligned || nearest;
+    return snapped && { ...snapped, distanceKm: round(snapped.distanceKm) };
+  }
+
+  /**
+   * Fastest path between two nodes (A* on travel time)
+   * The search runs on the event loop, so it gives up after expanding `maxExpandedNodes`:
+   * an unreachable target would otherwise have it explore the whole graph.
+   * @returns { nodeIds, distanceKm, minutes } or null if unreachable within the budget
+   */
+  shortestPath(
+    fromId,
+    toId,
+    { maxExpandedNodes = config.ROUTING_MAX_EXPANDED_NODES } = {},
+  ) {
+    const { nodes, adjacency, maxSpeedKmh } = this.graph;
+    const target = nodes[toId];
+    // Straight line at the top speed never overestimates, so the first path found is the fastest
+    const heuristic = (id) =>
+      (calculateDistance(nodes[id].lat, nodes[id].lng, target.lat, target.lng) /
+        maxSpeedKmh) *
+      60;
+
+    const minutes = new Map([[fromId, 0]]);
+    const distances = new Map([[fromId, 0]]);
+    const previous = new Map();
+    const open = new MinHeap();
+    open.push({ id: fromId, priority: heuristic(fromId) });
+    let expanded = 0;
+
+    while (open.size > 0) {
+      const { id, priority } = open.pop();
+
+      if (id === toId) {
+        const nodeIds = [toId];
+        while (previous.has(nodeIds[0])) {
+          nodeIds.unshift(previous.get(nodeIds[0]));
+        }
+        return {
+          nodeIds,
+          distanceKm: distances.get(toId),
+          minutes: minutes.get(toId),
+        };
+      }
+
+      // Stale heap entry for a node already reached faster
+      if (priority > minutes.get(id) + heuristic(id) + 1e-9) continue;
+      if (++expanded > maxExpandedNodes) return null;
+
+      for (const edge of adjacency[id]) {
+        const arrival = minutes.get(id) + edge.minutes;
+        if (!minutes.has(edge.to) || arrival < minutes.get(edge.to)) {
+          minutes.set(edge.to, arrival);
+          distances.set(edge.to, distances.get(id) + edge.distanceKm);
+          previous.set(edge.to, id);
+          open.push({ id: edge.to, priority: arrival + heuristic(edge.to) });
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Route through `points` in order ([{ lat, lng }, ...])
+   * Each leg is routed over the road graph, with the way to and from the nearest road
+   * driven straight at `fallbackSpeedKmh`. Legs that can't be snapped or connected within
+   * ROUTING_MAX_EXPANDED_NODES, or every leg when no graph is loaded, are straight lines at
+   * `fallbackSpeedKmh`.
+   * @returns { distanceKm, durationMinutes, polyline, source }
+   */
+  route(points, { fallbackSpeedKmh = config.ROUTING_FALLBACK_SPEED_KMH } = {}) {
+    const hasGraph = this.isLoaded();
+    const path = [points[0]];
+    let distanceKm = 0;
+    let minutes = 0;
+    let routedLegs = 0;
+
+    const straight = (a, b) => {
+      const legKm = calculateRouteDistance([a, b]);
+      distanceKm += legKm;
+      minutes += (legKm / fallbackSpeedKmh) * 60;
+      path.push(b);
+    };
+
+    for (let i = 1; i < points.length; i++) {
+      const from = points[i - 1];
+      const to = points[i];
+      const start = hasGraph ? this.nearestNode(from.lat, from.lng) : null;
+      const end = hasGraph ? this.nearestNode(to.lat, to.lng) : null;
+      const leg = start && end ? this.shortestPath(start.id, end.id) : null;
+
+      if (!leg) {
+        straight(from, to);
+        continue;
+      }
+
+      const { nodes } = this.graph;
+      distanceKm += start.distanceKm + leg.distanceKm + end.distanceKm;
+      minutes +=
+        leg.minutes +
+        ((start.distanceKm + end.distanceKm) / fallbackSpeedKmh) * 60;
+      path.push(...leg.nodeIds.map((id) => nodes[id]), to);
+      routedLegs++;
+    }
+
+    return {
+      distanceKm: round(distanceKm),
+      durationMinutes: Math.round(minutes * 10) / 10,
+      polyline: encodePolyline(path),
+      source: routedLegs > 0 ? ROUTE_SOURCE.ROAD_GRAPH : ROUTE_SOURCE.HAVERSINE,
+    };
+  }
+
+  /**
+   * Minutes for a driver to reach the pickup
+   */
+  estimatePickupEta(driver, pickup) {
+    const { durationMinutes } = this.route(
+      [{ lat: driver.latitude, lng: driver.longitude }, pickup],
+      { fallbackSpeedKmh: config.PICKUP_FALLBACK_SPEED_KMH },
+    );
+    return Math.ceil(durationMinutes);
+  }
+}
+
+module.exports = new RoutingService();
+module.exports.RoutingService = RoutingService;
+module.exports.ROUTE_SOURCE = ROUTE_SOURCE;
@@ -1,18 +1,61 @@
 const { getRedisClient } = require('../db/redis');
 const config = require('../config');
-const { latLngToGeoCell, getNeighboringCells } = require('../utils/geo.utils');
+const {
+  latLngToGeoCell,
+  getNeighboringCells,
+  isValidGeoCell,
+  parseLegacyGeoCell,
+  geoCellToLatLng,
+  geoCellToBoundary
+} = require('../utils/geo.utils');
 const { publishEvent } = require('../events/kafka-producer');
 const topics = require('../events/topics');
+const driverLocationService = require('./driver-location.service');
+const regionService = require('./region.service');
+const { AppError } = require('../middleware/error-handler');
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Day of week (0 = Sunday) and hour of a moment in a timezone
+ */
+const getLocalDayAndHour = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    hour: 'numeric',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const part = (type) => parts.find((p) => p.type === type).value;
+  return { day: WEEKDAYS.indexOf(part('weekday')), hour: parseInt(part('hour')) };
+};
 
 class SurgePricingService {
   constructor() {
     this.redis = getRedisClient();
   }
 
+  /**
+   * The H3 cell for a geo cell ID
+   * IDs from before H3 (see parseLegacyGeoCell) convert to the H3 cell containing their
+   * center, taking the reading of the ID that lies in a service region.
+   */
+  normalizeGeoCell(geoCell) {
+    if (isValidGeoCell(geoCell)) return geoCell;
+
+    const center = parseLegacyGeoCell(geoCell).find(({ lat, lng }) => regionService.findRegion(lat, lng));
+    if (!center) {
+      throw new AppError(`${geoCell} is not an H3 cell`, 400, 'INVALID_GEO_CELL');
+    }
+    return latLngToGeoCell(center.lat, center.lng);
+  }
+
   /**
    * Get surge multiplier for a geo cell
    */
-  async getSurgeForCell(geoCell) {
+  async getSurgeForCell(cell) {
+    const geoCell = this.normalizeGeoCell(cell);
     const cacheKey = `surge:${geoCell}`;
     const cached = await this.redis.hgetall(cacheKey);
 
@@ -38,13 +81,14 @@ class SurgePricingService {
   /**
    * Calculate and cache surge pricing for a geo cell
    */
-  async calculateSurge({ geoCell, region, latitude, longitude }) {
+  async calculateSurge({ geoCell: cell, region, latitude, longitude }) {
+    const geoCell = this.normalizeGeoCell(cell);
+
     // Get supply: count of online drivers in area
     const supplyCount = await this.getSupplyCount(region, latitude, longitude);
 
-    // Get demand: count of recent ride requests
-    const demandKey = `demand:${geoCell}`;
-    const demandCount = parseInt(await this.redis.get(demandKey)) || 0;
+    // Get demand: count of recent ride requests in the cell and its rings of neighbors
+    const demandCount = await this.getDemandCount(geoCell);
 
     // Calculate surge multiplier
     const surgeMultiplier = this.computeSurgeMultiplier(supplyCount, demandCount);
@@ -115,34 +159,30 @@ class SurgePricingService {
    * Get count of online drivers near a location
    */
   async getSupplyCount(region, latitude, longitude) {
-    const geoKey = `drivers:locations:${region}`;
-    const radiusKm = 2; // 2km radius for supply count
-
-    const results = await this.redis.georadius(
-      geoKey,
-      longitude,
+    return driverLocationService.countAvailableDrivers({
       latitude,
-      radiusKm,
-      'km'
-    );
-
-    // Filter to only online drivers
-    let onlineCount = 0;
-    for (const driverId of results) {
-      const isOnline = await this.redis.exists(`driver:${driverId}:presence`);
-      if (isOnline) {
-        const status = await this.redis.hget(`driver:${driverId}:meta`, 'status');
-        if (status === 'ONLINE') onlineCount++;
-      }
-    }
+      longitude,
+      radiusKm: 2, // 2km radius for supply count
+      region
+    });
+  }
 
-    return onlineCount;
+  /**
+   * Count recent ride requests within SURGE_DEMAND_RING cells of a geo cell
+   * A cell alone is a few hundred meters across, too small to judge demand against the
+   * drivers within the supply radius.
+   */
+  async getDemandCount(geoCell) {
+    const cells = getNeighboringCells(geoCell, config.SURGE_DEMAND_RING);
+    const counts = await this.redis.mget(...cells.map((cell) => `demand:${cell}`));
+    return counts.reduce((sum, count) => sum + (parseInt(count) || 0), 0);
   }
 
   /**
    * Increment demand counter for a geo cell
    */
-  async incrementDemand(geoCell, region) {
+  async incrementDemand(cell, region) {
+    const geoCell = this.normalizeGeoCell(cell);
     const demandKey = `demand:${geoCell}`;
     const count = await this.redis.incr(demandKey);
 
@@ -156,16 +196,23 @@ class SurgePricingService {
 
   /**
    * Get all surge zones for a region
+   * Each zone carries its cell's center and hexagon, for drawing heatmaps
    */
   async getSurgeZonesForRegion(region, minSurge = 1.0) {
     const cellSet = `surge:cells:${region}`;
-    const cells = await this.redis.smembers(cellSet);
+    const members = await this.redis.smembers(cellSet);
+
+    // Cells tracked before H3 indexing have no surge left to show
+    const legacy = members.filter((cell) => !isValidGeoCell(cell));
+    if (legacy.length > 0) {
+      await this.redis.srem(cellSet, ...legacy);
+    }
 
     const zones = [];
-    for (const cell of cells) {
+    for (const cell of members.filter(isValidGeoCell)) {
       const data = await this.getSurgeForCell(cell);
       if (data.surgeMultiplier >= minSurge) {
-        zones.push(data);
+        zones.push({ ...data, center: geoCellToLatLng(cell), boundary: geoCellToBoundary(cell) });
       }
     }
 
@@ -175,6 +222,31 @@ class SurgePricingService {
     return { region, zones };
   }
 
+  /**
+   * Get surge for a future pickup from the time-of-day policy
+   * Live supply/demand says nothing about a pickup hours away, so scheduled rides use this instead
+   * Policy hours are local to the pickup region's timezone
+   */
+  getScheduledSurge(latitude, longitude, pickupAt) {
+    const { id: region, timezone } = regionService.resolveRegion(latitude, longitude);
+    const policy = config.SCHEDULED_SURGE_POLICY[region] || config.SCHEDULED_SURGE_POLICY.default || [];
+    const { day, hour } = getLocalDayAndHour(pickupAt, timezone);
+
+    const window = policy.find((w) =>
+      (!w.days || w.days.includes(day)) && hour >= w.startHour && hour < w.endHour
+    );
+
+    let surgeMultiplier = window ? window.multiplier : config.SURGE_MIN;
+    surgeMultiplier = Math.min(config.SURGE_MAX, Math.max(config.SURGE_MIN, surgeMultiplier));
+
+    return {
+      geoCell: latLngToGeoCell(latitude, longitude),
+      region,
+      surgeMultiplier,
+      pickupAt: pickupAt.toISOString()
+    };
+  }
+
   /**
    * Get surge for a pickup location (checks cell and neighbors)
    */
@@ -184,7 +256,7 @@ class SurgePricingService {
 
     // If no cached data, calculate it
     if (data.supplyCount === 0 && data.demandCount === 0) {
-      const region = require('../utils/geo.utils').getRegionFromCoordinates(latitude, longitude);
+      const region = regionService.resolveRegion(latitude, longitude).id;
       return this.calculateSurge({ geoCell, region, latitude, longitude });
     }
 
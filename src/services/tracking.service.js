@@ -0,0 +1,389 @@
+const crypto = require('crypto');
+const { getRedisClient, subscribe } = require('../db/redis');
+const { query } = require('../db/postgres');
+const config = require('../config');
+const routingService = require('./routing.service');
+const { calculateDistance } = require('../utils/geo.utils');
+const { AppError } = require('../middleware/error-handler');
+
+// Pub/sub channels: every location update of a driver, and status changes of a ride
+const driverChannel = (driverId) => `tracking:driver:${driverId}`;
+const rideChannel = (rideId) => `tracking:ride:${rideId}`;
+
+// Ride statuses after which there is nothing left to follow
+const FINAL_STATUSES = ['COMPLETED', 'CANCELLED', 'EXPIRED', 'NO_DRIVERS'];
+
+const sign = (payload) =>
+  crypto
+    .createHmac('sha256', config.TRACKING_TOKEN_SECRET)
+    .update(payload)
+    .digest('base64url');
+
+const invalidToken = () =>
+  new AppError(
+    'Tracking token is invalid or expired',
+    401,
+    'INVALID_TRACKING_TOKEN',
+  );
+
+class TrackingService {
+  constructor() {
+    this.redis = getRedisClient();
+    this.watchers = new Set();
+  }
+
+  /**
+   * Sign a token that lets its holder follow one ride until it expires
+   * @returns `${base64url({ rideId, riderId, expiresAt })}.${hmac}`
+   */
+  issueToken({ rideId, riderId }) {
+    const expiresAt = new Date(
+      Date.now() + config.TRACKING_TOKEN_TTL * 1000,
+    ).toISOString();
+    const payload = Buffer.from(
+      JSON.stringify({ rideId, riderId, expiresAt }),
+    ).toString('base64url');
+
+    return { token: `${payload}.${sign(payload)}`, expiresAt };
+  }
+
+  /**
+   * Reject tokens that are tampered, expired or issued for another ride
+   * @param allowExpired - accept expired tokens (renewal only; they no longer open the stream)
+   */
+  verifyToken(token, rideId, now = Date.now(), { allowExpired = false } = {}) {
+    const claims = this.readToken(token, now, { allowExpired });
+    if (claims.rideId !== rideId) throw invalidToken();
+
+    return claims;
+  }
+
+  /**
+   * Claims of a genuine token, whichever ride it is for
+   */
+  readToken(token, now = Date.now(), { allowExpired = false } = {}) {
+    const [payload, signature, ...rest] = String(token || '').split('.');
+    const expected = payload ? sign(payload) : '';
+
+    if (
+      !signature ||
+      rest.length > 0 ||
+      signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    ) {
+      throw invalidToken();
+    }
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (!allowExpired && new Date(claims.expiresAt).getTime() <= now) {
+      throw invalidToken();
+    }
+
+    return claims;
+  }
+
+  /**
+   * A driver's position is only for the riders of a ride they are assigned to: the caller
+   * needs a valid tracking token for that ride, and the ride must not be over
+   */
+  async authorizeDriverLocation(driverId, token) {
+    const { rideId } = this.readToken(token);
+    const result = await query(
+      `SELECT driver_id, status FROM ride_requests WHERE id = $1`,
+      [rideId],
+    );
+    const ride = result.rows[0];
+
+    if (
+      !ride ||
+      ride.driver_id !== driverId ||
+      FINAL_STATUSES.includes(ride.status)
+    ) {
+      throw new AppError(
+        "Only riders of the driver's current ride can see their location",
+        403,
+        'FORBIDDEN',
+      );
+    }
+  }
+
+  /**
+   * Exchange a token for a fresh one for the same ride
+   * The signed token handed to the rider at booking is what proves they are the rider, so
+   * it may have expired (e.g. a scheduled ride starting hours later) but must be genuine
+   * and still renewable (see assertRenewable).
+   */
+  async renewToken(rideId, token, now = Date.now()) {
+    const claims = this.verifyToken(token, rideId, now, {
+      allowExpired: true,
+    });
+
+    const result = await query(
+      `SELECT rider_id, status, scheduled_at FROM ride_requests WHERE id = $1`,
+      [rideId],
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Ride not found', 404, 'RIDE_NOT_FOUND');
+    }
+    this.assertRenewable(claims, result.rows[0], now);
+
+    return { rideId, ...this.issueToken({ rideId, riderId: claims.riderId }) };
+  }
+
+  /**
+   * A token is renewable by the ride's rider while the ride isn't over, for up to
+   * TRACKING_TOKEN_RENEW_WINDOW after it expired or after the scheduled pickup, whichever
+   * is later, so a leaked or old token doesn't give tracking access for good
+   */
+  assertRenewable(claims, ride, now = Date.now()) {
+    if (ride.rider_id !== claims.riderId) {
+      throw new AppError(
+        'Only the rider can track this ride',
+        403,
+        'FORBIDDEN',
+      );
+    }
+    if (FINAL_STATUSES.includes(ride.status)) {
+      throw new AppError(
+        `Ride is ${ride.status}; there is nothing left to track`,
+        409,
+        'RIDE_FINISHED',
+      );
+    }
+
+    const renewableFrom = Math.max(
+      new Date(claims.expiresAt).getTime(),
+      ride.scheduled_at ? new Date(ride.scheduled_at).getTime() : 0,
+    );
+    if (now > renewableFrom + config.TRACKING_TOKEN_RENEW_WINDOW * 1000) {
+      throw invalidToken();
+    }
+  }
+
+  /**
+   * Fan a driver's position out to streams following them
+   * Pass a pipeline to publish as part of a batched write
+   */
+  publishDriverLocation(driverId, location, redis = this.redis) {
+    return redis.publish(
+      driverChannel(driverId),
+      JSON.stringify({ driverId, ...location }),
+    );
+  }
+
+  /**
+   * Fan a ride or trip status change out to streams following the ride
+   */
+  async publishStatus(rideId, update) {
+    await this.redis.publish(
+      rideChannel(rideId),
+      JSON.stringify({ rideId, ...update, at: new Date().toISOString() }),
+    );
+  }
+
+  /**
+   * Ride row to stream
+   */
+  async getRide(rideId) {
+    const result = await query(`SELECT * FROM ride_requests WHERE id = $1`, [
+      rideId,
+    ]);
+    if (result.rows.length === 0) {
+      throw new AppError('Ride not found', 404, 'RIDE_NOT_FOUND');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Follow a ride. `send(event, data)` receives:
+   * - `status` at once and on every ride/trip status change
+   * - `location` of the assigned driver, at most every TRACKING_PUSH_INTERVAL (latest wins),
+   *   with an ETA to the pickup, or to the destination once the trip is under way
+   * `onEnd` fires after a final status, or when the server shuts down.
+   * @returns stop() to call when the client goes away
+   */
+  async watchRide(ride, { send, onEnd }) {
+    const rideId = ride.id;
+    const state = {
+      status: ride.status,
+      driverId: ride.driver_id,
+      unsubscribeDriver: null,
+      pendingLocation: null,
+      lastPushAt: 0,
+      etaCache: {},
+      timer: null,
+      ended: false,
+    };
+
+    const flushLocation = () => {
+      state.timer = null;
+      if (!state.pendingLocation || state.ended) return;
+
+      const location = state.pendingLocation;
+      state.pendingLocation = null;
+      state.lastPushAt = Date.now();
+      send(
+        'location',
+        this.formatLocation(ride, state.status, location, state.etaCache),
+      );
+    };
+
+    const onLocation = (location) => {
+      state.pendingLocation = location;
+      const wait =
+        state.lastPushAt + config.TRACKING_PUSH_INTERVAL - Date.now();
+      if (wait <= 0) flushLocation();
+      else if (!state.timer) state.timer = setTimeout(flushLocation, wait);
+    };
+
+    const followDriver = async (driverId) => {
+      if (state.unsubscribeDriver) await state.unsubscribeDriver();
+      state.driverId = driverId;
+      state.etaCache = {};
+      state.unsubscribeDriver = await subscribe(
+        driverChannel(driverId),
+        onLocation,
+      );
+    };
+
+    const watcher = {
+      stop: async () => {
+        if (state.ended) return;
+        state.ended = true;
+        clearTimeout(state.timer);
+        this.watchers.delete(watcher);
+        await unsubscribeRide();
+        if (state.unsubscribeDriver) await state.unsubscribeDriver();
+      },
+      end: async () => {
+        await watcher.stop();
+        onEnd();
+      },
+    };
+
+    const onStatus = async (update) => {
+      if (update.status) state.status = update.status;
+      send('status', update);
+
+      if (FINAL_STATUSES.includes(state.status)) {
+        await watcher.end();
+      } else if (update.driverId && update.driverId !== state.driverId) {
+        await followDriver(update.driverId);
+      }
+    };
+
+    const unsubscribeRide = await subscribe(rideChannel(rideId), onStatus);
+    this.watchers.add(watcher);
+
+    // Where things stand now, then live updates
+    await onStatus({
+      rideId,
+      status: ride.status,
+      driverId: ride.driver_id,
+      at: new Date().toISOString(),
+    });
+
+    if (!state.ended && state.driverId) {
+      if (!state.unsubscribeDriver) await followDriver(state.driverId);
+
+      const meta = await this.redis.hgetall(`driver:${state.driverId}:meta`);
+      if (meta.lastLat) {
+        onLocation({
+          driverId: state.driverId,
+          latitude: parseFloat(meta.lastLat),
+          longitude: parseFloat(meta.lastLng),
+          heading: parseFloat(meta.heading) || 0,
+          speed: parseFloat(meta.speed) || 0,
+          timestamp: meta.lastUpdate,
+        });
+      }
+    }
+
+    return watcher.stop;
+  }
+
+  /**
+   * Location push with the ETA to wherever the driver is heading
+   * Routing every push is too costly, so a stream passes its `etaCache` and the ETA is only
+   * re-routed once the driver has moved TRACKING_ETA_REROUTE_KM from where it was last
+   * routed, TRACKING_ETA_REFRESH_INTERVAL has passed, or the target changed.
+   */
+  formatLocation(ride, status, location, etaCache = {}) {
+    const onTrip = status === 'IN_PROGRESS';
+    const etaTo = onTrip ? 'DESTINATION' : 'PICKUP';
+    const now = Date.now();
+    const cached = etaCache.eta;
+
+    if (
+      !cached ||
+      cached.etaTo !== etaTo ||
+      now - cached.at >= config.TRACKING_ETA_REFRESH_INTERVAL ||
+      calculateDistance(
+        cached.latitude,
+        cached.longitude,
+        location.latitude,
+        location.longitude,
+      ) >= config.TRACKING_ETA_REROUTE_KM
+    ) {
+      etaCache.eta = {
+        etaTo,
+        etaMinutes: this.routeEta(ride, onTrip, location),
+        latitude: location.latitude,
+        longitude: location.longitude,
+        at: now,
+      };
+    }
+
+    return {
+      driverId: location.driverId,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      heading: location.heading || 0,
+      speed: location.speed || 0,
+      etaMinutes: etaCache.eta.etaMinutes,
+      etaTo,
+      timestamp: location.timestamp,
+    };
+  }
+
+  /**
+   * Minutes from the driver's position to the pickup, or to the destination on the trip
+   */
+  routeEta(ride, onTrip, location) {
+    if (!onTrip) {
+      return routingService.estimatePickupEta(location, {
+        lat: parseFloat(ride.pickup_lat),
+        lng: parseFloat(ride.pickup_lng),
+      });
+    }
+
+    return Math.ceil(
+      routingService.route([
+        { lat: location.latitude, lng: location.longitude },
+        {
+          lat: parseFloat(ride.destination_lat),
+          lng: parseFloat(ride.destination_lng),
+        },
+      ]).durationMinutes,
+    );
+  }
+
+  /**
+   * End every open stream (graceful shutdown)
+   */
+  async close() {
+    for (const watcher of [...this.watchers]) {
+      await watcher.end();
+    }
+  }
+}
+
+// Tracking token from `?token=` or `Authorization: Bearer <token>`
+const tokenFromRequest = (req) =>
+  req.query.token || (req.headers.authorization || '').replace(/^Bearer /, '');
+
+module.exports = new TrackingService();
+module.exports.FINAL_STATUSES = FINAL_STATUSES;
+module.exports.tokenFromRequest = tokenFromRequest;
@@ -0,0 +1,240 @@
+const { getRedisClient } = require('../db/redis');
+const config = require('../config');
+const routingService = require('./routing.service');
+const {
+  calculateDistance,
+  encodePolyline,
+  decodePolyline,
+} = require('../utils/geo.utils');
+
+// Trips a driver is currently driving (pool drivers can have several); their pings extend each trail
+const driverTripsKey = (driverId) => `driver:${driverId}:trips`;
+const trailKey = (tripId) => `trip:${tripId}:trail`;
+
+const BILLING_SOURCE = {
+  SERVER: 'SERVER',
+  CLIENT: 'CLIENT',
+};
+
+const round = (value, places) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+class TripTrailService {
+  constructor() {
+    this.redis = getRedisClient();
+  }
+
+  /**
+   * Record the driver's pings on this trip's trail until stopRecording
+   */
+  async startRecording(driverId, tripId) {
+    await this.redis
+      .pipeline()
+      .sadd(driverTripsKey(driverId), tripId)
+      .expire(driverTripsKey(driverId), config.TRIP_TRAIL_TTL)
+      .exec();
+  }
+
+  async stopRecording(driverId, tripId) {
+    await this.redis.srem(driverTripsKey(driverId), tripId);
+  }
+
+  /**
+   * Trips each of the drivers is recording, read in one pipeline
+   * @returns Map of driverId to tripIds
+   */
+  async getRecordingTrips(driverIds) {
+    if (driverIds.length === 0) return new Map();
+
+    const results = await this.redis
+      .pipeline(
+        driverIds.map((driverId) => ['smembers', driverTripsKey(driverId)]),
+      )
+      .exec();
+    const failed = results.find(([err]) => err);
+    if (failed) throw failed[0];
+
+    return new Map(driverIds.map((driverId, i) => [driverId, results[i][1]]));
+  }
+
+  /**
+   * Add a ping to the trails of the driver's trips, if any
+   */
+  async recordPing(driverId, ping) {
+    const tripIds = await this.redis.smembers(driverTripsKey(driverId));
+    if (tripIds.length === 0) return 0;
+
+    const pipeline = this.redis.pipeline();
+    this.addToTrails(tripIds, ping, pipeline);
+    await pipeline.exec();
+    return tripIds.length;
+  }
+
+  /**
+   * Queue a ping onto the trails of `tripIds` (see getRecordingTrips) in a pipeline
+   */
+  addToTrails(tripIds, { latitude, longitude, timestamp }, pipeline) {
+    const timestampMs = timestamp ? Date.parse(timestamp) : Date.now();
+    for (const tripId of tripIds) {
+      pipeline
+        .zadd(
+          trailKey(tripId),
+          timestampMs,
+          `${timestampMs}:${latitude}:${longitude}`,
+        )
+        .expire(trailKey(tripId), config.TRIP_TRAIL_TTL);
+    }
+  }
+
+  /**
+   * Recorded pings of a trip in time order ([{ lat, lng, timestampMs }])
+   */
+  async getTrail(tripId) {
+    const members = await this.redis.zrange(trailKey(tripId), 0, -1);
+    return members.map((member) => {
+      const [timestampMs, lat, lng] = member.split(':').map(parseFloat);
+      return { lat, lng, timestampMs };
+    });
+  }
+
+  /**
+   * Billed distance, duration and polyline of a trip from its trail
+   * The trail runs from the start point at `startTime` through each ping to the end point at
+   * `endTime`. Pings implying more than TRIP_TRAIL_MAX_SPEED_KMH are skipped as glitches.
+   * Gaps longer than TRIP_TRAIL_GAP_SECONDS are routed (see routingService.route) rather than
+   * drawn straight, since the car rarely drove a straight line while the phone was silent.
+   * Duration is the time between start and end minus `pauseSeconds`.
+   * @returns { distanceKm, durationMinutes, polyline, pingCount, skippedPings, interpolatedKm }
+   */
+  summarize(trail, { start, end, startTime, endTime, pauseSeconds = 0 }) {
+    const startMs = new Date(startTime).getTime();
+    const endMs = new Date(endTime).getTime();
+    const pings = trail.filter(
+      (ping) => ping.timestampMs >= startMs && ping.timestampMs <= endMs,
+    );
+    const points = [
+      { ...start, timestampMs: startMs },
+      ...pings,
+      { ...end, timestampMs: endMs },
+    ];
+
+    const path = [points[0]];
+    // Routed gaps start and end on the points around them; don't repeat those
+    const extend = (...added) => {
+      for (const point of added) {
+        const last = path[path.length - 1];
+        if (point.lat !== last.lat || point.lng !== last.lng) path.push(point);
+      }
+    };
+    let previous = points[0];
+    let distanceKm = 0;
+    let interpolatedKm = 0;
+    let skippedPings = 0;
+
+    for (const [i, point] of points.entries()) {
+      if (i === 0) continue;
+
+      const legKm = calculateDistance(
+        previous.lat,
+        previous.lng,
+        point.lat,
+        point.lng,
+      );
+      const hours = (point.timestampMs - previous.timestampMs) / 3600000;
+      const isEnd = i === points.length - 1;
+
+      // The end point is where the driver says they stopped, so it is never skipped
+      if (
+        !isEnd &&
+        (hours <= 0 || legKm / hours > config.TRIP_TRAIL_MAX_SPEED_KMH)
+      ) {
+        skippedPings++;
+        continue;
+      }
+
+      if (hours * 3600 > config.TRIP_TRAIL_GAP_SECONDS && legKm > 0) {
+        const leg = routingService.route([previous, point]);
+        distanceKm += leg.distanceKm;
+        interpolatedKm += leg.distanceKm;
+        extend(...decodePolyline(leg.polyline), point);
+      } else {
+        distanceKm += legKm;
+        extend(point);
+      }
+
+      previous = point;
+    }
+
+    const elapsedMinutes = (endMs - startMs) / 60000 - pauseSeconds / 60;
+
+    return {
+      distanceKm: round(distanceKm, 3),
+      durationMinutes: Math.max(0, Math.round(elapsedMinutes)),
+      polyline: encodePolyline(path.map(({ lat, lng }) => ({ lat, lng }))),
+      pingCount: pings.length,
+      skippedPings,
+      interpolatedKm: round(interpolatedKm, 3),
+    };
+  }
+
+  /**
+   * Whether client-reported values stray too far from the server's
+   * A value is off when it differs by more than TRIP_DISCREPANCY_RATIO of the server value and
+   * by more than the absolute minimum (so short trips aren't flagged over GPS noise)
+   */
+  compare(server, client) {
+    const isOff = (serverValue, clientValue, minimum) =>
+      clientValue !== undefined &&
+      Math.abs(clientValue - serverValue) >
+        Math.max(serverValue * config.TRIP_DISCREPANCY_RATIO, minimum);
+
+    const distanceOff = isOff(
+      server.distanceKm,
+      client.distanceKm,
+      config.TRIP_DISCREPANCY_MIN_KM,
+    );
+    const durationOff = isOff(
+      server.durationMinutes,
+      client.durationMinutes,
+      config.TRIP_DISCREPANCY_MIN_MINUTES,
+    );
+
+    return {
+      flagged: distanceOff || durationOff,
+      distanceOff,
+      durationOff,
+    };
+  }
+
+  /**
+   * Decide what a finished trip is billed on
+   * Trails with at least TRIP_TRAIL_MIN_PINGS pings, or trips the client reported nothing for,
+   * are billed on the server's values; sparser trails fall back to what the client reported.
+   */
+  async settle(tripId, { client, ...trip }) {
+    const summary = this.summarize(await this.getTrail(tripId), trip);
+    const hasClientValues =
+      client.distanceKm !== undefined && client.durationMinutes !== undefined;
+    const trusted =
+      summary.pingCount >= config.TRIP_TRAIL_MIN_PINGS || !hasClientValues;
+
+    const discrepancy = trusted
+      ? this.compare(summary, client)
+      : { flagged: false, distanceOff: false, durationOff: false };
+
+    return {
+      ...summary,
+      billingSource: trusted ? BILLING_SOURCE.SERVER : BILLING_SOURCE.CLIENT,
+      billedDistanceKm: trusted ? summary.distanceKm : client.distanceKm,
+      billedDurationMinutes: trusted
+        ? summary.durationMinutes
+        : client.durationMinutes,
+      discrepancy,
+    };
+  }
+}
+
+module.exports = new TripTrailService();
+module.exports.BILLING_SOURCE = BILLING_SOURCE;
@@ -1,10 +1,24 @@
 const { v4: uuidv4 } = require('uuid');
-const { query, getClient } = require('../db/postgres');
+const { query, withTransaction } = require('../db/postgres');
 const { getRedisClient } = require('../db/redis');
 const config = require('../config');
 const driverLocationService = require('./driver-location.service');
 const { publishEvent } = require('../events/kafka-producer');
 const topics = require('../events/topics');
+const poolService = require('./pool.service');
+const fareQuoteService = require('./fare-quote.service');
+const rideStateMachine = require('./ride-state-machine');
+const { RIDE_STATUS } = rideStateMachine;
+const trackingService = require('./tracking.service');
+const tripTrailService = require('./trip-trail.service');
+const regionService = require('./region.service');
+
+const STOP_STATUS = {
+  PENDING: 'PENDING',
+  ARRIVED: 'ARRIVED',
+  DEPARTED: 'DEPARTED',
+  SKIPPED: 'SKIPPED'
+};
 
 class TripService {
   constructor() {
@@ -17,8 +31,8 @@ class TripService {
   async createTrip(rideRequestId) {
     // Verify ride is in ACCEPTED status
     const rideResult = await query(
-      `SELECT * FROM ride_requests WHERE id = $1 AND status = 'ACCEPTED'`,
-      [rideRequestId]
+      `SELECT * FROM ride_requests WHERE id = $1 AND status = $2`,
+      [rideRequestId, RIDE_STATUS.ACCEPTED]
     );
 
     if (rideResult.rows.length === 0) {
@@ -38,12 +52,23 @@ class TripService {
     }
 
     const tripId = uuidv4();
-
-    await query(
-      `INSERT INTO trips (id, ride_request_id, driver_id, rider_id, status, surge_multiplier)
-       VALUES ($1, $2, $3, $4, 'PENDING', $5)`,
-      [tripId, rideRequestId, ride.driver_id, ride.rider_id, ride.surge_multiplier]
-    );
+    const stops = ride.stops || [];
+
+    await withTransaction(async (client) => {
+      await client.query(
+        `INSERT INTO trips (id, ride_request_id, driver_id, rider_id, status, surge_multiplier, pool_trip_id)
+         VALUES ($1, $2, $3, $4, 'PENDING', $5, $6)`,
+        [tripId, rideRequestId, ride.driver_id, ride.rider_id, ride.surge_multiplier, ride.pool_trip_id]
+      );
+
+      // The ride's waypoints become the trip's stops, tracked one by one
+      for (const [i, stop] of stops.entries()) {
+        await client.query(
+          `INSERT INTO trip_stops (trip_id, sequence, lat, lng) VALUES ($1, $2, $3, $4)`,
+          [tripId, i + 1, stop.lat, stop.lng]
+        );
+      }
+    });
 
     // Publish event
     await publishEvent(topics.TRIP_CREATED, tripId, {
@@ -58,7 +83,9 @@ class TripService {
       rideRequestId,
       status: 'PENDING',
       driverId: ride.driver_id,
-      riderId: ride.rider_id
+      riderId: ride.rider_id,
+      poolTripId: ride.pool_trip_id || null,
+      stops: stops.map((stop, i) => ({ sequence: i + 1, lat: stop.lat, lng: stop.lng, status: 'PENDING' }))
     };
   }
 
@@ -78,16 +105,32 @@ class TripService {
 
     const startTime = new Date();
 
-    await query(
-      `UPDATE trips
-       SET status = 'STARTED', start_time = $1, start_lat = $2, start_lng = $3, updated_at = NOW()
-       WHERE id = $4`,
-      [startTime, startLat, startLng, tripId]
-    );
+    const { runSideEffects } = await withTransaction(async (client) => {
+      const transition = await rideStateMachine.transition(trip.rideRequestId, RIDE_STATUS.IN_PROGRESS, { client });
+
+      await client.query(
+        `UPDATE trips
+         SET status = 'STARTED', start_time = $1, start_lat = $2, start_lng = $3, updated_at = NOW()
+         WHERE id = $4`,
+        [startTime, startLat, startLng, tripId]
+      );
+
+      // Pooled: starting a rider's trip is their pickup stop
+      if (trip.poolTripId) {
+        await poolService.completeStop(client, trip.poolTripId, trip.rideRequestId, 'PICKUP');
+      }
+
+      return transition;
+    });
+
+    await runSideEffects();
 
     // Update driver status
     await driverLocationService.updateDriverStatus(trip.driverId, 'ON_TRIP');
 
+    // The driver's pings from now on are this trip's trail
+    await tripTrailService.startRecording(trip.driverId, tripId);
+
     // Publish event
     await publishEvent(topics.TRIP_STARTED, tripId, {
       tripId,
@@ -119,6 +162,11 @@ class TripService {
       throw new Error(`Cannot pause trip in ${trip.status} status`);
     }
 
+    // Waiting at a stop is billed as stop wait time, not pause time
+    if (trip.stops.some((stop) => stop.status === STOP_STATUS.ARRIVED)) {
+      throw new Error('Cannot pause trip while waiting at a stop');
+    }
+
     const pauseTime = new Date();
 
     await query(
@@ -127,6 +175,7 @@ class TripService {
     );
 
     await publishEvent(topics.TRIP_PAUSED, tripId, { tripId, pauseTime: pauseTime.toISOString(), reason });
+    await trackingService.publishStatus(trip.rideRequestId, { tripId, tripStatus: 'PAUSED' });
 
     return {
       id: tripId,
@@ -165,6 +214,7 @@ class TripService {
     );
 
     await publishEvent(topics.TRIP_RESUMED, tripId, { tripId, totalPauseDuration });
+    await trackingService.publishStatus(trip.ride_request_id, { tripId, tripStatus: 'STARTED' });
 
     return {
       id: tripId,
@@ -173,11 +223,211 @@ class TripService {
     };
   }
 
+  /**
+   * Add an intermediate stop to a trip that hasn't ended
+   * `position` (1-based, default last) must come after every stop already reached;
+   * later stops move back one place
+   */
+  async addStop(tripId, { lat, lng, position }) {
+    const { trip, stops, sequence } = await withTransaction(async (client) => {
+      const trip = await this.lockTrip(client, tripId);
+
+      if (!['PENDING', 'STARTED', 'PAUSED'].includes(trip.status)) {
+        throw new Error(`Cannot add a stop to trip in ${trip.status} status`);
+      }
+
+      if (trip.pool_trip_id) {
+        throw new Error('Stops cannot be added to pooled trips');
+      }
+
+      const stopsResult = await client.query(
+        `SELECT * FROM trip_stops WHERE trip_id = $1 ORDER BY sequence`,
+        [tripId]
+      );
+      const current = stopsResult.rows;
+
+      if (current.length >= config.MAX_RIDE_STOPS) {
+        throw new Error(`A trip can have at most ${config.MAX_RIDE_STOPS} stops`);
+      }
+
+      const reached = current.filter((stop) => stop.status !== STOP_STATUS.PENDING).length;
+      const sequence = position || current.length + 1;
+
+      if (sequence <= reached || sequence > current.length + 1) {
+        throw new Error(`Stop position must be between ${reached + 1} and ${current.length + 1}`);
+      }
+
+      await client.query(
+        `UPDATE trip_stops SET sequence = sequence + 1 WHERE trip_id = $1 AND sequence >= $2`,
+        [tripId, sequence]
+      );
+      await client.query(
+        `INSERT INTO trip_stops (trip_id, sequence, lat, lng) VALUES ($1, $2, $3, $4)`,
+        [tripId, sequence, lat, lng]
+      );
+
+      // Keep the ride's waypoint list in step with the trip
+      const waypoints = current.map((stop) => ({ lat: parseFloat(stop.lat), lng: parseFloat(stop.lng) }));
+      waypoints.splice(sequence - 1, 0, { lat, lng });
+      await client.query(
+        `UPDATE ride_requests SET stops = $1, updated_at = NOW() WHERE id = $2`,
+        [JSON.stringify(waypoints), trip.ride_request_id]
+      );
+
+      return { trip, sequence, stops: await this.getTripStops(tripId, client) };
+    });
+
+    await publishEvent(topics.TRIP_STOP_ADDED, tripId, {
+      tripId,
+      riderId: trip.rider_id,
+      driverId: trip.driver_id,
+      sequence,
+      location: { lat, lng }
+    });
+
+    return { id: tripId, stops };
+  }
+
+  /**
+   * Driver reached a stop; pending stops before it are skipped
+   */
+  async arriveAtStop(tripId, sequence) {
+    const arrivedAt = new Date();
+
+    const { trip, skipped } = await withTransaction(async (client) => {
+      const trip = await this.lockTrip(client, tripId);
+
+      if (trip.status !== 'STARTED') {
+        throw new Error(`Cannot arrive at a stop of trip in ${trip.status} status`);
+      }
+
+      const stopsResult = await client.query(
+        `SELECT * FROM trip_stops WHERE trip_id = $1 ORDER BY sequence`,
+        [tripId]
+      );
+      const stop = stopsResult.rows.find((s) => s.sequence === sequence);
+
+      if (!stop) {
+        throw new Error('Stop not found');
+      }
+
+      if (stop.status !== STOP_STATUS.PENDING) {
+        throw new Error(`Cannot arrive at stop in ${stop.status} status`);
+      }
+
+      if (stopsResult.rows.some((s) => s.status === STOP_STATUS.ARRIVED)) {
+        throw new Error('Depart the current stop before arriving at the next one');
+      }
+
+      const skippedResult = await client.query(
+        `UPDATE trip_stops SET status = $1
+         WHERE trip_id = $2 AND status = $3 AND sequence < $4
+         RETURNING sequence`,
+        [STOP_STATUS.SKIPPED, tripId, STOP_STATUS.PENDING, sequence]
+      );
+      await client.query(
+        `UPDATE trip_stops SET status = $1, arrived_at = $2 WHERE id = $3`,
+        [STOP_STATUS.ARRIVED, arrivedAt, stop.id]
+      );
+
+      return { trip, skipped: skippedResult.rows.map((row) => row.sequence).sort((a, b) => a - b) };
+    });
+
+    await publishEvent(topics.TRIP_STOP_ARRIVED, tripId, {
+      tripId,
+      riderId: trip.rider_id,
+      driverId: trip.driver_id,
+      sequence,
+      arrivedAt: arrivedAt.toISOString(),
+      skipped
+    });
+    await trackingService.publishStatus(trip.ride_request_id, {
+      tripId,
+      stop: { sequence, status: STOP_STATUS.ARRIVED, skipped }
+    });
+
+    return {
+      id: tripId,
+      sequence,
+      status: STOP_STATUS.ARRIVED,
+      arrivedAt: arrivedAt.toISOString(),
+      skipped
+    };
+  }
+
+  /**
+   * Driver leaves a stop; the time spent there counts towards the trip's stop wait
+   */
+  async departStop(tripId, sequence) {
+    const departedAt = new Date();
+
+    const { trip, waitSeconds } = await withTransaction(async (client) => {
+      const trip = await this.lockTrip(client, tripId);
+
+      const stopResult = await client.query(
+        `SELECT * FROM trip_stops WHERE trip_id = $1 AND sequence = $2`,
+        [tripId, sequence]
+      );
+
+      if (stopResult.rows.length === 0) {
+        throw new Error('Stop not found');
+      }
+
+      const stop = stopResult.rows[0];
+
+      if (stop.status !== STOP_STATUS.ARRIVED) {
+        throw new Error(`Cannot depart stop in ${stop.status} status`);
+      }
+
+      const waitSeconds = this.getWaitSeconds(stop.arrived_at, departedAt);
+
+      await client.query(
+        `UPDATE trip_stops SET status = $1, departed_at = $2, wait_seconds = $3 WHERE id = $4`,
+        [STOP_STATUS.DEPARTED, departedAt, waitSeconds, stop.id]
+      );
+      await client.query(
+        `UPDATE trips SET stop_wait_seconds = stop_wait_seconds + $1, updated_at = NOW() WHERE id = $2`,
+        [waitSeconds, tripId]
+      );
+
+      return { trip, waitSeconds };
+    });
+
+    await publishEvent(topics.TRIP_STOP_DEPARTED, tripId, {
+      tripId,
+      riderId: trip.rider_id,
+      driverId: trip.driver_id,
+      sequence,
+      departedAt: departedAt.toISOString(),
+      waitSeconds
+    });
+    await trackingService.publishStatus(trip.ride_request_id, {
+      tripId,
+      stop: { sequence, status: STOP_STATUS.DEPARTED }
+    });
+
+    return {
+      id: tripId,
+      sequence,
+      status: STOP_STATUS.DEPARTED,
+      departedAt: departedAt.toISOString(),
+      waitSeconds
+    };
+  }
+
   /**
    * End a trip and calculate fare
+   * Distance and duration are measured from the trip's GPS trail; the client-reported values
+   * are billed only when the trail is too sparse, and otherwise checked against it
    */
-  async endTrip(tripId, { endLat, endLng, distanceKm, durationMinutes }) {
-    const tripResult = await query(`SELECT * FROM trips WHERE id = $1`, [tripId]);
+  async endTrip(tripId, { endLat, endLng, distanceKm: clientDistanceKm, durationMinutes: clientDurationMinutes }) {
+    const tripResult = await query(
+      `SELECT t.*, rr.fare_rates
+       FROM trips t
+       LEFT JOIN ride_requests rr ON rr.id = t.ride_request_id
+       WHERE t.id = $1`,
+      [tripId]
+    );
 
     if (tripResult.rows.length === 0) {
       throw new Error('Trip not found');
@@ -189,26 +439,107 @@ class TripService {
       throw new Error(`Cannot end trip in ${trip.status} status`);
     }
 
-    // Calculate fare
-    const fare = this.calculateFare(distanceKm, durationMinutes, parseFloat(trip.surge_multiplier));
     const endTime = new Date();
 
-    await query(
-      `UPDATE trips
-       SET status = 'COMPLETED', end_time = $1, end_lat = $2, end_lng = $3,
-           distance_km = $4, duration_minutes = $5,
-           base_fare = $6, distance_fare = $7, time_fare = $8, total_fare = $9,
-           updated_at = NOW()
-       WHERE id = $10`,
-      [
-        endTime, endLat, endLng, distanceKm, durationMinutes,
-        fare.baseFare, fare.distanceFare, fare.timeFare, fare.totalFare,
-        tripId
-      ]
-    );
+    // Time paused so far, including a pause still running
+    const pauseSeconds = (trip.total_pause_duration || 0) +
+      (trip.status === 'PAUSED' ? Math.floor((endTime - new Date(trip.pause_time)) / 1000) : 0);
+
+    const measured = await tripTrailService.settle(tripId, {
+      start: { lat: parseFloat(trip.start_lat), lng: parseFloat(trip.start_lng) },
+      end: { lat: endLat, lng: endLng },
+      startTime: trip.start_time,
+      endTime,
+      pauseSeconds,
+      client: { distanceKm: clientDistanceKm, durationMinutes: clientDurationMinutes }
+    });
+    const distanceKm = measured.billedDistanceKm;
+    const durationMinutes = measured.billedDurationMinutes;
+
+    // A stop the driver is still waiting at is departed now; stops never reached are skipped
+    const stopsResult = await query(`SELECT * FROM trip_stops WHERE trip_id = $1`, [tripId]);
+    const stopWaits = stopsResult.rows
+      .filter((stop) => stop.status === STOP_STATUS.DEPARTED || stop.status === STOP_STATUS.ARRIVED)
+      .map((stop) => stop.status === STOP_STATUS.ARRIVED
+        ? this.getWaitSeconds(stop.arrived_at, endTime)
+        : stop.wait_seconds);
+
+    // Calculate fare at the rates locked when the ride was priced (pool riders split the legs they shared)
+    const sharedLegs = trip.pool_trip_id
+      ? await poolService.getSharedLegs(trip.pool_trip_id, trip.ride_request_id)
+      : null;
+    const fare = this.calculateFare(distanceKm, durationMinutes, parseFloat(trip.surge_multiplier), {
+      sharedLegs,
+      stopWaits,
+      rates: trip.fare_rates
+    });
+    const stopWaitSeconds = stopWaits.reduce((sum, seconds) => sum + seconds, 0);
+
+    const { runSideEffects, poolStopsLeft } = await withTransaction(async (client) => {
+      const transition = await rideStateMachine.transition(trip.ride_request_id, RIDE_STATUS.COMPLETED, { client });
+
+      await client.query(
+        `UPDATE trips
+         SET status = 'COMPLETED', end_time = $1, end_lat = $2, end_lng = $3,
+             distance_km = $4, duration_minutes = $5,
+             base_fare = $6, distance_fare = $7, time_fare = $8, total_fare = $9,
+             pool_share = $10, wait_fare = $11, stop_wait_seconds = $12,
+             route_polyline = $13, billing_source = $14, trail_ping_count = $15,
+             client_distance_km = $16, client_duration_minutes = $17, discrepancy_flagged = $18,
+             updated_at = NOW()
+         WHERE id = $19`,
+        [
+          endTime, endLat, endLng, distanceKm, durationMinutes,
+          fare.baseFare, fare.distanceFare, fare.timeFare, fare.totalFare,
+          fare.poolShare ?? null, fare.waitFare, stopWaitSeconds,
+          measured.polyline, measured.billingSource, measured.pingCount,
+          clientDistanceKm ?? null, clientDurationMinutes ?? null, measured.discrepancy.flagged,
+          tripId
+        ]
+      );
+
+      for (const stop of stopsResult.rows.filter((row) => row.status === STOP_STATUS.ARRIVED)) {
+        await client.query(
+          `UPDATE trip_stops SET status = $1, departed_at = $2, wait_seconds = $3 WHERE id = $4`,
+          [STOP_STATUS.DEPARTED, endTime, this.getWaitSeconds(stop.arrived_at, endTime), stop.id]
+        );
+      }
+      await client.query(
+        `UPDATE trip_stops SET status = $2 WHERE trip_id = $1 AND status = $3`,
+        [tripId, STOP_STATUS.SKIPPED, STOP_STATUS.PENDING]
+      );
+
+      const poolStopsLeft = trip.pool_trip_id
+        ? await poolService.completeStop(client, trip.pool_trip_id, trip.ride_request_id, 'DROPOFF')
+        : 0;
+
+      return { ...transition, poolStopsLeft };
+    });
+
+    await runSideEffects();
+    await tripTrailService.stopRecording(trip.driver_id, tripId);
+
+    // Update driver status back to ONLINE (pool drivers once the last rider is dropped off)
+    if (poolStopsLeft === 0) {
+      await driverLocationService.updateDriverStatus(trip.driver_id, 'ONLINE');
+    }
 
-    // Update driver status back to ONLINE
-    await driverLocationService.updateDriverStatus(trip.driver_id, 'ONLINE');
+    const discrepancy = {
+      ...measured.discrepancy,
+      serverDistanceKm: measured.distanceKm,
+      serverDurationMinutes: measured.durationMinutes,
+      clientDistanceKm: clientDistanceKm ?? null,
+      clientDurationMinutes: clientDurationMinutes ?? null
+    };
+
+    if (discrepancy.flagged) {
+      await publishEvent(topics.TRIP_DISCREPANCY_FLAGGED, tripId, {
+        tripId,
+        driverId: trip.driver_id,
+        riderId: trip.rider_id,
+        ...discrepancy
+      });
+    }
 
     // Publish event
     await publishEvent(topics.TRIP_COMPLETED, tripId, {
@@ -217,7 +548,8 @@ class TripService {
       riderId: trip.rider_id,
       fare: fare.totalFare,
       distanceKm,
-      durationMinutes
+      durationMinutes,
+      billingSource: measured.billingSource
     });
 
     return {
@@ -226,6 +558,14 @@ class TripService {
       endTime: endTime.toISOString(),
       distanceKm,
       durationMinutes,
+      billingSource: measured.billingSource,
+      trail: {
+        pingCount: measured.pingCount,
+        skippedPings: measured.skippedPings,
+        interpolatedKm: measured.interpolatedKm
+      },
+      routePolyline: measured.polyline,
+      discrepancy,
       fare
     };
   }
@@ -249,13 +589,43 @@ class TripService {
       ? config.CANCELLATION_FEE
       : 0;
 
-    await query(
-      `UPDATE trips SET status = 'CANCELLED', updated_at = NOW() WHERE id = $1`,
-      [tripId]
-    );
+    // A pooled rider already on board is dropped off where the car is now
+    const position = trip.poolTripId
+      ? await driverLocationService.getDriverLocation(trip.driverId)
+      : null;
+    const cancelledAt = position ? { lat: position.latitude, lng: position.longitude } : undefined;
+
+    const { runSideEffects, poolStopsLeft } = await withTransaction(async (client) => {
+      const transition = await rideStateMachine.transition(trip.rideRequestId, RIDE_STATUS.CANCELLED, {
+        client,
+        set: {
+          cancelled_at: new Date(),
+          cancelled_by: cancelledBy,
+          cancellation_reason: reason || null,
+          cancellation_fee: cancellationFee
+        },
+        context: { cancelledBy, reason, cancellationFee }
+      });
+
+      await client.query(
+        `UPDATE trips SET status = 'CANCELLED', updated_at = NOW() WHERE id = $1`,
+        [tripId]
+      );
+
+      const poolStopsLeft = trip.poolTripId
+        ? await poolService.removeRide(client, trip.poolTripId, trip.rideRequestId, cancelledAt)
+        : 0;
+
+      return { ...transition, poolStopsLeft };
+    });
+
+    await runSideEffects();
+    await tripTrailService.stopRecording(trip.driverId, tripId);
 
-    // Update driver status back to ONLINE
-    await driverLocationService.updateDriverStatus(trip.driverId, 'ONLINE');
+    // Update driver status back to ONLINE (pool drivers once no riders are left)
+    if (poolStopsLeft === 0) {
+      await driverLocationService.updateDriverStatus(trip.driverId, 'ONLINE');
+    }
 
     // Publish event
     await publishEvent(topics.TRIP_CANCELLED, tripId, {
@@ -276,6 +646,8 @@ class TripService {
 
   /**
    * Generate trip receipt
+   * Amounts are in the pickup region's currency, with its tax itemized: the share of the
+   * fare already included for inclusive taxes, otherwise added on top of it.
    */
   async generateReceipt(tripId) {
     const tripResult = await query(
@@ -299,6 +671,15 @@ class TripService {
       throw new Error('Receipt only available for completed trips');
     }
 
+    const region = regionService.regionForRecord(trip.start_lat, trip.start_lng);
+    const formatter = new Intl.NumberFormat('en-US', { style: 'currency', currency: region.currency, currencyDisplay: 'narrowSymbol' });
+    const money = (amount) => formatter.format(parseFloat(amount));
+    const { tax: taxProfile } = region;
+    const fare = parseFloat(trip.total_fare);
+    const tax = taxProfile.inclusive
+      ? Math.round((fare - fare / (1 + taxProfile.rate)) * 100) / 100
+      : Math.round(fare * taxProfile.rate * 100) / 100;
+
     return {
       tripId,
       riderName: trip.rider_name,
@@ -309,12 +690,18 @@ class TripService {
       distance: `${trip.distance_km} km`,
       duration: `${trip.duration_minutes} min`,
       fareBreakdown: {
-        baseFare: `₹${trip.base_fare}`,
-        distanceFare: `₹${trip.distance_fare}`,
-        timeFare: `₹${trip.time_fare}`,
+        baseFare: money(trip.base_fare),
+        distanceFare: money(trip.distance_fare),
+        timeFare: money(trip.time_fare),
         surgeMultiplier: `${trip.surge_multiplier}x`,
-        total: `₹${trip.total_fare}`
+        ...(parseFloat(trip.wait_fare) > 0 && { waitFare: money(trip.wait_fare) }),
+        ...(trip.pool_share && { poolShare: `${Math.round(trip.pool_share * 100)}%` }),
+        tax: money(tax),
+        total: money(taxProfile.inclusive ? fare : fare + tax)
       },
+      region: region.id,
+      currency: region.currency,
+      taxProfile,
       paymentMethod: 'CARD', // Could fetch from ride request
       startTime: trip.start_time,
       endTime: trip.end_time,
@@ -324,24 +711,98 @@ class TripService {
 
   /**
    * Calculate fare breakdown
+   * With `sharedLegs` ([{ distanceKm, riders }]) each leg's distance and time cost is split
+   * between the riders on board for it; `poolShare` is the fraction of a solo fare paid
+   * `stopWaits` (seconds waited at each intermediate stop) adds an unsurged `waitFare`
+   * `rates` are the ride's locked fare rates; current config rates when missing
    */
-  calculateFare(distanceKm, durationMinutes, surgeMultiplier) {
-    const baseFare = config.FARE_BASE;
-    const distanceFare = Math.round(distanceKm * config.FARE_PER_KM * 100) / 100;
-    const timeFare = Math.round(durationMinutes * config.FARE_PER_MINUTE * 100) / 100;
+  calculateFare(distanceKm, durationMinutes, surgeMultiplier, { sharedLegs, stopWaits = [], rates } = {}) {
+    const { baseFare, perKm, perMinute } = rates || fareQuoteService.getFareRates();
+    const poolShare = sharedLegs && sharedLegs.length > 0 ? this.calculatePoolShare(sharedLegs) : null;
+    const share = poolShare ?? 1;
+
+    const distanceFare = Math.round(distanceKm * perKm * share * 100) / 100;
+    const timeFare = Math.round(durationMinutes * perMinute * share * 100) / 100;
+
+    const waitFare = this.calculateWaitFare(stopWaits);
 
     const subtotal = baseFare + distanceFare + timeFare;
-    const totalFare = Math.round(subtotal * surgeMultiplier * 100) / 100;
+    const totalFare = Math.round((subtotal * surgeMultiplier + waitFare) * 100) / 100;
 
     return {
       baseFare,
       distanceFare,
       timeFare,
+      waitFare,
       surgeMultiplier,
-      totalFare
+      totalFare,
+      ...(poolShare !== null && { poolShare })
     };
   }
 
+  /**
+   * Waiting charge: every stop gets STOP_FREE_WAIT_SECONDS free, each started minute beyond is billed
+   */
+  calculateWaitFare(stopWaits) {
+    const billedMinutes = stopWaits.reduce(
+      (sum, seconds) => sum + Math.ceil(Math.max(0, seconds - config.STOP_FREE_WAIT_SECONDS) / 60),
+      0
+    );
+    return Math.round(billedMinutes * config.STOP_WAIT_FARE_PER_MINUTE * 100) / 100;
+  }
+
+  /**
+   * Fraction of the route a pool rider pays for: each leg counts 1/riders
+   */
+  calculatePoolShare(legs) {
+    const totalKm = legs.reduce((sum, leg) => sum + leg.distanceKm, 0);
+    if (totalKm === 0) return 1;
+
+    const paidKm = legs.reduce((sum, leg) => sum + leg.distanceKm / leg.riders, 0);
+    return Math.round((paidKm / totalKm) * 10000) / 10000;
+  }
+
+  /**
+   * Lock a trip row for the rest of the transaction
+   */
+  async lockTrip(client, tripId) {
+    const tripResult = await client.query(`SELECT * FROM trips WHERE id = $1 FOR UPDATE`, [tripId]);
+
+    if (tripResult.rows.length === 0) {
+      throw new Error('Trip not found');
+    }
+
+    return tripResult.rows[0];
+  }
+
+  /**
+   * Whole seconds between arriving at a stop and `until`
+   */
+  getWaitSeconds(arrivedAt, until) {
+    return Math.max(0, Math.floor((until.getTime() - new Date(arrivedAt).getTime()) / 1000));
+  }
+
+  /**
+   * A trip's intermediate stops in visiting order
+   */
+  async getTripStops(tripId, client = null) {
+    const db = client || { query };
+    const result = await db.query(
+      `SELECT * FROM trip_stops WHERE trip_id = $1 ORDER BY sequence`,
+      [tripId]
+    );
+
+    return result.rows.map((stop) => ({
+      sequence: stop.sequence,
+      lat: parseFloat(stop.lat),
+      lng: parseFloat(stop.lng),
+      status: stop.status,
+      arrivedAt: stop.arrived_at,
+      departedAt: stop.departed_at,
+      waitSeconds: stop.wait_seconds || 0
+    }));
+  }
+
   /**
    * Get trip by ID
    */
@@ -371,14 +832,23 @@ class TripService {
       distanceKm: trip.distance_km ? parseFloat(trip.distance_km) : null,
       durationMinutes: trip.duration_minutes,
       surgeMultiplier: trip.surge_multiplier ? parseFloat(trip.surge_multiplier) : 1.0,
+      poolTripId: trip.pool_trip_id || null,
+      routePolyline: trip.route_polyline || null,
+      billingSource: trip.billing_source || null,
+      discrepancyFlagged: trip.discrepancy_flagged || false,
+      stops: await this.getTripStops(tripId),
+      stopWaitSeconds: trip.stop_wait_seconds || 0,
       fare: trip.total_fare ? {
         baseFare: parseFloat(trip.base_fare),
         distanceFare: parseFloat(trip.distance_fare),
         timeFare: parseFloat(trip.time_fare),
-        totalFare: parseFloat(trip.total_fare)
+        waitFare: parseFloat(trip.wait_fare) || 0,
+        totalFare: parseFloat(trip.total_fare),
+        ...(trip.pool_share && { poolShare: parseFloat(trip.pool_share) })
       } : null
     };
   }
 }
 
 module.exports = new TripService();
+module.exports.STOP_STATUS = STOP_STATUS;
@@ -1,13 +1,72 @@
+const h3 = require('h3-js');
+const config = require('../config');
+
+/**
+ * Convert latitude/longitude to the H3 cell containing it
+ * Resolution 8 (the default GEO_CELL_RESOLUTION) cells are hexagons with ~0.5km edges
+ */
+const latLngToGeoCell = (lat, lng, resolution = config.GEO_CELL_RESOLUTION) => {
+  return h3.latLngToCell(lat, lng, resolution);
+};
+
+/**
+ * Whether a string is an H3 cell index
+ */
+const isValidGeoCell = (geoCell) => h3.isValidCell(geoCell);
+
+/**
+ * Center of an H3 cell
+ * @returns { lat, lng }
+ */
+const geoCellToLatLng = (geoCell) => {
+  const [lat, lng] = h3.cellToLatLng(geoCell);
+  return { lat, lng };
+};
+
+/**
+ * Vertices of an H3 cell's hexagon (pentagon at the 12 icosahedron vertices)
+ * @returns [{ lat, lng }, ...]
+ */
+const geoCellToBoundary = (geoCell) => {
+  return h3.cellToBoundary(geoCell).map(([lat, lng]) => ({ lat, lng }));
+};
+
 /**
- * Convert latitude/longitude to an H3-like geo cell identifier
- * Simplified implementation - in production use h3-js library
+ * H3 cells covering a polygon given as [{ lat, lng }, ...], including cells it only
+ * partly overlaps, so every point inside the polygon falls in one of them
  */
-const latLngToGeoCell = (lat, lng, resolution = 8) => {
-  // Simplified geo cell using grid-based approach
-  // Resolution 8 ≈ 0.5km cell size
-  const latGrid = Math.floor(lat * 1000);
-  const lngGrid = Math.floor(lng * 1000);
-  return `h3_${resolution}${latGrid}${lngGrid}ffffff`;
+const polygonToGeoCells = (polygon, resolution = config.GEO_CELL_RESOLUTION) => {
+  return h3.polygonToCellsExperimental(
+    polygon.map(({ lat, lng }) => [lat, lng]),
+    resolution,
+    h3.POLYGON_TO_CELLS_FLAGS.containmentOverlapping
+  );
+};
+
+/**
+ * Candidate points for a cell ID from before H3: `h3_{resolution}{latGrid}{lngGrid}ffffff`,
+ * where the grids are floor(degrees * 1000) written without a separator. The split between
+ * them is ambiguous, so every split giving valid coordinates is returned (as cell centers);
+ * callers pick the one that makes sense, e.g. inside a service region.
+ * @returns [{ lat, lng }, ...] - empty if it isn't a legacy ID
+ */
+const parseLegacyGeoCell = (geoCell) => {
+  const match = /^h3_\d(-?\d+-?\d+)ffffff$/.exec(geoCell);
+  if (!match) return [];
+
+  const digits = match[1];
+  const candidates = [];
+  for (let i = 1; i < digits.length; i++) {
+    const latGrid = digits.slice(0, i);
+    const lngGrid = digits.slice(i);
+    if (!/^-?\d+$/.test(latGrid) || !/^-?\d+$/.test(lngGrid)) continue;
+    if (/^-?0\d/.test(latGrid) || /^-?0\d/.test(lngGrid)) continue;
+
+    const lat = (parseInt(latGrid) + 0.5) / 1000;
+    const lng = (parseInt(lngGrid) + 0.5) / 1000;
+    if (isValidCoordinate(lat, lng)) candidates.push({ lat, lng });
+  }
+  return candidates;
 };
 
 /**
@@ -26,27 +85,116 @@ const calculateDistance = (lat1, lng1, lat2, lng2) => {
   return R * c;
 };
 
+/**
+ * Total distance along an ordered list of { lat, lng } points in kilometers
+ */
+const calculateRouteDistance = (points) => {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    total += calculateDistance(points[i - 1].lat, points[i - 1].lng, points[i].lat, points[i].lng);
+  }
+  return total;
+};
+
 const toRad = (deg) => deg * (Math.PI / 180);
 
+const toDeg = (rad) => rad * (180 / Math.PI);
+
 /**
- * Get neighboring geo cells (for surge calculation across boundaries)
+ * Calculate initial bearing from point 1 to point 2
+ * @returns bearing in degrees (0-360, clockwise from north)
  */
-const getNeighboringCells = (geoCell) => {
-  // Extract lat/lng grids from cell
-  const match = geoCell.match(/h3_(\d)(-?\d+)(-?\d+)ffffff/);
-  if (!match) return [geoCell];
-
-  const resolution = parseInt(match[1]);
-  const latGrid = parseInt(match[2]);
-  const lngGrid = parseInt(match[3]);
-
-  const neighbors = [];
-  for (let dLat = -1; dLat <= 1; dLat++) {
-    for (let dLng = -1; dLng <= 1; dLng++) {
-      neighbors.push(`h3_${resolution}${latGrid + dLat}${lngGrid + dLng}ffffff`);
+const calculateBearing = (lat1, lng1, lat2, lng2) => {
+  const dLng = toRad(lng2 - lng1);
+  const y = Math.sin(dLng) * Math.cos(toRad(lat2));
+  const x =
+    Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+    Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLng);
+  return (toDeg(Math.atan2(y, x)) + 360) % 360;
+};
+
+/**
+ * Get a cell and every cell within `k` steps of it (for surge calculation across boundaries)
+ * k = 1 is the cell and its six neighbors
+ */
+const getNeighboringCells = (geoCell, k = 1) => {
+  if (!isValidGeoCell(geoCell)) return [geoCell];
+  return h3.gridDisk(geoCell, k);
+};
+
+/**
+ * Whether a point lies inside a polygon given as [{ lat, lng }, ...] (ray casting)
+ */
+const isPointInPolygon = (lat, lng, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.lat > lat) !== (b.lat > lat) &&
+      lng < ((b.lng - a.lng) * (lat - a.lat)) / (b.lat - a.lat) + a.lng) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Encode [{ lat, lng }] as a Google encoded polyline (precision 5)
+ */
+const encodePolyline = (points) => {
+  let prevLat = 0;
+  let prevLng = 0;
+  let encoded = '';
+
+  const encodeValue = (value) => {
+    let v = value < 0 ? ~(value << 1) : value << 1;
+    let chunk = '';
+    while (v >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+      v >>= 5;
     }
+    return chunk + String.fromCharCode(v + 63);
+  };
+
+  for (const { lat, lng } of points) {
+    const latE5 = Math.round(lat * 1e5);
+    const lngE5 = Math.round(lng * 1e5);
+    encoded += encodeValue(latE5 - prevLat) + encodeValue(lngE5 - prevLng);
+    prevLat = latE5;
+    prevLng = lngE5;
   }
-  return neighbors;
+
+  return encoded;
+};
+
+/**
+ * Decode a Google encoded polyline into [{ lat, lng }]
+ */
+const decodePolyline = (encoded) => {
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const decodeValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += decodeValue();
+    lng += decodeValue();
+    points.push({ lat: lat / 1e5, lng: lng / 1e5 });
+  }
+
+  return points;
 };
 
 /**
@@ -61,30 +209,19 @@ const isValidCoordinate = (lat, lng) => {
   );
 };
 
-/**
- * Determine region from coordinates
- * Simplified - in production use reverse geocoding
- */
-const getRegionFromCoordinates = (lat, lng) => {
-  // Bangalore approximate bounds
-  if (lat >= 12.7 && lat <= 13.2 && lng >= 77.4 && lng <= 77.8) {
-    return 'bangalore';
-  }
-  // Mumbai
-  if (lat >= 18.8 && lat <= 19.3 && lng >= 72.7 && lng <= 73.0) {
-    return 'mumbai';
-  }
-  // Delhi
-  if (lat >= 28.4 && lat <= 28.9 && lng >= 76.8 && lng <= 77.4) {
-    return 'delhi';
-  }
-  return 'bangalore'; // Default
-};
-
 module.exports = {
   latLngToGeoCell,
+  isValidGeoCell,
+  geoCellToLatLng,
+  geoCellToBoundary,
+  polygonToGeoCells,
+  parseLegacyGeoCell,
   calculateDistance,
+  calculateRouteDistance,
+  calculateBearing,
   getNeighboringCells,
   isValidCoordinate,
-  getRegionFromCoordinates
+  isPointInPolygon,
+  encodePolyline,
+  decodePolyline
 };
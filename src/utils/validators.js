@@ -1,4 +1,5 @@
 const { z } = require('zod');
+const config = require('../config');
 
 // Common schemas
 const coordinateSchema = z.object({
@@ -8,13 +9,31 @@ const coordinateSchema = z.object({
 
 const uuidSchema = z.string().uuid();
 
+// Intermediate stops between pickup and destination, in visiting order
+const waypointsSchema = z.array(coordinateSchema).max(config.MAX_RIDE_STOPS);
+
 // Driver Location schemas
 const locationUpdateSchema = z.object({
   latitude: z.number().min(-90).max(90),
   longitude: z.number().min(-180).max(180),
   timestamp: z.string().datetime().optional(),
   heading: z.number().min(0).max(360).optional(),
-  speed: z.number().min(0).optional()
+  speed: z.number().min(0).optional(),
+  accuracy: z.number().positive().optional() // meters, as reported by the device
+});
+
+// Batched pings must carry their own time so late and repeated ones can be dropped
+const locationPingSchema = locationUpdateSchema.extend({
+  timestamp: z.string().datetime()
+});
+
+const driverLocationBatchSchema = z.object({
+  pings: z.array(locationPingSchema).min(1).max(config.LOCATION_BATCH_MAX_PINGS)
+});
+
+// Fleet gateways send pings from many drivers at once
+const fleetLocationBatchSchema = z.object({
+  pings: z.array(locationPingSchema.extend({ driverId: uuidSchema })).min(1).max(config.LOCATION_BATCH_MAX_PINGS)
 });
 
 const nearbyDriversQuerySchema = z.object({
@@ -26,13 +45,83 @@ const nearbyDriversQuerySchema = z.object({
   limit: z.coerce.number().min(1).max(50).default(20)
 });
 
+// Queue zone schemas
+const polygonSchema = z.array(coordinateSchema).min(3);
+
+const createQueueZoneSchema = z.object({
+  name: z.string().min(1).max(255),
+  polygon: polygonSchema,
+  staging: polygonSchema
+});
+
+// Geofence schemas
+const geofenceTypeSchema = z.enum(['AIRPORT', 'RESTRICTED', 'NO_PICKUP', 'EVENT_VENUE']);
+
+// Where pickups inside a geofence are moved to; riders pick one by name
+const pickupPointsSchema = z.array(coordinateSchema.extend({ name: z.string().min(1).max(100) }))
+  .max(20)
+  .refine((points) => new Set(points.map((point) => point.name)).size === points.length, {
+    message: 'Pickup point names must be unique'
+  });
+
+const createGeofenceSchema = z.object({
+  name: z.string().min(1).max(255),
+  type: geofenceTypeSchema,
+  polygon: polygonSchema,
+  pickupPoints: pickupPointsSchema.default([])
+});
+
+const updateGeofenceSchema = z.object({
+  name: z.string().min(1).max(255).optional(),
+  type: geofenceTypeSchema.optional(),
+  polygon: polygonSchema.optional(),
+  pickupPoints: pickupPointsSchema.optional()
+}).refine((data) => Object.keys(data).length > 0, {
+  message: 'At least one field must be updated'
+});
+
+const geofenceListQuerySchema = z.object({
+  region: z.string().min(1).optional(),
+  type: geofenceTypeSchema.optional()
+});
+
 // Ride Request schemas
 const rideRequestSchema = z.object({
   riderId: z.string().min(1),
   pickup: coordinateSchema,
   destination: coordinateSchema,
-  tier: z.enum(['ECONOMY', 'PREMIUM', 'XL']),
-  paymentMethod: z.enum(['CARD', 'WALLET', 'CASH'])
+  stops: waypointsSchema.optional(),
+  tier: z.enum(['ECONOMY', 'PREMIUM', 'XL', 'POOL']),
+  paymentMethod: z.enum(['CARD', 'WALLET', 'CASH']),
+  scheduledAt: z.string().datetime({ offset: true }).optional(),
+  quoteId: z.string().min(1).optional(),
+  pickupPoint: z.string().min(1).optional() // designated pickup point of the geofence around the pickup
+});
+
+// Fare quote schemas
+const fareQuoteSchema = z.object({
+  riderId: z.string().min(1),
+  pickup: coordinateSchema,
+  destination: coordinateSchema,
+  stops: waypointsSchema.optional(),
+  tiers: z.array(z.enum(['ECONOMY', 'PREMIUM', 'XL', 'POOL'])).min(1).optional(),
+  pickupPoint: z.string().min(1).optional()
+});
+
+const scheduledRidesQuerySchema = z.object({
+  riderId: z.string().min(1)
+});
+
+const updateScheduledRideSchema = z.object({
+  pickup: coordinateSchema.optional(),
+  pickupPoint: z.string().min(1).optional(),
+  destination: coordinateSchema.optional(),
+  stops: waypointsSchema.optional(),
+  tier: z.enum(['ECONOMY', 'PREMIUM', 'XL', 'POOL']).optional(),
+  paymentMethod: z.enum(['CARD', 'WALLET', 'CASH']).optional(),
+  scheduledAt: z.string().datetime({ offset: true }).optional()
+}).refine((data) => Object.keys(data).length > 0, {
+  message: 'At least one field must be updated'
 });
 
 const driverResponseSchema = z.object({
@@ -41,6 +130,26 @@ const driverResponseSchema = z.object({
   reason: z.string().optional()
 });
 
+const offerParamsSchema = z.object({
+  driverId: uuidSchema,
+  offerId: uuidSchema
+});
+
+// Offers answered over the driver's offer channel, where the offer identifies the ride
+const offerResponseSchema = z.object({
+  action: z.enum(['ACCEPT', 'DECLINE']),
+  reason: z.string().optional()
+});
+
+const offerPollQuerySchema = z.object({
+  wait: z.coerce.number().int().min(0).max(config.OFFER_POLL_MAX_WAIT).default(0) // seconds
+});
+
+// Riders cancel through the API; driver and system cancellations come from internal callers
+const cancelRideSchema = z.object({
+  reason: z.string().max(255).optional()
+});
+
 // Trip schemas
 const createTripSchema = z.object({
   rideRequestId: z.string().min(1)
@@ -54,8 +163,19 @@ const startTripSchema = z.object({
 const endTripSchema = z.object({
   endLat: z.number().min(-90).max(90),
   endLng: z.number().min(-180).max(180),
-  distanceKm: z.number().min(0),
-  durationMinutes: z.number().min(0)
+  // Client-reported; billed only when the trip's GPS trail is too sparse, otherwise checked against it
+  distanceKm: z.number().min(0).optional(),
+  durationMinutes: z.number().min(0).optional()
+});
+
+const addTripStopSchema = z.object({
+  lat: z.number().min(-90).max(90),
+  lng: z.number().min(-180).max(180),
+  position: z.number().int().min(1).optional()
+});
+
+const tripStopParamsSchema = z.object({
+  sequence: z.coerce.number().int().min(1)
 });
 
 const cancelTripSchema = z.object({
@@ -79,13 +199,29 @@ const demandIncrementSchema = z.object({
 module.exports = {
   coordinateSchema,
   uuidSchema,
+  waypointsSchema,
   locationUpdateSchema,
+  driverLocationBatchSchema,
+  fleetLocationBatchSchema,
   nearbyDriversQuerySchema,
+  createQueueZoneSchema,
+  createGeofenceSchema,
+  updateGeofenceSchema,
+  geofenceListQuerySchema,
   rideRequestSchema,
+  fareQuoteSchema,
+  scheduledRidesQuerySchema,
+  updateScheduledRideSchema,
   driverResponseSchema,
+  offerParamsSchema,
+  offerResponseSchema,
+  offerPollQuerySchema,
+  cancelRideSchema,
   createTripSchema,
   startTripSchema,
   endTripSchema,
+  addTripStopSchema,
+  tripStopParamsSchema,
   cancelTripSchema,
   calculateSurgeSchema,
   demandIncrementSchema
@@ -0,0 +1,51 @@
+const config = require('../config');
+const driverLocationService = require('../services/driver-location.service');
+
+/**
+ * Driver eviction worker
+ * Sweeps drivers whose presence has expired out of the regional GEO indexes, so searches
+ * stop paying to skip them, and marks them OFFLINE.
+ * Runs in every API instance; each eviction is claimed atomically so it happens once.
+ */
+class DriverEvictionWorker {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.evictStaleDrivers().catch((err) => {
+        console.error('Driver eviction worker error:', err);
+      });
+    }, config.DRIVER_EVICTION_POLL_INTERVAL);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run one sweep
+   */
+  async evictStaleDrivers(now = Date.now()) {
+    // Skip a tick if the previous sweep is still running
+    if (this.running) return { evicted: 0 };
+    this.running = true;
+
+    try {
+      const { evicted } = await driverLocationService.evictStaleDrivers({ now });
+      return { evicted: evicted.length };
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new DriverEvictionWorker();
@@ -0,0 +1,73 @@
+const config = require('../config');
+const dispatchService = require('../services/dispatch.service');
+
+/**
+ * Offer expiry worker
+ * Polls the `offers:expiring` sorted set and expires driver offers nobody answered.
+ * Runs in every API instance; offers are leased atomically so each is processed once, and
+ * only leave the set once processed.
+ */
+class OfferExpiryWorker {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.processDueOffers().catch((err) => {
+        console.error('Offer expiry worker error:', err);
+      });
+    }, config.OFFER_EXPIRY_POLL_INTERVAL);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Expire all offers that are past due
+   */
+  async processDueOffers(now = Date.now()) {
+    // Skip a tick if the previous batch is still running
+    if (this.running) return { processed: 0 };
+    this.running = true;
+
+    let processed = 0;
+
+    try {
+      const offers = await dispatchService.claimExpiredOffers(
+        now,
+        config.OFFER_EXPIRY_BATCH_SIZE
+      );
+
+      for (const { rideId, offerId } of offers) {
+        try {
+          await dispatchService.expireOffer(rideId, offerId);
+          await dispatchService.cancelOfferExpiry(rideId, offerId);
+          processed++;
+        } catch (err) {
+          console.error(`Failed to expire offer ${offerId}:`, err);
+          // Put it back so the next tick (on any instance) retries
+          await dispatchService.scheduleOfferExpiry(
+            rideId,
+            offerId,
+            new Date(Date.now() + config.OFFER_EXPIRY_POLL_INTERVAL)
+          );
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    return { processed };
+  }
+}
+
+module.exports = new OfferExpiryWorker();
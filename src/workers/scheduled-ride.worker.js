@@ -0,0 +1,85 @@
+const config = require('../config');
+const dispatchService = require('../services/dispatch.service');
+
+/**
+ * Scheduled ride worker
+ * Starts matching for scheduled rides SCHEDULED_RIDE_LEAD_TIME before pickup, retries the
+ * ones still without a driver, and expires (and notifies) those that reach pickup time unmatched.
+ * Runs in every API instance; rides are claimed with SKIP LOCKED so each is handled once.
+ */
+class ScheduledRideWorker {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.processScheduledRides().catch((err) => {
+        console.error('Scheduled ride worker error:', err);
+      });
+    }, config.SCHEDULED_RIDE_POLL_INTERVAL);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run one scheduling pass
+   */
+  async processScheduledRides() {
+    // Skip a tick if the previous pass is still running
+    if (this.running) return { started: 0, retried: 0, expired: 0 };
+    this.running = true;
+
+    let started = 0;
+    let retried = 0;
+
+    try {
+      // Past the deadline first, so overdue rides aren't retried
+      const expired = await dispatchService.expireOverdueScheduledRides(
+        config.SCHEDULED_RIDE_BATCH_SIZE
+      );
+
+      const due = await dispatchService.claimDueScheduledRides(config.SCHEDULED_RIDE_BATCH_SIZE);
+      for (const ride of due) {
+        if (await this.dispatch(ride)) started++;
+      }
+
+      const unmatched = await dispatchService.claimUnmatchedScheduledRides(
+        config.SCHEDULED_RIDE_BATCH_SIZE
+      );
+      for (const ride of unmatched) {
+        if (await this.dispatch(ride)) retried++;
+      }
+
+      return { started, retried, expired };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Look for a driver for a claimed ride; a failed ride is picked up again on a later retry
+   */
+  async dispatch(ride) {
+    try {
+      // reassignRide skips drivers already offered this ride and keeps it
+      // MATCHING if nobody is found before the deadline
+      await dispatchService.reassignRide(ride);
+      return true;
+    } catch (err) {
+      console.error(`Failed to dispatch scheduled ride ${ride.id}:`, err);
+      return false;
+    }
+  }
+}
+
+module.exports = new ScheduledRideWorker();
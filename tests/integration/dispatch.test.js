@@ -1,6 +1,7 @@
 const request = require('supertest');
 const Redis = require('ioredis');
 const { Pool } = require('pg');
+const { latLngToGeoCell } = require('../../src/utils/geo.utils');
 
 let app;
 let redis;
@@ -22,6 +23,7 @@ beforeEach(async () => {
   // Clean up ride requests and offers
   await pgPool.query('DELETE FROM driver_offers');
   await pgPool.query('DELETE FROM ride_requests');
+  await pgPool.query('DELETE FROM pool_trips');
   await redis.flushdb();
 
   // Seed driver locations
@@ -102,8 +104,17 @@ describe('Dispatch/Matching Service', () => {
 
     it('should include surge multiplier from pricing service', async () => {
       // Set up surge for the pickup geo-cell
-      const geoCell = 'h3_887339600ffffff'; // Mock H3 cell
-      await redis.set(`surge:${geoCell}`, '1.5', 'EX', 60);
+      const geoCell = latLngToGeoCell(12.9716, 77.5946);
+      await redis.hset(
+        `surge:${geoCell}`,
+        'multiplier',
+        '1.5',
+        'supply',
+        '3',
+        'demand',
+        '6',
+      );
+      await redis.expire(`surge:${geoCell}`, 60);
 
       const response = await request(app)
         .post('/api/v1/rides')
@@ -111,7 +122,21 @@ describe('Dispatch/Matching Service', () => {
         .send(validRideRequest)
         .expect(201);
 
-      expect(response.body.surgeMultiplier).toBeGreaterThanOrEqual(1.0);
+      expect(response.body.surgeMultiplier).toBe(1.5);
+    });
+
+    it('should reject pickups outside every service region', async () => {
+      const response = await request(app)
+        .post('/api/v1/rides')
+        .set('Idempotency-Key', 'ride-req-005')
+        .send({
+          ...validRideRequest,
+          pickup: { lat: 0, lng: 0 },
+          destination: { lat: 0.01, lng: 0.01 },
+        })
+        .expect(400);
+
+      expect(response.body.code).toBe('OUTSIDE_SERVICE_AREA');
     });
 
     it('should validate required fields', async () => {
@@ -128,6 +153,136 @@ describe('Dispatch/Matching Service', () => {
     });
   });
 
+  describe('POST /api/v1/fares/quote', () => {
+    const route = {
+      riderId: 'a1000000-0000-0000-0000-000000000001',
+      pickup: { lat: 12.9716, lng: 77.5946 },
+      destination: { lat: 12.98, lng: 77.61 },
+    };
+
+    it('should quote every tier at one surge', async () => {
+      const response = await request(app)
+        .post('/api/v1/fares/quote')
+        .send(route)
+        .expect(200);
+
+      expect(response.body.quotes.map((q) => q.tier)).toEqual([
+        'ECONOMY',
+        'PREMIUM',
+        'XL',
+        'POOL',
+      ]);
+      expect(response.body).toMatchObject({
+        region: 'bangalore',
+        currency: 'INR',
+        surgeMultiplier: expect.any(Number),
+        expiresAt: expect.any(String),
+      });
+    });
+
+    it('should create a ride at the quoted price', async () => {
+      const quoteResponse = await request(app)
+        .post('/api/v1/fares/quote')
+        .send({ ...route, tiers: ['ECONOMY'] })
+        .expect(200);
+      const [quote] = quoteResponse.body.quotes;
+
+      // Surge rising after the quote doesn't change the price
+      await redis.hset(
+        `surge:${latLngToGeoCell(12.9716, 77.5946)}`,
+        'multiplier',
+        '2.5',
+        'supply',
+        '1',
+        'demand',
+        '10',
+        'updatedAt',
+        new Date().toISOString(),
+      );
+
+      const response = await request(app)
+        .post('/api/v1/rides')
+        .set('Idempotency-Key', 'ride-quote-001')
+        .send({
+          ...route,
+          tier: 'ECONOMY',
+          paymentMethod: 'CARD',
+          quoteId: quote.quoteId,
+        })
+        .expect(201);
+
+      expect(response.body.estimatedFare).toBe(quote.estimatedFare);
+      expect(response.body.surgeMultiplier).toBe(
+        quoteResponse.body.surgeMultiplier,
+      );
+    });
+
+    it('should book only one ride per quote', async () => {
+      const quoteResponse = await request(app)
+        .post('/api/v1/fares/quote')
+        .send({ ...route, tiers: ['ECONOMY'] })
+        .expect(200);
+      const ride = {
+        ...route,
+        tier: 'ECONOMY',
+        paymentMethod: 'CARD',
+        quoteId: quoteResponse.body.quotes[0].quoteId,
+      };
+
+      await request(app)
+        .post('/api/v1/rides')
+        .set('Idempotency-Key', 'ride-quote-reuse-001')
+        .send(ride)
+        .expect(201);
+
+      const reused = await request(app)
+        .post('/api/v1/rides')
+        .set('Idempotency-Key', 'ride-quote-reuse-002')
+        .send(ride)
+        .expect(409);
+      expect(reused.body.code).toBe('QUOTE_ALREADY_USED');
+    });
+
+    it('should reject a tampered or mismatched quote', async () => {
+      const quoteResponse = await request(app)
+        .post('/api/v1/fares/quote')
+        .send({ ...route, tiers: ['ECONOMY'] })
+        .expect(200);
+      const [payload, signature] =
+        quoteResponse.body.quotes[0].quoteId.split('.');
+      const tampered = Buffer.from(
+        JSON.stringify({
+          ...JSON.parse(Buffer.from(payload, 'base64url').toString()),
+          estimatedFare: 1,
+        }),
+      ).toString('base64url');
+
+      const tamperedResponse = await request(app)
+        .post('/api/v1/rides')
+        .set('Idempotency-Key', 'ride-quote-002')
+        .send({
+          ...route,
+          tier: 'ECONOMY',
+          paymentMethod: 'CARD',
+          quoteId: `${tampered}.${signature}`,
+        })
+        .expect(400);
+      expect(tamperedResponse.body.code).toBe('INVALID_QUOTE');
+
+      const mismatchResponse = await request(app)
+        .post('/api/v1/rides')
+        .set('Idempotency-Key', 'ride-quote-003')
+        .send({
+          ...route,
+          tier: 'XL',
+          paymentMethod: 'CARD',
+          quoteId: quoteResponse.body.quotes[0].quoteId,
+        })
+        .expect(400);
+      expect(mismatchResponse.body.code).toBe('QUOTE_MISMATCH');
+    });
+  });
+
   describe('Driver Matching - p95 < 1s SLO', () => {
     it('should match a driver within 1 second', async () => {
       const startTime = Date.now();
@@ -173,6 +328,31 @@ describe('Dispatch/Matching Service', () => {
       );
     });
 
+    it('should return the score breakdown of the matched driver', async () => {
+      const response = await request(app)
+        .post('/api/v1/rides')
+        .set('Idempotency-Key', 'ride-req-match-004')
+        .send({
+          riderId: 'a1000000-0000-0000-0000-000000000001',
+          pickup: { lat: 12.9716, lng: 77.5946 },
+          destination: { lat: 12.98, lng: 77.61 },
+          tier: 'ECONOMY',
+          paymentMethod: 'CARD',
+        })
+        .expect(201);
+
+      expect(response.body.matchedDriver).toMatchObject({
+        score: expect.any(Number),
+        scoreBreakdown: {
+          distance: expect.any(Number),
+          tier: expect.any(Number),
+          rating: expect.any(Number),
+          acceptanceRate: expect.any(Number),
+          heading: expect.any(Number),
+        },
+      });
+    });
+
     it('should filter drivers by vehicle tier', async () => {
       // Set driver 2 to PREMIUM tier
       await redis.hset(
@@ -199,6 +379,41 @@ describe('Dispatch/Matching Service', () => {
     });
   });
 
+  describe('Progressive search radius', () => {
+    it('should widen the search until a driver is found and record the attempt', async () => {
+      // ~3.3km south of the seeded drivers, outside the first 2km radius
+      const createResponse = await request(app)
+        .post('/api/v1/rides')
+        .set('Idempotency-Key', 'ride-req-radius-001')
+        .send({
+          riderId: 'a1000000-0000-0000-0000-000000000001',
+          pickup: { lat: 12.9416, lng: 77.5946 },
+          destination: { lat: 12.98, lng: 77.61 },
+          tier: 'ECONOMY',
+          paymentMethod: 'CARD',
+        })
+        .expect(201);
+
+      expect(createResponse.body.matchedDriver).not.toBeNull();
+
+      const response = await request(app)
+        .get(`/api/v1/rides/${createResponse.body.id}`)
+        .expect(200);
+
+      expect(response.body.matchRadiusKm).toBe(4);
+      expect(response.body.matchHistory).toHaveLength(1);
+      expect(response.body.matchHistory[0]).toMatchObject({
+        attempt: 1,
+        outcome: 'OFFERED',
+        radiusKm: 4,
+        searches: [
+          { radiusKm: 2, candidates: 0 },
+          { radiusKm: 4, candidates: 2 },
+        ],
+      });
+    });
+  });
+
   describe('POST /api/v1/rides/:rideId/driver-response', () => {
     let rideId;
 
@@ -231,6 +446,56 @@ describe('Dispatch/Matching Service', () => {
       );
     });
 
+    it('should reject acceptance from a driver without the current offer', async () => {
+      const response = await request(app)
+        .post(`/api/v1/rides/${rideId}/driver-response`)
+        .send({
+          driverId: 'd1000000-0000-0000-0000-000000000003',
+          action: 'ACCEPT',
+        })
+        .expect(409);
+
+      expect(response.body.code).toBe('OFFER_NOT_CURRENT');
+    });
+
+    it('should reject a stale acceptance after the ride was reassigned', async () => {
+      await request(app)
+        .post(`/api/v1/rides/${rideId}/driver-response`)
+        .send({
+          driverId: 'd1000000-0000-0000-0000-000000000001',
+          action: 'DECLINE',
+        })
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/api/v1/rides/${rideId}/driver-response`)
+        .send({
+          driverId: 'd1000000-0000-0000-0000-000000000001',
+          action: 'ACCEPT',
+        })
+        .expect(409);
+
+      expect(response.body.code).toBe('OFFER_NOT_CURRENT');
+    });
+
+    it('should reject acceptance of an expired offer', async () => {
+      await pgPool.query(
+        `UPDATE driver_offers SET expires_at = NOW() - INTERVAL '1 second'
+         WHERE ride_request_id = $1`,
+        [rideId],
+      );
+
+      const response = await request(app)
+        .post(`/api/v1/rides/${rideId}/driver-response`)
+        .send({
+          driverId: 'd1000000-0000-0000-0000-000000000001',
+          action: 'ACCEPT',
+        })
+        .expect(409);
+
+      expect(response.body.code).toBe('OFFER_EXPIRED');
+    });
+
     it('should handle driver decline and reassign', async () => {
       // First driver declines
       const declineResponse = await request(app)
@@ -260,14 +525,1153 @@ describe('Dispatch/Matching Service', () => {
       expect(['REASSIGNED', 'EXPIRED']).toContain(declineResponse.body.status);
     });
 
-    it('should timeout and reassign after 15 seconds', async () => {
-      // Trigger timeout check (no real timer waiting needed)
+    it('should expire an unanswered offer and reassign', async () => {
+      const offerExpiryWorker = require('../../src/workers/offer-expiry.worker');
+      const { rows } = await pgPool.query(
+        'SELECT current_driver_offer_id FROM ride_requests WHERE id = $1',
+        [rideId],
+      );
+      const offerId = rows[0].current_driver_offer_id;
+
+      // Pull the expiry into the past instead of waiting 15 seconds
+      await redis.zadd(
+        'offers:expiring',
+        Date.now() - 1000,
+        `${rideId}:${offerId}`,
+      );
+
+      const result = await offerExpiryWorker.processDueOffers();
+      expect(result.processed).toBe(1);
+
+      const offer = await pgPool.query(
+        'SELECT status FROM driver_offers WHERE id = $1',
+        [offerId],
+      );
+      expect(offer.rows[0].status).toBe('EXPIRED');
+
+      const ride = await pgPool.query(
+        'SELECT status, current_driver_offer_id FROM ride_requests WHERE id = $1',
+        [rideId],
+      );
+      // Two other drivers are nearby, so the ride is offered to one of them
+      expect(ride.rows[0].status).toBe('MATCHING');
+      expect(ride.rows[0].current_driver_offer_id).not.toBe(offerId);
+      // Processed offers leave the set
+      expect(
+        await redis.zscore('offers:expiring', `${rideId}:${offerId}`),
+      ).toBeNull();
+    });
+
+    it('should lease claimed offers until they are processed', async () => {
+      const config = require('../../src/config');
+      const dispatchService = require('../../src/services/dispatch.service');
+      const member = `${rideId}:lease-test`;
+      const now = Date.now();
+      await redis.zadd('offers:expiring', now - 1000, member);
+
+      try {
+        const claimed = await dispatchService.claimExpiredOffers(now);
+        expect(claimed).toContainEqual({ rideId, offerId: 'lease-test' });
+
+        // Still in the set, hidden from other instances until the lease runs out
+        expect(Number(await redis.zscore('offers:expiring', member))).toBe(
+          now + config.OFFER_EXPIRY_LEASE,
+        );
+        expect(
+          await dispatchService.claimExpiredOffers(now),
+        ).not.toContainEqual({ rideId, offerId: 'lease-test' });
+
+        // An instance that died before processing leaves it to be claimed again
+        expect(
+          await dispatchService.claimExpiredOffers(
+            now + config.OFFER_EXPIRY_LEASE,
+          ),
+        ).toContainEqual({ rideId, offerId: 'lease-test' });
+      } finally {
+        await redis.zrem('offers:expiring', member);
+      }
+    });
+  });
+
+  describe('Broadcast dispatch mode', () => {
+    const config = require('../../src/config');
+
+    beforeEach(() => {
+      config.DISPATCH_MODE_OVERRIDES.bangalore = 'BROADCAST';
+    });
+
+    afterEach(() => {
+      delete config.DISPATCH_MODE_OVERRIDES.bangalore;
+    });
+
+    const createBroadcastRide = () =>
+      request(app)
+        .post('/api/v1/rides')
+        .set('Idempotency-Key', `ride-broadcast-${Date.now()}`)
+        .send({
+          riderId: 'a1000000-0000-0000-0000-000000000001',
+          pickup: { lat: 12.9716, lng: 77.5946 },
+          destination: { lat: 12.98, lng: 77.61 },
+          tier: 'ECONOMY',
+          paymentMethod: 'CARD',
+        })
+        .expect(201);
+
+    it('should offer the ride to several drivers at once', async () => {
+      const response = await createBroadcastRide();
+
+      expect(response.body.dispatchMode).toBe('BROADCAST');
+      expect(response.body.offeredDrivers).toHaveLength(3);
+    });
+
+    it('should let the first acceptance win and revoke the other offers', async () => {
+      const { body: ride } = await createBroadcastRide();
+
+      await request(app)
+        .post(`/api/v1/rides/${ride.id}/driver-response`)
+        .send({
+          driverId: 'd1000000-0000-0000-0000-000000000002',
+          action: 'ACCEPT',
+        })
+        .expect(200);
+
+      const offers = await pgPool.query(
+        'SELECT driver_id, status FROM driver_offers WHERE ride_request_id = $1',
+        [ride.id],
+      );
+      const statuses = Object.fromEntries(
+        offers.rows.map((o) => [o.driver_id, o.status]),
+      );
+      expect(statuses).toEqual({
+        'd1000000-0000-0000-0000-000000000001': 'REVOKED',
+        'd1000000-0000-0000-0000-000000000002': 'ACCEPTED',
+        'd1000000-0000-0000-0000-000000000003': 'REVOKED',
+      });
+
+      // Revoked drivers are free for other rides immediately
+      expect(
+        await redis.exists('driver:d1000000-0000-0000-0000-000000000001:offer'),
+      ).toBe(0);
+
+      const lateResponse = await request(app)
+        .post(`/api/v1/rides/${ride.id}/driver-response`)
+        .send({
+          driverId: 'd1000000-0000-0000-0000-000000000001',
+          action: 'ACCEPT',
+        })
+        .expect(409);
+      expect(lateResponse.body.code).toBe('RIDE_NOT_MATCHING');
+    });
+
+    it('should wait for the whole round before reassigning on decline', async () => {
+      const { body: ride } = await createBroadcastRide();
+
+      const response = await request(app)
+        .post(`/api/v1/rides/${ride.id}/driver-response`)
+        .send({
+          driverId: 'd1000000-0000-0000-0000-000000000001',
+          action: 'DECLINE',
+        })
+        .expect(200);
+
+      expect(response.body.status).toBe('DECLINED');
+    });
+  });
+
+  describe('POST /api/v1/rides/:rideId/cancel', () => {
+    it('should reject cancelling a ride that is already cancelled', async () => {
+      const createResponse = await request(app)
+        .post('/api/v1/rides')
+        .set('Idempotency-Key', `ride-cancel-${Date.now()}`)
+        .send({
+          riderId: 'a1000000-0000-0000-0000-000000000001',
+          pickup: { lat: 12.9716, lng: 77.5946 },
+          destination: { lat: 12.98, lng: 77.61 },
+          tier: 'ECONOMY',
+          paymentMethod: 'CARD',
+        })
+        .expect(201);
+      const rideId = createResponse.body.id;
+
+      await request(app)
+        .post(`/api/v1/rides/${rideId}/cancel`)
+        .send({ reason: 'Changed plans' })
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/api/v1/rides/${rideId}/cancel`)
+        .send({ reason: 'Changed plans' })
+        .expect(409);
+
+      expect(response.body.code).toBe('INVALID_STATE_TRANSITION');
+      expect(response.body.details).toMatchObject({
+        from: 'CANCELLED',
+        to: 'CANCELLED',
+      });
+    });
+
+    it('should release the assigned driver without a fee inside the grace period', async () => {
+      const createResponse = await request(app)
+        .post('/api/v1/rides')
+        .set('Idempotency-Key', `ride-cancel-accepted-${Date.now()}`)
+        .send({
+          riderId: 'a1000000-0000-0000-0000-000000000001',
+          pickup: { lat: 12.9716, lng: 77.5946 },
+          destination: { lat: 12.98, lng: 77.61 },
+          tier: 'ECONOMY',
+          paymentMethod: 'CARD',
+        })
+        .expect(201);
+      const rideId = createResponse.body.id;
+      const { driverId } = createResponse.body.matchedDriver;
+
+      await request(app)
+        .post(`/api/v1/rides/${rideId}/driver-response`)
+        .send({ driverId, action: 'ACCEPT' })
+        .expect(200);
+
       const response = await request(app)
-        .post(`/api/v1/rides/${rideId}/check-timeout`)
+        .post(`/api/v1/rides/${rideId}/cancel`)
+        .send({ reason: 'Driver too far' })
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        status: 'CANCELLED',
+        previousStatus: 'ACCEPTED',
+        cancelledBy: 'RIDER',
+        cancellationFee: 0,
+      });
+      expect(await redis.hget(`driver:${driverId}:meta`, 'status')).toBe(
+        'ONLINE',
+      );
+
+      const ride = await request(app)
+        .get(`/api/v1/rides/${rideId}`)
+        .expect(200);
+      expect(ride.body.cancellation).toMatchObject({
+        cancelledBy: 'RIDER',
+        reason: 'Driver too far',
+        fee: 0,
+      });
+    });
+
+    it('should always cancel as the rider and charge the fee', async () => {
+      const createResponse = await request(app)
+        .post('/api/v1/rides')
+        .set('Idempotency-Key', `ride-cancel-fee-${Date.now()}`)
+        .send({
+          riderId: 'a1000000-0000-0000-0000-000000000001',
+          pickup: { lat: 12.9716, lng: 77.5946 },
+          destination: { lat: 12.98, lng: 77.61 },
+          tier: 'ECONOMY',
+          paymentMethod: 'CARD',
+        })
+        .expect(201);
+      const rideId = createResponse.body.id;
+      const { driverId } = createResponse.body.matchedDriver;
+
+      await request(app)
+        .post(`/api/v1/rides/${rideId}/driver-response`)
+        .send({ driverId, action: 'ACCEPT' })
         .expect(200);
+      await pgPool.query(
+        `UPDATE ride_requests SET accepted_at = NOW() - INTERVAL '1 hour' WHERE id = $1`,
+        [rideId],
+      );
+
+      // A rider can't pass the cancellation off as the driver's to skip the fee
+      const response = await request(app)
+        .post(`/api/v1/rides/${rideId}/cancel`)
+        .send({ cancelledBy: 'DRIVER', reason: 'Changed plans' })
+        .expect(200);
+
+      expect(response.body.cancelledBy).toBe('RIDER');
+      expect(response.body.cancellationFee).toBeGreaterThan(0);
+    });
+  });
+
+  describe('Scheduled rides', () => {
+    const inMinutes = (minutes) =>
+      new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+    const createScheduledRide = (scheduledAt = inMinutes(120)) =>
+      request(app)
+        .post('/api/v1/rides')
+        .set('Idempotency-Key', `ride-scheduled-${Date.now()}-${Math.random()}`)
+        .send({
+          riderId: 'a1000000-0000-0000-0000-000000000001',
+          pickup: { lat: 12.9716, lng: 77.5946 },
+          destination: { lat: 12.98, lng: 77.61 },
+          tier: 'ECONOMY',
+          paymentMethod: 'CARD',
+          scheduledAt,
+        });
+
+    it('should book a ride without matching until the lead time', async () => {
+      const response = await createScheduledRide().expect(201);
+
+      expect(response.body).toMatchObject({
+        status: 'SCHEDULED',
+        matchedDriver: null,
+        scheduledAt: expect.any(String),
+      });
+
+      const offers = await pgPool.query(
+        'SELECT * FROM driver_offers WHERE ride_request_id = $1',
+        [response.body.id],
+      );
+      expect(offers.rows).toHaveLength(0);
+    });
+
+    it('should reject pickup times outside the booking window', async () => {
+      const response = await createScheduledRide(inMinutes(5)).expect(400);
+
+      expect(response.body.code).toBe('INVALID_SCHEDULE_TIME');
+    });
+
+    it('should list, update and cancel upcoming bookings', async () => {
+      const { body: ride } = await createScheduledRide().expect(201);
+
+      const list = await request(app)
+        .get('/api/v1/rides/scheduled')
+        .query({ riderId: 'a1000000-0000-0000-0000-000000000001' })
+        .expect(200);
+      expect(list.body.rides.map((r) => r.id)).toContain(ride.id);
+
+      const newTime = inMinutes(180);
+      const updated = await request(app)
+        .patch(`/api/v1/rides/${ride.id}/schedule`)
+        .send({ scheduledAt: newTime, tier: 'PREMIUM' })
+        .expect(200);
+      expect(updated.body).toMatchObject({
+        status: 'SCHEDULED',
+        tier: 'PREMIUM',
+      });
+      expect(new Date(updated.body.scheduledAt).toISOString()).toBe(newTime);
+
+      const cancelled = await request(app)
+        .post(`/api/v1/rides/${ride.id}/cancel`)
+        .send({ reason: 'Plans changed' })
+        .expect(200);
+      expect(cancelled.body).toMatchObject({
+        previousStatus: 'SCHEDULED',
+        cancellationFee: 0,
+      });
+
+      await request(app)
+        .patch(`/api/v1/rides/${ride.id}/schedule`)
+        .send({ tier: 'XL' })
+        .expect(409);
+    });
+
+    it('should not switch a booking to a tier its region does not offer', async () => {
+      const fs = require('fs');
+      const config = require('../../src/config');
+      const regionService = require('../../src/services/region.service');
+      const { body: ride } = await createScheduledRide().expect(201);
+
+      const registry = JSON.parse(fs.readFileSync(config.REGIONS_PATH, 'utf8'));
+      for (const feature of registry.features) {
+        feature.properties.tiers = feature.properties.tiers.filter(
+          (tier) => tier !== 'XL',
+        );
+      }
+      regionService.loadDefinitions(registry, 'test');
+
+      try {
+        const response = await request(app)
+          .patch(`/api/v1/rides/${ride.id}/schedule`)
+          .send({ tier: 'XL' })
+          .expect(400);
+        expect(response.body.code).toBe('TIER_NOT_AVAILABLE');
+      } finally {
+        regionService.load();
+      }
+    });
+
+    it('should start matching once the pickup is within the lead time', async () => {
+      const scheduledRideWorker = require('../../src/workers/scheduled-ride.worker');
+      const { body: ride } = await createScheduledRide().expect(201);
+
+      // Pretend the pickup time has come within the lead time
+      await pgPool.query(
+        `UPDATE ride_requests
+         SET scheduled_at = NOW() + INTERVAL '5 minutes', expires_at = NOW() + INTERVAL '5 minutes'
+         WHERE id = $1`,
+        [ride.id],
+      );
+
+      const result = await scheduledRideWorker.processScheduledRides();
+      expect(result.started).toBe(1);
+
+      const details = await request(app)
+        .get(`/api/v1/rides/${ride.id}`)
+        .expect(200);
+      expect(details.body.status).toBe('MATCHING');
+      expect(details.body.matchedDriver).not.toBeNull();
+    });
+
+    it('should expire unmatched rides at pickup time', async () => {
+      const scheduledRideWorker = require('../../src/workers/scheduled-ride.worker');
+      const { body: ride } = await createScheduledRide().expect(201);
+
+      await pgPool.query(
+        `UPDATE ride_requests
+         SET status = 'MATCHING', scheduled_at = NOW() - INTERVAL '1 minute',
+             expires_at = NOW() - INTERVAL '1 minute'
+         WHERE id = $1`,
+        [ride.id],
+      );
+
+      const result = await scheduledRideWorker.processScheduledRides();
+      expect(result.expired).toBe(1);
+
+      const details = await request(app)
+        .get(`/api/v1/rides/${ride.id}`)
+        .expect(200);
+      expect(details.body.status).toBe('EXPIRED');
+    });
+  });
+
+  describe('Pooled rides', () => {
+    const requestPoolRide = (riderId, pickup, destination) =>
+      request(app)
+        .post('/api/v1/rides')
+        .set('Idempotency-Key', `ride-pool-${Date.now()}-${Math.random()}`)
+        .send({
+          riderId,
+          pickup,
+          destination,
+          tier: 'POOL',
+          paymentMethod: 'CARD',
+        })
+        .expect(201);
+
+    it('should add a compatible ride to a driver already on a pool trip', async () => {
+      const { body: first } = await requestPoolRide(
+        'a1000000-0000-0000-0000-000000000001',
+        { lat: 12.9716, lng: 77.5946 },
+        { lat: 13.0216, lng: 77.5946 },
+      );
+      const driverId = first.matchedDriver.driverId;
+      await request(app)
+        .post(`/api/v1/rides/${first.id}/driver-response`)
+        .send({ driverId, action: 'ACCEPT' })
+        .expect(200);
+
+      // Along the way of the first rider
+      const { body: second } = await requestPoolRide(
+        'a1000000-0000-0000-0000-000000000002',
+        { lat: 12.9816, lng: 77.5946 },
+        { lat: 13.0116, lng: 77.5946 },
+      );
+      expect(second.matchedDriver).toMatchObject({
+        driverId,
+        poolTripId: expect.any(String),
+      });
+
+      await request(app)
+        .post(`/api/v1/rides/${second.id}/driver-response`)
+        .send({ driverId, action: 'ACCEPT' })
+        .expect(200);
+
+      const details = await request(app)
+        .get(`/api/v1/rides/${second.id}`)
+        .expect(200);
+
+      expect(details.body.pool.coRiders).toBe(1);
+      expect(details.body.pool.stops.map((s) => s.rider)).toEqual([
+        'CO_RIDER',
+        'YOU',
+        'YOU',
+        'CO_RIDER',
+      ]);
+      // Co-riders' stops are shown without their location
+      const coRiderStop = details.body.pool.stops.find(
+        (s) => s.rider === 'CO_RIDER',
+      );
+      expect(coRiderStop.location).toBeUndefined();
+      expect(JSON.stringify(details.body.pool)).not.toContain(first.id);
+    });
+
+    it('should not offer pool rides to suspended or offline pool drivers', async () => {
+      const { body: first } = await requestPoolRide(
+        'a1000000-0000-0000-0000-000000000001',
+        { lat: 12.9716, lng: 77.5946 },
+        { lat: 13.0216, lng: 77.5946 },
+      );
+      const driverId = first.matchedDriver.driverId;
+      await request(app)
+        .post(`/api/v1/rides/${first.id}/driver-response`)
+        .send({ driverId, action: 'ACCEPT' })
+        .expect(200);
+
+      await redis.set(`driver:${driverId}:suspended`, '1', 'EX', 60);
+      const { body: second } = await requestPoolRide(
+        'a1000000-0000-0000-0000-000000000002',
+        { lat: 12.9816, lng: 77.5946 },
+        { lat: 13.0116, lng: 77.5946 },
+      );
+      expect(second.matchedDriver.poolTripId).toBeUndefined();
+
+      await redis.del(`driver:${driverId}:suspended`);
+      await redis.del(`driver:${driverId}:presence`);
+      const { body: third } = await requestPoolRide(
+        'a1000000-0000-0000-0000-000000000001',
+        { lat: 12.9816, lng: 77.5946 },
+        { lat: 13.0116, lng: 77.5946 },
+      );
+      expect(third.matchedDriver.poolTripId).toBeUndefined();
+    });
+  });
+
+  describe('Queue zones', () => {
+    const firstDriver = 'd1000000-0000-0000-0000-000000000002';
+    const secondDriver = 'd1000000-0000-0000-0000-000000000003';
+    const pickup = { lat: 13.195, lng: 77.705 };
+    let zoneId;
+    // Pings a minute apart, so driving in and out of the zone isn't taken for a teleport
+    let clock;
+
+    const moveDriver = (driverId, latitude, longitude) => {
+      clock += 60 * 1000;
+      return request(app)
+        .post(`/api/v1/drivers/${driverId}/location`)
+        .send({ latitude, longitude, timestamp: new Date(clock).toISOString() })
+        .expect(200);
+    };
+
+    beforeEach(async () => {
+      clock = Date.now() - 10 * 60 * 1000;
+      const response = await request(app)
+        .post('/api/v1/queue-zones')
+        .send({
+          name: 'Airport T1',
+          polygon: [
+            { lat: 13.19, lng: 77.7 },
+            { lat: 13.2, lng: 77.7 },
+            { lat: 13.2, lng: 77.71 },
+            { lat: 13.19, lng: 77.71 },
+          ],
+          staging: [
+            { lat: 13.198, lng: 77.708 },
+            { lat: 13.2, lng: 77.708 },
+            { lat: 13.2, lng: 77.71 },
+            { lat: 13.198, lng: 77.71 },
+          ],
+        })
+        .expect(201);
+      zoneId = response.body.id;
+    });
+
+    afterEach(async () => {
+      await request(app).delete(`/api/v1/queue-zones/${zoneId}`);
+    });
+
+    it('should offer zone pickups to the head of the queue, not the nearest driver', async () => {
+      await moveDriver(firstDriver, 13.199, 77.709);
+      await moveDriver(secondDriver, 13.199, 77.709);
+      // The second driver then moves right next to the pickup, still inside the zone
+      await moveDriver(secondDriver, 13.1951, 77.7051);
+
+      const position = await request(app)
+        .get(`/api/v1/drivers/${secondDriver}/queue`)
+        .expect(200);
+      expect(position.body).toMatchObject({
+        queued: true,
+        zoneId,
+        position: 2,
+      });
+
+      const response = await request(app)
+        .post('/api/v1/rides')
+        .set('Idempotency-Key', 'ride-queue-001')
+        .send({
+          riderId: 'a1000000-0000-0000-0000-000000000001',
+          pickup,
+          destination: { lat: 12.98, lng: 77.61 },
+          tier: 'ECONOMY',
+          paymentMethod: 'CARD',
+        })
+        .expect(201);
+
+      expect(response.body.matchedDriver).toMatchObject({
+        driverId: firstDriver,
+        queueZoneId: zoneId,
+        queuePosition: 1,
+      });
+    });
+
+    it('should only offer drivers within the window at the head of the queue', async () => {
+      const config = require('../../src/config');
+      const window = config.QUEUE_CANDIDATE_WINDOW;
+      await moveDriver(firstDriver, 13.199, 77.709);
+      await moveDriver(secondDriver, 13.199, 77.709);
+      await redis.set(`driver:${firstDriver}:suspended`, '1');
+
+      config.QUEUE_CANDIDATE_WINDOW = 1;
+      try {
+        const response = await request(app)
+          .post('/api/v1/rides')
+          .set('Idempotency-Key', 'ride-queue-002')
+          .send({
+            riderId: 'a1000000-0000-0000-0000-000000000001',
+            pickup,
+            destination: { lat: 12.98, lng: 77.61 },
+            tier: 'ECONOMY',
+            paymentMethod: 'CARD',
+          })
+          .expect(201);
+
+        // The second driver is past the window, so the ride goes to the radius search
+        expect(response.body.matchedDriver).not.toHaveProperty('queueZoneId');
+      } finally {
+        config.QUEUE_CANDIDATE_WINDOW = window;
+      }
+    });
+
+    it('should drop drivers who leave the zone or go offline', async () => {
+      await moveDriver(firstDriver, 13.199, 77.709);
+      await moveDriver(secondDriver, 13.199, 77.709);
+
+      await moveDriver(firstDriver, 13.18, 77.709);
+      const moved = await request(app)
+        .get(`/api/v1/drivers/${secondDriver}/queue`)
+        .expect(200);
+      expect(moved.body.position).toBe(1);
+
+      await request(app)
+        .patch(`/api/v1/drivers/${secondDriver}/status`)
+        .send({ status: 'OFFLINE' })
+        .expect(200);
+      const offline = await request(app)
+        .get(`/api/v1/drivers/${secondDriver}/queue`)
+        .expect(200);
+      expect(offline.body).toMatchObject({ queued: false, position: null });
+    });
+
+    it('should reject malformed and unknown zone ids', async () => {
+      await request(app).delete('/api/v1/queue-zones/not-a-zone').expect(400);
+      await request(app)
+        .delete('/api/v1/queue-zones/00000000-0000-0000-0000-000000000000')
+        .expect(404);
+    });
+  });
+
+  describe('Geofences', () => {
+    const driverId = 'd1000000-0000-0000-0000-000000000003';
+    const rideRequest = (idempotencyKey, pickup, extra = {}) =>
+      request(app)
+        .post('/api/v1/rides')
+        .set('Idempotency-Key', idempotencyKey)
+        .send({
+          riderId: 'a1000000-0000-0000-0000-000000000001',
+          pickup,
+          destination: { lat: 12.93, lng: 77.62 },
+          tier: 'ECONOMY',
+          paymentMethod: 'CARD',
+          ...extra,
+        });
+    const createGeofence = (body) =>
+      request(app).post('/api/v1/geofences').send(body).expect(201);
+    const restrictedZone = {
+      name: 'Cantonment',
+      type: 'RESTRICTED',
+      polygon: [
+        { lat: 12.975, lng: 77.595 },
+        { lat: 12.985, lng: 77.595 },
+        { lat: 12.985, lng: 77.605 },
+        { lat: 12.975, lng: 77.605 },
+      ],
+    };
+    // Pings a minute apart, so driving in and out isn't taken for a teleport
+    let clock;
+
+    const moveDriver = (latitude, longitude) => {
+      clock += 60 * 1000;
+      return request(app)
+        .post(`/api/v1/drivers/${driverId}/location`)
+        .send({ latitude, longitude, timestamp: new Date(clock).toISOString() })
+        .expect(200);
+    };
+
+    beforeEach(() => {
+      clock = Date.now() - 10 * 60 * 1000;
+    });
+
+    afterEach(async () => {
+      const { body } = await request(app).get('/api/v1/geofences');
+      for (const { id } of body.geofences) {
+        await request(app).delete(`/api/v1/geofences/${id}`);
+      }
+    });
+
+    it('should create, update, list and delete geofences', async () => {
+      const created = await createGeofence(restrictedZone);
+      expect(created.body).toMatchObject({
+        name: 'Cantonment',
+        type: 'RESTRICTED',
+        region: 'bangalore',
+        pickupPoints: [],
+        active: true,
+      });
+      const { id } = created.body;
+
+      const updated = await request(app)
+        .patch(`/api/v1/geofences/${id}`)
+        .send({
+          type: 'NO_PICKUP',
+          pickupPoints: [{ name: 'Gate 1', lat: 12.974, lng: 77.6 }],
+        })
+        .expect(200);
+      expect(updated.body).toMatchObject({
+        name: 'Cantonment',
+        type: 'NO_PICKUP',
+        pickupPoints: [{ name: 'Gate 1', lat: 12.974, lng: 77.6 }],
+      });
+
+      const listed = await request(app)
+        .get('/api/v1/geofences?type=NO_PICKUP')
+        .expect(200);
+      expect(listed.body.geofences.map((f) => f.id)).toEqual([id]);
+      const airports = await request(app)
+        .get('/api/v1/geofences?type=AIRPORT')
+        .expect(200);
+      expect(airports.body.geofences).toEqual([]);
+
+      await request(app).delete(`/api/v1/geofences/${id}`).expect(200);
+      await request(app).get(`/api/v1/geofences/${id}`).expect(404);
+    });
+
+    it('should reject invalid geofences', async () => {
+      await request(app)
+        .post('/api/v1/geofences')
+        .send({ ...restrictedZone, type: 'MOAT' })
+        .expect(400);
+
+      await request(app)
+        .post('/api/v1/geofences')
+        .send({
+          ...restrictedZone,
+          pickupPoints: [
+            { name: 'Gate', lat: 12.974, lng: 77.6 },
+            { name: 'Gate', lat: 12.986, lng: 77.6 },
+          ],
+        })
+        .expect(400);
+
+      const outside = await request(app)
+        .post('/api/v1/geofences')
+        .send({
+          ...restrictedZone,
+          polygon: restrictedZone.polygon.map(({ lat, lng }) => ({
+            lat: lat - 40,
+            lng,
+          })),
+        })
+        .expect(400);
+      expect(outside.body.code).toBe('OUTSIDE_SERVICE_AREA');
+    });
+
+    it('should track the geofences drivers enter and leave', async () => {
+      const { body: zone } = await createGeofence(restrictedZone);
+
+      const entered = await moveDriver(12.98, 77.6);
+      expect(entered.body.geofences).toEqual([zone.id]);
+      expect(await redis.hget(`driver:${driverId}:meta`, 'geofences')).toBe(
+        zone.id,
+      );
+
+      const exited = await moveDriver(12.99, 77.6);
+      expect(exited.body.geofences).toEqual([]);
+      expect(await redis.hget(`driver:${driverId}:meta`, 'geofences')).toBe('');
+    });
+
+    it('should reject pickups inside restricted zones', async () => {
+      await createGeofence(restrictedZone);
+
+      const response = await rideRequest('ride-geofence-001', {
+        lat: 12.98,
+        lng: 77.6,
+      }).expect(400);
+      expect(response.body.code).toBe('PICKUP_RESTRICTED');
+
+      const quote = await request(app)
+        .post('/api/v1/fares/quote')
+        .send({
+          riderId: 'a1000000-0000-0000-0000-000000000001',
+          pickup: { lat: 12.98, lng: 77.6 },
+          destination: { lat: 12.93, lng: 77.62 },
+        })
+        .expect(400);
+      expect(quote.body.code).toBe('PICKUP_RESTRICTED');
+
+      // Just outside the zone
+      await rideRequest('ride-geofence-002', {
+        lat: 12.9716,
+        lng: 77.5946,
+      }).expect(201);
+    });
+
+    it('should redirect pickups to the designated pickup points', async () => {
+      const { body: airport } = await createGeofence({
+        name: 'Airport',
+        type: 'AIRPORT',
+        polygon: [
+          { lat: 13.18, lng: 77.68 },
+          { lat: 13.22, lng: 77.68 },
+          { lat: 13.22, lng: 77.72 },
+          { lat: 13.18, lng: 77.72 },
+        ],
+        pickupPoints: [
+          { name: 'Terminal 1', lat: 13.199, lng: 77.707 },
+          { name: 'Terminal 2', lat: 13.2, lng: 77.69 },
+        ],
+      });
+      const requestedPickup = { lat: 13.2, lng: 77.71 };
+
+      const nearest = await rideRequest(
+        'ride-geofence-003',
+        requestedPickup,
+      ).expect(201);
+      expect(nearest.body.pickup).toEqual({ lat: 13.199, lng: 77.707 });
+      expect(nearest.body.pickupRedirect).toEqual({
+        geofenceId: airport.id,
+        geofenceName: 'Airport',
+        pickupPoint: 'Terminal 1',
+        requestedPickup,
+      });
+
+      const stored = await pgPool.query(
+        'SELECT pickup_lat, pickup_lng FROM ride_requests WHERE id = $1',
+        [nearest.body.id],
+      );
+      expect(parseFloat(stored.rows[0].pickup_lat)).toBe(13.199);
+
+      // A quote for a named pickup point is honored by the ride request
+      const quote = await request(app)
+        .post('/api/v1/fares/quote')
+        .send({
+          riderId: 'a1000000-0000-0000-0000-000000000002',
+          pickup: requestedPickup,
+          pickupPoint: 'Terminal 2',
+          destination: { lat: 12.93, lng: 77.62 },
+          tiers: ['ECONOMY'],
+        })
+        .expect(200);
+      expect(quote.body.pickup).toEqual({ lat: 13.2, lng: 77.69 });
+
+      const named = await rideRequest('ride-geofence-004', requestedPickup, {
+        riderId: 'a1000000-0000-0000-0000-000000000002',
+        pickupPoint: 'Terminal 2',
+        quoteId: quote.body.quotes[0].quoteId,
+      }).expect(201);
+      expect(named.body.pickupRedirect.pickupPoint).toBe('Terminal 2');
+
+      const unknown = await rideRequest('ride-geofence-005', requestedPickup, {
+        pickupPoint: 'Terminal 9',
+      }).expect(400);
+      expect(unknown.body.code).toBe('INVALID_PICKUP_POINT');
+    });
+  });
+
+  describe('Live ride tracking', () => {
+    const riderId = 'a1000000-0000-0000-0000-000000000001';
+
+    const createRide = async (key) => {
+      const response = await request(app)
+        .post('/api/v1/rides')
+        .set('Idempotency-Key', `${key}-${Date.now()}`)
+        .send({
+          riderId,
+          pickup: { lat: 12.9716, lng: 77.5946 },
+          destination: { lat: 12.98, lng: 77.61 },
+          tier: 'ECONOMY',
+          paymentMethod: 'CARD',
+        })
+        .expect(201);
+      return response.body;
+    };
+
+    // Collect the raw event stream until the server closes it
+    const openStream = (rideId, token) =>
+      request(app)
+        .get(`/api/v1/rides/${rideId}/track`)
+        .query({ token })
+        .buffer(true)
+        .parse((res, callback) => {
+          let text = '';
+          res.on('data', (chunk) => {
+            text += chunk;
+          });
+          res.on('end', () => callback(null, text));
+        });
+
+    const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    it('should stream driver positions and status until the ride is cancelled', async () => {
+      const ride = await createRide('ride-track');
+      const { driverId } = ride.matchedDriver;
+      expect(ride.tracking.token).toEqual(expect.any(String));
+
+      await request(app)
+        .post(`/api/v1/rides/${ride.id}/driver-response`)
+        .send({ driverId, action: 'ACCEPT' })
+        .expect(200);
+
+      // .then() sends the request now; it settles once the server closes the stream
+      const streamed = openStream(ride.id, ride.tracking.token).then(
+        (res) => res,
+      );
+      await wait(300);
+
+      await request(app)
+        .post(`/api/v1/drivers/${driverId}/location`)
+        .send({
+          latitude: 12.9718,
+          longitude: 77.5948,
+          timestamp: new Date().toISOString(),
+        })
+        .expect(200);
+      await wait(300);
+
+      await request(app)
+        .post(`/api/v1/rides/${ride.id}/cancel`)
+        .send({ reason: 'Changed plans' })
+        .expect(200);
+
+      const response = await streamed;
+      expect(response.headers['content-type']).toMatch(/text\/event-stream/);
+      expect(response.body).toContain('"status":"ACCEPTED"');
+      expect(response.body).toContain('event: location');
+      expect(response.body).toContain('"etaTo":"PICKUP"');
+      expect(response.body).toContain('"status":"CANCELLED"');
+    });
+
+    it('should end the stream at once for a finished ride', async () => {
+      const ride = await createRide('ride-track-done');
+      await request(app)
+        .post(`/api/v1/rides/${ride.id}/cancel`)
+        .send({ reason: 'Changed plans' })
+        .expect(200);
+
+      const response = await openStream(ride.id, ride.tracking.token);
+      expect(response.status).toBe(200);
+      expect(response.body).toContain('"status":"CANCELLED"');
+    });
+
+    it("should reject a missing token or another ride's token", async () => {
+      const ride = await createRide('ride-track-a');
+      const other = await createRide('ride-track-b');
+
+      await request(app).get(`/api/v1/rides/${ride.id}/track`).expect(401);
+      const response = await request(app)
+        .get(`/api/v1/rides/${ride.id}/track`)
+        .set('Authorization', `Bearer ${other.tracking.token}`)
+        .expect(401);
+      expect(response.body.code).toBe('INVALID_TRACKING_TOKEN');
+    });
+
+    it('should renew only a genuine token for the ride', async () => {
+      const ride = await createRide('ride-track-token');
+      const other = await createRide('ride-track-token-other');
+
+      const response = await request(app)
+        .post(`/api/v1/rides/${ride.id}/tracking-token`)
+        .set('Authorization', `Bearer ${ride.tracking.token}`)
+        .expect(201);
+      expect(response.body).toMatchObject({
+        rideId: ride.id,
+        token: expect.any(String),
+        expiresAt: expect.any(String),
+      });
+
+      // Knowing the ride and its rider (as GET /rides/:rideId shows) isn't enough
+      await request(app)
+        .post(`/api/v1/rides/${ride.id}/tracking-token`)
+        .send({ riderId })
+        .expect(401);
+      await request(app)
+        .post(`/api/v1/rides/${ride.id}/tracking-token`)
+        .set('Authorization', `Bearer ${other.tracking.token}`)
+        .expect(401);
+    });
+
+    it('should survive malformed messages on a subscribed channel', async () => {
+      const { subscribe } = require('../../src/db/redis');
+      const received = [];
+      const unsubscribe = await subscribe('tracking:ride:malformed', (data) =>
+        received.push(data),
+      );
+
+      try {
+        await redis.publish('tracking:ride:malformed', 'not json');
+        await redis.publish(
+          'tracking:ride:malformed',
+          JSON.stringify({ status: 'MATCHING' }),
+        );
+        await new Promise((resolve) => setTimeout(resolve, 200));
+
+        expect(received).toEqual([{ status: 'MATCHING' }]);
+      } finally {
+        await unsubscribe();
+      }
+    });
+  });
+
+  describe('Driver offer delivery', () => {
+    const config = require('../../src/config');
+
+    const createRide = async (key) => {
+      const response = await request(app)
+        .post('/api/v1/rides')
+        .set('Idempotency-Key', `${key}-${Date.now()}`)
+        .send({
+          riderId: 'a1000000-0000-0000-0000-000000000001',
+          pickup: { lat: 12.9716, lng: 77.5946 },
+          destination: { lat: 12.98, lng: 77.61 },
+          tier: 'ECONOMY',
+          paymentMethod: 'CARD',
+        })
+        .expect(201);
+      return response.body;
+    };
+
+    const getOffer = async (rideId) => {
+      const { rows } = await pgPool.query(
+        `SELECT o.* FROM driver_offers o
+         JOIN ride_requests r ON r.current_driver_offer_id = o.id
+         WHERE r.id = $1`,
+        [rideId],
+      );
+      return rows[0];
+    };
+
+    it('should deliver a new offer to a waiting poll', async () => {
+      const driverId = 'd1000000-0000-0000-0000-000000000001';
+
+      // .then() sends the request now; it settles once an offer arrives
+      const polled = request(app)
+        .get(`/api/v1/drivers/${driverId}/offers`)
+        .query({ wait: 5 })
+        .then((res) => res);
+      await new Promise((resolve) => setTimeout(resolve, 300));
+
+      const ride = await createRide('offer-push');
+      expect(ride.matchedDriver.driverId).toBe(driverId);
+
+      const response = await polled;
+      expect(response.status).toBe(200);
+      expect(response.body.offers).toHaveLength(1);
+      expect(response.body.offers[0]).toMatchObject({
+        rideId: ride.id,
+        pickup: { lat: 12.9716, lng: 77.5946 },
+        destination: { lat: 12.98, lng: 77.61 },
+        estimatedFare: ride.estimatedFare,
+        deliveredAt: null,
+        expiresAt: expect.any(String),
+      });
+    });
+
+    it('should start the response timeout only once the offer is acknowledged', async () => {
+      const ride = await createRide('offer-ack');
+      const { driverId } = ride.matchedDriver;
+      const offer = await getOffer(ride.id);
+
+      // Undelivered offers only wait for the delivery timeout
+      const deliveryWindow =
+        new Date(offer.expires_at) - new Date(offer.offered_at);
+      expect(deliveryWindow).toBeLessThanOrEqual(
+        config.OFFER_DELIVERY_TIMEOUT + 1000,
+      );
+
+      const ack = await request(app)
+        .post(`/api/v1/drivers/${driverId}/offers/${offer.id}/ack`)
+        .expect(200);
+      expect(ack.body).toMatchObject({
+        offerId: offer.id,
+        rideId: ride.id,
+        status: 'PENDING',
+        deliveredAt: expect.any(String),
+      });
+
+      const responseWindow =
+        new Date(ack.body.expiresAt) - new Date(ack.body.deliveredAt);
+      expect(responseWindow).toBe(config.DRIVER_RESPONSE_TIMEOUT);
+
+      const score = await redis.zscore(
+        'offers:expiring',
+        `${ride.id}:${offer.id}`,
+      );
+      expect(Number(score)).toBe(new Date(ack.body.expiresAt).getTime());
+
+      // Acknowledging again changes nothing
+      const again = await request(app)
+        .post(`/api/v1/drivers/${driverId}/offers/${offer.id}/ack`)
+        .expect(200);
+      expect(again.body.expiresAt).toBe(ack.body.expiresAt);
+
+      // A delivered offer no longer cuts a poll short
+      const poll = await request(app)
+        .get(`/api/v1/drivers/${driverId}/offers`)
+        .query({ wait: 1 })
+        .expect(200);
+      expect(poll.body.offers[0]).toMatchObject({
+        offerId: offer.id,
+        deliveredAt: ack.body.deliveredAt,
+      });
+    });
+
+    it('should reject acknowledging an offer past its delivery timeout', async () => {
+      const ride = await createRide('offer-ack-late');
+      const { driverId } = ride.matchedDriver;
+      const offer = await getOffer(ride.id);
+
+      await pgPool.query(
+        `UPDATE driver_offers SET expires_at = NOW() - INTERVAL '1 second'
+         WHERE id = $1`,
+        [offer.id],
+      );
+
+      const response = await request(app)
+        .post(`/api/v1/drivers/${driverId}/offers/${offer.id}/ack`)
+        .expect(409);
+      expect(response.body.code).toBe('OFFER_EXPIRED');
+    });
+
+    it("should not let a driver acknowledge another driver's offer", async () => {
+      const ride = await createRide('offer-ack-other');
+      const offer = await getOffer(ride.id);
+      const otherDriverId =
+        ride.matchedDriver.driverId === 'd1000000-0000-0000-0000-000000000002'
+          ? 'd1000000-0000-0000-0000-000000000003'
+          : 'd1000000-0000-0000-0000-000000000002';
+
+      const response = await request(app)
+        .post(`/api/v1/drivers/${otherDriverId}/offers/${offer.id}/ack`)
+        .expect(404);
+      expect(response.body.code).toBe('OFFER_NOT_FOUND');
+    });
+
+    it('should accept an offer over the offer channel', async () => {
+      const ride = await createRide('offer-respond');
+      const { driverId } = ride.matchedDriver;
+      const offer = await getOffer(ride.id);
+
+      const response = await request(app)
+        .post(`/api/v1/drivers/${driverId}/offers/${offer.id}/respond`)
+        .send({ action: 'ACCEPT' })
+        .expect(200);
+      expect(response.body).toMatchObject({
+        rideId: ride.id,
+        offerId: offer.id,
+        status: 'ACCEPTED',
+        driverId,
+      });
 
-      // Response should indicate whether timeout occurred
-      expect(response.body).toHaveProperty('timedOut');
+      const accepted = await getOffer(ride.id);
+      expect(accepted.status).toBe('ACCEPTED');
+      expect(accepted.delivered_at).not.toBeNull();
     });
   });
 
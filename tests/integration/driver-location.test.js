@@ -1,19 +1,40 @@
 const request = require('supertest');
 const Redis = require('ioredis');
+const { Pool } = require('pg');
+const { v4: uuidv4 } = require('uuid');
 
 let app;
 let redis;
+let pgPool;
+let trackingService;
 
 beforeAll(async () => {
   const { createApp } = require('../../src/app');
+  trackingService = require('../../src/services/tracking.service');
   app = await createApp();
   redis = new Redis(process.env.REDIS_URL);
+  pgPool = new Pool({ connectionString: process.env.DATABASE_URL });
 });
 
 afterAll(async () => {
   await redis.quit();
+  await pgPool.end();
 });
 
+// A ride assigned to the driver and a tracking token for it, as its rider holds
+const rideWithDriver = async (driverId, status = 'ACCEPTED') => {
+  const rideId = uuidv4();
+  const riderId = 'a1000000-0000-0000-0000-000000000001';
+  await pgPool.query(
+    `INSERT INTO ride_requests
+     (id, rider_id, driver_id, pickup_lat, pickup_lng, destination_lat, destination_lng,
+      tier, payment_method, status, idempotency_key)
+     VALUES ($1, $2, $3, 19.07, 72.87, 19.1, 72.9, 'ECONOMY', 'CARD', $4, $5)`,
+    [rideId, riderId, driverId, status, `driver-location-${rideId}`],
+  );
+  return trackingService.issueToken({ rideId, riderId }).token;
+};
+
 beforeEach(async () => {
   // Clear Redis geo data before each test
   await redis.del('drivers:locations:bangalore');
@@ -62,6 +83,22 @@ describe('Driver Location Service', () => {
       expect(parseFloat(position[0][1])).toBeCloseTo(validLocation.latitude, 4);
     });
 
+    it('should keep the raw ping and filter state in driver meta', async () => {
+      await request(app)
+        .post(`/api/v1/drivers/${driverId}/location`)
+        .send({ ...validLocation, accuracy: 12 })
+        .expect(200);
+
+      const meta = await redis.hgetall(`driver:${driverId}:meta`);
+      expect(parseFloat(meta.rawLat)).toBe(validLocation.latitude);
+      expect(parseFloat(meta.rawLng)).toBe(validLocation.longitude);
+      expect(meta).toMatchObject({
+        filterLat: expect.any(String),
+        filterLng: expect.any(String),
+        filterVariance: expect.any(String),
+      });
+    });
+
     it('should reject invalid coordinates', async () => {
       const response = await request(app)
         .post(`/api/v1/drivers/${driverId}/location`)
@@ -101,6 +138,117 @@ describe('Driver Location Service', () => {
     });
   });
 
+  describe('Batched location updates', () => {
+    const driverId = 'd1000000-0000-0000-0000-000000000001';
+    const otherDriverId = 'd1000000-0000-0000-0000-000000000002';
+    const at = (secondsAgo) =>
+      new Date(Date.now() - secondsAgo * 1000).toISOString();
+
+    beforeEach(async () => {
+      await redis.del(
+        `driver:${driverId}:meta`,
+        `driver:${otherDriverId}:meta`,
+      );
+    });
+
+    it('should move the driver to their newest ping, whatever the order sent', async () => {
+      const response = await request(app)
+        .post(`/api/v1/drivers/${driverId}/locations`)
+        .send({
+          pings: [
+            { latitude: 12.973, longitude: 77.596, timestamp: at(1) },
+            { latitude: 12.971, longitude: 77.594, timestamp: at(3) },
+            { latitude: 12.972, longitude: 77.595, timestamp: at(2) },
+          ],
+        })
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        received: 3,
+        accepted: 3,
+        dropped: 0,
+      });
+
+      const position = await redis.geopos(
+        'drivers:locations:bangalore',
+        driverId,
+      );
+      expect(parseFloat(position[0][1])).toBeCloseTo(12.973, 4);
+      expect(await redis.exists(`driver:${driverId}:presence`)).toBe(1);
+    });
+
+    it('should drop duplicate and out-of-order pings', async () => {
+      const latest = at(5);
+      await request(app)
+        .post(`/api/v1/drivers/${driverId}/location`)
+        .send({ latitude: 12.975, longitude: 77.6, timestamp: latest })
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/api/v1/drivers/${driverId}/locations`)
+        .send({
+          pings: [
+            { latitude: 12.971, longitude: 77.594, timestamp: latest },
+            { latitude: 12.972, longitude: 77.595, timestamp: at(10) },
+          ],
+        })
+        .expect(200);
+
+      expect(response.body).toMatchObject({ accepted: 0, dropped: 2 });
+      expect(response.body.drivers[0]).toMatchObject({
+        driverId,
+        duplicates: 1,
+        outOfOrder: 1,
+      });
+
+      // The earlier position stands
+      const position = await redis.geopos(
+        'drivers:locations:bangalore',
+        driverId,
+      );
+      expect(parseFloat(position[0][1])).toBeCloseTo(12.975, 4);
+    });
+
+    it('should accept pings from many drivers at once', async () => {
+      const response = await request(app)
+        .post('/api/v1/drivers/locations/batch')
+        .send({
+          pings: [
+            {
+              driverId,
+              latitude: 12.9716,
+              longitude: 77.5946,
+              timestamp: at(2),
+            },
+            {
+              driverId: otherDriverId,
+              latitude: 12.972,
+              longitude: 77.595,
+              timestamp: at(1),
+            },
+          ],
+        })
+        .expect(200);
+
+      expect(response.body.accepted).toBe(2);
+      expect(response.body.drivers).toHaveLength(2);
+
+      const positions = await redis.geopos(
+        'drivers:locations:bangalore',
+        driverId,
+        otherDriverId,
+      );
+      expect(positions.every((position) => position !== null)).toBe(true);
+    });
+
+    it('should require a timestamp on every ping', async () => {
+      await request(app)
+        .post(`/api/v1/drivers/${driverId}/locations`)
+        .send({ pings: [{ latitude: 12.9716, longitude: 77.5946 }] })
+        .expect(400);
+    });
+  });
+
   describe('GET /api/v1/drivers/nearby', () => {
     const seedDriverLocations = async () => {
       const drivers = [
@@ -211,6 +359,396 @@ describe('Driver Location Service', () => {
       );
       expect(offlineDriver).toBeUndefined();
     });
+
+    it('should fill the limit even when nearer drivers are busy', async () => {
+      // Both nearest drivers are busy; only the furthest can take a ride
+      for (const id of [
+        'd1000000-0000-0000-0000-000000000001',
+        'd1000000-0000-0000-0000-000000000002',
+      ]) {
+        await redis.hset(`driver:${id}:meta`, 'status', 'ON_TRIP');
+      }
+
+      const response = await request(app)
+        .get('/api/v1/drivers/nearby')
+        .query({
+          latitude: 12.9716,
+          longitude: 77.5946,
+          radiusKm: 5,
+          region: 'bangalore',
+          limit: 1,
+        })
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+      expect(response.body.drivers[0].driverId).toBe(
+        'd1000000-0000-0000-0000-000000000003',
+      );
+    });
+  });
+
+  describe('Location plausibility', () => {
+    const driverId = 'd1000000-0000-0000-0000-000000000001';
+    const at = (secondsAgo) =>
+      new Date(Date.now() - secondsAgo * 1000).toISOString();
+    const ping = (latitude, longitude, secondsAgo) =>
+      request(app)
+        .post(`/api/v1/drivers/${driverId}/location`)
+        .send({ latitude, longitude, timestamp: at(secondsAgo) })
+        .expect(200);
+
+    beforeEach(async () => {
+      await redis.del(
+        `driver:${driverId}:meta`,
+        `driver:${driverId}:quarantine`,
+        `driver:${driverId}:anomalies`,
+        `driver:${driverId}:suspended`,
+      );
+    });
+
+    it('should quarantine a teleport instead of moving the driver', async () => {
+      await ping(12.9716, 77.5946, 60);
+      // Mumbai, 30 seconds later
+      const response = await ping(19.076, 72.8777, 30);
+
+      expect(response.body).toMatchObject({
+        success: false,
+        quarantined: true,
+        reasons: ['IMPOSSIBLE_JUMP'],
+        violations: 1,
+      });
+      expect(await redis.geopos('drivers:locations:mumbai', driverId)).toEqual([
+        null,
+      ]);
+      const [entry] = await redis.lrange(
+        `driver:${driverId}:quarantine`,
+        0,
+        -1,
+      );
+      expect(JSON.parse(entry)).toMatchObject({
+        latitude: 19.076,
+        reasons: ['IMPOSSIBLE_JUMP'],
+      });
+
+      // The next ping is judged against the last accepted one
+      const next = await ping(12.972, 77.595, 0);
+      expect(next.body.success).toBe(true);
+    });
+
+    it('should quarantine pings older than the last accepted one', async () => {
+      await ping(12.9716, 77.5946, 10);
+      const response = await ping(12.972, 77.595, 20);
+
+      expect(response.body.reasons).toEqual(['TIMESTAMP_REGRESSION']);
+    });
+
+    it('should flag the driver once violations reach the threshold', async () => {
+      await ping(12.9716, 77.5946, 120);
+
+      const responses = [];
+      for (let i = 0; i < 6; i++) {
+        responses.push(await ping(12.9716 + (i + 1) * 0.05, 77.5946, 100 - i));
+      }
+
+      expect(responses.map((res) => res.body.flagged)).toEqual([
+        false,
+        false,
+        false,
+        false,
+        true,
+        false,
+      ]);
+      expect(await redis.get(`driver:${driverId}:anomalies`)).toBe('6');
+      expect(await redis.ttl(`driver:${driverId}:anomalies`)).toBeGreaterThan(
+        0,
+      );
+    });
+
+    it('should quarantine implausible pings within a batch', async () => {
+      const response = await request(app)
+        .post(`/api/v1/drivers/${driverId}/locations`)
+        .send({
+          pings: [
+            { latitude: 12.9716, longitude: 77.5946, timestamp: at(30) },
+            { latitude: 13.5, longitude: 77.5946, timestamp: at(20) },
+            { latitude: 12.972, longitude: 77.595, timestamp: at(10) },
+          ],
+        })
+        .expect(200);
+
+      expect(response.body).toMatchObject({ accepted: 2, dropped: 1 });
+      expect(response.body.drivers[0]).toMatchObject({
+        quarantined: 1,
+        anomaly: { violations: 1, flagged: false },
+      });
+
+      const position = await redis.geopos(
+        'drivers:locations:bangalore',
+        driverId,
+      );
+      expect(parseFloat(position[0][1])).toBeCloseTo(12.972, 4);
+    });
+
+    it('should leave suspended drivers out of nearby search', async () => {
+      await ping(12.9716, 77.5946, 0);
+      await redis.hset(`driver:${driverId}:meta`, 'status', 'ONLINE');
+      await redis.set(
+        `driver:${driverId}:suspended`,
+        'LOCATION_ANOMALY',
+        'EX',
+        60,
+      );
+
+      const response = await request(app)
+        .get('/api/v1/drivers/nearby')
+        .query({
+          latitude: 12.9716,
+          longitude: 77.5946,
+          radiusKm: 1,
+          region: 'bangalore',
+        })
+        .expect(200);
+
+      expect(
+        response.body.drivers.map((driver) => driver.driverId),
+      ).not.toContain(driverId);
+    });
+  });
+
+  describe('Region changes', () => {
+    const driverId = 'd1000000-0000-0000-0000-000000000003';
+    const hoursAgo = (hours) =>
+      new Date(Date.now() - hours * 3600 * 1000).toISOString();
+
+    beforeEach(async () => {
+      await redis.del(`driver:${driverId}:meta`);
+      await redis.zrem('drivers:locations:mumbai', driverId);
+    });
+
+    it('should move a driver between regional indexes when they cross over', async () => {
+      await request(app)
+        .post(`/api/v1/drivers/${driverId}/location`)
+        .send({ latitude: 12.9716, longitude: 77.5946, timestamp: hoursAgo(6) })
+        .expect(200);
+      expect(await redis.hget(`driver:${driverId}:meta`, 'region')).toBe(
+        'bangalore',
+      );
+
+      // A long drive later, in Mumbai
+      const response = await request(app)
+        .post(`/api/v1/drivers/${driverId}/location`)
+        .send({ latitude: 19.076, longitude: 72.8777, timestamp: hoursAgo(0) })
+        .expect(200);
+
+      expect(response.body).toMatchObject({ success: true, region: 'mumbai' });
+      expect(
+        await redis.geopos('drivers:locations:bangalore', driverId),
+      ).toEqual([null]);
+      expect(
+        await redis.geopos('drivers:locations:mumbai', driverId),
+      ).not.toEqual([null]);
+      expect(await redis.hget(`driver:${driverId}:meta`, 'region')).toBe(
+        'mumbai',
+      );
+    });
+
+    it('should find a driver without a region hint', async () => {
+      await request(app)
+        .post(`/api/v1/drivers/${driverId}/locations`)
+        .send({
+          pings: [
+            { latitude: 12.9716, longitude: 77.5946, timestamp: hoursAgo(6) },
+            { latitude: 19.076, longitude: 72.8777, timestamp: hoursAgo(0) },
+          ],
+        })
+        .expect(200);
+
+      const token = await rideWithDriver(driverId);
+
+      const response = await request(app)
+        .get(`/api/v1/drivers/${driverId}/location`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(response.body).toMatchObject({ driverId, region: 'mumbai' });
+      expect(response.body.latitude).toBeCloseTo(19.076, 4);
+
+      await request(app)
+        .get(`/api/v1/drivers/${driverId}/location`)
+        .set('Authorization', `Bearer ${token}`)
+        .query({ region: 'bangalore' })
+        .expect(404);
+    });
+
+    it("should show a driver's location only to riders of their current ride", async () => {
+      await request(app)
+        .post(`/api/v1/drivers/${driverId}/location`)
+        .send({ latitude: 19.076, longitude: 72.8777, timestamp: hoursAgo(0) })
+        .expect(200);
+
+      await request(app)
+        .get(`/api/v1/drivers/${driverId}/location`)
+        .expect(401);
+
+      const otherDriversRide = await rideWithDriver(
+        'd1000000-0000-0000-0000-000000000001',
+      );
+      const finishedRide = await rideWithDriver(driverId, 'COMPLETED');
+      for (const token of [otherDriversRide, finishedRide]) {
+        const response = await request(app)
+          .get(`/api/v1/drivers/${driverId}/location`)
+          .query({ token })
+          .expect(403);
+        expect(response.body.code).toBe('FORBIDDEN');
+      }
+    });
+  });
+
+  describe('Service regions', () => {
+    const driverId = 'd1000000-0000-0000-0000-000000000003';
+    const at = (secondsAgo) =>
+      new Date(Date.now() - secondsAgo * 1000).toISOString();
+
+    beforeEach(async () => {
+      await redis.del(`driver:${driverId}:meta`);
+    });
+
+    it('should reject a location outside every service region', async () => {
+      const response = await request(app)
+        .post(`/api/v1/drivers/${driverId}/location`)
+        .send({ latitude: 0, longitude: 0, timestamp: at(0) })
+        .expect(400);
+
+      expect(response.body).toMatchObject({
+        error: 'Service not available here',
+        code: 'OUTSIDE_SERVICE_AREA',
+      });
+      expect(await redis.exists(`driver:${driverId}:meta`)).toBe(0);
+    });
+
+    it('should drop batched pings outside every service region', async () => {
+      const response = await request(app)
+        .post(`/api/v1/drivers/${driverId}/locations`)
+        .send({
+          pings: [
+            { latitude: 0, longitude: 0, timestamp: at(6 * 3600) },
+            { latitude: 12.9716, longitude: 77.5946, timestamp: at(0) },
+          ],
+        })
+        .expect(200);
+
+      expect(response.body).toMatchObject({ accepted: 1, dropped: 1 });
+      expect(response.body.drivers[0]).toMatchObject({
+        outOfRegion: 1,
+        region: 'bangalore',
+      });
+    });
+
+    it('should list the regions with their currency, timezone, tax and tiers', async () => {
+      const response = await request(app).get('/api/v1/regions').expect(200);
+
+      expect(response.body.regions.map((region) => region.id)).toEqual([
+        'bangalore',
+        'mumbai',
+        'delhi',
+      ]);
+      expect(response.body.regions[0]).toMatchObject({
+        currency: 'INR',
+        timezone: 'Asia/Kolkata',
+        tax: { name: 'GST', rate: 0.05, inclusive: true },
+        tiers: ['ECONOMY', 'PREMIUM', 'XL', 'POOL'],
+        boundary: { type: 'Polygon' },
+      });
+    });
+
+    it('should reload the registry without a restart', async () => {
+      const before = await request(app).get('/api/v1/regions').expect(200);
+
+      const response = await request(app)
+        .post('/api/v1/regions/reload')
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        path: before.body.path,
+        regions: 3,
+      });
+      expect(Date.parse(response.body.loadedAt)).toBeGreaterThanOrEqual(
+        Date.parse(before.body.loadedAt),
+      );
+    });
+  });
+
+  describe('Stale driver eviction', () => {
+    const driverId = 'd1000000-0000-0000-0000-000000000002';
+    const driverLocationService = require('../../src/services/driver-location.service');
+    const lapsed = () => Date.now() + 31 * 1000;
+
+    beforeEach(async () => {
+      await redis.del(`driver:${driverId}:meta`, 'drivers:evictions');
+      await request(app)
+        .post(`/api/v1/drivers/${driverId}/location`)
+        .send({
+          latitude: 12.972,
+          longitude: 77.595,
+          timestamp: new Date().toISOString(),
+        })
+        .expect(200);
+      await redis.hset(`driver:${driverId}:meta`, 'status', 'ONLINE');
+    });
+
+    it('should evict drivers whose presence expired and mark them offline', async () => {
+      // As if DRIVER_PRESENCE_TTL had passed without a ping
+      await redis.del(`driver:${driverId}:presence`);
+
+      const { evicted } = await driverLocationService.evictStaleDrivers({
+        now: lapsed(),
+      });
+
+      expect(evicted).toContainEqual({
+        driverId,
+        region: 'bangalore',
+        previousStatus: 'ONLINE',
+      });
+      expect(
+        await redis.geopos('drivers:locations:bangalore', driverId),
+      ).toEqual([null]);
+      expect(await redis.hget(`driver:${driverId}:meta`, 'status')).toBe(
+        'OFFLINE',
+      );
+      expect(await redis.zscore('drivers:last-seen', driverId)).toBeNull();
+
+      const stats = await request(app)
+        .get('/api/v1/drivers/evictions')
+        .expect(200);
+      expect(stats.body.byRegion.bangalore).toBeGreaterThanOrEqual(1);
+      expect(stats.body.total).toBeGreaterThanOrEqual(1);
+    });
+
+    it('should keep drivers who are still present', async () => {
+      const { evicted } = await driverLocationService.evictStaleDrivers({
+        now: lapsed(),
+      });
+
+      expect(evicted.map((driver) => driver.driverId)).not.toContain(driverId);
+      expect(
+        await redis.geopos('drivers:locations:bangalore', driverId),
+      ).not.toEqual([null]);
+    });
+
+    it('should not evict a driver who pinged again', async () => {
+      await redis.del(`driver:${driverId}:presence`);
+      await request(app)
+        .post(`/api/v1/drivers/${driverId}/location`)
+        .send({
+          latitude: 12.972,
+          longitude: 77.595,
+          timestamp: new Date().toISOString(),
+        })
+        .expect(200);
+
+      const { evicted } = await driverLocationService.evictStaleDrivers();
+
+      expect(evicted.map((driver) => driver.driverId)).not.toContain(driverId);
+    });
   });
 
   describe('Driver Presence (TTL-based)', () => {
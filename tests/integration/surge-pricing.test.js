@@ -1,5 +1,13 @@
 const request = require('supertest');
 const Redis = require('ioredis');
+const {
+  latLngToGeoCell,
+  getNeighboringCells,
+} = require('../../src/utils/geo.utils');
+
+// H3 cell of the Bangalore test location, and two of its neighbors
+const pickupCell = latLngToGeoCell(12.9716, 77.5946);
+const [, neighborCell, otherNeighborCell] = getNeighboringCells(pickupCell);
 
 let app;
 let redis;
@@ -22,11 +30,11 @@ describe('Surge Pricing Service', () => {
   describe('GET /api/v1/surge/:geoCell', () => {
     it('should return default surge (1.0x) when no data', async () => {
       const response = await request(app)
-        .get('/api/v1/surge/h3_887339600ffffff')
+        .get(`/api/v1/surge/${pickupCell}`)
         .expect(200);
 
       expect(response.body).toMatchObject({
-        geoCell: 'h3_887339600ffffff',
+        geoCell: pickupCell,
         surgeMultiplier: 1.0,
         supplyCount: 0,
         demandCount: 0,
@@ -34,7 +42,7 @@ describe('Surge Pricing Service', () => {
     });
 
     it('should return cached surge value', async () => {
-      const geoCell = 'h3_887339600ffffff';
+      const geoCell = pickupCell;
       await redis.hset(
         `surge:${geoCell}`,
         'multiplier',
@@ -55,6 +63,27 @@ describe('Surge Pricing Service', () => {
       expect(response.body.supplyCount).toBe(5);
       expect(response.body.demandCount).toBe(15);
     });
+
+    it('should convert a legacy grid cell ID to its H3 cell', async () => {
+      await redis.hset(`surge:${pickupCell}`, 'multiplier', '1.8');
+
+      const response = await request(app)
+        .get('/api/v1/surge/h3_81297177594ffffff')
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        geoCell: latLngToGeoCell(12.9715, 77.5945),
+        surgeMultiplier: 1.8,
+      });
+    });
+
+    it('should reject IDs that are not geo cells', async () => {
+      const response = await request(app)
+        .get('/api/v1/surge/not-a-cell')
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_GEO_CELL');
+    });
   });
 
   describe('POST /api/v1/surge/calculate', () => {
@@ -62,7 +91,7 @@ describe('Surge Pricing Service', () => {
       const response = await request(app)
         .post('/api/v1/surge/calculate')
         .send({
-          geoCell: 'h3_887339600ffffff',
+          geoCell: pickupCell,
           region: 'bangalore',
           latitude: 12.9716,
           longitude: 77.5946,
@@ -80,7 +109,7 @@ describe('Surge Pricing Service', () => {
 
     it('should increase surge when demand > supply', async () => {
       // Seed: many ride requests, few drivers
-      const geoCell = 'h3_887339600ffffff';
+      const geoCell = pickupCell;
 
       // Add few drivers
       await redis.geoadd(
@@ -112,7 +141,7 @@ describe('Surge Pricing Service', () => {
     });
 
     it('should cap surge at maximum (3.0x)', async () => {
-      const geoCell = 'h3_887339600ffffff';
+      const geoCell = pickupCell;
 
       // Extreme demand scenario
       for (let i = 0; i < 100; i++) {
@@ -134,7 +163,7 @@ describe('Surge Pricing Service', () => {
     });
 
     it('should floor surge at minimum (1.0x)', async () => {
-      const geoCell = 'h3_887339600ffffff';
+      const geoCell = pickupCell;
 
       // Many drivers, no demand
       for (let i = 0; i < 20; i++) {
@@ -162,7 +191,7 @@ describe('Surge Pricing Service', () => {
     });
 
     it('should cache calculated surge with TTL', async () => {
-      const geoCell = 'h3_887339600ffffff';
+      const geoCell = pickupCell;
 
       await request(app)
         .post('/api/v1/surge/calculate')
@@ -182,15 +211,32 @@ describe('Surge Pricing Service', () => {
       expect(ttl).toBeGreaterThan(0);
       expect(ttl).toBeLessThanOrEqual(60); // 60 second cache
     });
+
+    it('should count demand in the neighboring cells', async () => {
+      await redis.set(`demand:${pickupCell}`, '4', 'EX', 300);
+      await redis.set(`demand:${neighborCell}`, '6', 'EX', 300);
+
+      const response = await request(app)
+        .post('/api/v1/surge/calculate')
+        .send({
+          geoCell: pickupCell,
+          region: 'bangalore',
+          latitude: 12.9716,
+          longitude: 77.5946,
+        })
+        .expect(200);
+
+      expect(response.body.demandCount).toBe(10);
+    });
   });
 
   describe('GET /api/v1/surge/region/:region', () => {
     beforeEach(async () => {
       // Seed surge data for multiple cells
       const cells = [
-        { cell: 'h3_887339600ffffff', multiplier: '1.5' },
-        { cell: 'h3_887339601ffffff', multiplier: '2.0' },
-        { cell: 'h3_887339602ffffff', multiplier: '1.0' },
+        { cell: pickupCell, multiplier: '1.5' },
+        { cell: neighborCell, multiplier: '2.0' },
+        { cell: otherNeighborCell, multiplier: '1.0' },
       ];
 
       for (const { cell, multiplier } of cells) {
@@ -219,6 +265,23 @@ describe('Surge Pricing Service', () => {
       expect(response.body.zones.length).toBe(3);
     });
 
+    it('should outline each zone for heatmaps and drop legacy cells', async () => {
+      await redis.sadd('surge:cells:bangalore', 'h3_81297177594ffffff');
+
+      const response = await request(app)
+        .get('/api/v1/surge/region/bangalore')
+        .expect(200);
+
+      expect(response.body.zones).toHaveLength(3);
+      expect(response.body.zones[0]).toMatchObject({
+        center: { lat: expect.any(Number), lng: expect.any(Number) },
+      });
+      expect(response.body.zones[0].boundary).toHaveLength(6);
+      expect(await redis.smembers('surge:cells:bangalore')).not.toContain(
+        'h3_81297177594ffffff',
+      );
+    });
+
     it('should filter zones by minimum surge', async () => {
       const response = await request(app)
         .get('/api/v1/surge/region/bangalore')
@@ -234,7 +297,7 @@ describe('Surge Pricing Service', () => {
 
   describe('POST /api/v1/surge/demand', () => {
     it('should increment demand counter for geo cell', async () => {
-      const geoCell = 'h3_887339600ffffff';
+      const geoCell = pickupCell;
 
       const response = await request(app)
         .post('/api/v1/surge/demand')
@@ -253,7 +316,7 @@ describe('Surge Pricing Service', () => {
     });
 
     it('should auto-expire demand after 5 minutes', async () => {
-      const geoCell = 'h3_887339600ffffff';
+      const geoCell = pickupCell;
 
       await request(app)
         .post('/api/v1/surge/demand')
@@ -268,7 +331,7 @@ describe('Surge Pricing Service', () => {
   describe('Surge Pricing Algorithm', () => {
     it('should calculate correct surge multiplier based on formula', async () => {
       // Test that higher demand/supply ratio leads to higher surge
-      const geoCell = 'h3_test_ratio';
+      const geoCell = neighborCell;
 
       // Setup: 2 drivers, 20 demand requests
       await redis.geoadd(
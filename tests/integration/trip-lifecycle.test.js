@@ -30,7 +30,7 @@ describe('Trip Lifecycle Service', () => {
   let rideId;
   let tripId;
 
-  const createAcceptedRide = async () => {
+  const createAcceptedRide = async (rideFields = {}) => {
     // Seed driver locations
     await redis.geoadd(
       'drivers:locations:bangalore',
@@ -62,6 +62,7 @@ describe('Trip Lifecycle Service', () => {
         destination: { lat: 12.98, lng: 77.61 },
         tier: 'ECONOMY',
         paymentMethod: 'CARD',
+        ...rideFields,
       });
 
     rideId = rideResponse.body.id;
@@ -313,6 +314,81 @@ describe('Trip Lifecycle Service', () => {
         response.body.fare.timeFare;
       expect(response.body.fare.totalFare).toBeCloseTo(baseTotal * 1.5, 1);
     });
+
+    it('should bill the GPS trail and flag reported values that stray from it', async () => {
+      const start = { lat: 12.9716, lng: 77.5946 };
+      const end = { lat: 12.98, lng: 77.61 };
+      const startedAt = Date.now() - 240 * 1000;
+      await pgPool.query(
+        'UPDATE trips SET start_time = to_timestamp($1 / 1000.0) WHERE id = $2',
+        [startedAt, tripId],
+      );
+
+      // A ping every 20s along the straight road to the destination
+      const pings = Array.from({ length: 11 }, (_, i) => {
+        const fraction = (i + 1) / 12;
+        return {
+          latitude: start.lat + (end.lat - start.lat) * fraction,
+          longitude: start.lng + (end.lng - start.lng) * fraction,
+          timestamp: new Date(startedAt + (i + 1) * 20 * 1000).toISOString(),
+        };
+      });
+      await request(app)
+        .post('/api/v1/drivers/d1000000-0000-0000-0000-000000000001/locations')
+        .send({ pings })
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/api/v1/trips/${tripId}/end`)
+        .send({
+          endLat: end.lat,
+          endLng: end.lng,
+          distanceKm: 5.2,
+          durationMinutes: 18,
+        })
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        billingSource: 'SERVER',
+        durationMinutes: 4,
+        trail: { pingCount: 11, skippedPings: 0, interpolatedKm: 0 },
+        routePolyline: expect.any(String),
+        discrepancy: {
+          flagged: true,
+          distanceOff: true,
+          durationOff: true,
+          clientDistanceKm: 5.2,
+          clientDurationMinutes: 18,
+        },
+      });
+      expect(response.body.distanceKm).toBeCloseTo(1.9, 1);
+
+      const trip = await pgPool.query(
+        'SELECT route_polyline, discrepancy_flagged FROM trips WHERE id = $1',
+        [tripId],
+      );
+      expect(trip.rows[0].route_polyline).toBe(response.body.routePolyline);
+      expect(trip.rows[0].discrepancy_flagged).toBe(true);
+    });
+
+    it('should bill reported values when the trail is too sparse', async () => {
+      const response = await request(app)
+        .post(`/api/v1/trips/${tripId}/end`)
+        .send({
+          endLat: 12.98,
+          endLng: 77.61,
+          distanceKm: 5.2,
+          durationMinutes: 18,
+        })
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        billingSource: 'CLIENT',
+        distanceKm: 5.2,
+        durationMinutes: 18,
+        discrepancy: { flagged: false },
+      });
+    });
   });
 
   describe('POST /api/v1/trips/:tripId/cancel', () => {
@@ -357,6 +433,92 @@ describe('Trip Lifecycle Service', () => {
     });
   });
 
+  describe('Multi-stop trips', () => {
+    beforeEach(async () => {
+      await createAcceptedRide({ stops: [{ lat: 12.975, lng: 77.6 }] });
+      const tripResponse = await request(app)
+        .post('/api/v1/trips')
+        .send({ rideRequestId: rideId });
+      tripId = tripResponse.body.id;
+
+      await request(app)
+        .post(`/api/v1/trips/${tripId}/start`)
+        .send({ startLat: 12.9716, startLng: 77.5946 });
+    });
+
+    it('should copy the ride stops onto the trip', async () => {
+      const response = await request(app)
+        .get(`/api/v1/trips/${tripId}`)
+        .expect(200);
+
+      expect(response.body.stops).toMatchObject([
+        { sequence: 1, lat: 12.975, lng: 77.6, status: 'PENDING' },
+      ]);
+    });
+
+    it('should add a stop during the trip', async () => {
+      const response = await request(app)
+        .post(`/api/v1/trips/${tripId}/stops`)
+        .send({ lat: 12.972, lng: 77.597, position: 1 })
+        .expect(201);
+
+      expect(response.body.stops.map((s) => s.lat)).toEqual([12.972, 12.975]);
+    });
+
+    it('should track arrival and departure and skip passed stops', async () => {
+      await request(app)
+        .post(`/api/v1/trips/${tripId}/stops`)
+        .send({ lat: 12.978, lng: 77.605 })
+        .expect(201);
+
+      const arrive = await request(app)
+        .post(`/api/v1/trips/${tripId}/stops/2/arrive`)
+        .expect(200);
+      expect(arrive.body).toMatchObject({ status: 'ARRIVED', skipped: [1] });
+
+      // Waiting at a stop is not a pause
+      await request(app)
+        .post(`/api/v1/trips/${tripId}/pause`)
+        .send({ reason: 'Waiting' })
+        .expect(400);
+
+      const depart = await request(app)
+        .post(`/api/v1/trips/${tripId}/stops/2/depart`)
+        .expect(200);
+      expect(depart.body).toMatchObject({
+        status: 'DEPARTED',
+        waitSeconds: expect.any(Number),
+      });
+
+      const response = await request(app)
+        .post(`/api/v1/trips/${tripId}/end`)
+        .send({
+          endLat: 12.98,
+          endLng: 77.61,
+          distanceKm: 6,
+          durationMinutes: 20,
+        })
+        .expect(200);
+
+      // Well within the free wait allowance
+      expect(response.body.fare.waitFare).toBe(0);
+    });
+
+    it('should not add stops beyond the limit', async () => {
+      for (let i = 0; i < 2; i++) {
+        await request(app)
+          .post(`/api/v1/trips/${tripId}/stops`)
+          .send({ lat: 12.976 + i / 1000, lng: 77.6 })
+          .expect(201);
+      }
+
+      await request(app)
+        .post(`/api/v1/trips/${tripId}/stops`)
+        .send({ lat: 12.979, lng: 77.6 })
+        .expect(400);
+    });
+  });
+
   describe('GET /api/v1/trips/:tripId/receipt', () => {
     beforeEach(async () => {
       await createAcceptedRide();
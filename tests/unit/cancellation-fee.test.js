@@ -0,0 +1,35 @@
+const dispatchService = require('../../src/services/dispatch.service');
+const config = require('../../src/config');
+
+describe('Ride Cancellation Fee', () => {
+  const now = new Date('2024-01-01T10:00:00Z');
+  const acceptedSecondsAgo = (seconds) => ({
+    status: 'ACCEPTED',
+    accepted_at: new Date(now.getTime() - seconds * 1000),
+  });
+
+  it('should be free before a driver is assigned', () => {
+    expect(
+      dispatchService.calculateCancellationFee({ status: 'MATCHING' }, now),
+    ).toBe(0);
+  });
+
+  it('should be free within the grace period', () => {
+    const ride = acceptedSecondsAgo(config.RIDE_CANCELLATION_GRACE_PERIOD);
+    expect(dispatchService.calculateCancellationFee(ride, now)).toBe(0);
+  });
+
+  it('should charge per started minute over the grace period', () => {
+    const ride = acceptedSecondsAgo(config.RIDE_CANCELLATION_GRACE_PERIOD + 90);
+    expect(dispatchService.calculateCancellationFee(ride, now)).toBe(
+      config.CANCELLATION_FEE + 2 * config.CANCELLATION_FEE_PER_MINUTE,
+    );
+  });
+
+  it('should cap the fee', () => {
+    const ride = acceptedSecondsAgo(24 * 3600);
+    expect(dispatchService.calculateCancellationFee(ride, now)).toBe(
+      config.CANCELLATION_FEE_MAX,
+    );
+  });
+});
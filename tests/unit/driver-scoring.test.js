@@ -0,0 +1,75 @@
+const driverScoringService = require('../../src/services/driver-scoring.service');
+
+const pickup = { lat: 12.9716, lng: 77.5946 };
+
+const candidate = (overrides = {}) => ({
+  driverId: 'd1',
+  distanceKm: 1,
+  latitude: 12.9626,
+  longitude: 77.5946,
+  vehicleType: 'ECONOMY',
+  heading: 0,
+  speed: 0,
+  rating: 4.5,
+  acceptanceRate: 90,
+  ...overrides,
+});
+
+describe('Driver Scoring Service', () => {
+  describe('scoreDriver', () => {
+    it('should return a score with a per-factor breakdown', () => {
+      const { score, breakdown } = driverScoringService.scoreDriver(candidate(), {
+        pickup,
+        tier: 'ECONOMY',
+        region: 'bangalore',
+      });
+
+      expect(breakdown).toEqual({
+        base: 100,
+        distance: -8,
+        tier: 30,
+        rating: 10,
+        acceptanceRate: 9,
+        heading: 0,
+      });
+      expect(score).toBe(141);
+    });
+
+    it('should give a partial bonus for tier upgrades', () => {
+      const { breakdown } = driverScoringService.scoreDriver(
+        candidate({ vehicleType: 'PREMIUM' }),
+        { pickup, tier: 'ECONOMY', region: 'bangalore' },
+      );
+
+      expect(breakdown.tier).toBe(15);
+    });
+
+    it('should reward moving toward the pickup and penalise moving away', () => {
+      // Candidate is due south of the pickup, so heading 0 points at it
+      const toward = driverScoringService.scoreDriver(
+        candidate({ heading: 0, speed: 30 }),
+        { pickup, tier: 'ECONOMY', region: 'bangalore' },
+      );
+      const away = driverScoringService.scoreDriver(
+        candidate({ heading: 180, speed: 30 }),
+        { pickup, tier: 'ECONOMY', region: 'bangalore' },
+      );
+
+      expect(toward.breakdown.heading).toBeCloseTo(10, 1);
+      expect(away.breakdown.heading).toBeCloseTo(-10, 1);
+    });
+  });
+
+  describe('getEligibleVehicleTypes', () => {
+    it('should list the requested tier first, then upgrades', () => {
+      expect(driverScoringService.getEligibleVehicleTypes('ECONOMY')).toEqual([
+        'ECONOMY',
+        'PREMIUM',
+        'XL',
+      ]);
+      expect(driverScoringService.getEligibleVehicleTypes('PREMIUM')).toEqual([
+        'PREMIUM',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const fareQuoteService = require('../../src/services/fare-quote.service');
+const tripService = require('../../src/services/trip.service');
+
+describe('Fare Quotes', () => {
+  const quote = {
+    id: 'q1',
+    riderId: 'rider-1',
+    tier: 'ECONOMY',
+    pickup: { lat: 12.9716, lng: 77.5946 },
+    destination: { lat: 12.98, lng: 77.61 },
+    stops: [],
+    surgeMultiplier: 1.5,
+    estimatedFare: 180.5,
+    rates: { baseFare: 50, perKm: 12, perMinute: 2 },
+    expiresAt: new Date(Date.now() + 60 * 1000).toISOString(),
+  };
+
+  const expectCode = (fn, code) => {
+    try {
+      fn();
+    } catch (err) {
+      expect(err.code).toBe(code);
+      return;
+    }
+    throw new Error(`Expected ${code}`);
+  };
+
+  it('should round-trip a signed quote', () => {
+    const quoteId = fareQuoteService.issueQuote(quote);
+    expect(fareQuoteService.verifyQuote(quoteId)).toEqual(quote);
+  });
+
+  it('should reject a tampered quote', () => {
+    const quoteId = fareQuoteService.issueQuote(quote);
+    const [, signature] = quoteId.split('.');
+    const cheaper = Buffer.from(
+      JSON.stringify({ ...quote, estimatedFare: 1 }),
+    ).toString('base64url');
+
+    expectCode(
+      () => fareQuoteService.verifyQuote(`${cheaper}.${signature}`),
+      'INVALID_QUOTE',
+    );
+    expectCode(() => fareQuoteService.verifyQuote('garbage'), 'INVALID_QUOTE');
+  });
+
+  it('should reject an expired quote', () => {
+    const quoteId = fareQuoteService.issueQuote(quote);
+    const later = new Date(quote.expiresAt).getTime() + 1;
+
+    expectCode(
+      () => fareQuoteService.verifyQuote(quoteId, later),
+      'QUOTE_EXPIRED',
+    );
+  });
+
+  it('should reject a quote used for another route or tier', () => {
+    const ride = {
+      riderId: quote.riderId,
+      pickup: quote.pickup,
+      destination: quote.destination,
+      stops: [],
+      tier: 'ECONOMY',
+    };
+
+    expect(() => fareQuoteService.assertMatchesRide(quote, ride)).not.toThrow();
+    expectCode(
+      () => fareQuoteService.assertMatchesRide(quote, { ...ride, tier: 'XL' }),
+      'QUOTE_MISMATCH',
+    );
+    expectCode(
+      () =>
+        fareQuoteService.assertMatchesRide(quote, {
+          ...ride,
+          destination: { lat: 13.1, lng: 77.7 },
+        }),
+      'QUOTE_MISMATCH',
+    );
+  });
+
+  it('should bill a trip at its locked rates', () => {
+    const fare = tripService.calculateFare(10, 20, 1.0, {
+      rates: { baseFare: 40, perKm: 10, perMinute: 1 },
+    });
+
+    expect(fare).toMatchObject({
+      baseFare: 40,
+      distanceFare: 100,
+      timeFare: 20,
+      totalFare: 160,
+    });
+  });
+
+  describe('signing secrets', () => {
+    const env = process.env;
+
+    afterEach(() => {
+      process.env = env;
+    });
+
+    const loadConfig = (overrides) => {
+      process.env = { ...env, ...overrides };
+      let config;
+      jest.isolateModules(() => {
+        config = require('../../src/config');
+      });
+      return config;
+    };
+
+    it('should refuse to load without them outside development', () => {
+      expect(() =>
+        loadConfig({
+          NODE_ENV: 'production',
+          FARE_QUOTE_SECRET: '',
+          TRACKING_TOKEN_SECRET: 's2',
+        }),
+      ).toThrow('FARE_QUOTE_SECRET must be set');
+      expect(() =>
+        loadConfig({
+          NODE_ENV: 'production',
+          FARE_QUOTE_SECRET: 's1',
+          TRACKING_TOKEN_SECRET: '',
+        }),
+      ).toThrow('TRACKING_TOKEN_SECRET must be set');
+      expect(
+        loadConfig({
+          NODE_ENV: 'production',
+          FARE_QUOTE_SECRET: 's1',
+          TRACKING_TOKEN_SECRET: 's2',
+        }).FARE_QUOTE_SECRET,
+      ).toBe('s1');
+    });
+
+    it('should fall back to development secrets in development', () => {
+      expect(
+        loadConfig({ NODE_ENV: 'development', FARE_QUOTE_SECRET: '' })
+          .FARE_QUOTE_SECRET,
+      ).toBe('juber-dev-quote-secret');
+    });
+  });
+});
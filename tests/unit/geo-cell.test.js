@@ -0,0 +1,61 @@
+const {
+  latLngToGeoCell,
+  getNeighboringCells,
+  isValidGeoCell,
+  geoCellToLatLng,
+  parseLegacyGeoCell,
+  calculateDistance,
+} = require('../../src/utils/geo.utils');
+const surgePricingService = require('../../src/services/surge-pricing.service');
+
+describe('Geo Cells', () => {
+  const bangalore = { lat: 12.9716, lng: 77.5946 };
+
+  it('should index points into H3 cells at the requested resolution', () => {
+    const cell = latLngToGeoCell(bangalore.lat, bangalore.lng);
+    const coarse = latLngToGeoCell(bangalore.lat, bangalore.lng, 6);
+
+    expect(isValidGeoCell(cell)).toBe(true);
+    expect(cell).toBe('8860145b49fffff');
+    expect(coarse).not.toBe(cell);
+    expect(isValidGeoCell(coarse)).toBe(true);
+
+    // The point is within a resolution 8 cell's radius (~0.5km) of its center
+    const center = geoCellToLatLng(cell);
+    expect(
+      calculateDistance(bangalore.lat, bangalore.lng, center.lat, center.lng),
+    ).toBeLessThan(0.6);
+  });
+
+  it('should list k rings of neighbors', () => {
+    const cell = latLngToGeoCell(bangalore.lat, bangalore.lng);
+
+    expect(getNeighboringCells(cell)).toHaveLength(7);
+    expect(getNeighboringCells(cell)).toContain(cell);
+    expect(getNeighboringCells(cell, 2)).toHaveLength(19);
+    expect(getNeighboringCells('not-a-cell')).toEqual(['not-a-cell']);
+  });
+
+  it('should read every split of a legacy grid cell ID', () => {
+    expect(parseLegacyGeoCell('h3_81297177594ffffff')).toEqual([
+      { lat: 1.2975, lng: 177.5945 },
+      { lat: 12.9715, lng: 77.5945 },
+    ]);
+    expect(parseLegacyGeoCell('h3_8-2345-46123ffffff')).toEqual([
+      { lat: -2.3445, lng: -46.1225 },
+    ]);
+    expect(parseLegacyGeoCell('8860145b49fffff')).toEqual([]);
+  });
+
+  it('should convert legacy IDs to the H3 cell inside a service region', () => {
+    expect(surgePricingService.normalizeGeoCell('h3_81297177594ffffff')).toBe(
+      latLngToGeoCell(12.9715, 77.5945),
+    );
+    expect(surgePricingService.normalizeGeoCell('8860145b49fffff')).toBe(
+      '8860145b49fffff',
+    );
+    expect(() => surgePricingService.normalizeGeoCell('h3_test')).toThrow(
+      expect.objectContaining({ code: 'INVALID_GEO_CELL' }),
+    );
+  });
+});
@@ -0,0 +1,114 @@
+const { GeofenceService } = require('../../src/services/geofence.service');
+
+const square = (minLat, minLng, maxLat, maxLng) => [
+  { lat: minLat, lng: minLng },
+  { lat: minLat, lng: maxLng },
+  { lat: maxLat, lng: maxLng },
+  { lat: maxLat, lng: minLng },
+];
+
+const geofence = (id, type, polygon, pickupPoints = []) => ({
+  id,
+  name: id,
+  type,
+  region: 'bangalore',
+  polygon,
+  pickup_points: pickupPoints,
+  active: true,
+});
+
+describe('Geofences', () => {
+  // The airport with two pickup points, a restricted zone spanning many index cells,
+  // and a no-pickup block smaller than one cell
+  const rows = [
+    geofence('airport', 'AIRPORT', square(13.18, 77.68, 13.22, 77.72), [
+      { name: 'Terminal 1', lat: 13.199, lng: 77.707 },
+      { name: 'Terminal 2', lat: 13.2, lng: 77.69 },
+    ]),
+    geofence('cantonment', 'RESTRICTED', square(12.9, 77.5, 13.0, 77.6)),
+    geofence('mg-road', 'NO_PICKUP', square(12.975, 77.605, 12.976, 77.606)),
+  ];
+
+  let geofences;
+
+  beforeEach(() => {
+    geofences = new GeofenceService();
+    geofences.loadGeofences(rows);
+  });
+
+  it('should find the geofences containing a point', async () => {
+    expect(
+      (await geofences.findGeofencesAt(13.2, 77.7)).map((f) => f.id),
+    ).toEqual(['airport']);
+    expect(
+      (await geofences.findGeofencesAt(12.99, 77.51)).map((f) => f.id),
+    ).toEqual(['cantonment']);
+    expect(
+      (await geofences.findGeofencesAt(12.9755, 77.6055)).map((f) => f.id),
+    ).toEqual(['mg-road']);
+    expect(await geofences.findGeofencesAt(12.9765, 77.6055)).toEqual([]);
+  });
+
+  it('should report fences entered and exited between pings', () => {
+    const index = geofences.index;
+
+    const inside = geofences.crossGeofences(index, '', 12.99, 77.51);
+    expect(inside.ids).toBe('cantonment');
+    expect(inside.entered.map((f) => f.id)).toEqual(['cantonment']);
+    expect(inside.exited).toEqual([]);
+
+    const still = geofences.crossGeofences(index, inside.ids, 12.98, 77.52);
+    expect(still.entered).toEqual([]);
+    expect(still.exited).toEqual([]);
+
+    const moved = geofences.crossGeofences(
+      index,
+      `${still.ids},deleted`,
+      13.2,
+      77.7,
+    );
+    expect(moved.entered.map((f) => f.id)).toEqual(['airport']);
+    expect(moved.exited).toEqual([
+      expect.objectContaining({ id: 'cantonment', type: 'RESTRICTED' }),
+      { id: 'deleted', name: null, type: null },
+    ]);
+  });
+
+  it('should move pickups to the nearest or named pickup point', async () => {
+    const requestedPickup = { lat: 13.2, lng: 77.71 };
+
+    expect(await geofences.resolvePickup(requestedPickup)).toEqual({
+      pickup: { lat: 13.199, lng: 77.707 },
+      pickupRedirect: {
+        geofenceId: 'airport',
+        geofenceName: 'airport',
+        pickupPoint: 'Terminal 1',
+        requestedPickup,
+      },
+    });
+    expect(
+      (await geofences.resolvePickup(requestedPickup, 'Terminal 2')).pickup,
+    ).toEqual({ lat: 13.2, lng: 77.69 });
+    await expect(
+      geofences.resolvePickup(requestedPickup, 'Terminal 9'),
+    ).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_PICKUP_POINT' });
+  });
+
+  it('should reject pickups in restricted zones and allow them elsewhere', async () => {
+    for (const pickup of [
+      { lat: 12.99, lng: 77.51 },
+      { lat: 12.9755, lng: 77.6055 },
+    ]) {
+      await expect(geofences.resolvePickup(pickup)).rejects.toMatchObject({
+        statusCode: 400,
+        code: 'PICKUP_RESTRICTED',
+      });
+    }
+
+    const pickup = { lat: 12.9716, lng: 77.6146 };
+    expect(await geofences.resolvePickup(pickup)).toEqual({
+      pickup,
+      pickupRedirect: null,
+    });
+  });
+});
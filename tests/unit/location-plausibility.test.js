@@ -0,0 +1,101 @@
+const locationPlausibilityService = require('../../src/services/location-plausibility.service');
+const { ANOMALY } = require('../../src/services/location-plausibility.service');
+
+describe('Location Plausibility', () => {
+  const at = (seconds) =>
+    new Date('2026-01-01T10:00:00Z').getTime() + seconds * 1000;
+  const previous = {
+    latitude: 12.97,
+    longitude: 77.59,
+    timestampMs: at(0),
+    exactRepeats: 0,
+  };
+  // 0.01° of longitude at this latitude is ~1.08 km
+  const east = (degrees, seconds) => ({
+    latitude: 12.97,
+    longitude: 77.59 + degrees,
+    timestampMs: at(seconds),
+  });
+
+  it('should accept the first ping and ordinary driving', () => {
+    expect(locationPlausibilityService.check(null, east(0, 0))).toEqual({
+      reasons: [],
+      exactRepeats: 0,
+    });
+    // ~1.08 km in 60s is ~65 km/h
+    expect(
+      locationPlausibilityService.check(previous, east(0.01, 60)).reasons,
+    ).toEqual([]);
+  });
+
+  it('should flag pings older than the previous one', () => {
+    expect(
+      locationPlausibilityService.check(previous, east(0.001, -5)).reasons,
+    ).toEqual([ANOMALY.TIMESTAMP_REGRESSION]);
+  });
+
+  it('should flag implied speeds and impossible jumps', () => {
+    // ~1.08 km in 10s is ~300 km/h after GPS error
+    expect(
+      locationPlausibilityService.check(previous, east(0.01, 10)).reasons,
+    ).toEqual([ANOMALY.IMPLIED_SPEED]);
+    // ~108 km in 60s
+    expect(
+      locationPlausibilityService.check(previous, east(1, 60)).reasons,
+    ).toEqual([ANOMALY.IMPOSSIBLE_JUMP]);
+    // Somewhere else at the same instant
+    expect(
+      locationPlausibilityService.check(previous, east(0.01, 0)).reasons,
+    ).toEqual([ANOMALY.IMPOSSIBLE_JUMP]);
+  });
+
+  it('should allow GPS error between closely spaced pings', () => {
+    // ~155 m a second ago is within the accuracy margin
+    expect(
+      locationPlausibilityService.check(previous, east(0.0014, 1)).reasons,
+    ).toEqual([]);
+  });
+
+  it('should flag coordinates repeated exactly too many times', () => {
+    let last = previous;
+    const reasons = [];
+    for (let i = 1; i <= 11; i++) {
+      const ping = east(0, i * 5);
+      const result = locationPlausibilityService.check(last, ping);
+      reasons.push(result.reasons);
+      last = { ...ping, exactRepeats: result.exactRepeats };
+    }
+
+    expect(reasons.slice(0, 10).every((r) => r.length === 0)).toBe(true);
+    expect(reasons[10]).toEqual([ANOMALY.EXACT_REPEAT]);
+    // Any jitter resets the count
+    expect(locationPlausibilityService.check(last, east(0.000001, 60))).toEqual(
+      { reasons: [], exactRepeats: 0 },
+    );
+  });
+
+  it('should not count repeats from a device reporting it is stationary', () => {
+    let last = previous;
+    for (let i = 1; i <= 30; i++) {
+      const ping = { ...east(0, i * 5), speed: 0 };
+      const result = locationPlausibilityService.check(last, ping);
+      expect(result).toEqual({ reasons: [], exactRepeats: 0 });
+      last = { ...ping, exactRepeats: result.exactRepeats };
+    }
+
+    // Creeping along a queue within GPS error still counts as parked
+    expect(
+      locationPlausibilityService.check(
+        { ...previous, exactRepeats: 10 },
+        { ...east(0, 60), speed: 3 },
+      ),
+    ).toEqual({ reasons: [], exactRepeats: 0 });
+    // A frozen fix claiming to drive is still a repeat
+    expect(
+      locationPlausibilityService.check(
+        { ...previous, exactRepeats: 10 },
+        { ...east(0, 60), speed: 40 },
+      ).reasons,
+    ).toEqual([ANOMALY.EXACT_REPEAT]);
+  });
+});
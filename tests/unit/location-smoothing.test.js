@@ -0,0 +1,103 @@
+const locationSmoothingService = require('../../src/services/location-smoothing.service');
+const { calculateDistance } = require('../../src/utils/geo.utils');
+const config = require('../../src/config');
+
+describe('Location Smoothing', () => {
+  const params = {
+    ...config.LOCATION_SMOOTHING,
+    enabled: true,
+    gpsAccuracyM: 15,
+    processNoiseMps: 3,
+    useHeading: true,
+    resetAfterSeconds: 60,
+  };
+  const at = (seconds) =>
+    new Date('2026-01-01T10:00:00Z').getTime() + seconds * 1000;
+  const origin = { latitude: 12.97, longitude: 77.59 };
+  // Degrees of longitude per meter at this latitude
+  const lngPerMeter = 1 / (111320 * Math.cos((12.97 * Math.PI) / 180));
+  const metersFrom = (point, target) =>
+    calculateDistance(
+      point.latitude,
+      point.longitude,
+      target.latitude,
+      target.longitude,
+    ) * 1000;
+
+  const run = (pings, runParams = params) => {
+    let state = null;
+    for (const ping of pings) {
+      state = locationSmoothingService.filter(state, ping, runParams);
+    }
+    return state;
+  };
+
+  it('should start at the first ping', () => {
+    const ping = { ...origin, timestampMs: at(0), accuracy: 10 };
+    expect(locationSmoothingService.filter(null, ping, params)).toEqual({
+      ...origin,
+      variance: 100,
+      timestampMs: at(0),
+    });
+  });
+
+  it('should damp jitter around a parked driver', () => {
+    // Pings alternating 20m either side of where the car stands
+    const pings = Array.from({ length: 10 }, (_, i) => ({
+      latitude: origin.latitude,
+      longitude: origin.longitude + (i % 2 ? 20 : -20) * lngPerMeter,
+      timestampMs: at(i),
+    }));
+    const state = run(pings);
+
+    expect(metersFrom(state, origin)).toBeLessThan(10);
+  });
+
+  it('should keep up with a moving driver using heading and speed', () => {
+    // East at 36 km/h (10 m/s), each ping 15m off to the north
+    const pings = Array.from({ length: 10 }, (_, i) => ({
+      latitude: origin.latitude + 15 / 111320,
+      longitude: origin.longitude + i * 10 * lngPerMeter,
+      timestampMs: at(i),
+      heading: 90,
+      speed: 36,
+    }));
+    const truth = {
+      latitude: origin.latitude,
+      longitude: origin.longitude + 90 * lngPerMeter,
+    };
+
+    const withHeading = run(pings);
+    const withoutHeading = run(pings, { ...params, useHeading: false });
+
+    expect(withHeading.longitude).toBeCloseTo(truth.longitude, 4);
+    expect(metersFrom(withHeading, truth)).toBeLessThan(
+      metersFrom(withoutHeading, truth),
+    );
+  });
+
+  it('should restart from the ping after a long silence', () => {
+    const state = run([
+      { ...origin, timestampMs: at(0) },
+      { latitude: 12.98, longitude: 77.6, timestampMs: at(120) },
+    ]);
+
+    expect(state).toMatchObject({ latitude: 12.98, longitude: 77.6 });
+  });
+
+  it('should place drivers at the raw ping where smoothing is disabled', () => {
+    const ping = { latitude: 12.98, longitude: 77.6, timestampMs: at(5) };
+    const position = locationSmoothingService.smooth(
+      { ...origin, variance: 225, timestampMs: at(0) },
+      ping,
+      'nowhere',
+    );
+
+    expect(position).toMatchObject({
+      latitude: 12.98,
+      longitude: 77.6,
+      snapped: false,
+      filter: { latitude: 12.98, longitude: 77.6 },
+    });
+  });
+});
@@ -0,0 +1,62 @@
+const dispatchService = require('../../src/services/dispatch.service');
+const tripService = require('../../src/services/trip.service');
+const { calculateRouteDistance } = require('../../src/utils/geo.utils');
+const config = require('../../src/config');
+
+describe('Multi-stop Rides', () => {
+  const pickup = { lat: 12.9716, lng: 77.5946 };
+  const stop = { lat: 12.9916, lng: 77.6146 };
+  const destination = { lat: 12.9352, lng: 77.6245 };
+
+  describe('calculateEstimatedFare', () => {
+    it('should price every leg of the route', () => {
+      const direct = dispatchService.calculateEstimatedFare(
+        [pickup, destination],
+        1.0,
+        'ECONOMY',
+      );
+      const viaStop = dispatchService.calculateEstimatedFare(
+        [pickup, stop, destination],
+        1.0,
+        'ECONOMY',
+      );
+
+      expect(
+        calculateRouteDistance([pickup, stop, destination]),
+      ).toBeGreaterThan(calculateRouteDistance([pickup, destination]));
+      expect(viaStop).toBeGreaterThan(direct);
+    });
+  });
+
+  describe('calculateWaitFare', () => {
+    it('should not charge within the free allowance', () => {
+      expect(
+        tripService.calculateWaitFare([config.STOP_FREE_WAIT_SECONDS, 30]),
+      ).toBe(0);
+    });
+
+    it('should charge per started minute beyond the allowance, per stop', () => {
+      const stopWaits = [
+        config.STOP_FREE_WAIT_SECONDS + 61,
+        config.STOP_FREE_WAIT_SECONDS + 10,
+      ];
+      expect(tripService.calculateWaitFare(stopWaits)).toBe(
+        3 * config.STOP_WAIT_FARE_PER_MINUTE,
+      );
+    });
+
+    it('should add the wait fare to the total without surging it', () => {
+      const stopWaits = [config.STOP_FREE_WAIT_SECONDS + 120];
+      const withoutWait = tripService.calculateFare(10, 20, 1.5);
+      const withWait = tripService.calculateFare(10, 20, 1.5, { stopWaits });
+
+      expect(withoutWait.waitFare).toBe(0);
+      expect(withWait.waitFare).toBe(2 * config.STOP_WAIT_FARE_PER_MINUTE);
+      expect(withWait.totalFare).toBeCloseTo(
+        withoutWait.totalFare + withWait.waitFare,
+        2,
+      );
+      expect(withWait.timeFare).toBe(withoutWait.timeFare);
+    });
+  });
+});
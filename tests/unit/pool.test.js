@@ -0,0 +1,155 @@
+const poolService = require('../../src/services/pool.service');
+const tripService = require('../../src/services/trip.service');
+const config = require('../../src/config');
+
+const ride = (id, pickup, destination) => ({
+  id,
+  pickup_lat: pickup.lat,
+  pickup_lng: pickup.lng,
+  destination_lat: destination.lat,
+  destination_lng: destination.lng,
+});
+
+const stopsFor = (r) => [
+  {
+    rideId: r.id,
+    type: 'PICKUP',
+    lat: r.pickup_lat,
+    lng: r.pickup_lng,
+    status: 'PENDING',
+  },
+  {
+    rideId: r.id,
+    type: 'DROPOFF',
+    lat: r.destination_lat,
+    lng: r.destination_lng,
+    status: 'PENDING',
+  },
+];
+
+describe('Pool Service', () => {
+  const origin = { lat: 12.9716, lng: 77.5946 };
+  const first = ride(
+    'r1',
+    { lat: 12.9716, lng: 77.5946 },
+    { lat: 13.0216, lng: 77.5946 },
+  );
+
+  describe('planInsertion', () => {
+    it('should fit a ride along the way between the existing stops', () => {
+      const second = ride(
+        'r2',
+        { lat: 12.9816, lng: 77.5946 },
+        { lat: 13.0116, lng: 77.5946 },
+      );
+
+      const plan = poolService.planInsertion(origin, stopsFor(first), second);
+
+      expect(plan.stops.map((s) => `${s.rideId}:${s.type}`)).toEqual([
+        'r1:PICKUP',
+        'r2:PICKUP',
+        'r2:DROPOFF',
+        'r1:DROPOFF',
+      ]);
+      expect(plan.detours.r1).toBeCloseTo(0, 1);
+    });
+
+    it('should reject rides that detour co-riders too far', () => {
+      // Opposite direction
+      const second = ride(
+        'r2',
+        { lat: 12.9616, lng: 77.5946 },
+        { lat: 12.9216, lng: 77.5946 },
+      );
+
+      expect(
+        poolService.planInsertion(origin, stopsFor(first), second),
+      ).toBeNull();
+    });
+
+    it('should respect the seat limit', () => {
+      const stops = [];
+      for (let i = 0; i < config.POOL_MAX_RIDERS; i++) {
+        stops.push(...stopsFor({ ...first, id: `full-${i}` }));
+      }
+
+      expect(
+        poolService.planInsertion(origin, stops, ride('r2', origin, origin)),
+      ).toBeNull();
+    });
+  });
+
+  describe('fare splitting', () => {
+    it('should split each shared leg between the riders on board', () => {
+      const second = ride(
+        'r2',
+        { lat: 12.9816, lng: 77.5946 },
+        { lat: 13.0116, lng: 77.5946 },
+      );
+      const { stops } = poolService.planInsertion(
+        origin,
+        stopsFor(first),
+        second,
+      );
+
+      const legs = poolService.splitLegs(stops, 'r1');
+      expect(legs.map((l) => l.riders)).toEqual([1, 2, 1]);
+
+      const share = tripService.calculatePoolShare(legs);
+      expect(share).toBeGreaterThan(0.5);
+      expect(share).toBeLessThan(1);
+
+      const solo = tripService.calculateFare(10, 20, 1.0);
+      const pooled = tripService.calculateFare(10, 20, 1.0, {
+        sharedLegs: legs,
+      });
+      expect(pooled.poolShare).toBe(share);
+      expect(pooled.totalFare).toBeLessThan(solo.totalFare);
+      expect(solo.poolShare).toBeUndefined();
+    });
+
+    it('should stop sharing legs with a rider who cancels after pickup', () => {
+      const second = ride(
+        'r2',
+        { lat: 12.9816, lng: 77.5946 },
+        { lat: 13.0116, lng: 77.5946 },
+      );
+      const { stops } = poolService.planInsertion(
+        origin,
+        stopsFor(first),
+        second,
+      );
+      // Both riders picked up
+      const started = stops.map((s) =>
+        s.type === 'PICKUP' ? { ...s, status: 'DONE' } : s,
+      );
+      const cancelledAt = { lat: 12.9916, lng: 77.5946 };
+
+      const after = poolService.dropRide(started, 'r2', cancelledAt);
+
+      expect(after.map((s) => `${s.rideId}:${s.type}:${s.status}`)).toEqual([
+        'r1:PICKUP:DONE',
+        'r2:PICKUP:DONE',
+        'r2:DROPOFF:DONE',
+        'r1:DROPOFF:PENDING',
+      ]);
+      expect(after[2]).toMatchObject(cancelledAt);
+      expect(poolService.splitLegs(after, 'r1').map((l) => l.riders)).toEqual([
+        1, 2, 1,
+      ]);
+      expect(poolService.splitLegs(after, 'r1')[2].distanceKm).toBeCloseTo(
+        3.3,
+        1,
+      );
+    });
+
+    it('should drop a rider who cancels before pickup', () => {
+      const stops = [...stopsFor(first), ...stopsFor({ ...first, id: 'r2' })];
+
+      expect(poolService.dropRide(stops, 'r2').map((s) => s.rideId)).toEqual([
+        'r1',
+        'r1',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,23 @@
+const { isPointInPolygon } = require('../../src/utils/geo.utils');
+
+describe('Queue Zones', () => {
+  // Airport-shaped L: the terminal strip plus a lot to the east
+  const zone = [
+    { lat: 13.19, lng: 77.7 },
+    { lat: 13.21, lng: 77.7 },
+    { lat: 13.21, lng: 77.72 },
+    { lat: 13.2, lng: 77.72 },
+    { lat: 13.2, lng: 77.71 },
+    { lat: 13.19, lng: 77.71 },
+  ];
+
+  it('should find points inside the polygon', () => {
+    expect(isPointInPolygon(13.195, 77.705, zone)).toBe(true);
+    expect(isPointInPolygon(13.205, 77.715, zone)).toBe(true);
+  });
+
+  it('should exclude points outside the polygon, including its notch', () => {
+    expect(isPointInPolygon(13.195, 77.715, zone)).toBe(false);
+    expect(isPointInPolygon(12.97, 77.59, zone)).toBe(false);
+  });
+});
@@ -0,0 +1,128 @@
+const { RegionService } = require('../../src/services/region.service');
+
+const square = (minLat, minLng, maxLat, maxLng) => [
+  [minLng, minLat],
+  [maxLng, minLat],
+  [maxLng, maxLat],
+  [minLng, maxLat],
+  [minLng, minLat],
+];
+
+const region = (id, coordinates, properties = {}) => ({
+  type: 'Feature',
+  properties: {
+    id,
+    name: id,
+    currency: 'INR',
+    timezone: 'Asia/Kolkata',
+    tax: { name: 'GST', rate: 0.05 },
+    tiers: ['ECONOMY', 'PREMIUM'],
+    ...properties,
+  },
+  geometry: { type: 'Polygon', coordinates },
+});
+
+describe('Region Registry', () => {
+  // Bangalore with a hole over the airport, and Dubai
+  const registry = {
+    type: 'FeatureCollection',
+    features: [
+      region('bangalore', [
+        square(12.7, 77.4, 13.2, 77.8),
+        square(13.15, 77.65, 13.2, 77.75),
+      ]),
+      region('dubai', [square(24.8, 54.9, 25.4, 55.6)], {
+        currency: 'AED',
+        timezone: 'Asia/Dubai',
+        tax: { name: 'VAT', rate: 0.05, inclusive: false },
+        tiers: ['ECONOMY'],
+      }),
+    ],
+  };
+
+  let regions;
+
+  beforeEach(() => {
+    regions = new RegionService();
+    regions.loadDefinitions(registry, 'test');
+  });
+
+  it('should find the region containing a point', () => {
+    expect(regions.findRegion(12.9716, 77.5946)).toMatchObject({
+      id: 'bangalore',
+      tax: { inclusive: true },
+    });
+    expect(regions.findRegion(25.2, 55.27)).toMatchObject({
+      id: 'dubai',
+      currency: 'AED',
+      timezone: 'Asia/Dubai',
+    });
+    // Inside the bounding box but in the hole
+    expect(regions.findRegion(13.18, 77.7)).toBeNull();
+  });
+
+  it('should reject points outside every region', () => {
+    expect(() => regions.resolveRegion(0, 0)).toThrow(
+      expect.objectContaining({
+        statusCode: 400,
+        code: 'OUTSIDE_SERVICE_AREA',
+      }),
+    );
+  });
+
+  it('should reject tiers a region does not offer', () => {
+    const dubai = regions.getRegion('dubai');
+
+    expect(() => regions.assertTierEnabled(dubai, 'ECONOMY')).not.toThrow();
+    expect(() => regions.assertTierEnabled(dubai, 'XL')).toThrow(
+      expect.objectContaining({ code: 'TIER_NOT_AVAILABLE' }),
+    );
+  });
+
+  it('should read plain JSON regions with lat/lng polygons', () => {
+    const { features } = registry;
+    regions.loadDefinitions(
+      {
+        regions: [
+          {
+            ...features[0].properties,
+            polygon: [
+              { lat: 12.7, lng: 77.4 },
+              { lat: 12.7, lng: 77.8 },
+              { lat: 13.2, lng: 77.8 },
+              { lat: 13.2, lng: 77.4 },
+            ],
+          },
+        ],
+      },
+      'test',
+    );
+
+    expect(regions.listRegions().map((r) => r.id)).toEqual(['bangalore']);
+    expect(regions.findRegion(13.18, 77.7).id).toBe('bangalore');
+  });
+
+  it('should keep the current registry when a reload is invalid', () => {
+    const invalid = (properties) => ({
+      type: 'FeatureCollection',
+      features: [
+        ...registry.features,
+        region('mumbai', [square(18.8, 72.7, 19.3, 73.0)], properties),
+      ],
+    });
+
+    for (const properties of [
+      { timezone: 'Asia/Nowhere' },
+      { currency: 'rupees' },
+      { tiers: ['HELICOPTER'] },
+      { id: 'bangalore' },
+    ]) {
+      expect(() => regions.loadDefinitions(invalid(properties), 'bad')).toThrow(
+        expect.objectContaining({ code: 'INVALID_REGION_CONFIG' }),
+      );
+    }
+
+    expect(regions.getStatus()).toMatchObject({ path: 'test', regions: 2 });
+    expect(regions.findRegion(19.076, 72.8777)).toBeNull();
+  });
+});
@@ -0,0 +1,53 @@
+const rideStateMachine = require('../../src/services/ride-state-machine');
+const { InvalidTransitionError } = require('../../src/middleware/error-handler');
+
+const { RIDE_STATUS } = rideStateMachine;
+
+describe('Ride State Machine', () => {
+  describe('canTransition', () => {
+    it('should allow the dispatch and trip lifecycle', () => {
+      expect(rideStateMachine.canTransition('MATCHING', 'ACCEPTED')).toBe(true);
+      expect(rideStateMachine.canTransition('ACCEPTED', 'IN_PROGRESS')).toBe(true);
+      expect(rideStateMachine.canTransition('IN_PROGRESS', 'COMPLETED')).toBe(true);
+    });
+
+    it('should only let scheduled rides start matching or be cancelled', () => {
+      expect(rideStateMachine.canTransition('SCHEDULED', 'MATCHING')).toBe(true);
+      expect(rideStateMachine.canTransition('SCHEDULED', 'CANCELLED')).toBe(true);
+      expect(rideStateMachine.canTransition('SCHEDULED', 'ACCEPTED')).toBe(false);
+    });
+
+    it('should treat finished rides as terminal', () => {
+      for (const status of ['COMPLETED', 'NO_DRIVERS', 'EXPIRED', 'CANCELLED']) {
+        for (const to of Object.values(RIDE_STATUS)) {
+          expect(rideStateMachine.canTransition(status, to)).toBe(false);
+        }
+      }
+    });
+  });
+
+  describe('assertTransition', () => {
+    it('should reject invalid transitions with a 409', () => {
+      expect.assertions(4);
+      try {
+        rideStateMachine.assertTransition({ status: 'COMPLETED' }, 'CANCELLED');
+      } catch (err) {
+        expect(err).toBeInstanceOf(InvalidTransitionError);
+        expect(err.statusCode).toBe(409);
+        expect(err.code).toBe('INVALID_STATE_TRANSITION');
+        expect(err.from).toBe('COMPLETED');
+      }
+    });
+
+    it('should apply guards', () => {
+      expect(() =>
+        rideStateMachine.assertTransition({ status: 'MATCHING' }, 'ACCEPTED'),
+      ).toThrow(InvalidTransitionError);
+      expect(() =>
+        rideStateMachine.assertTransition({ status: 'MATCHING' }, 'ACCEPTED', {
+          driverId: 'd1',
+        }),
+      ).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,123 @@
+const {
+  RoutingService,
+  ROUTE_SOURCE,
+} = require('../../src/services/routing.service');
+const {
+  calculateDistance,
+  encodePolyline,
+  decodePolyline,
+} = require('../../src/utils/geo.utils');
+const config = require('../../src/config');
+
+const road = (coordinates, properties = {}) => ({
+  type: 'Feature',
+  properties,
+  geometry: {
+    type: 'LineString',
+    coordinates: coordinates.map(({ lat, lng }) => [lng, lat]),
+  },
+});
+
+describe('Routing', () => {
+  // Two ways from A to B: a slow direct lane, or a fast ring road through C and D
+  const a = { lat: 12.97, lng: 77.59 };
+  const b = { lat: 12.97, lng: 77.6 };
+  const c = { lat: 12.975, lng: 77.59 };
+  const d = { lat: 12.975, lng: 77.6 };
+  const network = {
+    type: 'FeatureCollection',
+    features: [
+      road([a, b], { highway: 'residential', maxspeed: '10' }),
+      road([a, c, d, b], { highway: 'primary', speed_kmh: 60 }),
+      road([b, { lat: 12.965, lng: 77.6 }], { oneway: 'yes' }),
+    ],
+  };
+
+  let routing;
+
+  beforeEach(() => {
+    routing = new RoutingService();
+    routing.loadGeoJson(network);
+  });
+
+  it('should take the fastest path, not the shortest', () => {
+    const result = routing.route([a, b]);
+    const ringKm =
+      calculateDistance(a.lat, a.lng, c.lat, c.lng) +
+      calculateDistance(c.lat, c.lng, d.lat, d.lng) +
+      calculateDistance(d.lat, d.lng, b.lat, b.lng);
+
+    expect(result.source).toBe(ROUTE_SOURCE.ROAD_GRAPH);
+    expect(result.distanceKm).toBeCloseTo(ringKm, 2);
+    expect(result.durationMinutes).toBeCloseTo((ringKm / 60) * 60, 0);
+    expect(decodePolyline(result.polyline)).toHaveLength(6);
+  });
+
+  it('should not route against a one-way road', () => {
+    const south = { lat: 12.965, lng: 77.6 };
+
+    expect(routing.route([b, south]).source).toBe(ROUTE_SOURCE.ROAD_GRAPH);
+    expect(routing.route([south, b]).source).toBe(ROUTE_SOURCE.HAVERSINE);
+  });
+
+  it('should fall back to straight lines without a graph', () => {
+    const offline = new RoutingService();
+    offline.load('');
+    const result = offline.route([a, b]);
+    const straightKm = calculateDistance(a.lat, a.lng, b.lat, b.lng);
+
+    expect(result.source).toBe(ROUTE_SOURCE.HAVERSINE);
+    expect(result.distanceKm).toBeCloseTo(straightKm, 3);
+    expect(result.durationMinutes).toBeCloseTo(
+      (straightKm / config.ROUTING_FALLBACK_SPEED_KMH) * 60,
+      1,
+    );
+  });
+
+  it('should give up on searches that exceed the node budget', () => {
+    const start = routing.nearestNode(a.lat, a.lng).id;
+    const end = routing.nearestNode(b.lat, b.lng).id;
+
+    expect(routing.shortestPath(start, end)).not.toBeNull();
+    expect(
+      routing.shortestPath(start, end, { maxExpandedNodes: 1 }),
+    ).toBeNull();
+  });
+
+  it('should fall back for points too far from any road', () => {
+    const far = { lat: 13.1, lng: 77.7 };
+    expect(routing.route([a, far]).source).toBe(ROUTE_SOURCE.HAVERSINE);
+  });
+
+  it('should snap points onto the nearest road segment', () => {
+    // ~33m north of the direct lane between A and B
+    const snapped = routing.snapToRoad(12.9703, 77.595);
+
+    expect(snapped.lat).toBeCloseTo(12.97, 5);
+    expect(snapped.lng).toBeCloseTo(77.595, 5);
+    expect(snapped.distanceKm).toBeCloseTo(0.033, 3);
+    expect(routing.snapToRoad(12.9725, 77.595, { maxDistanceKm: 0.1 })).toBe(
+      null,
+    );
+  });
+
+  it('should prefer roads running the way the driver is heading', () => {
+    // Just south-west of B: ~16m from the one-way road south, ~22m from the direct lane
+    const point = { lat: 12.9698, lng: 77.59985 };
+
+    expect(routing.snapToRoad(point.lat, point.lng).bearing).toBeCloseTo(
+      180,
+      0,
+    );
+    const heading90 = routing.snapToRoad(point.lat, point.lng, {
+      heading: 90,
+    });
+    expect(heading90.lat).toBeCloseTo(12.97, 5);
+    expect(heading90.bearing).toBeCloseTo(90, 0);
+  });
+
+  it('should round-trip encoded polylines', () => {
+    const points = [a, c, d, b];
+    expect(decodePolyline(encodePolyline(points))).toEqual(points);
+  });
+});
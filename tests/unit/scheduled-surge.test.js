@@ -0,0 +1,23 @@
+const surgePricingService = require('../../src/services/surge-pricing.service');
+
+describe('Scheduled Surge', () => {
+  // Bangalore pickup; default policy is evaluated in Asia/Kolkata (UTC+5:30)
+  const surgeAt = (iso) =>
+    surgePricingService.getScheduledSurge(12.9716, 77.5946, new Date(iso))
+      .surgeMultiplier;
+
+  it('should apply the weekday evening peak', () => {
+    // Wednesday 18:30 IST
+    expect(surgeAt('2024-01-03T13:00:00Z')).toBe(1.5);
+  });
+
+  it('should not apply weekday peaks at the weekend', () => {
+    // Saturday 18:30 IST
+    expect(surgeAt('2024-01-06T13:00:00Z')).toBe(1.0);
+  });
+
+  it('should apply late-night surge every day', () => {
+    // Sunday 02:30 IST
+    expect(surgeAt('2024-01-06T21:00:00Z')).toBe(1.2);
+  });
+});
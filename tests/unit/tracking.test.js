@@ -0,0 +1,193 @@
+const trackingService = require('../../src/services/tracking.service');
+
+describe('Ride Tracking Tokens', () => {
+  const rideId = 'ride-1';
+  const riderId = 'rider-1';
+
+  const expectCode = (fn, code) => {
+    try {
+      fn();
+    } catch (err) {
+      expect(err.code).toBe(code);
+      return;
+    }
+    throw new Error(`Expected ${code}`);
+  };
+
+  it('should accept a token for the ride it was issued for', () => {
+    const { token } = trackingService.issueToken({ rideId, riderId });
+    expect(trackingService.verifyToken(token, rideId)).toMatchObject({
+      rideId,
+      riderId,
+    });
+  });
+
+  it('should reject a token for another ride', () => {
+    const { token } = trackingService.issueToken({ rideId, riderId });
+    expectCode(
+      () => trackingService.verifyToken(token, 'ride-2'),
+      'INVALID_TRACKING_TOKEN',
+    );
+  });
+
+  it('should reject tampered, missing and expired tokens', () => {
+    const { token, expiresAt } = trackingService.issueToken({
+      rideId,
+      riderId,
+    });
+    const [, signature] = token.split('.');
+    const forged = Buffer.from(
+      JSON.stringify({ rideId: 'ride-2', riderId, expiresAt }),
+    ).toString('base64url');
+
+    expectCode(
+      () => trackingService.verifyToken(`${forged}.${signature}`, 'ride-2'),
+      'INVALID_TRACKING_TOKEN',
+    );
+    expectCode(
+      () => trackingService.verifyToken(undefined, rideId),
+      'INVALID_TRACKING_TOKEN',
+    );
+    expectCode(
+      () =>
+        trackingService.verifyToken(
+          token,
+          rideId,
+          new Date(expiresAt).getTime() + 1,
+        ),
+      'INVALID_TRACKING_TOKEN',
+    );
+  });
+
+  it('should accept expired but not forged tokens for renewal', () => {
+    const { token, expiresAt } = trackingService.issueToken({
+      rideId,
+      riderId,
+    });
+    const later = new Date(expiresAt).getTime() + 3600 * 1000;
+
+    expect(
+      trackingService.verifyToken(token, rideId, later, { allowExpired: true }),
+    ).toMatchObject({ rideId, riderId });
+    expectCode(
+      () =>
+        trackingService.verifyToken(`${token}x`, rideId, later, {
+          allowExpired: true,
+        }),
+      'INVALID_TRACKING_TOKEN',
+    );
+  });
+
+  describe('renewal', () => {
+    const config = require('../../src/config');
+    const { token, expiresAt } = trackingService.issueToken({
+      rideId,
+      riderId,
+    });
+    const claims = trackingService.verifyToken(token, rideId);
+    const expiredAt = new Date(expiresAt).getTime();
+    const ride = { rider_id: riderId, status: 'ACCEPTED', scheduled_at: null };
+
+    it('should renew within the window after expiry', () => {
+      expect(() =>
+        trackingService.assertRenewable(claims, ride, expiredAt + 1000),
+      ).not.toThrow();
+      expectCode(
+        () =>
+          trackingService.assertRenewable(
+            claims,
+            { ...ride, rider_id: 'rider-2' },
+            expiredAt,
+          ),
+        'FORBIDDEN',
+      );
+    });
+
+    it('should refuse once the ride is over', () => {
+      for (const status of ['COMPLETED', 'CANCELLED', 'EXPIRED']) {
+        expectCode(
+          () => trackingService.assertRenewable(claims, { ...ride, status }),
+          'RIDE_FINISHED',
+        );
+      }
+    });
+
+    it('should refuse tokens expired longer than the renewal window', () => {
+      const windowMs = config.TRACKING_TOKEN_RENEW_WINDOW * 1000;
+      expectCode(
+        () =>
+          trackingService.assertRenewable(
+            claims,
+            ride,
+            expiredAt + windowMs + 1000,
+          ),
+        'INVALID_TRACKING_TOKEN',
+      );
+
+      // The window runs from a later scheduled pickup
+      const scheduledAt = new Date(expiredAt + 2 * windowMs);
+      expect(() =>
+        trackingService.assertRenewable(
+          claims,
+          { ...ride, status: 'SCHEDULED', scheduled_at: scheduledAt },
+          scheduledAt.getTime() + 1000,
+        ),
+      ).not.toThrow();
+    });
+  });
+
+  describe('location ETAs', () => {
+    const routingService = require('../../src/services/routing.service');
+    const ride = {
+      pickup_lat: '12.9716',
+      pickup_lng: '77.5946',
+      destination_lat: '12.98',
+      destination_lng: '77.61',
+    };
+    const at = (latitude, longitude) => ({
+      driverId: 'driver-1',
+      latitude,
+      longitude,
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should re-route only after the driver has moved or the target changed', () => {
+      const route = jest.spyOn(routingService, 'estimatePickupEta');
+      const etaCache = {};
+
+      trackingService.formatLocation(
+        ride,
+        'ACCEPTED',
+        at(12.95, 77.58),
+        etaCache,
+      );
+      trackingService.formatLocation(
+        ride,
+        'ACCEPTED',
+        at(12.9501, 77.5801),
+        etaCache,
+      );
+      expect(route).toHaveBeenCalledTimes(1);
+
+      trackingService.formatLocation(
+        ride,
+        'ACCEPTED',
+        at(12.96, 77.59),
+        etaCache,
+      );
+      expect(route).toHaveBeenCalledTimes(2);
+
+      const onTrip = trackingService.formatLocation(
+        ride,
+        'IN_PROGRESS',
+        at(12.96, 77.59),
+        etaCache,
+      );
+      expect(onTrip.etaTo).toBe('DESTINATION');
+      expect(route).toHaveBeenCalledTimes(2);
+    });
+  });
+});
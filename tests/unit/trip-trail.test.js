@@ -0,0 +1,122 @@
+const tripTrailService = require('../../src/services/trip-trail.service');
+const routingService = require('../../src/services/routing.service');
+const {
+  calculateDistance,
+  decodePolyline,
+} = require('../../src/utils/geo.utils');
+
+describe('Trip Trails', () => {
+  const startTime = new Date('2026-01-01T10:00:00Z');
+  const at = (seconds) => startTime.getTime() + seconds * 1000;
+  const start = { lat: 12.97, lng: 77.59 };
+
+  // Pings every 10s, ~108m apart (~39 km/h) heading east
+  const trail = [1, 2, 3].map((i) => ({
+    lat: 12.97,
+    lng: 77.59 + i * 0.001,
+    timestampMs: at(i * 10),
+  }));
+  const end = { lat: 12.97, lng: 77.594 };
+
+  const legsKm = (points) =>
+    points
+      .slice(1)
+      .reduce(
+        (sum, point, i) =>
+          sum +
+          calculateDistance(points[i].lat, points[i].lng, point.lat, point.lng),
+        0,
+      );
+
+  afterEach(() => {
+    routingService.load('');
+  });
+
+  it('should measure distance along the trail and duration without pauses', () => {
+    const summary = tripTrailService.summarize(trail, {
+      start,
+      end,
+      startTime,
+      endTime: new Date(at(40 + 5 * 60)),
+      pauseSeconds: 5 * 60,
+    });
+
+    expect(summary.pingCount).toBe(3);
+    expect(summary.distanceKm).toBeCloseTo(legsKm([start, ...trail, end]), 3);
+    expect(summary.durationMinutes).toBe(1);
+    expect(decodePolyline(summary.polyline)).toHaveLength(5);
+  });
+
+  it('should skip pings that teleport', () => {
+    const glitch = { lat: 13.07, lng: 77.592, timestampMs: at(15) };
+    const summary = tripTrailService.summarize(
+      [...trail.slice(0, 1), glitch, ...trail.slice(1)],
+      { start, end, startTime, endTime: new Date(at(40)) },
+    );
+
+    expect(summary.skippedPings).toBe(1);
+    expect(summary.distanceKm).toBeCloseTo(legsKm([start, ...trail, end]), 3);
+  });
+
+  it('should route across long gaps between pings', () => {
+    // The only road from start to end loops north
+    const north = { lat: 12.975, lng: 77.59 };
+    const northEast = { lat: 12.975, lng: 77.594 };
+    routingService.loadGeoJson({
+      type: 'FeatureCollection',
+      features: [
+        {
+          type: 'Feature',
+          properties: { speed_kmh: 40 },
+          geometry: {
+            type: 'LineString',
+            coordinates: [start, north, northEast, end].map((p) => [
+              p.lng,
+              p.lat,
+            ]),
+          },
+        },
+      ],
+    });
+
+    const summary = tripTrailService.summarize([], {
+      start,
+      end,
+      startTime,
+      endTime: new Date(at(5 * 60)),
+    });
+
+    expect(summary.distanceKm).toBeCloseTo(
+      legsKm([start, north, northEast, end]),
+      2,
+    );
+    expect(summary.interpolatedKm).toBe(summary.distanceKm);
+    expect(decodePolyline(summary.polyline)).toEqual([
+      start,
+      north,
+      northEast,
+      end,
+    ]);
+  });
+
+  it('should flag client values that stray from the trail', () => {
+    const server = { distanceKm: 10, durationMinutes: 30 };
+
+    expect(
+      tripTrailService.compare(server, { distanceKm: 13, durationMinutes: 30 }),
+    ).toMatchObject({ flagged: true, distanceOff: true, durationOff: false });
+    expect(
+      tripTrailService.compare(server, {
+        distanceKm: 10.8,
+        durationMinutes: 33,
+      }),
+    ).toMatchObject({ flagged: false });
+    // Short trips tolerate the absolute minimum
+    expect(
+      tripTrailService.compare(
+        { distanceKm: 1, durationMinutes: 4 },
+        { distanceKm: 1.4, durationMinutes: 5 },
+      ),
+    ).toMatchObject({ flagged: false });
+  });
+});